@@ -0,0 +1,466 @@
+/**
+ * LifeOS Protocol Cross-Source Deduplication
+ *
+ * The same meeting imported from Google Calendar and Outlook, or the same run
+ * from Strava and a watch, becomes one LifeEvent per source. findDuplicates
+ * groups likely copies by type, time overlap, title similarity and location
+ * distance; mergeEvents folds a group into one canonical event that lists
+ * every copy (and its signature) in `provenance`; deduplicateEvents does both and points
+ * `linked_uris` at the absorbed copies to the canonical event instead.
+ *
+ * Thresholds are set per event category (the part of the type before the
+ * dot), since a run's title says little while a meeting's says a lot.
+ *
+ * Usage:
+ *   const { events, merges, redirects } = deduplicateEvents(imported, { prefer: ['google', 'outlook'] });
+ *   setDedupThresholds('fitness', { maxTimeGap: 900 });
+ */
+
+import { LifeURIResolver } from './uriResolver.js';
+import { eventKey, getLinkURI, getLinkRelation } from './eventModel.js';
+import { resolveEventType } from './eventTypes.js';
+import { isRecurring } from './recurrence.js';
+import { eventDigest, preserveSignature } from './signing.js';
+
+const uriParser = new LifeURIResolver();
+
+const EARTH_RADIUS = 6371000; // meters
+
+const DEFAULT_THRESHOLDS = {
+  maxTimeGap: 300, // seconds between starts, for events without overlapping durations
+  minOverlap: 0.5, // share of the shorter event that the other one covers
+  minTitleSimilarity: 0.6, // 0-1, bigram similarity of the titles
+  maxDistance: 500, // meters between coordinates
+  minScore: 0.7, // weighted score over time, title and location
+  weights: { time: 0.4, title: 0.4, location: 0.2 }
+};
+
+// Category -> thresholds over the defaults
+const categoryThresholds = new Map([
+  // Sources name workouts freely ("Morning Run", "Run"), so time and place decide
+  ['fitness', { maxTimeGap: 600, minTitleSimilarity: 0, maxDistance: 1000, weights: { time: 0.6, title: 0.1, location: 0.3 } }],
+  ['calendar', { maxTimeGap: 0, minTitleSimilarity: 0.5 }],
+  ['music', { maxTimeGap: 30, minTitleSimilarity: 0.9 }]
+]);
+
+// Fields a canonical event takes from a copy when it has none of its own
+const FILLED_FIELDS = ['duration', 'location', 'mood', 'energy_level', 'timezone', 'parent_event_id', 'user_id'];
+
+function keyOf(uri) {
+  try {
+    return eventKey(uriParser.parseURI(uri));
+  } catch (error) {
+    return uri;
+  }
+}
+
+function categoryOf(type) {
+  return String(resolveEventType(type)).split('.')[0];
+}
+
+/**
+ * Set the dedup thresholds for an event category
+ * @param {string} category - Event category (e.g. 'fitness')
+ * @param {Object} thresholds - Any of maxTimeGap, minOverlap, minTitleSimilarity,
+ *   maxDistance, minScore and weights; the rest keep their defaults
+ */
+function setDedupThresholds(category, thresholds) {
+  categoryThresholds.set(category, { ...categoryThresholds.get(category), ...thresholds });
+}
+
+/**
+ * Thresholds that apply to an event type
+ * @param {string} type - Event type
+ * @param {Object} [overrides] - Per-call thresholds by category, e.g. { fitness: { maxDistance: 200 } }
+ * @returns {Object} Complete thresholds
+ */
+function getDedupThresholds(type, overrides = {}) {
+  const category = categoryOf(type);
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...categoryThresholds.get(category), ...overrides[category] };
+  return { ...thresholds, weights: { ...DEFAULT_THRESHOLDS.weights, ...thresholds.weights } };
+}
+
+/**
+ * Similarity of two titles, from 0 (nothing shared) to 1 (same words)
+ * Compares letter pairs (Dice coefficient), ignoring case and punctuation.
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+function titleSimilarity(a, b) {
+  const normalize = value => String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = value => {
+    const counts = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const bigram = value.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  let shared = 0;
+  for (const [bigram, count] of bigrams(right)) {
+    shared += Math.min(count, leftBigrams.get(bigram) || 0);
+  }
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+}
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Distance in meters
+ */
+function distanceBetween(a, b) {
+  const radians = degrees => (degrees * Math.PI) / 180;
+  const dLat = radians(b.lat - a.lat);
+  const dLng = radians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(radians(a.lat)) * Math.cos(radians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function timeSpan(event) {
+  const start = new Date(event.timestamp).getTime();
+  return { start, end: start + (event.duration || 0) * 1000 };
+}
+
+function compareTimes(a, b, thresholds) {
+  const left = timeSpan(a);
+  const right = timeSpan(b);
+  if (Number.isNaN(left.start) || Number.isNaN(right.start)) return null;
+
+  // Both have a length: how much of the shorter one the other covers
+  if (left.end > left.start && right.end > right.start) {
+    const overlap = Math.max(0, Math.min(left.end, right.end) - Math.max(left.start, right.start));
+    const score = overlap / Math.min(left.end - left.start, right.end - right.start);
+    return { score, passed: score >= thresholds.minOverlap };
+  }
+
+  const gap = Math.abs(left.start - right.start) / 1000;
+  if (gap > thresholds.maxTimeGap) return { score: 0, passed: false };
+  return { score: thresholds.maxTimeGap === 0 ? 1 : 1 - gap / (2 * thresholds.maxTimeGap), passed: true };
+}
+
+function compareLocations(a, b, thresholds) {
+  const left = a.location;
+  const right = b.location;
+  if (!left || !right) return null;
+
+  if (left.coordinates && right.coordinates) {
+    const distance = distanceBetween(left.coordinates, right.coordinates);
+    const score = thresholds.maxDistance === 0
+      ? Number(distance === 0)
+      : Math.max(0, 1 - distance / (2 * thresholds.maxDistance));
+    return { score, distance, passed: distance <= thresholds.maxDistance };
+  }
+
+  // Names alone are too loosely written to rule a match out
+  if (left.name && right.name) {
+    return { score: titleSimilarity(left.name, right.name), passed: true };
+  }
+  return null;
+}
+
+/**
+ * Score how likely two events are copies of the same thing
+ * Events must have the same type (after aliases) and come from different
+ * sources; series only match series with the same rule.
+ * @param {Object} a - First LifeEvent
+ * @param {Object} b - Second LifeEvent
+ * @param {Object} [options] - Comparison options
+ * @param {Object} [options.thresholds] - Per-call thresholds by category
+ * @param {boolean} [options.sameSource] - Also compare events from the same source (default false)
+ * @returns {Object} { duplicate, score, time, title, location }, where each part
+ *   has a score from 0 to 1 (location is null when either event has none)
+ */
+function compareEvents(a, b, options = {}) {
+  const notDuplicate = { duplicate: false, score: 0, time: null, title: null, location: null };
+
+  if (resolveEventType(a.type) !== resolveEventType(b.type)) return notDuplicate;
+  if (a.source === b.source && !options.sameSource) return notDuplicate;
+  if (isRecurring(a) !== isRecurring(b)) return notDuplicate;
+  if (isRecurring(a) && a.recurrence.rrule.replace(/^RRULE:/i, '') !== b.recurrence.rrule.replace(/^RRULE:/i, '')) {
+    return notDuplicate;
+  }
+
+  const thresholds = getDedupThresholds(a.type, options.thresholds);
+  const time = compareTimes(a, b, thresholds);
+  if (!time) return notDuplicate;
+
+  const similarity = titleSimilarity(a.title, b.title);
+  const title = { score: similarity, passed: similarity >= thresholds.minTitleSimilarity };
+  const location = compareLocations(a, b, thresholds);
+
+  // Weighted over the parts both events have
+  const parts = { time, title, location };
+  let total = 0;
+  let weights = 0;
+  for (const [name, part] of Object.entries(parts)) {
+    if (!part) continue;
+    total += part.score * thresholds.weights[name];
+    weights += thresholds.weights[name];
+  }
+  const score = weights > 0 ? total / weights : 0;
+
+  const passed = Object.values(parts).every(part => !part || part.passed);
+  return { duplicate: passed && score >= thresholds.minScore, score, time, title, location };
+}
+
+/**
+ * Find groups of events that are likely copies of each other
+ * A group never holds two events from the same source (unless
+ * options.sameSource is set), so one source's back-to-back events stay apart.
+ * @param {Iterable<Object>} events - LifeEvents to search
+ * @param {Object} [options] - Options for compareEvents
+ * @returns {Array<Object>} Groups as { events, score }, where score is the
+ *   lowest pairwise score that joined the group
+ */
+function findDuplicates(events, options = {}) {
+  const list = Array.from(events);
+  const sorted = list
+    .map((event, index) => ({ event, index, ...timeSpan(event) }))
+    .filter(entry => !Number.isNaN(entry.start))
+    .sort((a, b) => a.start - b.start);
+
+  // Only events this close can pass any category's time check
+  const window = Math.max(
+    DEFAULT_THRESHOLDS.maxTimeGap,
+    ...[...categoryThresholds.values()].map(thresholds => thresholds.maxTimeGap ?? 0),
+    ...Object.values(options.thresholds || {}).map(thresholds => thresholds.maxTimeGap ?? 0)
+  ) * 1000;
+
+  // Union-find over indexes into `list`
+  const parent = list.map((event, index) => index);
+  const members = list.map((event, index) => [index]);
+  const scores = list.map(() => Infinity);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  const sharesSource = (left, right) => {
+    const sources = new Set(members[left].map(index => list[index].source));
+    return members[right].some(index => sources.has(list[index].source));
+  };
+
+  for (let i = 0; i < sorted.length; i++) {
+    const limit = Math.max(sorted[i].end, sorted[i].start + window);
+
+    for (let j = i + 1; j < sorted.length && sorted[j].start <= limit; j++) {
+      const left = find(sorted[i].index);
+      const right = find(sorted[j].index);
+      if (left === right) continue;
+      if (!options.sameSource && sharesSource(left, right)) continue;
+
+      const { duplicate, score } = compareEvents(sorted[i].event, sorted[j].event, options);
+      if (!duplicate) continue;
+
+      parent[right] = left;
+      members[left].push(...members[right]);
+      scores[left] = Math.min(scores[left], scores[right], score);
+    }
+  }
+
+  return list
+    .map((event, index) => index)
+    .filter(index => find(index) === index && members[index].length > 1)
+    .map(index => ({
+      events: members[index].sort((a, b) => a - b).map(member => list[member]),
+      score: scores[index]
+    }));
+}
+
+// How much an event knows, to pick the canonical copy
+function completeness(event) {
+  const fields = Object.values(event).filter(value => value !== undefined && value !== null).length;
+  return fields + Object.keys(event.metadata || {}).length + (event.tags || []).length;
+}
+
+function pickCanonical(group, prefer) {
+  const rank = event => {
+    const position = prefer.indexOf(event.source);
+    return position === -1 ? prefer.length : position;
+  };
+
+  return group.reduce((best, event) => {
+    if (rank(event) !== rank(best)) return rank(event) < rank(best) ? event : best;
+    return completeness(event) > completeness(best) ? event : best;
+  });
+}
+
+function provenanceOf(event) {
+  const own = { uri: event.uri, source: event.source };
+  if (event.source_id !== undefined) own.source_id = event.source_id;
+  if (event.id !== undefined) own.id = event.id;
+  if (event.signature) own.signature = event.signature;
+  // An event merged before brings its own copies along
+  return [own, ...(Array.isArray(event.provenance) ? event.provenance : [])];
+}
+
+/**
+ * Merge copies of one event into a canonical event
+ * The canonical copy keeps its id and URI. Fields it lacks come from the
+ * other copies in order of preference, tags and links are combined, and
+ * metadata is merged with the canonical copy winning. `provenance` lists
+ * every copy.
+ * @param {Array<Object>} group - Copies of the same event
+ * @param {Object} [options] - Merge options
+ * @param {Array<string>} [options.prefer] - Sources in order of preference for the canonical copy;
+ *   otherwise the most complete copy wins
+ * @returns {Object} The canonical event
+ */
+function mergeEvents(group, options = {}) {
+  return mergeGroup(group, options).merged;
+}
+
+function mergeGroup(group, options) {
+  if (!Array.isArray(group) || group.length === 0) {
+    throw new Error('mergeEvents needs at least one event');
+  }
+
+  const { prefer = [] } = options;
+  const canonical = pickCanonical(group, prefer);
+  const others = group.filter(event => event !== canonical);
+  const ordered = [canonical, ...others.sort((a, b) => {
+    const rank = event => (prefer.includes(event.source) ? prefer.indexOf(event.source) : prefer.length);
+    return rank(a) - rank(b);
+  })];
+
+  const merged = { ...canonical };
+
+  for (const field of FILLED_FIELDS) {
+    if (merged[field] !== undefined) continue;
+    const donor = ordered.find(event => event[field] !== undefined);
+    if (donor) merged[field] = donor[field];
+  }
+
+  const metadata = Object.assign({}, ...ordered.slice().reverse().map(event => event.metadata || {}));
+  if (Object.keys(metadata).length > 0 || canonical.metadata) merged.metadata = metadata;
+
+  const tags = [...new Set(ordered.flatMap(event => (Array.isArray(event.tags) ? event.tags : [])))];
+  if (tags.length > 0 || canonical.tags) merged.tags = tags;
+
+  // Links between the copies themselves would point the event at itself
+  const copies = new Set(group.filter(event => event.uri).map(event => keyOf(event.uri)));
+  const seen = new Set();
+  const links = ordered
+    .flatMap(event => (Array.isArray(event.linked_uris) ? event.linked_uris : []))
+    .filter(link => {
+      const key = keyOf(getLinkURI(link));
+      if (copies.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  if (links.length > 0 || canonical.linked_uris) merged.linked_uris = links;
+
+  const provenance = [];
+  const recorded = new Map();
+  for (const entry of ordered.flatMap(provenanceOf)) {
+    const id = entry.uri ? keyOf(entry.uri) : `${entry.source}:${entry.source_id ?? entry.id}`;
+    const existing = recorded.get(id);
+    if (existing) {
+      // A normalized copy keeps its signature in its own provenance entry
+      if (!existing.signature && entry.signature) existing.signature = entry.signature;
+      continue;
+    }
+    const copy = { ...entry };
+    recorded.set(id, copy);
+    provenance.push(copy);
+  }
+  if (provenance.length > 1) merged.provenance = provenance;
+
+  // The copies' signatures live on in provenance; the merged event no longer matches them
+  if (merged.signature && eventDigest(merged) !== merged.signature.digest) delete merged.signature;
+
+  return { canonical, merged };
+}
+
+/**
+ * Point an event's links at canonical events instead of absorbed copies
+ * @param {Object} event - The LifeEvent
+ * @param {Object} redirects - Absorbed URI -> canonical URI (as returned by deduplicateEvents)
+ * @param {Object} [ids] - Absorbed ID -> canonical ID, for parent_event_id
+ * @returns {Object} The event, or a rewritten copy if any link changed
+ */
+function rewriteLinks(event, redirects, ids = {}) {
+  const targets = new Map(Object.entries(redirects).map(([from, to]) => [keyOf(from), to]));
+  const ownKey = event.uri ? keyOf(event.uri) : null;
+  const links = Array.isArray(event.linked_uris) ? event.linked_uris : [];
+
+  const redirected = links.map(link => {
+    const target = targets.get(keyOf(getLinkURI(link)));
+    if (!target) return link;
+    return typeof link === 'string' ? target : { ...link, uri: target };
+  });
+  const changed = redirected.some((link, index) => link !== links[index]);
+
+  // A redirected link may now repeat another one, or point at the event itself
+  const seen = new Set();
+  const rewrittenLinks = redirected.filter((link, index) => {
+    const key = `${keyOf(getLinkURI(link))} ${getLinkRelation(link) ?? ''}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return link === links[index] || keyOf(getLinkURI(link)) !== ownKey;
+  });
+
+  const parent = event.parent_event_id !== undefined ? ids[event.parent_event_id] : undefined;
+  if (!changed && parent === undefined) return event;
+
+  const rewritten = { ...event };
+  if (changed) rewritten.linked_uris = rewrittenLinks;
+  if (parent !== undefined) rewritten.parent_event_id = parent;
+  return preserveSignature(event, rewritten);
+}
+
+/**
+ * Find and merge duplicates, and rewrite links to the absorbed copies
+ * @param {Iterable<Object>} events - LifeEvents to deduplicate
+ * @param {Object} [options] - Options for findDuplicates and mergeEvents
+ * @returns {Object} { events, merges, redirects }: the deduplicated events in
+ *   input order, merges as { canonical, absorbed } URIs, and absorbed URI ->
+ *   canonical URI
+ */
+function deduplicateEvents(events, options = {}) {
+  const list = Array.from(events);
+  const groups = findDuplicates(list, options);
+
+  const replaced = new Map(); // event -> canonical event, or null once absorbed
+  const merges = [];
+  const redirects = {};
+  const ids = {};
+
+  for (const { events: group } of groups) {
+    const { canonical, merged } = mergeGroup(group, options);
+    const absorbed = group.filter(event => event !== canonical);
+
+    replaced.set(canonical, merged);
+    absorbed.forEach(event => {
+      replaced.set(event, null);
+      if (event.uri) redirects[event.uri] = merged.uri;
+      if (event.id !== undefined && merged.id !== undefined) ids[event.id] = merged.id;
+    });
+    merges.push({ canonical: merged.uri, absorbed: absorbed.map(event => event.uri) });
+  }
+
+  const deduplicated = list
+    .map(event => (replaced.has(event) ? replaced.get(event) : event))
+    .filter(Boolean)
+    .map(event => rewriteLinks(event, redirects, ids));
+
+  return { events: deduplicated, merges, redirects };
+}
+
+export {
+  setDedupThresholds,
+  getDedupThresholds,
+  titleSimilarity,
+  distanceBetween,
+  compareEvents,
+  findDuplicates,
+  mergeEvents,
+  rewriteLinks,
+  deduplicateEvents
+};
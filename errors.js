@@ -0,0 +1,194 @@
+/**
+ * LifeOS Protocol Errors
+ *
+ * Typed errors so callers can tell a missing event from a missing resolver
+ * or a malformed event without matching on messages. Every error has a
+ * stable `code`.
+ *
+ * Usage:
+ *   try {
+ *     await resolver.resolveURI(uri);
+ *   } catch (error) {
+ *     if (error instanceof EventNotFoundError) showBrokenLink(uri);
+ *     else throw error;
+ *   }
+ */
+
+class LifeOSError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - { code, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'LIFEOS_ERROR';
+  }
+}
+
+/**
+ * A string is not a valid life:// URI
+ */
+class InvalidURIError extends LifeOSError {
+  constructor(message) {
+    super(message, { code: 'INVALID_URI' });
+  }
+}
+
+/**
+ * No event exists at a URI
+ */
+class EventNotFoundError extends LifeOSError {
+  /**
+   * @param {string} uri - The URI (or storage key) that was looked up
+   */
+  constructor(uri) {
+    super(`Event not found: ${uri}`, { code: 'EVENT_NOT_FOUND' });
+    this.uri = uri;
+  }
+}
+
+/**
+ * No resolver is registered for a URI's source
+ */
+class ResolverNotFoundError extends LifeOSError {
+  /**
+   * @param {string} source - The event source
+   */
+  constructor(source) {
+    super(`No resolver registered for source: ${source}`, { code: 'RESOLVER_NOT_FOUND' });
+    this.source = source;
+  }
+}
+
+/**
+ * An event failed schema validation
+ */
+class InvalidEventError extends LifeOSError {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<Object>} [errors] - Schema errors ({ path, message })
+   */
+  constructor(message, errors = []) {
+    super(message, { code: 'INVALID_EVENT' });
+    this.errors = errors;
+  }
+}
+
+/**
+ * A resolver did not answer in time
+ */
+class ResolverTimeoutError extends LifeOSError {
+  /**
+   * @param {string} uri - The URI being resolved
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(uri, timeout) {
+    super(`Resolving ${uri} timed out after ${timeout}ms`, { code: 'RESOLVER_TIMEOUT' });
+    this.uri = uri;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Resolution was cancelled through an AbortSignal
+ */
+class ResolutionAbortedError extends LifeOSError {
+  /**
+   * @param {string} uri - The URI being resolved
+   * @param {*} [reason] - The signal's abort reason
+   */
+  constructor(uri, reason) {
+    super(`Resolving ${uri} was aborted`, { code: 'ABORTED', cause: reason });
+    this.uri = uri;
+  }
+}
+
+/**
+ * A resolver failed for another reason; the original error is `cause`
+ */
+class ResolutionError extends LifeOSError {
+  /**
+   * @param {string} uri - The URI being resolved
+   * @param {Error} cause - The resolver's error
+   */
+  constructor(uri, cause) {
+    super(`Failed to resolve URI ${uri}: ${cause?.message ?? cause}`, { code: 'RESOLUTION_FAILED', cause });
+    this.uri = uri;
+  }
+}
+
+/**
+ * An event follows a protocol version this library has no migration for
+ */
+class UnsupportedVersionError extends LifeOSError {
+  /**
+   * @param {string} version - The unknown version
+   * @param {Array<string>} [known] - The versions that are known
+   */
+  constructor(version, known = []) {
+    const hint = known.length > 0 ? `. Known versions: ${known.join(', ')}` : '';
+    super(`Unsupported protocol version: ${version}${hint}`, { code: 'UNSUPPORTED_VERSION' });
+    this.version = version;
+  }
+}
+
+/**
+ * Stored data failed authentication: it was changed, swapped or removed
+ * outside the protocol
+ */
+class IntegrityError extends LifeOSError {
+  /**
+   * @param {string} message - What failed the check
+   * @param {Object} [options] - { uri, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, { code: 'INTEGRITY_ERROR', cause: options.cause });
+    this.uri = options.uri ?? null;
+  }
+}
+
+/**
+ * An event's signature is missing where one is required, or doesn't verify
+ */
+class SignatureError extends LifeOSError {
+  /**
+   * @param {string} uri - The URI of the event
+   * @param {Object} verification - { status, key_id, reason } from verifyEvent
+   */
+  constructor(uri, verification) {
+    const reason = verification.status === 'unsigned' ? 'event is not signed' : verification.reason;
+    super(`Signature check failed for ${uri}: ${reason}`, { code: 'INVALID_SIGNATURE' });
+    this.uri = uri;
+    this.status = verification.status;
+    this.keyId = verification.key_id;
+  }
+}
+
+/**
+ * A passphrase does not unlock an encrypted vault
+ */
+class InvalidPassphraseError extends LifeOSError {
+  /**
+   * @param {string} directory - The vault directory
+   */
+  constructor(directory) {
+    super(`Wrong passphrase for vault: ${directory}`, { code: 'INVALID_PASSPHRASE' });
+    this.directory = directory;
+  }
+}
+
+export {
+  LifeOSError,
+  InvalidURIError,
+  EventNotFoundError,
+  ResolverNotFoundError,
+  InvalidEventError,
+  ResolverTimeoutError,
+  ResolutionAbortedError,
+  ResolutionError,
+  IntegrityError,
+  InvalidPassphraseError,
+  SignatureError,
+  UnsupportedVersionError
+};
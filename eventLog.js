@@ -0,0 +1,582 @@
+/**
+ * LifeOS Protocol Event Log
+ *
+ * Durable, append-only NDJSON event log with on-disk indexes.
+ * Note: Only works in Node.js environments
+ *
+ * Directory layout:
+ *   <dir>/events.ndjson     One entry per line: { seq, op, key, uri, at, event? }
+ *   <dir>/index/meta.json   Checkpoint: how much of the log the indexes cover
+ *   <dir>/index/uri.json    key -> [offset, length, date, type] of the latest entry
+ *   <dir>/index/date.json   date -> [keys]
+ *   <dir>/index/type.json   type -> [keys]
+ *
+ * Writes never touch existing lines: updates append a new "put" entry with a
+ * fresh updated_at, deletions append a "delete" tombstone. On open, indexes
+ * are loaded from disk and only the part of the log written after the last
+ * checkpoint is replayed, so lookups never scan the whole log.
+ * compact() rewrites the log with only the live entries. A line torn by a
+ * crash mid-append is dropped on open; any other unreadable line is an error.
+ *
+ * A log directory must only be written by one process at a time.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { LifeURIResolver } from './uriResolver.js';
+import { generateEventURI, hasGeneratedURI, getEventDate, eventKey, parseEventKey } from './eventModel.js';
+import { matchComponents } from './uriPattern.js';
+import { withSlugSuffix } from './identity.js';
+import { EventNotFoundError, IntegrityError } from './errors.js';
+
+const LOG_FILE = 'events.ndjson';
+const INDEX_DIR = 'index';
+// Version 2 keys the date index by the event's local day
+const INDEX_VERSION = 2;
+
+const uriParser = new LifeURIResolver();
+
+function toDateKey(event) {
+  try {
+    return getEventDate(event);
+  } catch (error) {
+    return null;
+  }
+}
+
+function addToIndex(index, key, entry) {
+  if (key === null || key === undefined) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(entry);
+}
+
+function removeFromIndex(index, key, entry) {
+  const entries = index.get(key);
+  if (!entries) return;
+  entries.delete(entry);
+  if (entries.size === 0) index.delete(key);
+}
+
+function mapToJSON(index) {
+  const result = {};
+  for (const [key, entries] of index) {
+    result[key] = Array.from(entries);
+  }
+  return result;
+}
+
+function mapFromJSON(data) {
+  return new Map(Object.entries(data).map(([key, entries]) => [key, new Set(entries)]));
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fsp.writeFile(tempPath, content, 'utf8');
+  await fsp.rename(tempPath, filePath);
+}
+
+async function closeHandles(handles) {
+  await Promise.all(handles.map(handle => handle.close()));
+}
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+class LifeEventLog {
+  /**
+   * Use LifeEventLog.open() to create an instance
+   * @param {string} directory - Log directory
+   * @param {Object} [options] - Log options
+   * @param {number} [options.checkpointEvery] - Persist indexes after this many appends
+   */
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.logPath = path.join(this.directory, LOG_FILE);
+    this.indexPath = path.join(this.directory, INDEX_DIR);
+    this.checkpointEvery = options.checkpointEvery ?? 1000;
+
+    this.uriIndex = new Map();
+    this.dateIndex = new Map();
+    this.typeIndex = new Map();
+
+    this.size = 0;
+    this.seq = 0;
+    this.entries = 0;
+    this.sinceCheckpoint = 0;
+
+    this.writer = null;
+    this.reader = null;
+    this.reads = 0;
+    this.retiredReaders = [];
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Open (or create) an event log
+   * @param {string} directory - Log directory
+   * @param {Object} [options] - See constructor
+   * @returns {Promise<LifeEventLog>} The opened log
+   * @throws {IntegrityError} If a line before the end of the log can't be read
+   */
+  static async open(directory, options = {}) {
+    const log = new LifeEventLog(directory, options);
+    await log.load();
+    return log;
+  }
+
+  async load() {
+    await fsp.mkdir(this.indexPath, { recursive: true });
+
+    const logSize = await fsp.stat(this.logPath).then(stats => stats.size, () => 0);
+    const meta = await readJSON(path.join(this.indexPath, 'meta.json'));
+
+    let replayFrom = 0;
+    if (meta && meta.version === INDEX_VERSION && meta.logSize <= logSize) {
+      const [uris, dates, types] = await Promise.all(
+        ['uri', 'date', 'type'].map(name => readJSON(path.join(this.indexPath, `${name}.json`)))
+      );
+
+      if (uris && dates && types) {
+        this.uriIndex = new Map(Object.entries(uris));
+        this.dateIndex = mapFromJSON(dates);
+        this.typeIndex = mapFromJSON(types);
+        this.size = meta.logSize;
+        this.seq = meta.seq;
+        this.entries = meta.entries;
+        replayFrom = meta.logSize;
+      }
+    }
+
+    // Replay whatever the checkpoint doesn't cover (everything, if there is none)
+    if (replayFrom < logSize) {
+      await this.replay(replayFrom);
+    }
+
+    this.writer = await fsp.open(this.logPath, 'a');
+    this.reader = await fsp.open(this.logPath, 'r');
+
+    if (replayFrom < logSize) {
+      await this.checkpoint();
+    }
+  }
+
+  async replay(start) {
+    const fileSize = (await fsp.stat(this.logPath)).size;
+    const stream = fs.createReadStream(this.logPath, { start, encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let offset = start;
+    let torn = false;
+
+    try {
+      for await (const line of lines) {
+        const length = Buffer.byteLength(line, 'utf8');
+
+        if (line.trim().length > 0) {
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            // Only a crash mid-append leaves a broken line, and then it is the last one with no newline
+            if (offset + length < fileSize) {
+              throw new IntegrityError(`Corrupt entry in ${this.logPath} at byte ${offset}: ${error.message}`, { cause: error });
+            }
+            torn = true;
+            break;
+          }
+          this.apply(entry, offset, length);
+        }
+
+        offset += length + 1;
+      }
+    } finally {
+      lines.close();
+      stream.destroy();
+    }
+
+    if (torn) {
+      // Drop the torn tail so new entries start on a clean line
+      await fsp.truncate(this.logPath, offset);
+    } else if (offset > fileSize) {
+      // The last entry is complete but lost its newline
+      await fsp.appendFile(this.logPath, '\n');
+    }
+    this.size = offset;
+  }
+
+  apply(entry, offset, length) {
+    const previous = this.uriIndex.get(entry.key);
+    if (previous) {
+      removeFromIndex(this.dateIndex, previous[2], entry.key);
+      removeFromIndex(this.typeIndex, previous[3], entry.key);
+    }
+
+    if (entry.op === 'delete') {
+      this.uriIndex.delete(entry.key);
+    } else {
+      const date = toDateKey(entry.event);
+      const type = entry.event.type ?? null;
+      this.uriIndex.set(entry.key, [offset, length, date, type]);
+      addToIndex(this.dateIndex, date, entry.key);
+      addToIndex(this.typeIndex, type, entry.key);
+    }
+
+    this.seq = Math.max(this.seq, entry.seq || 0);
+    this.entries++;
+  }
+
+  /**
+   * Persist the indexes and the log position they cover
+   * @returns {Promise<void>}
+   */
+  async checkpoint() {
+    const uris = Object.fromEntries(this.uriIndex);
+
+    await writeFileAtomic(path.join(this.indexPath, 'uri.json'), JSON.stringify(uris));
+    await writeFileAtomic(path.join(this.indexPath, 'date.json'), JSON.stringify(mapToJSON(this.dateIndex)));
+    await writeFileAtomic(path.join(this.indexPath, 'type.json'), JSON.stringify(mapToJSON(this.typeIndex)));
+    // meta.json goes last: it only vouches for indexes that are already on disk
+    await writeFileAtomic(path.join(this.indexPath, 'meta.json'), JSON.stringify({
+      version: INDEX_VERSION,
+      logSize: this.size,
+      seq: this.seq,
+      entries: this.entries
+    }));
+
+    this.sinceCheckpoint = 0;
+  }
+
+  /**
+   * Run write operations one at a time
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async append(entry) {
+    if (!this.writer) {
+      throw new Error('Event log is closed');
+    }
+
+    const line = JSON.stringify(entry);
+    const length = Buffer.byteLength(line, 'utf8');
+    const offset = this.size;
+
+    await this.writer.write(`${line}\n`);
+    this.size += length + 1;
+    this.apply(entry, offset, length);
+
+    if (++this.sinceCheckpoint >= this.checkpointEvery) {
+      await this.checkpoint();
+    }
+  }
+
+  /**
+   * Append an event, replacing any earlier version with the same URI
+   * New events get created_at; replacements get a new updated_at. Events
+   * without a `uri`, or whose `uri` is the generated one, get a slug suffix if
+   * a different event (by `id`) holds it.
+   * @param {Object} event - The LifeEvent to store
+   * @returns {Promise<Object>} The stored event
+   * @throws {Error} If the event's own URI is held by a different event
+   */
+  put(event) {
+    return this.enqueue(() => this.write(event));
+  }
+
+  // put without queueing, for operations already running in the queue
+  async write(event) {
+    const heldBy = async (candidate) => {
+      const location = this.uriIndex.get(eventKey(uriParser.parseURI(candidate)));
+      if (!location || !event.id) return null;
+      const existing = await this.readAt(location);
+      return existing.id && existing.id !== event.id ? existing.id : null;
+    };
+
+    let uri = null;
+    if (event.uri && !hasGeneratedURI(event)) {
+      const owner = await heldBy(event.uri);
+      if (owner) {
+        throw new Error(`URI collision: ${event.uri} is already used by event ${owner}`);
+      }
+      uri = event.uri;
+    } else {
+      const preferred = event.uri || generateEventURI(event);
+      for (let n = 1; !uri; n++) {
+        const candidate = withSlugSuffix(preferred, n);
+        if (!(await heldBy(candidate))) uri = candidate;
+      }
+    }
+
+    const key = eventKey(uriParser.parseURI(uri));
+    const now = new Date().toISOString();
+    const existing = this.uriIndex.has(key);
+
+    const stored = existing
+      ? { ...event, uri, updated_at: now }
+      : { ...event, uri, created_at: event.created_at || now };
+
+    await this.append({ seq: this.seq + 1, op: 'put', key, uri, at: now, event: stored });
+    return stored;
+  }
+
+  /**
+   * Merge changes into a stored event
+   * @param {string} uri - URI of the event to update
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} The updated event
+   */
+  update(uri, changes) {
+    // Read and write in one queued step, so concurrent updates don't drop each other's changes
+    return this.enqueue(async () => {
+      const current = await this.get(uri);
+      if (!current) {
+        throw new EventNotFoundError(uri);
+      }
+      return this.write({ ...current, ...changes, uri: current.uri });
+    });
+  }
+
+  /**
+   * Record the deletion of an event
+   * @param {string} uri - URI of the event to delete
+   * @returns {Promise<boolean>} True if a live event was deleted
+   */
+  delete(uri) {
+    return this.enqueue(async () => {
+      const key = eventKey(uriParser.parseURI(uri));
+      if (!this.uriIndex.has(key)) return false;
+
+      const now = new Date().toISOString();
+      await this.append({ seq: this.seq + 1, op: 'delete', key, uri, at: now, updated_at: now });
+      return true;
+    });
+  }
+
+  // Reads don't wait for the write queue: each one uses the handle current when it
+  // starts, which matches the index it got its location from, and a handle replaced
+  // by compaction stays open until no read is in flight
+  async readAt([offset, length]) {
+    const { reader } = this;
+    if (!reader) {
+      throw new Error('Event log is closed');
+    }
+
+    this.reads++;
+    try {
+      const buffer = Buffer.alloc(length);
+      await reader.read(buffer, 0, length, offset);
+      return JSON.parse(buffer.toString('utf8')).event;
+    } finally {
+      if (--this.reads === 0 && this.retiredReaders.length > 0) {
+        await closeHandles(this.retiredReaders.splice(0));
+      }
+    }
+  }
+
+  // Close a reader the indexes no longer point into, once no read can still need it
+  async retireReader(reader) {
+    if (this.reads > 0) {
+      this.retiredReaders.push(reader);
+      return;
+    }
+    await reader.close();
+  }
+
+  /**
+   * Get the latest version of an event
+   * @param {string} uri - The life:// URI
+   * @returns {Promise<Object|null>} The event, or null if missing or deleted
+   */
+  async get(uri) {
+    const location = this.uriIndex.get(eventKey(uriParser.parseURI(uri)));
+    return location ? this.readAt(location) : null;
+  }
+
+  /**
+   * Check if a live event exists
+   * @param {string} uri - The life:// URI
+   * @returns {boolean}
+   */
+  has(uri) {
+    return this.uriIndex.has(eventKey(uriParser.parseURI(uri)));
+  }
+
+  /**
+   * Number of live events
+   * @returns {number}
+   */
+  get count() {
+    return this.uriIndex.size;
+  }
+
+  /**
+   * Find events using the date and type indexes
+   * @param {Object} [filters] - Filters to apply
+   * Dates are the events' local days (see getEventDate).
+   * @param {string} [filters.from] - First date (YYYY-MM-DD), inclusive
+   * @param {string} [filters.to] - Last date (YYYY-MM-DD), inclusive
+   * @param {string|Array<string>} [filters.type] - Event types; 'fitness.*' matches a category
+   * @returns {Promise<Array<Object>>} Matching events, oldest first
+   */
+  async find(filters = {}) {
+    let keys = null;
+
+    if (filters.from || filters.to) {
+      const from = filters.from || '';
+      const to = filters.to || '\uffff';
+      keys = new Set();
+      [...this.dateIndex.keys()]
+        .filter(date => date >= from && date <= to)
+        .sort()
+        .forEach(date => this.dateIndex.get(date).forEach(key => keys.add(key)));
+    }
+
+    if (filters.type) {
+      const matching = new Set();
+      for (const type of [].concat(filters.type)) {
+        const types = type.endsWith('.*')
+          ? [...this.typeIndex.keys()].filter(candidate => candidate.startsWith(type.slice(0, -1)))
+          : [type];
+        types.forEach(candidate => (this.typeIndex.get(candidate) || []).forEach(key => matching.add(key)));
+      }
+      keys = keys === null ? matching : new Set([...keys].filter(key => matching.has(key)));
+    }
+
+    const selected = keys === null ? [...this.uriIndex.keys()] : [...keys];
+    const events = await Promise.all(selected.map(key => this.readAt(this.uriIndex.get(key))));
+    return events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Rewrite the log so it only holds the latest version of each live event
+   * @returns {Promise<Object>} { before, after } log sizes in bytes
+   */
+  compact() {
+    return this.enqueue(async () => {
+      const before = this.size;
+      const compactPath = `${this.logPath}.compact`;
+      const output = await fsp.open(compactPath, 'w');
+
+      const uriIndex = new Map();
+      const dateIndex = new Map();
+      const typeIndex = new Map();
+      let offset = 0;
+      let seq = 0;
+
+      try {
+        for (const [key, location] of this.uriIndex) {
+          const event = await this.readAt(location);
+          const line = JSON.stringify({ seq: ++seq, op: 'put', key, uri: event.uri, at: event.updated_at || event.created_at, event });
+          const length = Buffer.byteLength(line, 'utf8');
+
+          await output.write(`${line}\n`);
+          uriIndex.set(key, [offset, length, location[2], location[3]]);
+          addToIndex(dateIndex, location[2], key);
+          addToIndex(typeIndex, location[3], key);
+          offset += length + 1;
+        }
+        await output.sync();
+      } finally {
+        await output.close();
+      }
+
+      // Open handles are bound to the file, not the name, so the old reader keeps
+      // serving in-flight reads after the rename
+      const reader = await fsp.open(compactPath, 'r');
+      let writer;
+      try {
+        await fsp.rename(compactPath, this.logPath);
+        writer = await fsp.open(this.logPath, 'a');
+      } catch (error) {
+        await reader.close();
+        throw error;
+      }
+
+      const previous = { writer: this.writer, reader: this.reader };
+
+      // Swap handles and indexes together, so no read pairs an old location with the new file
+      this.uriIndex = uriIndex;
+      this.dateIndex = dateIndex;
+      this.typeIndex = typeIndex;
+      this.size = offset;
+      this.seq = seq;
+      this.entries = seq;
+      this.writer = writer;
+      this.reader = reader;
+
+      await previous.writer.close();
+      await this.retireReader(previous.reader);
+      await this.checkpoint();
+
+      return { before, after: offset };
+    });
+  }
+
+  /**
+   * Log statistics
+   * @returns {Object} { events, entries, logSize, garbage } where garbage is the share of superseded entries
+   */
+  stats() {
+    return {
+      events: this.uriIndex.size,
+      entries: this.entries,
+      logSize: this.size,
+      garbage: this.entries === 0 ? 0 : 1 - this.uriIndex.size / this.entries
+    };
+  }
+
+  /**
+   * Create a resolver for LifeURIResolver.registerResolver
+   * @returns {Function} Resolver reading events from the log
+   */
+  resolver() {
+    const resolver = async (parsed) => {
+      const key = eventKey(parsed);
+      const location = this.uriIndex.get(key);
+
+      if (!location) {
+        throw new EventNotFoundError(key);
+      }
+
+      return this.readAt(location);
+    };
+
+    // Patterns are matched against the URI index, so only matching events are read
+    resolver.list = async (pattern) => {
+      const keys = [...this.uriIndex.keys()].filter(key => matchComponents(pattern, parseEventKey(key)));
+      return Promise.all(keys.map(key => this.readAt(this.uriIndex.get(key))));
+    };
+
+    return resolver;
+  }
+
+  /**
+   * Persist indexes and close file handles
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.enqueue(async () => {
+      if (!this.writer) return;
+
+      await this.writer.sync();
+      await this.checkpoint();
+      const { writer, reader } = this;
+      this.writer = null;
+      this.reader = null;
+      await writer.close();
+      await this.retireReader(reader);
+    });
+  }
+}
+
+export { LifeEventLog };
@@ -0,0 +1,231 @@
+/**
+ * LifeOS Protocol Event Model
+ *
+ * The canonical LifeEvent shape shared by createLifeOSEvent, the TypeScript
+ * declarations and lifeevent.schema.json, plus a normalizer that upgrades
+ * events written in the legacy factory shape.
+ *
+ * Legacy field       -> Canonical field
+ * duration_minutes   -> duration (seconds)
+ * location (string)  -> location: { name }
+ * related_events     -> linked_uris
+ *
+ * A link in `linked_uris` is either a life:// URI string or a typed link
+ * object `{ uri, rel }` (see relationTypes.js).
+ */
+
+import { LifeURI } from './lifeURI.js';
+import { localDate } from './timeZone.js';
+import { preserveSignature } from './signing.js';
+
+const PROTOCOL_VERSION = '1.1';
+
+/**
+ * Turn a title into a URI slug
+ * Accents are dropped and other letters kept, so 'Café' becomes 'cafe' and
+ * '会议' stays '会议' (percent-encoded in the URI).
+ * @param {string} title - Human-readable title
+ * @returns {string} Lowercase, dash-separated slug (e.g. 'team-standup'); empty if the title has no letters or digits
+ */
+function slugify(title) {
+  return String(title)
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Calendar day an event belongs to
+ * @param {Object} event - Event with a timestamp and optional IANA `timezone`
+ * @returns {string} YYYY-MM-DD in the event's time zone, or UTC without one
+ */
+function getEventDate(event) {
+  return localDate(event.timestamp, event.timezone);
+}
+
+/**
+ * Generate the default life:// URI for an event from its timestamp, source, type and title
+ * @param {Object} event - Event with timestamp, source, type and title
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.precision] - 'day' (default), 'minute' or 'second'; finer
+ *   precision puts the UTC time in the URI so same-day events with the same title differ
+ * @returns {string} life://<date>[T<time>Z]/<source>/<type>/<slug>
+ */
+function generateEventURI(event, options = {}) {
+  const { precision = 'day' } = options;
+  const iso = new Date(event.timestamp).toISOString();
+  const times = { day: null, minute: iso.slice(11, 16), second: iso.slice(11, 19) };
+
+  if (!(precision in times)) {
+    throw new Error(`Invalid URI precision: ${precision}. Expected day, minute or second`);
+  }
+
+  // A day URI names the event's local day; a time URI names a UTC instant, so its date stays UTC
+  return new LifeURI({
+    date: precision === 'day' ? getEventDate(event) : iso.slice(0, 10),
+    time: times[precision],
+    source: event.source,
+    type: event.type,
+    // Titles of only emoji or symbols have nothing to slug, so the ID stands in
+    slug: slugify(event.title) || slugify(event.id || 'untitled')
+  }).toString();
+}
+
+/**
+ * Check whether an event's URI is one generateEventURI would give it
+ * Such a URI was derived rather than chosen, so stores may add a slug suffix
+ * to it when a different event already holds it.
+ * @param {Object} event - Event with a uri
+ * @returns {boolean} True if the URI matches the event's fields at some precision
+ */
+function hasGeneratedURI(event) {
+  if (!event.uri) return false;
+  try {
+    const uri = LifeURI.parse(event.uri).toString();
+    return ['day', 'minute', 'second'].some(precision => generateEventURI(event, { precision }) === uri);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the URI a link points at
+ * @param {string|Object} link - URI string or { uri, rel } object
+ * @returns {string|undefined} The life:// URI
+ */
+function getLinkURI(link) {
+  return typeof link === 'string' ? link : link?.uri;
+}
+
+/**
+ * Get the relation type of a link
+ * @param {string|Object} link - URI string or { uri, rel } object
+ * @returns {string|null} The relation type, or null for untyped links
+ */
+function getLinkRelation(link) {
+  return typeof link === 'object' && link !== null && link.rel ? link.rel : null;
+}
+
+/**
+ * Build a link entry for linked_uris
+ * Untyped links stay plain strings so older consumers keep working.
+ * @param {string} uri - The life:// URI
+ * @param {string} [rel] - Relation type
+ * @returns {string|Object} URI string or { uri, rel }
+ */
+function createLink(uri, rel) {
+  return rel ? { uri, rel } : uri;
+}
+
+/**
+ * Storage key for an event, built from its parsed URI components
+ * so that encoded and decoded slugs refer to the same event
+ * @param {Object} parsed - Components from LifeURIResolver.parseURI
+ * @returns {string} <date>[T<time>Z]/<source>/<type>/<slug>
+ */
+function eventKey(parsed) {
+  const authority = parsed.time ? `${parsed.date}T${parsed.time}Z` : parsed.date;
+  return `${authority}/${parsed.source}/${parsed.type}/${parsed.slug}`;
+}
+
+/**
+ * Split a storage key back into URI components
+ * @param {string} key - <date>[T<time>Z]/<source>/<type>/<slug>
+ * @returns {Object} { date, time, source, type, slug }
+ */
+function parseEventKey(key) {
+  const [authority, source, type, ...slugParts] = key.split('/');
+  return { ...LifeURI.parseAuthority(authority), source, type, slug: slugParts.join('/') };
+}
+
+/**
+ * Check whether an event uses any legacy (pre-1.1) fields
+ * @param {Object} event - The event to inspect
+ * @returns {boolean} True if the event needs normalizing
+ */
+function isLegacyEvent(event) {
+  return event.duration_minutes !== undefined ||
+    typeof event.location === 'string' ||
+    event.related_events !== undefined;
+}
+
+/**
+ * Normalize an event in either the legacy or canonical shape to the canonical model.
+ * The input is never mutated, and normalizing a canonical event is a no-op
+ * apart from stamping the current protocol version. If that changes a signed
+ * event, its signature moves to `provenance` (see preserveSignature).
+ * @param {Object} event - The event to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {Function|Map} [options.resolveEventId] - Maps a legacy related event ID to its life:// URI
+ * @returns {Object} The event in canonical form
+ */
+function normalizeLifeEvent(event, options = {}) {
+  const { resolveEventId } = options;
+  const { duration_minutes, related_events, ...rest } = event;
+
+  const normalized = { ...rest };
+
+  if (normalized.protocol_version !== undefined || isLegacyEvent(event)) {
+    normalized.protocol_version = PROTOCOL_VERSION;
+  }
+
+  // duration_minutes -> duration (seconds); an explicit duration wins
+  if (normalized.duration === undefined && typeof duration_minutes === 'number') {
+    normalized.duration = Math.round(duration_minutes * 60);
+  }
+
+  // location string -> location object
+  if (typeof normalized.location === 'string') {
+    normalized.location = { name: normalized.location };
+  }
+
+  // related_events -> linked_uris
+  if (Array.isArray(related_events) && related_events.length > 0) {
+    const lookup = typeof resolveEventId === 'function'
+      ? resolveEventId
+      : id => resolveEventId?.get(id);
+
+    const linked = Array.isArray(normalized.linked_uris) ? [...normalized.linked_uris] : [];
+    const linkedURIs = new Set(linked.map(getLinkURI));
+    const unresolved = [];
+
+    for (const related of related_events) {
+      const uri = typeof related === 'string' && related.startsWith('life://')
+        ? related
+        : lookup(related);
+
+      if (uri) {
+        if (!linkedURIs.has(uri)) linked.push(uri);
+        linkedURIs.add(uri);
+      } else {
+        unresolved.push(related);
+      }
+    }
+
+    normalized.linked_uris = linked;
+
+    // Keep IDs we couldn't turn into URIs rather than dropping the links
+    if (unresolved.length > 0) {
+      normalized.metadata = { ...normalized.metadata, related_event_ids: unresolved };
+    }
+  }
+
+  return preserveSignature(event, normalized);
+}
+
+export {
+  PROTOCOL_VERSION,
+  slugify,
+  getEventDate,
+  generateEventURI,
+  hasGeneratedURI,
+  eventKey,
+  parseEventKey,
+  getLinkURI,
+  getLinkRelation,
+  createLink,
+  isLegacyEvent,
+  normalizeLifeEvent
+};
@@ -0,0 +1,683 @@
+/**
+ * LifeOS Protocol Event Store
+ *
+ * In-memory LifeEvent store with secondary indexes (date, source, type,
+ * category, tags, mood) and a composable query API.
+ *
+ * Recurring events (with a `recurrence` rule) are stored once. Their
+ * occurrences resolve by URI, match URI patterns with a date range, and
+ * replace the series in queries that have both a start and an end.
+ *
+ * Usage:
+ *   const store = new LifeEventStore(events);
+ *   store.query().type('fitness.*').between(weekStart, weekEnd)
+ *     .where('mood', '<', 5).tag('work').sortBy('timestamp', 'desc').run();
+ */
+
+import { LifeURIResolver } from './uriResolver.js';
+import { generateEventURI, hasGeneratedURI, getEventDate, eventKey, parseEventKey } from './eventModel.js';
+import { parseURIPattern, isLiteralSegment, matchComponents } from './uriPattern.js';
+import { nextFreeURI } from './identity.js';
+import { EventNotFoundError } from './errors.js';
+import { isRecurring, getOccurrence, expandRecurrence, expandEvents, parseRRule } from './recurrence.js';
+import { dayBounds, localDate } from './timeZone.js';
+import { deduplicateEvents } from './dedup.js';
+
+const uriParser = new LifeURIResolver();
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const OPERATORS = {
+  '=': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected,
+  '<': (actual, expected) => actual !== undefined && actual < expected,
+  '<=': (actual, expected) => actual !== undefined && actual <= expected,
+  '>': (actual, expected) => actual !== undefined && actual > expected,
+  '>=': (actual, expected) => actual !== undefined && actual >= expected,
+  in: (actual, expected) => expected.includes(actual),
+  contains: (actual, expected) => Array.isArray(actual)
+    ? actual.includes(expected)
+    : typeof actual === 'string' && actual.includes(expected),
+  exists: (actual, expected) => (actual !== undefined) === (expected !== false)
+};
+
+/**
+ * Read a dotted field path such as 'metadata.artist'
+ * @param {Object} event - The event
+ * @param {string} field - Field path
+ * @returns {*} Field value or undefined
+ */
+function getField(event, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), event);
+}
+
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return time;
+}
+
+function toDateKey(value) {
+  return new Date(toTime(value)).toISOString().split('T')[0];
+}
+
+function isOnDate(event, date) {
+  try {
+    return getEventDate(event) === date;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Timed URIs carry the UTC date, but a zoned event belongs to the local day of that instant
+function localComponents(components, event) {
+  if (!components.time || !event.timezone) return components;
+  return { ...components, date: localDate(`${components.date}T${components.time}Z`, event.timezone) };
+}
+
+function addToIndex(index, key, uri) {
+  if (key === undefined || key === null) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(uri);
+}
+
+function removeFromIndex(index, key, uri) {
+  const entries = index.get(key);
+  if (!entries) return;
+  entries.delete(uri);
+  if (entries.size === 0) index.delete(key);
+}
+
+// Two events claim the same URI only when both have IDs and they differ
+function isCollision(existing, event) {
+  return Boolean(existing && existing.id && event.id && existing.id !== event.id);
+}
+
+function intersect(candidates, entries) {
+  if (candidates === null) return new Set(entries);
+  return new Set([...candidates].filter(key => entries.has(key)));
+}
+
+class LifeEventStore {
+  /**
+   * @param {Array<Object>} [events] - Events to load into the store
+   */
+  constructor(events = []) {
+    this.events = new Map();
+    this.series = new Set(); // keys of recurring events
+    this.indexes = {
+      date: new Map(),
+      source: new Map(),
+      type: new Map(),
+      category: new Map(),
+      tag: new Map(),
+      mood: new Map()
+    };
+
+    this.addAll(events);
+  }
+
+  /**
+   * Number of events in the store
+   * @returns {number}
+   */
+  get size() {
+    return this.events.size;
+  }
+
+  /**
+   * Add or replace an event
+   * Events without a `uri` get one generated from timestamp, source, type and
+   * title, with a slug suffix if a different event (by `id`) already has it.
+   * A `uri` that is itself the generated one (as from createLifeOSEvent) gets
+   * the same suffix.
+   * @param {Object} event - The LifeEvent to store
+   * @returns {string} The event's URI
+   * @throws {Error} If the event's own URI is held by a different event
+   * @throws {Error} If the event's recurrence rule can't be expanded
+   */
+  add(event) {
+    // Checked here so one bad rule can't break every later match()
+    if (isRecurring(event)) parseRRule(event.recurrence.rrule);
+
+    const isTaken = candidate => isCollision(this.events.get(eventKey(uriParser.parseURI(candidate))), event);
+
+    const chosen = event.uri && !hasGeneratedURI(event);
+    if (chosen && isTaken(event.uri)) {
+      throw new Error(`URI collision: ${event.uri} is already used by event ${this.get(event.uri).id}`);
+    }
+
+    const uri = chosen ? event.uri : nextFreeURI(event.uri || generateEventURI(event), isTaken);
+    const key = eventKey(uriParser.parseURI(uri));
+    const stored = uri === event.uri ? event : { ...event, uri };
+
+    if (this.events.has(key)) {
+      this.unindex(key, this.events.get(key));
+    }
+
+    this.events.set(key, stored);
+    this.index(key, stored);
+    return uri;
+  }
+
+  /**
+   * Add several events
+   * @param {Iterable<Object>} events - LifeEvents to store
+   * @returns {Array<string>} Their URIs
+   */
+  addAll(events) {
+    return Array.from(events, event => this.add(event));
+  }
+
+  /**
+   * Get an event, or an occurrence of a recurring event, by URI
+   * @param {string} uri - The life:// URI
+   * @returns {Object|null} The event, or null if missing
+   */
+  get(uri) {
+    const parsed = uriParser.parseURI(uri);
+    return this.events.get(eventKey(parsed)) || this.occurrenceAt(parsed);
+  }
+
+  /**
+   * Check if an event (or occurrence) exists at a URI
+   * @param {string} uri - The life:// URI
+   * @returns {boolean} True if stored
+   */
+  has(uri) {
+    return this.get(uri) !== null;
+  }
+
+  /**
+   * Remove an event
+   * @param {string} uri - The life:// URI
+   * @returns {boolean} True if an event was removed
+   */
+  remove(uri) {
+    const key = eventKey(uriParser.parseURI(uri));
+    const event = this.events.get(key);
+    if (!event) return false;
+
+    this.unindex(key, event);
+    this.events.delete(key);
+    return true;
+  }
+
+  /**
+   * Remove all events
+   */
+  clear() {
+    this.events.clear();
+    this.series.clear();
+    Object.values(this.indexes).forEach(index => index.clear());
+  }
+
+  /**
+   * Get all events
+   * @returns {Array<Object>} Stored events in insertion order
+   */
+  all() {
+    return Array.from(this.events.values());
+  }
+
+  [Symbol.iterator]() {
+    return this.events.values();
+  }
+
+  /**
+   * Merge copies of the same event from different sources
+   * Absorbed copies are removed and links to them now point at the canonical
+   * event (see deduplicateEvents).
+   * @param {Object} [options] - Options for deduplicateEvents
+   * @returns {Object} { merges, redirects }
+   */
+  deduplicate(options = {}) {
+    const { events, merges, redirects } = deduplicateEvents(this.all(), options);
+
+    Object.keys(redirects).forEach(uri => this.remove(uri));
+    events
+      .filter(event => this.events.get(eventKey(uriParser.parseURI(event.uri))) !== event)
+      .forEach(event => this.add(event));
+
+    return { merges, redirects };
+  }
+
+  /**
+   * Start a query
+   * @returns {LifeEventQuery} Composable query over this store
+   */
+  query() {
+    return new LifeEventQuery(this);
+  }
+
+  /**
+   * Create a resolver for LifeURIResolver.registerResolver
+   * @returns {Function} Resolver returning stored events
+   */
+  resolver() {
+    const resolver = async (parsed) => {
+      const event = this.events.get(eventKey(parsed)) || this.occurrenceAt(parsed);
+
+      if (!event) {
+        throw new EventNotFoundError(eventKey(parsed));
+      }
+
+      return event;
+    };
+
+    resolver.list = async (pattern) => this.match(pattern);
+
+    return resolver;
+  }
+
+  /**
+   * Events whose URIs fall inside a life:// pattern
+   * @param {string|Object} pattern - Pattern such as 'life://2025-07-01..2025-07-31/journal' or a parsed pattern
+   * @returns {Array<Object>} Matching events (query parameters are not applied)
+   */
+  match(pattern) {
+    const parsed = typeof pattern === 'string' ? parseURIPattern(pattern) : pattern;
+    let candidates = null;
+
+    if (isLiteralSegment(parsed.source)) {
+      candidates = intersect(candidates, this.indexes.source.get(parsed.source) || new Set());
+    }
+    if (isLiteralSegment(parsed.type)) {
+      candidates = intersect(candidates, this.indexes.type.get(parsed.type) || new Set());
+    }
+
+    const keys = candidates === null ? [...this.events.keys()] : [...candidates];
+    const { from, to } = parsed.date;
+    // A day wider on each side, since an occurrence's local day can differ from its UTC day
+    const window = {
+      from: from === null ? null : toTime(`${from}T00:00:00.000Z`) - DAY,
+      to: to === null ? null : toTime(`${to}T23:59:59.999Z`) + DAY
+    };
+
+    return keys.flatMap(key => {
+      const event = this.events.get(key);
+      // Without an end date an endless series can't be expanded, so it matches as itself
+      const events = this.series.has(key) ? expandEvents([event], window) : [event];
+
+      return events.filter(candidate => {
+        const candidateKey = candidate === event ? key : eventKey(uriParser.parseURI(candidate.uri));
+        return matchComponents(parsed, localComponents(parseEventKey(candidateKey), candidate));
+      });
+    });
+  }
+
+  /**
+   * Occurrence of a stored recurring event at a URI
+   * Occurrence URIs are the series' source, type and slug with the
+   * occurrence's original start time as the authority.
+   * @param {Object} parsed - Parsed life:// URI
+   * @returns {Object|null} The occurrence, or null
+   */
+  occurrenceAt(parsed) {
+    if (!parsed.time) return null;
+
+    const key = eventKey(parsed);
+    for (const seriesKey of this.series) {
+      const series = parseEventKey(seriesKey);
+      if (series.source !== parsed.source || series.type !== parsed.type || series.slug !== parsed.slug) continue;
+
+      const occurrence = getOccurrence(this.events.get(seriesKey), `${parsed.date}T${parsed.time}Z`);
+      if (occurrence && eventKey(uriParser.parseURI(occurrence.uri)) === key) return occurrence;
+    }
+    return null;
+  }
+
+  index(key, event) {
+    const [category] = String(event.type).split('.');
+
+    if (isRecurring(event)) this.series.add(key);
+    if (event.timestamp) addToIndex(this.indexes.date, toDateKey(event.timestamp), key);
+    addToIndex(this.indexes.source, event.source, key);
+    addToIndex(this.indexes.type, event.type, key);
+    addToIndex(this.indexes.category, category, key);
+    addToIndex(this.indexes.mood, event.mood, key);
+    (Array.isArray(event.tags) ? event.tags : []).forEach(tag => addToIndex(this.indexes.tag, tag, key));
+  }
+
+  unindex(key, event) {
+    const [category] = String(event.type).split('.');
+
+    this.series.delete(key);
+    if (event.timestamp) removeFromIndex(this.indexes.date, toDateKey(event.timestamp), key);
+    removeFromIndex(this.indexes.source, event.source, key);
+    removeFromIndex(this.indexes.type, event.type, key);
+    removeFromIndex(this.indexes.category, category, key);
+    removeFromIndex(this.indexes.mood, event.mood, key);
+    (Array.isArray(event.tags) ? event.tags : []).forEach(tag => removeFromIndex(this.indexes.tag, tag, key));
+  }
+}
+
+/**
+ * Composable query over a LifeEventStore
+ * Every filter method returns the query, so calls can be chained.
+ */
+class LifeEventQuery {
+  constructor(store) {
+    this.store = store;
+    this.filters = {
+      types: [],
+      categories: [],
+      sources: [],
+      tags: [],
+      anyTags: [],
+      from: null,
+      to: null,
+      date: null,
+      conditions: [],
+      predicates: []
+    };
+    this.sorts = [];
+    this.skip = 0;
+    this.take = Infinity;
+  }
+
+  /**
+   * Match an event type; 'fitness.*' matches the whole category
+   * @param {string|Array<string>} types - Types or category wildcards
+   */
+  type(types) {
+    for (const type of [].concat(types)) {
+      if (type.endsWith('.*')) {
+        this.filters.categories.push(type.slice(0, -2));
+      } else {
+        this.filters.types.push(type);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Match a category (e.g. 'fitness')
+   * @param {string} category - The category
+   */
+  category(category) {
+    this.filters.categories.push(category);
+    return this;
+  }
+
+  /**
+   * Match one or more sources
+   * @param {string|Array<string>} sources - Source names
+   */
+  source(sources) {
+    this.filters.sources.push(...[].concat(sources));
+    return this;
+  }
+
+  /**
+   * Require every given tag
+   * @param {string|Array<string>} tags - Tags that must all be present
+   */
+  tag(tags) {
+    this.filters.tags.push(...[].concat(tags));
+    return this;
+  }
+
+  /**
+   * Require at least one of the given tags
+   * @param {Array<string>} tags - Tags of which one must be present
+   */
+  anyTag(tags) {
+    this.filters.anyTags.push(...tags);
+    return this;
+  }
+
+  /**
+   * Only events at or after a moment
+   * @param {string|Date} from - ISO timestamp or Date
+   */
+  after(from) {
+    this.filters.from = toTime(from);
+    return this;
+  }
+
+  /**
+   * Only events at or before a moment
+   * @param {string|Date} to - ISO timestamp or Date
+   */
+  before(to) {
+    this.filters.to = toTime(to);
+    return this;
+  }
+
+  /**
+   * Only events within a time range (inclusive)
+   * @param {string|Date} from - Range start
+   * @param {string|Date} to - Range end
+   */
+  between(from, to) {
+    return this.after(from).before(to);
+  }
+
+  /**
+   * Only events on a calendar day
+   * Without a time zone each event is matched on its own local day (UTC for
+   * events without a `timezone`); with one, the day is that zone's midnight
+   * to midnight.
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} [timeZone] - IANA time zone
+   */
+  on(date, timeZone) {
+    if (timeZone) {
+      const { from, to } = dayBounds(date, timeZone);
+      return this.between(from, to);
+    }
+
+    // Local days run from UTC-12 to UTC+14; the window keeps the date index useful
+    this.filters.date = date;
+    const midnight = toTime(`${date}T00:00:00.000Z`);
+    return this.between(midnight - 14 * HOUR, midnight + DAY - 1 + 12 * HOUR);
+  }
+
+  /**
+   * Compare a field with a value
+   * @param {string} field - Field path (e.g. 'mood', 'metadata.artist')
+   * @param {string} operator - One of =, !=, <, <=, >, >=, in, contains, exists
+   * @param {*} value - Value to compare with
+   */
+  where(field, operator, value) {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unknown operator: ${operator}. Expected one of: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    this.filters.conditions.push({ field, operator, value });
+    return this;
+  }
+
+  /**
+   * Filter with a custom predicate
+   * @param {Function} predicate - (event) => boolean
+   */
+  filter(predicate) {
+    this.filters.predicates.push(predicate);
+    return this;
+  }
+
+  /**
+   * Sort results; call repeatedly for secondary sort keys
+   * @param {string} field - Field path
+   * @param {string} [direction] - 'asc' or 'desc'
+   */
+  sortBy(field, direction = 'asc') {
+    this.sorts.push({ field, direction: direction === 'desc' ? -1 : 1 });
+    return this;
+  }
+
+  /**
+   * Limit the number of results
+   * @param {number} count - Maximum results
+   */
+  limit(count) {
+    this.take = count;
+    return this;
+  }
+
+  /**
+   * Skip a number of results
+   * @param {number} count - Results to skip
+   */
+  offset(count) {
+    this.skip = count;
+    return this;
+  }
+
+  /**
+   * Select a page of results
+   * @param {number} page - 1-based page number
+   * @param {number} pageSize - Results per page
+   */
+  page(page, pageSize) {
+    return this.offset((page - 1) * pageSize).limit(pageSize);
+  }
+
+  /**
+   * Narrow down candidates using the store's indexes
+   * @returns {Set<string>|null} Candidate keys, or null for "all events"
+   */
+  candidates() {
+    const { indexes } = this.store;
+    const { types, categories, sources, tags, anyTags, from, to, conditions } = this.filters;
+    let candidates = null;
+
+    const union = (index, keys) => {
+      const result = new Set();
+      keys.forEach(key => (index.get(key) || []).forEach(entry => result.add(entry)));
+      return result;
+    };
+
+    if (types.length > 0 || categories.length > 0) {
+      const matches = union(indexes.type, types);
+      union(indexes.category, categories).forEach(entry => matches.add(entry));
+      candidates = intersect(candidates, matches);
+    }
+    if (sources.length > 0) candidates = intersect(candidates, union(indexes.source, sources));
+    for (const tag of tags) candidates = intersect(candidates, indexes.tag.get(tag) || new Set());
+    if (anyTags.length > 0) candidates = intersect(candidates, union(indexes.tag, anyTags));
+
+    if (from !== null || to !== null) {
+      const fromKey = from === null ? '' : toDateKey(from);
+      const toKey = to === null ? '\uffff' : toDateKey(to);
+      const dates = [...indexes.date.keys()].filter(date => date >= fromKey && date <= toKey);
+      candidates = intersect(candidates, union(indexes.date, dates));
+    }
+
+    for (const { field, operator, value } of conditions) {
+      if (field !== 'mood' || operator === '!=' || operator === 'exists') continue;
+      const moods = [...indexes.mood.keys()].filter(mood => OPERATORS[operator](mood, value));
+      candidates = intersect(candidates, union(indexes.mood, moods));
+    }
+
+    return candidates;
+  }
+
+  // The indexed filters, checked directly (for occurrences, which aren't indexed)
+  matchesIndexed(event) {
+    const { types, categories, sources, tags, anyTags } = this.filters;
+    const [category] = String(event.type).split('.');
+    const eventTags = Array.isArray(event.tags) ? event.tags : [];
+
+    if ((types.length > 0 || categories.length > 0) && !types.includes(event.type) && !categories.includes(category)) return false;
+    if (sources.length > 0 && !sources.includes(event.source)) return false;
+    if (!tags.every(tag => eventTags.includes(tag))) return false;
+    return anyTags.length === 0 || anyTags.some(tag => eventTags.includes(tag));
+  }
+
+  matches(event) {
+    const { from, to, date, conditions, predicates } = this.filters;
+    const time = new Date(event.timestamp).getTime();
+
+    if (from !== null && !(time >= from)) return false;
+    if (to !== null && !(time <= to)) return false;
+    if (date !== null && !isOnDate(event, date)) return false;
+    if (!conditions.every(({ field, operator, value }) => OPERATORS[operator](getField(event, field), value))) return false;
+    return predicates.every(predicate => predicate(event));
+  }
+
+  /**
+   * All matching events, sorted but not paginated
+   * @returns {Array<Object>} Matching events
+   */
+  matching() {
+    const { from, to } = this.filters;
+    const { series } = this.store;
+    const candidates = this.candidates();
+    let events = candidates === null
+      ? this.store.all()
+      : [...candidates].map(key => this.store.events.get(key));
+
+    // With a bounded window, recurring events are replaced by their occurrences
+    if (from !== null && to !== null && series.size > 0) {
+      const occurrences = [...series]
+        .flatMap(key => expandRecurrence(this.store.events.get(key), { from, to }))
+        .filter(occurrence => this.matchesIndexed(occurrence));
+      events = events.filter(event => !isRecurring(event)).concat(occurrences);
+    }
+
+    const results = events.filter(event => this.matches(event));
+
+    if (this.sorts.length > 0) {
+      results.sort((a, b) => {
+        for (const { field, direction } of this.sorts) {
+          const left = getField(a, field);
+          const right = getField(b, field);
+          if (left === right) continue;
+          if (left === undefined) return 1;
+          if (right === undefined) return -1;
+          return (left < right ? -1 : 1) * direction;
+        }
+        return 0;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the query
+   * @returns {Array<Object>} Matching events for the selected page
+   */
+  run() {
+    return this.matching().slice(this.skip, this.skip + this.take);
+  }
+
+  /**
+   * Run the query with pagination details
+   * @returns {Object} { items, total, offset, limit, hasMore }
+   */
+  paginate() {
+    const all = this.matching();
+    const items = all.slice(this.skip, this.skip + this.take);
+    return {
+      items,
+      total: all.length,
+      offset: this.skip,
+      limit: this.take === Infinity ? null : this.take,
+      hasMore: this.skip + items.length < all.length
+    };
+  }
+
+  /**
+   * Count matching events (ignores pagination)
+   * @returns {number}
+   */
+  count() {
+    return this.matching().length;
+  }
+
+  /**
+   * First matching event
+   * @returns {Object|null}
+   */
+  first() {
+    return this.run()[0] || null;
+  }
+}
+
+export { LifeEventStore, LifeEventQuery };
@@ -5,6 +5,8 @@
  * Format: <category>.<action>
  */
 
+import { validateAgainstSchema } from './schemaValidator.js';
+
 const EVENT_TYPES = {
   // Music & Media
   music: {
@@ -39,10 +41,11 @@ const EVENT_TYPES = {
     step: "Step count milestone",
     sleep: "Sleep tracking",
     weight: "Weight measurement",
-    nutrition: "Food or meal logged"
+    nutrition: "Food or meal logged",
+    set: "Set within a workout"
   },
 
-  // Location & Travel
+  // Location
   location: {
     arrive: "Arrived at a location",
     depart: "Left a location",
@@ -50,6 +53,13 @@ const EVENT_TYPES = {
     commute: "Travel between locations"
   },
 
+  // Trips
+  travel: {
+    trip: "Trip made up of travel.flight, travel.stay and location.visit events",
+    flight: "Flight",
+    stay: "Hotel or other lodging stay"
+  },
+
   // Photos & Media
   photo: {
     capture: "Photo taken",
@@ -92,12 +102,501 @@ const EVENT_TYPES = {
   }
 };
 
+/**
+ * Standard metadata fields for event types
+ *
+ * Each field declares a JSON Schema type, whether it is required and,
+ * for quantities, its unit. Fields not listed here are always allowed.
+ * A `sensitivity` marks a field as more sensitive than its event.
+ */
+const CURRENCY_FIELD = { type: 'string', pattern: '^[A-Z]{3}$', required: true, description: 'ISO 4217 currency code' };
+const AMOUNT_FIELD = { type: 'number', minimum: 0, required: true, unit: 'currency', description: 'Amount in the given currency' };
+
+const METADATA_FIELDS = {
+  'music.play': {
+    artist: { type: 'string', description: 'Performing artist' },
+    album: { type: 'string', description: 'Album name' },
+    duration: { type: 'integer', minimum: 0, unit: 'seconds', description: 'Track length' },
+    track_id: { type: 'string', description: 'Source-native track identifier' }
+  },
+  'calendar.meeting': {
+    attendees: { type: 'array', items: { type: 'string' }, description: 'Attendee email addresses or names' },
+    duration: { type: 'integer', minimum: 0, unit: 'seconds', description: 'Scheduled length' },
+    calendar_id: { type: 'string', description: 'Calendar the meeting belongs to' },
+    organizer: { type: 'string', description: 'Organizer email address or name' },
+    reminders: { type: 'array', items: { type: 'object' }, description: 'Alarms as { action, trigger, description }' }
+  },
+  'journal.entry': {
+    content: { type: 'string', sensitivity: 'private', description: 'Entry text' },
+    word_count: { type: 'integer', minimum: 0, unit: 'words' }
+  },
+  'fitness.workout': {
+    activity: { type: 'string', description: 'Kind of exercise (e.g. run, ride, swim)' },
+    distance: { type: 'number', minimum: 0, unit: 'meters' },
+    calories: { type: 'number', minimum: 0, unit: 'kcal' },
+    heart_rate_avg: { type: 'number', minimum: 0, unit: 'bpm', sensitivity: 'private' }
+  },
+  'fitness.set': {
+    exercise: { type: 'string', description: 'Exercise performed (e.g. squat)' },
+    reps: { type: 'integer', minimum: 0, unit: 'reps' },
+    weight: { type: 'number', minimum: 0, unit: 'kg', description: 'Load lifted' }
+  },
+  'fitness.step': {
+    steps: { type: 'integer', minimum: 0, required: true, unit: 'steps' }
+  },
+  'fitness.sleep': {
+    quality: { type: 'integer', minimum: 1, maximum: 10, description: 'Sleep quality rating' }
+  },
+  'fitness.weight': {
+    weight: { type: 'number', minimum: 0, required: true, unit: 'kg', sensitivity: 'private' }
+  },
+  'travel.flight': {
+    flight_number: { type: 'string', description: 'Airline code and number (e.g. TP1020)' },
+    origin: { type: 'string', pattern: '^[A-Z]{3}$', description: 'IATA code of the departure airport' },
+    destination: { type: 'string', pattern: '^[A-Z]{3}$', description: 'IATA code of the arrival airport' },
+    distance: { type: 'number', minimum: 0, unit: 'meters' }
+  },
+  'travel.stay': {
+    nights: { type: 'integer', minimum: 0, unit: 'nights' },
+    amount: { ...AMOUNT_FIELD, required: false, description: 'Price of the stay' },
+    currency: { ...CURRENCY_FIELD, required: false }
+  },
+  'finance.purchase': {
+    amount: AMOUNT_FIELD,
+    currency: CURRENCY_FIELD,
+    merchant: { type: 'string', description: 'Where the purchase was made' }
+  },
+  'finance.expense': {
+    amount: AMOUNT_FIELD,
+    currency: CURRENCY_FIELD,
+    category: { type: 'string', description: 'Expense category' }
+  },
+  'finance.income': {
+    amount: AMOUNT_FIELD,
+    currency: CURRENCY_FIELD,
+    payer: { type: 'string' }
+  },
+  'communication.call': {
+    participants: { type: 'array', items: { type: 'string' } },
+    duration: { type: 'integer', minimum: 0, unit: 'seconds' }
+  }
+};
+
+/**
+ * Privacy sensitivity levels, least sensitive first
+ * public: fine to share; personal: the owner and people they trust;
+ * private: the owner only.
+ */
+const SENSITIVITY_LEVELS = ['public', 'personal', 'private'];
+const DEFAULT_SENSITIVITY = 'personal';
+
+// Categories whose events are private unless their type says otherwise
+const CATEGORY_SENSITIVITY = {
+  finance: 'private',
+  communication: 'private'
+};
+
+// Standard types kept valid for existing data, with what to use instead
+const DEPRECATED_EVENT_TYPES = {
+  'calendar.travel': {
+    replacedBy: 'travel.trip',
+    message: 'Use travel.flight or travel.stay for a single flight or stay.'
+  }
+};
+
+/**
+ * Format of an event type: <category>.<action>
+ * Vendor categories use an "x-" prefix (e.g. "x-myapp.sync").
+ */
+const EVENT_TYPE_PATTERN = /^(?:[a-z][a-z0-9_]*|x-[a-z0-9]+(?:-[a-z0-9]+)*)\.[a-z][a-z0-9_]*$/;
+const VENDOR_PREFIX_PATTERN = /^x-[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Runtime registry: type -> { type, category, action, description, standard, metadata, deprecated, aliasOf }
+const registry = new Map();
+// Reserved vendor namespaces: prefix -> { prefix, owner, description }
+const vendorPrefixes = new Map();
+// Category -> default sensitivity of its events
+const categorySensitivity = new Map();
+
+function seedRegistry() {
+  registry.clear();
+  vendorPrefixes.clear();
+  categorySensitivity.clear();
+
+  for (const [category, level] of Object.entries(CATEGORY_SENSITIVITY)) {
+    categorySensitivity.set(category, level);
+  }
+
+  for (const [category, actions] of Object.entries(EVENT_TYPES)) {
+    for (const [action, description] of Object.entries(actions)) {
+      const type = `${category}.${action}`;
+      registry.set(type, { type, category, action, description, standard: true, metadata: METADATA_FIELDS[type] });
+    }
+  }
+
+  for (const [type, deprecated] of Object.entries(DEPRECATED_EVENT_TYPES)) {
+    registry.get(type).deprecated = { ...deprecated };
+  }
+}
+
+seedRegistry();
+
+function splitEventType(eventType) {
+  const index = eventType.indexOf('.');
+  return [eventType.substring(0, index), eventType.substring(index + 1)];
+}
+
+function assertEventTypeFormat(eventType) {
+  if (typeof eventType !== 'string' || !EVENT_TYPE_PATTERN.test(eventType)) {
+    throw new Error(`Invalid event type: "${eventType}". Expected format: category.action (e.g., "music.play", "x-myapp.sync")`);
+  }
+}
+
+function assertVendorNamespace(category) {
+  if (category.startsWith('x-') && !vendorPrefixes.has(category)) {
+    throw new Error(`Vendor prefix "${category}" is not reserved. Call reserveVendorPrefix('${category}') first.`);
+  }
+}
+
+/**
+ * Register a new event type
+ * @param {string} eventType - The event type (e.g., 'user.action', 'x-myapp.sync')
+ * @param {string} description - Human-readable description
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.override] - Replace an existing custom type
+ * @param {Object} [options.metadata] - Metadata fields (see setEventTypeMetadata)
+ * @param {string} [options.sensitivity] - Default sensitivity of events of this type
+ * @returns {Object} The registry entry
+ */
+function registerEventType(eventType, description, options = {}) {
+  assertEventTypeFormat(eventType);
+
+  const [category, action] = splitEventType(eventType);
+  assertVendorNamespace(category);
+
+  const existing = registry.get(eventType);
+  if (existing?.standard) {
+    throw new Error(`Cannot redefine standard event type: ${eventType}`);
+  }
+  if (existing && !options.override) {
+    throw new Error(`Event type already registered: ${eventType}`);
+  }
+
+  const entry = { type: eventType, category, action, description: description || '', standard: false };
+  registry.set(eventType, entry);
+
+  if (options.metadata) {
+    setEventTypeMetadata(eventType, options.metadata);
+  }
+  if (options.sensitivity) {
+    setEventTypeSensitivity(eventType, options.sensitivity);
+  }
+  return entry;
+}
+
+/**
+ * Register a category together with its actions
+ * @param {string} category - The category (e.g., 'user')
+ * @param {Object} actions - Map of action -> description
+ * @param {Object} [options] - Passed to registerEventType
+ * @returns {Array<string>} The registered event types
+ */
+function registerEventCategory(category, actions, options = {}) {
+  return Object.entries(actions).map(([action, description]) =>
+    registerEventType(`${category}.${action}`, description, options).type
+  );
+}
+
+/**
+ * Declare the metadata fields for an event type
+ * Each field is a JSON Schema fragment plus optional `required` and `unit`, e.g.
+ * { amount: { type: 'number', required: true, unit: 'currency' } }
+ * @param {string} eventType - A registered event type
+ * @param {Object} fields - Map of field name -> field definition
+ */
+function setEventTypeMetadata(eventType, fields) {
+  const entry = registry.get(eventType);
+  if (!entry) {
+    throw new Error(`Unknown event type: ${eventType}`);
+  }
+  if (!fields || typeof fields !== 'object') {
+    throw new Error(`Metadata fields for ${eventType} must be an object`);
+  }
+
+  entry.metadata = fields;
+}
+
+/**
+ * Get the JSON Schema for an event type's metadata
+ * Aliases use their target's schema.
+ * @param {string} eventType - The event type
+ * @returns {Object|null} JSON Schema, or null if the type declares no fields
+ */
+function getMetadataSchema(eventType) {
+  const fields = registry.get(resolveEventType(eventType))?.metadata;
+  if (!fields) return null;
+
+  const properties = {};
+  const required = [];
+
+  for (const [name, definition] of Object.entries(fields)) {
+    const { required: isRequired, ...propertySchema } = definition;
+    properties[name] = propertySchema;
+    if (isRequired) required.push(name);
+  }
+
+  return { type: 'object', properties, required, additionalProperties: true };
+}
+
+/**
+ * Validate an event's metadata against the schema for its type
+ * Unknown extra fields are allowed; known fields must have the declared type.
+ * @param {Object} event - The LifeEvent to check
+ * @returns {Array<Object>} Errors as { path, keyword, message } with /metadata paths
+ */
+function validateEventMetadata(event) {
+  if (typeof event?.type !== 'string') return [];
+
+  const schema = getMetadataSchema(event.type);
+  if (!schema) return [];
+
+  const metadata = event.metadata === undefined ? {} : event.metadata;
+  // A non-object metadata value is reported by the event schema
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) return [];
+
+  return validateAgainstSchema(metadata, schema, '/metadata');
+}
+
+/**
+ * Reserve a vendor namespace such as 'x-myapp'
+ * Any well-formed type in a reserved namespace (x-myapp.*) is valid.
+ * @param {string} prefix - Vendor prefix, must start with 'x-'
+ * @param {Object} [options] - Reservation details
+ * @param {string} [options.owner] - Who owns the namespace
+ * @param {string} [options.description] - What the namespace is for
+ * @returns {Object} The reservation
+ */
+function reserveVendorPrefix(prefix, options = {}) {
+  if (!VENDOR_PREFIX_PATTERN.test(prefix)) {
+    throw new Error(`Invalid vendor prefix: "${prefix}". Vendor prefixes look like "x-myapp".`);
+  }
+
+  const existing = vendorPrefixes.get(prefix);
+  if (existing && options.owner && existing.owner && existing.owner !== options.owner) {
+    throw new Error(`Vendor prefix "${prefix}" is already reserved by ${existing.owner}`);
+  }
+
+  const reservation = { prefix, owner: options.owner || existing?.owner || null, description: options.description || existing?.description || '' };
+  vendorPrefixes.set(prefix, reservation);
+  return reservation;
+}
+
+/**
+ * Mark an event type as deprecated
+ * @param {string} eventType - The event type to deprecate
+ * @param {Object} [options] - Deprecation details
+ * @param {string} [options.replacedBy] - The type to use instead
+ * @param {string} [options.message] - Extra guidance for users
+ */
+function deprecateEventType(eventType, options = {}) {
+  const entry = registry.get(eventType);
+  if (!entry) {
+    throw new Error(`Unknown event type: ${eventType}`);
+  }
+  if (options.replacedBy && !isValidEventType(options.replacedBy)) {
+    throw new Error(`Unknown replacement event type: ${options.replacedBy}`);
+  }
+
+  entry.deprecated = { replacedBy: options.replacedBy || null, message: options.message || '' };
+}
+
+/**
+ * Make one event type an alias of another
+ * The alias stays valid and resolves to the target (e.g. 'calendar.meeting' -> 'work.meeting').
+ * @param {string} alias - The alias type
+ * @param {string} target - The canonical type
+ */
+function aliasEventType(alias, target) {
+  assertEventTypeFormat(alias);
+  if (!registry.has(target)) {
+    throw new Error(`Unknown event type: ${target}`);
+  }
+  if (resolveEventType(target) === alias) {
+    throw new Error(`Alias cycle: ${alias} -> ${target}`);
+  }
+
+  const [category, action] = splitEventType(alias);
+  assertVendorNamespace(category);
+
+  const existing = registry.get(alias);
+  registry.set(alias, {
+    ...(existing || { type: alias, category, action, standard: false }),
+    description: existing?.description || registry.get(target).description,
+    aliasOf: target
+  });
+}
+
+/**
+ * Follow aliases to the canonical event type
+ * @param {string} eventType - The event type
+ * @returns {string} The canonical type (the input if it isn't an alias)
+ */
+function resolveEventType(eventType) {
+  let current = eventType;
+  const seen = new Set();
+
+  while (registry.get(current)?.aliasOf && !seen.has(current)) {
+    seen.add(current);
+    current = registry.get(current).aliasOf;
+  }
+  return current;
+}
+
+function assertSensitivity(level) {
+  if (!SENSITIVITY_LEVELS.includes(level)) {
+    throw new Error(`Invalid sensitivity: "${level}". Expected one of: ${SENSITIVITY_LEVELS.join(', ')}`);
+  }
+}
+
+/**
+ * Set the default sensitivity for an event type or a whole category
+ * @param {string} eventType - A registered event type, or 'category.*'
+ * @param {string} level - 'public', 'personal' or 'private'
+ */
+function setEventTypeSensitivity(eventType, level) {
+  assertSensitivity(level);
+
+  if (typeof eventType === 'string' && eventType.endsWith('.*')) {
+    categorySensitivity.set(eventType.slice(0, -2), level);
+    return;
+  }
+
+  const entry = registry.get(eventType);
+  if (!entry) {
+    throw new Error(`Unknown event type: ${eventType}`);
+  }
+  entry.sensitivity = level;
+}
+
+/**
+ * Default sensitivity of events of a type
+ * The type's own setting wins, then its category's, then 'personal'.
+ * @param {string} eventType - The event type (aliases are followed)
+ * @returns {string} 'public', 'personal' or 'private'
+ */
+function getEventTypeSensitivity(eventType) {
+  if (typeof eventType !== 'string') return DEFAULT_SENSITIVITY;
+
+  const type = resolveEventType(eventType);
+  const [category] = splitEventType(type);
+  return registry.get(type)?.sensitivity ?? categorySensitivity.get(category) ?? DEFAULT_SENSITIVITY;
+}
+
+/**
+ * Get registry details for an event type
+ * @param {string} eventType - The event type
+ * @returns {Object|null} { type, category, action, description, standard, metadata?, deprecated?, aliasOf?, vendor? }
+ */
+function getEventTypeInfo(eventType) {
+  if (typeof eventType !== 'string') return null;
+
+  const entry = registry.get(eventType);
+  if (entry) return { ...entry };
+
+  const [category, action] = splitEventType(eventType);
+  if (vendorPrefixes.has(category) && EVENT_TYPE_PATTERN.test(eventType)) {
+    return { type: eventType, category, action, description: '', standard: false, vendor: vendorPrefixes.get(category) };
+  }
+  return null;
+}
+
+/**
+ * Load a type pack
+ * A pack is a JSON document (or parsed object) such as:
+ * {
+ *   "vendor": { "prefix": "x-myapp", "owner": "My App" },
+ *   "categories": {
+ *     "x-myapp": {
+ *       "sync": "Data synced",
+ *       "export": { "description": "Data exported", "metadata": { "bytes": { "type": "integer", "unit": "bytes" } } }
+ *     }
+ *   },
+ *   "aliases": { "calendar.meeting": "work.meeting" },
+ *   "sensitivity": { "x-myapp.*": "private" },
+ *   "deprecations": { "photo.album": { "replacedBy": "photo.share" } }
+ * }
+ * @param {Object|string} pack - Type pack object or JSON string
+ * @returns {Array<string>} The event types registered by the pack
+ */
+function loadEventTypePack(pack) {
+  const data = typeof pack === 'string' ? JSON.parse(pack) : pack;
+  if (!data || typeof data !== 'object') {
+    throw new Error('Type pack must be an object');
+  }
+
+  const vendors = [].concat(data.vendor || [], data.vendors || []);
+  for (const vendor of vendors) {
+    reserveVendorPrefix(vendor.prefix, vendor);
+  }
+
+  const registered = [];
+  for (const [category, actions] of Object.entries(data.categories || {})) {
+    for (const [action, definition] of Object.entries(actions)) {
+      const details = typeof definition === 'string' ? { description: definition } : definition;
+      const type = `${category}.${action}`;
+      registerEventType(type, details.description, {
+        override: data.override,
+        metadata: details.metadata,
+        sensitivity: details.sensitivity
+      });
+      registered.push(type);
+    }
+  }
+
+  for (const [alias, target] of Object.entries(data.aliases || {})) {
+    aliasEventType(alias, target);
+  }
+
+  for (const [type, details] of Object.entries(data.deprecations || {})) {
+    deprecateEventType(type, details);
+  }
+
+  for (const [type, level] of Object.entries(data.sensitivity || {})) {
+    setEventTypeSensitivity(type, level);
+  }
+
+  return registered;
+}
+
+/**
+ * Load a type pack from a JSON file (Node.js only)
+ * @param {string} filePath - Path to the pack
+ * @returns {Promise<Array<string>>} The event types registered by the pack
+ */
+async function loadEventTypePackFile(filePath) {
+  const { readFile } = await import('fs/promises');
+  return loadEventTypePack(await readFile(filePath, 'utf8'));
+}
+
+/**
+ * Restore the registry to the standard event types only
+ */
+function resetEventTypeRegistry() {
+  seedRegistry();
+}
+
 /**
  * Get all available event types
  * @returns {Object} All event types organized by category
  */
 function getAllEventTypes() {
-  return EVENT_TYPES;
+  const types = {};
+  for (const entry of registry.values()) {
+    if (entry.aliasOf) continue;
+    types[entry.category] = types[entry.category] || {};
+    types[entry.category][entry.action] = entry.description;
+  }
+  return types;
 }
 
 /**
@@ -106,17 +605,17 @@ function getAllEventTypes() {
  * @returns {Object} Event types for that category
  */
 function getEventTypesByCategory(category) {
-  return EVENT_TYPES[category] || {};
+  return getAllEventTypes()[category] || {};
 }
 
 /**
  * Check if an event type is valid
+ * Registered types, aliases and types in a reserved vendor namespace are valid.
  * @param {string} eventType - The event type to validate (e.g., 'music.play')
  * @returns {boolean} True if valid
  */
 function isValidEventType(eventType) {
-  const [category, action] = eventType.split('.');
-  return EVENT_TYPES[category] && EVENT_TYPES[category][action];
+  return getEventTypeInfo(eventType) !== null;
 }
 
 /**
@@ -125,8 +624,7 @@ function isValidEventType(eventType) {
  * @returns {string} Description of the event type
  */
 function getEventTypeDescription(eventType) {
-  const [category, action] = eventType.split('.');
-  return EVENT_TYPES[category]?.[action] || null;
+  return getEventTypeInfo(eventType)?.description || null;
 }
 
 /**
@@ -134,20 +632,43 @@ function getEventTypeDescription(eventType) {
  * @returns {Array<string>} Array of all event types (e.g., ['music.play', 'calendar.meeting'])
  */
 function getAllEventTypesList() {
-  const types = [];
-  for (const [category, actions] of Object.entries(EVENT_TYPES)) {
-    for (const action of Object.keys(actions)) {
-      types.push(`${category}.${action}`);
-    }
-  }
-  return types;
+  return Array.from(registry.values())
+    .filter(entry => !entry.aliasOf)
+    .map(entry => entry.type);
+}
+
+/**
+ * Get reserved vendor namespaces
+ * @returns {Array<Object>} Reservations as { prefix, owner, description }
+ */
+function getVendorPrefixes() {
+  return Array.from(vendorPrefixes.values()).map(reservation => ({ ...reservation }));
 }
 
 export {
   EVENT_TYPES,
+  METADATA_FIELDS,
+  EVENT_TYPE_PATTERN,
+  SENSITIVITY_LEVELS,
   getAllEventTypes,
   getEventTypesByCategory,
   isValidEventType,
   getEventTypeDescription,
-  getAllEventTypesList
-}; 
\ No newline at end of file
+  getAllEventTypesList,
+  getEventTypeInfo,
+  getMetadataSchema,
+  setEventTypeMetadata,
+  validateEventMetadata,
+  registerEventType,
+  registerEventCategory,
+  reserveVendorPrefix,
+  getVendorPrefixes,
+  deprecateEventType,
+  aliasEventType,
+  resolveEventType,
+  setEventTypeSensitivity,
+  getEventTypeSensitivity,
+  loadEventTypePack,
+  loadEventTypePackFile,
+  resetEventTypeRegistry
+};
@@ -0,0 +1,600 @@
+/**
+ * LifeOS Protocol Encrypted Event Vault
+ *
+ * Keeps LifeEvents encrypted at rest, for shared laptops and synced folders.
+ * Note: Only works in Node.js environments
+ *
+ * Directory layout:
+ *   <dir>/vault.json          Header: KDF settings, the wrapped data key and the encrypted index
+ *   <dir>/records/<name>.enc  One event per file: IV, GCM tag, ciphertext
+ *
+ * A random data key encrypts everything; the passphrase only wraps it (scrypt
+ * + AES-256-GCM), so changing the passphrase rewrites the header alone. Each
+ * record is AES-256-GCM encrypted under a random file name bound in as
+ * associated data. The index (key -> file, digest, date, type, id) is
+ * encrypted and authenticated as a whole, and holds each record's SHA-256,
+ * so a changed, swapped, rolled-back or deleted record is an IntegrityError
+ * rather than wrong data. Nothing about the events is readable without the
+ * passphrase, not even their URIs.
+ *
+ * Writes go to a new record file first and only count once the header that
+ * points at it is renamed into place, so a crash never leaves a half-written
+ * event behind.
+ *
+ * A vault directory must only be written by one process at a time.
+ */
+
+import fsp from 'fs/promises';
+import path from 'path';
+import { promisify } from 'util';
+import { createCipheriv, createDecipheriv, createHash, hkdfSync, randomBytes, scrypt as scryptCallback } from 'crypto';
+import { LifeURIResolver } from './uriResolver.js';
+import { generateEventURI, hasGeneratedURI, getEventDate, eventKey, parseEventKey } from './eventModel.js';
+import { matchComponents } from './uriPattern.js';
+import { withSlugSuffix } from './identity.js';
+import { EventNotFoundError, IntegrityError, InvalidPassphraseError } from './errors.js';
+
+const scrypt = promisify(scryptCallback);
+
+const HEADER_FILE = 'vault.json';
+const RECORDS_DIR = 'records';
+const FORMAT = 'lifeos-vault';
+const VERSION = 1;
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// scrypt cost; N = 2^15 takes about 100 ms and 32 MB
+const DEFAULT_KDF = { N: 32768, r: 8, p: 1 };
+
+const uriParser = new LifeURIResolver();
+
+function encrypt(key, plaintext, aad) {
+  const iv = randomBytes(IV_LENGTH);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]);
+}
+
+// Throws if the ciphertext or its associated data was changed
+function decrypt(key, sealed, aad) {
+  const decipher = createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function digest(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+// Record and index keys come from the data key, one per purpose
+function deriveKey(dataKey, purpose) {
+  return Buffer.from(hkdfSync('sha256', dataKey, Buffer.alloc(0), `lifeos-vault ${purpose}`, 32));
+}
+
+async function deriveWrappingKey(passphrase, kdf) {
+  if (typeof passphrase !== 'string' || passphrase.length === 0) {
+    throw new Error('Vault passphrase must be a non-empty string');
+  }
+  return scrypt(passphrase.normalize('NFC'), Buffer.from(kdf.salt, 'base64'), 32, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fsp.writeFile(tempPath, content);
+  await fsp.rename(tempPath, filePath);
+}
+
+function matchesType(type, filters) {
+  return [].concat(filters).some(filter => (
+    filter.endsWith('.*') ? typeof type === 'string' && type.startsWith(filter.slice(0, -1)) : type === filter
+  ));
+}
+
+class LifeEventVault {
+  /**
+   * Use LifeEventVault.open() to create an instance
+   * @param {string} directory - Vault directory
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.headerPath = path.join(this.directory, HEADER_FILE);
+    this.recordsPath = path.join(this.directory, RECORDS_DIR);
+
+    this.header = null;
+    this.dataKey = null;
+    this.recordKey = null;
+    this.indexKey = null;
+    this.index = new Map(); // key -> { file, digest, uri, id, date, type }
+
+    this.queue = Promise.resolve();
+    this.reads = 0;               // record reads in flight
+    this.pendingRemovals = [];    // replaced record files those reads may still need
+  }
+
+  /**
+   * Open a vault, creating it if the directory has none
+   * @param {string} directory - Vault directory
+   * @param {string} passphrase - Passphrase that unlocks the vault
+   * @param {Object} [options] - Vault options
+   * @param {Object} [options.kdf] - scrypt cost for a new vault: { N, r, p }
+   * @returns {Promise<LifeEventVault>} The unlocked vault
+   * @throws {InvalidPassphraseError} If the passphrase is wrong
+   * @throws {IntegrityError} If the header or index was tampered with
+   */
+  static async open(directory, passphrase, options = {}) {
+    const vault = new LifeEventVault(directory);
+    await vault.unlock(passphrase, options);
+    return vault;
+  }
+
+  async unlock(passphrase, options) {
+    await fsp.mkdir(this.recordsPath, { recursive: true });
+
+    let header;
+    try {
+      header = JSON.parse(await fsp.readFile(this.headerPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new IntegrityError(`Unreadable vault header in ${this.directory}: ${error.message}`, { cause: error });
+      }
+      return this.initialize(passphrase, options);
+    }
+
+    if (header.format !== FORMAT || header.version !== VERSION) {
+      throw new Error(`Unsupported vault format in ${this.directory}: ${header.format} v${header.version}`);
+    }
+
+    const wrappingKey = await deriveWrappingKey(passphrase, header.kdf);
+    let dataKey;
+    try {
+      dataKey = decrypt(wrappingKey, Buffer.from(header.key, 'base64'), `${header.id} key`);
+    } catch (error) {
+      // GCM can't tell a wrong key from a changed one; a wrong passphrase is far likelier
+      throw new InvalidPassphraseError(this.directory);
+    }
+
+    this.header = header;
+    this.useDataKey(dataKey);
+    this.index = this.readIndex(header);
+  }
+
+  async initialize(passphrase, options) {
+    const kdf = { name: 'scrypt', ...DEFAULT_KDF, ...options.kdf, salt: randomBytes(16).toString('base64') };
+    const dataKey = randomBytes(32);
+
+    this.header = {
+      format: FORMAT,
+      version: VERSION,
+      id: randomBytes(16).toString('hex'),
+      kdf,
+      key: null,
+      index: null
+    };
+    this.header.key = encrypt(await deriveWrappingKey(passphrase, kdf), dataKey, `${this.header.id} key`).toString('base64');
+    this.useDataKey(dataKey);
+    this.index = new Map();
+    this.header = await this.commit();
+  }
+
+  useDataKey(dataKey) {
+    this.dataKey = dataKey;
+    this.recordKey = deriveKey(dataKey, 'record');
+    this.indexKey = deriveKey(dataKey, 'index');
+  }
+
+  readIndex(header) {
+    let plaintext;
+    try {
+      plaintext = decrypt(this.indexKey, Buffer.from(header.index, 'base64'), `${header.id} index`);
+    } catch (error) {
+      throw new IntegrityError(`Vault index failed authentication in ${this.directory}`, { cause: error });
+    }
+    return new Map(Object.entries(JSON.parse(plaintext.toString('utf8'))));
+  }
+
+  // Seal the index and rename the header into place; this is the commit point.
+  // Returns the sealed header, for the caller to switch to together with the index.
+  async commit(header = this.header, index = this.index, indexKey = this.indexKey) {
+    const plaintext = Buffer.from(JSON.stringify(Object.fromEntries(index)), 'utf8');
+    const sealed = { ...header, index: encrypt(indexKey, plaintext, `${header.id} index`).toString('base64') };
+    await writeFileAtomic(this.headerPath, JSON.stringify(sealed, null, 2) + '\n');
+    return sealed;
+  }
+
+  /**
+   * Run write operations one at a time
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  assertOpen() {
+    if (!this.recordKey) {
+      throw new Error('Event vault is closed');
+    }
+  }
+
+  recordPath(file) {
+    return path.join(this.recordsPath, `${file}.enc`);
+  }
+
+  async writeRecord(event, recordKey = this.recordKey, id = this.header.id) {
+    const file = randomBytes(16).toString('hex');
+    const sealed = encrypt(recordKey, Buffer.from(JSON.stringify(event), 'utf8'), `${id} record ${file}`);
+    await writeFileAtomic(this.recordPath(file), sealed);
+    return { file, digest: digest(sealed) };
+  }
+
+  // Reads don't wait for the write queue: each one works from the entry and keys
+  // current when it starts, and replaced files stay on disk until no read is in flight
+  async readRecord(key, entry = this.index.get(key)) {
+    this.assertOpen();
+    if (!entry) return null;
+
+    const { recordKey } = this;
+    const { id } = this.header;
+    const uri = entry.uri;
+    this.reads++;
+
+    try {
+      let sealed;
+      try {
+        sealed = await fsp.readFile(this.recordPath(entry.file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        throw new IntegrityError(`Record for ${uri} is missing from the vault`, { uri, cause: error });
+      }
+
+      // The digest catches a record swapped for an older, validly encrypted one
+      if (digest(sealed) !== entry.digest) {
+        throw new IntegrityError(`Record for ${uri} was modified outside the vault`, { uri });
+      }
+
+      try {
+        return JSON.parse(decrypt(recordKey, sealed, `${id} record ${entry.file}`).toString('utf8'));
+      } catch (error) {
+        throw new IntegrityError(`Record for ${uri} failed authentication`, { uri, cause: error });
+      }
+    } finally {
+      if (--this.reads === 0 && this.pendingRemovals.length > 0) {
+        await this.removeRecords(this.pendingRemovals.splice(0));
+      }
+    }
+  }
+
+  async removeRecords(files) {
+    await Promise.all(files.map(file => fsp.rm(this.recordPath(file), { force: true })));
+  }
+
+  // Remove record files the committed index no longer uses, once no read can still need them
+  async retireRecords(files) {
+    if (this.reads > 0) {
+      this.pendingRemovals.push(...files);
+      return;
+    }
+    await this.removeRecords(files);
+  }
+
+  /**
+   * Number of events in the vault
+   * @returns {number}
+   */
+  get count() {
+    return this.index.size;
+  }
+
+  /**
+   * Store events, replacing earlier versions with the same URI
+   * New events get created_at; replacements get a new updated_at. Events
+   * without a `uri`, or whose `uri` is the generated one, get a slug suffix if
+   * a different event (by `id`) holds it. All events are committed together.
+   * @param {Iterable<Object>} events - LifeEvents to store
+   * @returns {Promise<Array<Object>>} The stored events
+   * @throws {Error} If an event's own URI is held by a different event
+   */
+  putAll(events) {
+    return this.enqueue(() => this.writeAll(events));
+  }
+
+  // putAll without queueing, for operations already running in the queue
+  async writeAll(events) {
+    this.assertOpen();
+
+    const index = new Map(this.index);
+    const replaced = [];
+    const written = [];
+    const stored = [];
+    let header;
+
+    // The id of a different event stored under the candidate URI, if any
+    const heldBy = (candidate, id) => {
+      const entry = index.get(eventKey(uriParser.parseURI(candidate)));
+      return entry && entry.id && entry.id !== id ? entry.id : null;
+    };
+
+    try {
+      for (const event of events) {
+        let uri = null;
+        if (event.uri && !hasGeneratedURI(event)) {
+          const owner = heldBy(event.uri, event.id);
+          if (owner) {
+            throw new Error(`URI collision: ${event.uri} is already used by event ${owner}`);
+          }
+          uri = event.uri;
+        } else {
+          const preferred = event.uri || generateEventURI(event);
+          for (let n = 1; !uri; n++) {
+            const candidate = withSlugSuffix(preferred, n);
+            if (!heldBy(candidate, event.id)) uri = candidate;
+          }
+        }
+
+        const key = eventKey(uriParser.parseURI(uri));
+        const now = new Date().toISOString();
+        const previous = index.get(key);
+        const record = previous
+          ? { ...event, uri, updated_at: now }
+          : { ...event, uri, created_at: event.created_at || now };
+
+        const { file, digest: recordDigest } = await this.writeRecord(record);
+        written.push(file);
+        if (previous) replaced.push(previous.file);
+
+        let date = null;
+        try {
+          date = getEventDate(record);
+        } catch (error) {
+          // Events with an unusable timestamp just aren't in date lookups
+        }
+        index.set(key, { file, digest: recordDigest, uri, id: record.id ?? null, date, type: record.type ?? null });
+        stored.push(record);
+      }
+
+      header = await this.commit(this.header, index);
+    } catch (error) {
+      await this.removeRecords(written);
+      throw error;
+    }
+
+    this.header = header;
+    this.index = index;
+    await this.retireRecords(replaced.filter(file => !written.includes(file)));
+    return stored;
+  }
+
+  /**
+   * Store an event, replacing any earlier version with the same URI
+   * @param {Object} event - The LifeEvent to store
+   * @returns {Promise<Object>} The stored event
+   */
+  async put(event) {
+    const [stored] = await this.putAll([event]);
+    return stored;
+  }
+
+  /**
+   * Merge changes into a stored event
+   * @param {string} uri - URI of the event to update
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} The updated event
+   */
+  update(uri, changes) {
+    // Read and write in one queued step, so concurrent updates don't drop each other's changes
+    return this.enqueue(async () => {
+      const current = await this.get(uri);
+      if (!current) {
+        throw new EventNotFoundError(uri);
+      }
+      const [stored] = await this.writeAll([{ ...current, ...changes, uri: current.uri }]);
+      return stored;
+    });
+  }
+
+  /**
+   * Delete an event
+   * @param {string} uri - URI of the event to delete
+   * @returns {Promise<boolean>} True if an event was deleted
+   */
+  delete(uri) {
+    return this.enqueue(async () => {
+      this.assertOpen();
+      const key = eventKey(uriParser.parseURI(uri));
+      const entry = this.index.get(key);
+      if (!entry) return false;
+
+      const index = new Map(this.index);
+      index.delete(key);
+      this.header = await this.commit(this.header, index);
+      this.index = index;
+      await this.retireRecords([entry.file]);
+      return true;
+    });
+  }
+
+  /**
+   * Get an event
+   * @param {string} uri - The life:// URI
+   * @returns {Promise<Object|null>} The event, or null if missing
+   * @throws {IntegrityError} If its record was tampered with
+   */
+  async get(uri) {
+    const key = eventKey(uriParser.parseURI(uri));
+    return this.index.has(key) ? this.readRecord(key) : null;
+  }
+
+  /**
+   * Check if an event exists
+   * @param {string} uri - The life:// URI
+   * @returns {boolean}
+   */
+  has(uri) {
+    return this.index.has(eventKey(uriParser.parseURI(uri)));
+  }
+
+  /**
+   * Find events using the encrypted index; only matching records are decrypted
+   * Dates are the events' local days (see getEventDate).
+   * @param {Object} [filters] - Filters to apply
+   * @param {string} [filters.from] - First date (YYYY-MM-DD), inclusive
+   * @param {string} [filters.to] - Last date (YYYY-MM-DD), inclusive
+   * @param {string|Array<string>} [filters.type] - Event types; 'fitness.*' matches a category
+   * @returns {Promise<Array<Object>>} Matching events ordered by date
+   */
+  async find(filters = {}) {
+    const from = filters.from || '';
+    const to = filters.to || '￿';
+
+    const keys = [...this.index.entries()]
+      .filter(([, entry]) => !(filters.from || filters.to) || (entry.date !== null && entry.date >= from && entry.date <= to))
+      .filter(([, entry]) => !filters.type || matchesType(entry.type, filters.type))
+      .sort(([, a], [, b]) => String(a.date).localeCompare(String(b.date)))
+      .map(([key]) => key);
+
+    // An event deleted while we read the others is left out
+    const events = [];
+    for (const key of keys) {
+      const event = await this.readRecord(key);
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  /**
+   * Decrypt every record, one at a time, and report the ones that fail
+   * @returns {Promise<Object>} { ok, checked, errors } with errors as IntegrityErrors
+   */
+  async verify() {
+    const errors = [];
+    for (const key of [...this.index.keys()]) {
+      try {
+        await this.readRecord(key);
+      } catch (error) {
+        if (!(error instanceof IntegrityError)) throw error;
+        errors.push(error);
+      }
+    }
+    return { ok: errors.length === 0, checked: this.index.size, errors };
+  }
+
+  /**
+   * Change the passphrase
+   * Only the data key is rewrapped; no record is touched.
+   * @param {string} passphrase - The new passphrase
+   * @param {Object} [options] - { kdf: { N, r, p } } to change the scrypt cost
+   * @returns {Promise<void>}
+   */
+  changePassphrase(passphrase, options = {}) {
+    return this.enqueue(async () => {
+      this.assertOpen();
+
+      const kdf = { ...this.header.kdf, ...options.kdf, salt: randomBytes(16).toString('base64') };
+      const key = encrypt(await deriveWrappingKey(passphrase, kdf), this.dataKey, `${this.header.id} key`).toString('base64');
+      this.header = await this.commit({ ...this.header, kdf, key });
+    });
+  }
+
+  /**
+   * Replace the data key and re-encrypt every record with it
+   * Records are re-encrypted one at a time, so the vault is never decrypted
+   * into memory as a whole. Until the new header is committed the vault stays
+   * readable with the old key; afterwards the old records are removed.
+   * @param {string} passphrase - The passphrase to wrap the new key with
+   *   (the current one, or a new one to change both)
+   * @returns {Promise<Object>} { records } re-encrypted
+   */
+  rotateKey(passphrase) {
+    return this.enqueue(async () => {
+      this.assertOpen();
+
+      const dataKey = randomBytes(32);
+      const recordKey = deriveKey(dataKey, 'record');
+      const indexKey = deriveKey(dataKey, 'index');
+      const id = randomBytes(16).toString('hex');
+      const kdf = { ...this.header.kdf, salt: randomBytes(16).toString('base64') };
+
+      const index = new Map();
+      const written = [];
+      let header;
+      try {
+        for (const [key, entry] of this.index) {
+          const event = await this.readRecord(key, entry);
+          const { file, digest: recordDigest } = await this.writeRecord(event, recordKey, id);
+          written.push(file);
+          index.set(key, { ...entry, file, digest: recordDigest });
+        }
+
+        const wrapped = encrypt(await deriveWrappingKey(passphrase, kdf), dataKey, `${id} key`).toString('base64');
+        header = await this.commit({ ...this.header, id, kdf, key: wrapped }, index, indexKey);
+      } catch (error) {
+        await this.removeRecords(written);
+        throw error;
+      }
+
+      // Switch header, index and keys together, so a read never mixes old and new
+      const old = [...this.index.values()].map(entry => entry.file);
+      this.header = header;
+      this.index = index;
+      this.useDataKey(dataKey);
+      await this.retireRecords(old);
+      return { records: index.size };
+    });
+  }
+
+  /**
+   * Create a resolver for LifeURIResolver.registerResolver
+   * Like the file system resolver, it carries `write(event, uri)` and
+   * `remove(uri)`, so it can act as the writer for the vault. Tampered
+   * records reject with an IntegrityError.
+   * @returns {Function} Resolver reading events from the vault
+   */
+  resolver() {
+    const resolver = async (parsed) => {
+      const key = eventKey(parsed);
+      if (!this.index.has(key)) {
+        throw new EventNotFoundError(key);
+      }
+      return this.readRecord(key);
+    };
+
+    // Patterns are matched against the decrypted index, so only matching records are read
+    resolver.list = async (pattern) => {
+      const keys = [...this.index.keys()].filter(key => matchComponents(pattern, parseEventKey(key)));
+      const events = [];
+      for (const key of keys) {
+        const event = await this.readRecord(key);
+        if (event) events.push(event);
+      }
+      return events;
+    };
+
+    resolver.write = async (event, uri = event.uri) => (await this.put({ ...event, uri })).uri;
+    resolver.remove = uri => this.delete(uri);
+
+    return resolver;
+  }
+
+  /**
+   * Finish pending writes and forget the keys
+   * @returns {Promise<void>}
+   */
+  close() {
+    return this.enqueue(async () => {
+      this.dataKey = null;
+      this.recordKey = null;
+      this.indexKey = null;
+      this.index = new Map();
+    });
+  }
+}
+
+export { LifeEventVault };
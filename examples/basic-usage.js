@@ -45,7 +45,7 @@ function createSpotifyEvent() {
   });
 
   console.log('Generated URI:', uri);
-  // Output: life://2025-07-09/spotify/music.play/pink%2Bwhite
+  // Output: life://2025-07-09/spotify/music.play/pink+white
 
   // Store the event in memory
   const key = "2025-07-09/spotify/music.play/pink+white";
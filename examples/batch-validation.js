@@ -0,0 +1,110 @@
+/**
+ * Batch Validation Example
+ *
+ * This example shows how to:
+ * 1. Validate a directory of JSON and NDJSON files with the CLI
+ * 2. Get one error with a line and column for a broken .json file
+ * 3. Read NDJSON from stdin
+ */
+
+import assert from 'assert';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const validateScript = fileURLToPath(new URL('../validate.js', import.meta.url));
+
+const run = (timestamp, title) => ({
+  id: `event_${title.toLowerCase()}`,
+  uri: `life://${timestamp.slice(0, 10)}/strava/fitness.run/${title.toLowerCase()}`,
+  protocol_version: '1.1',
+  timestamp,
+  source: 'strava',
+  type: 'fitness.run',
+  title,
+  linked_uris: []
+});
+
+// Run validate.js and parse its JSON report
+function validate(args, input) {
+  const { status, stdout } = spawnSync(process.execPath, [validateScript, '--format', 'json', ...args], { input, encoding: 'utf8' });
+  return { status, report: JSON.parse(stdout) };
+}
+
+// Example 1: A directory with a single event, an array and NDJSON
+function validDirectory(directory) {
+  fs.writeFileSync(path.join(directory, 'monday.json'), JSON.stringify(run('2025-07-07T07:00:00Z', 'Monday'), null, 2));
+  fs.writeFileSync(path.join(directory, 'week.json'), JSON.stringify([run('2025-07-08T07:00:00Z', 'Tuesday')], null, 2));
+  fs.writeFileSync(path.join(directory, 'more.ndjson'), [
+    JSON.stringify(run('2025-07-09T07:00:00Z', 'Wednesday')),
+    JSON.stringify(run('2025-07-10T07:00:00Z', 'Thursday'))
+  ].join('\n'));
+
+  const { status, report } = validate([directory]);
+  console.log('Directory:', report.summary);
+
+  assert.equal(status, 0);
+  assert.equal(report.summary.files, 3);
+  assert.equal(report.summary.events, 4);
+  assert.equal(report.summary.failed, 0);
+}
+
+// Example 2: A pretty-printed .json file with a missing comma isn't read as NDJSON
+function brokenJSON(directory) {
+  const file = path.join(directory, 'broken.json');
+  fs.writeFileSync(file, '{\n  "title": "Friday"\n  "source": "strava"\n}\n');
+
+  const { status, report } = validate([file]);
+  const [result] = report.results;
+  console.log('Broken file:', result.errors[0]);
+
+  assert.equal(status, 1);
+  assert.equal(report.results.length, 1);
+  assert.equal(result.line, 3);
+  assert.match(result.errors[0], /^Invalid JSON at line 3, column 3/);
+}
+
+// Example 3: Several lines on stdin are NDJSON
+function stdin() {
+  const input = [run('2025-07-11T07:00:00Z', 'Friday'), run('2025-07-12T07:00:00Z', 'Saturday')]
+    .map(event => JSON.stringify(event))
+    .join('\n');
+
+  const { status, report } = validate([], input);
+  console.log('Stdin:', report.results.map(result => `${result.file}:${result.line}`));
+
+  assert.equal(status, 0);
+  assert.deepEqual(report.results.map(result => result.line), [1, 2]);
+}
+
+// Run the examples
+function runExamples() {
+  console.log('🗂️  LifeOS Batch Validation Examples\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-validate-'));
+  try {
+    validDirectory(directory);
+    brokenJSON(directory);
+    stdin();
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  validDirectory,
+  brokenJSON,
+  stdin
+};
@@ -0,0 +1,101 @@
+/**
+ * Cross-Source Deduplication Example
+ *
+ * This example shows how to:
+ * 1. Find the same meeting imported from two calendars
+ * 2. Merge the copies into one event that remembers both
+ * 3. Point links at the absorbed copy to the merged event
+ */
+
+import assert from 'assert';
+import { createLifeOSEvent, compareEvents, findDuplicates, deduplicateEvents } from '../index.js';
+
+const fromGoogle = createLifeOSEvent({
+  timestamp: '2025-07-09T14:00:00Z',
+  source: 'google',
+  source_id: 'g-123',
+  type: 'calendar.meeting',
+  title: 'Quarterly planning',
+  duration: 3600,
+  tags: ['work']
+});
+
+const fromOutlook = createLifeOSEvent({
+  timestamp: '2025-07-09T14:00:00Z',
+  source: 'outlook',
+  source_id: 'o-456',
+  type: 'calendar.meeting',
+  title: 'Quarterly Planning',
+  duration: 3600,
+  location: { name: 'Room 4' },
+  metadata: { organizer: 'ana@example.com' }
+});
+
+const lunch = createLifeOSEvent({
+  timestamp: '2025-07-09T15:00:00Z',
+  source: 'google',
+  source_id: 'g-789',
+  type: 'calendar.meeting',
+  title: 'Team lunch',
+  duration: 3600
+});
+
+const notes = createLifeOSEvent({
+  timestamp: '2025-07-09T15:30:00Z',
+  source: 'journal',
+  type: 'journal.entry',
+  title: 'Planning notes',
+  linked_uris: [fromOutlook.uri]
+});
+
+// Example 1: Only the two copies of the meeting are duplicates
+function findCopies() {
+  const comparison = compareEvents(fromGoogle, fromOutlook);
+  console.log('Copies score:', comparison.score.toFixed(2));
+  assert.equal(comparison.duplicate, true);
+  assert.equal(compareEvents(fromGoogle, lunch).duplicate, false);
+
+  const groups = findDuplicates([fromGoogle, lunch, fromOutlook, notes]);
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].events.map(event => event.source).sort(), ['google', 'outlook']);
+}
+
+// Example 2 and 3: Merge, preferring Google, and redirect links
+function merge() {
+  const { events, merges, redirects } = deduplicateEvents([fromGoogle, lunch, fromOutlook, notes], { prefer: ['google'] });
+  const meeting = events.find(event => event.uri === fromGoogle.uri);
+  console.log('Merged:', merges);
+
+  assert.equal(events.length, 3);
+  assert.equal(meeting.title, 'Quarterly planning');
+  assert.equal(meeting.location.name, 'Room 4');
+  assert.equal(meeting.metadata.organizer, 'ana@example.com');
+  assert.deepEqual(meeting.provenance.map(entry => entry.source), ['google', 'outlook']);
+  assert.deepEqual(redirects, { [fromOutlook.uri]: fromGoogle.uri });
+
+  const rewritten = events.find(event => event.type === 'journal.entry');
+  assert.deepEqual(rewritten.linked_uris, [fromGoogle.uri]);
+}
+
+// Run the examples
+function runExamples() {
+  console.log('🧹 LifeOS Deduplication Examples\n');
+
+  findCopies();
+  merge();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  findCopies,
+  merge
+};
@@ -0,0 +1,113 @@
+/**
+ * Encrypted Vault Example
+ *
+ * This example shows how to:
+ * 1. Keep events in an encrypted vault
+ * 2. Reject a wrong passphrase
+ * 3. Change the passphrase and rotate the data key
+ * 4. Detect a tampered record
+ */
+
+import assert from 'assert';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LifeEventVault, IntegrityError, InvalidPassphraseError } from '../index.js';
+
+// A low scrypt cost keeps the example fast; use the default for real vaults
+const kdf = { N: 1024 };
+
+const workout = {
+  timestamp: '2025-07-09T07:00:00Z',
+  source: 'strava',
+  type: 'fitness.workout',
+  title: 'Morning Run',
+  duration: 1800,
+  linked_uris: []
+};
+
+// Example 1: Store an event and read it back
+async function storeEvent(directory) {
+  const vault = await LifeEventVault.open(directory, 'correct horse', { kdf });
+  const { uri } = await vault.put(workout);
+
+  console.log('Stored:', uri);
+  assert.equal((await vault.get(uri)).title, 'Morning Run');
+
+  // Nothing readable ends up on disk
+  const files = await fsp.readdir(path.join(directory, 'records'));
+  const raw = await fsp.readFile(path.join(directory, 'records', files[0]));
+  assert.ok(!raw.includes('Morning Run'));
+
+  vault.close();
+  return uri;
+}
+
+// Example 2: A wrong passphrase is rejected
+async function wrongPassphrase(directory) {
+  await assert.rejects(LifeEventVault.open(directory, 'battery staple'), InvalidPassphraseError);
+  console.log('Wrong passphrase rejected');
+}
+
+// Example 3: Change the passphrase, then rotate the data key
+async function rotate(directory, uri) {
+  const vault = await LifeEventVault.open(directory, 'correct horse');
+  await vault.changePassphrase('new passphrase');
+  const { records } = await vault.rotateKey('new passphrase');
+  vault.close();
+
+  console.log('Re-encrypted records:', records);
+  await assert.rejects(LifeEventVault.open(directory, 'correct horse'), InvalidPassphraseError);
+
+  const reopened = await LifeEventVault.open(directory, 'new passphrase');
+  assert.equal((await reopened.get(uri)).title, 'Morning Run');
+  assert.equal((await reopened.verify()).ok, true);
+  reopened.close();
+}
+
+// Example 4: A changed record is an IntegrityError, not wrong data
+async function tamper(directory, uri) {
+  const [file] = await fsp.readdir(path.join(directory, 'records'));
+  const recordPath = path.join(directory, 'records', file);
+  const bytes = await fsp.readFile(recordPath);
+  bytes[bytes.length - 1] ^= 1;
+  await fsp.writeFile(recordPath, bytes);
+
+  const vault = await LifeEventVault.open(directory, 'new passphrase');
+  await assert.rejects(vault.get(uri), IntegrityError);
+
+  const report = await vault.verify();
+  assert.equal(report.ok, false);
+  console.log('Tampered records found:', report.errors.length);
+  vault.close();
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('🔐 LifeOS Encrypted Vault Examples\n');
+
+  const directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'lifeos-vault-'));
+  try {
+    const uri = await storeEvent(directory);
+    await wrongPassphrase(directory);
+    await rotate(directory, uri);
+    await tamper(directory, uri);
+  } finally {
+    await fsp.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  storeEvent,
+  wrongPassphrase,
+  rotate,
+  tamper
+};
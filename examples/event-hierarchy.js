@@ -0,0 +1,124 @@
+/**
+ * Event Hierarchy Example
+ *
+ * This example shows how to:
+ * 1. Put flights and a hotel stay inside a trip
+ * 2. Check that the children happen within the trip
+ * 3. Roll the children up into totals for the trip
+ * 4. Resolve a flight's trip through its `@parent` URI
+ */
+
+import assert from 'assert';
+import {
+  createLifeOSEvent,
+  setParent,
+  buildEventTree,
+  checkTimeSpans,
+  rollupEvent,
+  parentURI,
+  LifeURIResolver,
+  BuiltInResolvers
+} from '../index.js';
+
+const trip = createLifeOSEvent({
+  timestamp: '2025-07-09T06:00:00Z',
+  source: 'manual',
+  type: 'travel.trip',
+  title: 'Madrid',
+  duration: 3 * 86400
+});
+
+const outbound = setParent(createLifeOSEvent({
+  timestamp: '2025-07-09T07:00:00Z',
+  source: 'airline',
+  type: 'travel.flight',
+  title: 'LIS-MAD',
+  duration: 4800,
+  mood: 6,
+  metadata: { origin: 'LIS', destination: 'MAD', distance: 500000 }
+}), trip);
+
+const stay = setParent(createLifeOSEvent({
+  timestamp: '2025-07-09T14:00:00Z',
+  source: 'hotels',
+  type: 'travel.stay',
+  title: 'Hotel Urbano',
+  duration: 2 * 86400,
+  mood: 8,
+  metadata: { nights: 2, amount: 240, currency: 'EUR' }
+}), trip);
+
+// Leaves after the trip is over
+const late = setParent(createLifeOSEvent({
+  timestamp: '2025-07-13T07:00:00Z',
+  source: 'airline',
+  type: 'travel.flight',
+  title: 'MAD-LIS',
+  duration: 4800
+}), trip);
+
+// Example 1 and 2: Build the tree and check time spans
+function buildTrip() {
+  const { roots, missing, cycles } = buildEventTree([late, stay, trip, outbound]);
+  assert.equal(roots.length, 1);
+  assert.equal(missing.length, 0);
+  assert.equal(cycles.length, 0);
+  assert.deepEqual(roots[0].children.map(child => child.event.title), ['LIS-MAD', 'Hotel Urbano', 'MAD-LIS']);
+
+  const problems = checkTimeSpans(roots);
+  console.log('Time span problems:', problems.map(problem => problem.message));
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].reason, 'ends_after_parent');
+
+  return roots[0];
+}
+
+// Example 3: Totals over the children, beside the trip rather than on it
+function rollup(root) {
+  const { event, rollup: totals } = rollupEvent(root);
+  console.log('Trip rollup:', { duration: totals.duration, nights: totals.metadata.nights.total, spent: totals.metadata.amount.total });
+
+  assert.equal(event, trip);
+  assert.equal(totals.children, 3);
+  assert.equal(totals.duration, 4800 * 2 + 2 * 86400);
+  assert.equal(totals.metadata.nights.total, 2);
+  assert.deepEqual(totals.metadata.amount.total, { EUR: 240 });
+  assert.equal(totals.mood.average, 7);
+  assert.equal(rollupEvent(root.children[0]).rollup, null);
+}
+
+// Example 4: The flight's parent by URI
+async function resolveParent() {
+  const events = new Map([trip, outbound].map(event => [event.uri.slice('life://'.length), event]));
+  const resolver = new LifeURIResolver();
+  resolver.registerResolver('airline', BuiltInResolvers.memoryResolver(events));
+  resolver.registerResolver('manual', BuiltInResolvers.memoryResolver(events));
+
+  const uri = parentURI(outbound.uri);
+  const parent = await resolver.resolveURI(uri);
+  console.log(uri, '->', parent.uri);
+  assert.equal(parent.id, trip.id);
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('🧳 LifeOS Event Hierarchy Examples\n');
+
+  const root = buildTrip();
+  rollup(root);
+  await resolveParent();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  buildTrip,
+  rollup,
+  resolveParent
+};
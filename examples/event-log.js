@@ -0,0 +1,115 @@
+/**
+ * Event Log Example
+ *
+ * This example shows how to:
+ * 1. Update and delete events, then compact the log while reads are running
+ * 2. Reopen a log whose last append was torn by a crash
+ * 3. Refuse to open a log with a corrupt line in the middle
+ */
+
+import assert from 'assert';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { LifeEventLog, IntegrityError, createLifeOSEvent } from '../index.js';
+
+const days = ['07', '08', '09', '10', '11'];
+
+const runs = days.map(day => createLifeOSEvent({
+  timestamp: `2025-07-${day}T07:00:00Z`,
+  source: 'strava',
+  type: 'fitness.run',
+  title: `Run ${day}`,
+  duration: 1800
+}));
+
+// Example 1: Superseded versions and tombstones go away; reads never notice
+async function compaction(directory) {
+  const log = await LifeEventLog.open(directory);
+  try {
+    for (const run of runs) await log.put(run);
+    for (const run of runs) await log.update(run.uri, { mood: 7 });
+    await log.delete(runs[0].uri);
+
+    const before = log.stats();
+    const reads = runs.slice(1).map(run => log.get(run.uri));
+    const { after } = await log.compact();
+    const during = await Promise.all(reads);
+    const stats = log.stats();
+
+    console.log('Before compaction:', before);
+    console.log('After compaction:', stats);
+    assert.equal(before.entries, 11);
+    assert.deepEqual([stats.events, stats.entries, stats.garbage], [4, 4, 0]);
+    assert.equal(stats.logSize, after);
+    assert.ok(during.every(event => event.mood === 7));
+
+    assert.equal(await log.get(runs[0].uri), null);
+    assert.equal((await log.get(runs[4].uri)).mood, 7);
+    assert.equal((await log.find({ type: 'fitness.run' })).length, 4);
+  } finally {
+    await log.close();
+  }
+}
+
+// Example 2: A torn last line is dropped on open
+async function tornAppend(directory) {
+  const logPath = path.join(directory, 'events.ndjson');
+  await fsp.appendFile(logPath, '{"seq":5,"op":"put","key":"2025-07-12/str');
+
+  const log = await LifeEventLog.open(directory);
+  try {
+    console.log('Events after a torn append:', log.stats().events);
+    assert.equal(log.stats().events, 4);
+    assert.ok((await fsp.readFile(logPath, 'utf8')).endsWith('}\n'));
+
+    await log.put(createLifeOSEvent({ timestamp: '2025-07-12T07:00:00Z', source: 'strava', type: 'fitness.run', title: 'Run 12' }));
+    assert.equal(log.stats().events, 5);
+  } finally {
+    await log.close();
+  }
+}
+
+// Example 3: Anything else that doesn't parse is an error, and the file is kept
+async function corruptLine(directory) {
+  const logPath = path.join(directory, 'events.ndjson');
+  const lines = (await fsp.readFile(logPath, 'utf8')).split('\n');
+  lines[1] = lines[1].slice(0, 20);
+  await fsp.writeFile(logPath, lines.join('\n'));
+  await fsp.rm(path.join(directory, 'index'), { recursive: true });
+  const size = (await fsp.stat(logPath)).size;
+
+  await assert.rejects(LifeEventLog.open(directory), error => {
+    console.log('Corrupt line:', error.message);
+    return error instanceof IntegrityError && /at byte \d+/.test(error.message);
+  });
+  assert.equal((await fsp.stat(logPath)).size, size);
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('📜 LifeOS Event Log Examples\n');
+
+  const directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'lifeos-log-'));
+  try {
+    await compaction(directory);
+    await tornAppend(directory);
+    await corruptLine(directory);
+  } finally {
+    await fsp.rm(directory, { recursive: true, force: true });
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  compaction,
+  tornAppend,
+  corruptLine
+};
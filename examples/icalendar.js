@@ -0,0 +1,92 @@
+/**
+ * iCalendar Example
+ *
+ * This example shows how to:
+ * 1. Import a VCALENDAR with a zoned, recurring meeting
+ * 2. Export it again with its TZID and VTIMEZONE
+ * 3. Re-import the export and get the same events
+ */
+
+import assert from 'assert';
+import { parseICS, toICS, expandRecurrence } from '../index.js';
+
+const ics = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Example//Example//EN',
+  'BEGIN:VEVENT',
+  'UID:standup-1@example.com',
+  'DTSTART;TZID=Europe/Madrid:20250324T090000',
+  'DTEND;TZID=Europe/Madrid:20250324T091500',
+  'RRULE:FREQ=WEEKLY;COUNT=3',
+  'SUMMARY:Team standup',
+  'LOCATION:Room 4',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+// Example 1: Import
+function importCalendar() {
+  const [standup] = parseICS(ics, { source: 'google' });
+  console.log('Imported:', standup.title, standup.timezone);
+
+  assert.equal(standup.timestamp, '2025-03-24T08:00:00.000Z');
+  assert.equal(standup.timezone, 'Europe/Madrid');
+  assert.equal(standup.duration, 900);
+  assert.equal(standup.recurrence.rrule, 'FREQ=WEEKLY;COUNT=3');
+
+  // 09:00 in Madrid on both sides of the DST change
+  const times = expandRecurrence(standup).map(occurrence => occurrence.timestamp);
+  assert.deepEqual(times, ['2025-03-24T08:00:00.000Z', '2025-03-31T07:00:00.000Z', '2025-04-07T07:00:00.000Z']);
+
+  return standup;
+}
+
+// Example 2: Export keeps local times
+function exportCalendar(standup) {
+  const exported = toICS([standup], { name: 'Work' });
+  const lines = exported.split('\r\n');
+
+  assert.ok(lines.includes('DTSTART;TZID=Europe/Madrid:20250324T090000'));
+  assert.ok(lines.includes('DTEND;TZID=Europe/Madrid:20250324T091500'));
+  assert.ok(lines.includes('TZID:Europe/Madrid'));
+  assert.ok(lines.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+
+  console.log('Exported', lines.filter(line => line.startsWith('BEGIN:')).join(', '));
+  return exported;
+}
+
+// Example 3: Round trip
+function roundTrip(standup, exported) {
+  const [again] = parseICS(exported, { source: 'google' });
+
+  for (const field of ['id', 'source_id', 'timestamp', 'timezone', 'duration', 'title', 'location', 'recurrence']) {
+    assert.deepEqual(again[field], standup[field], field);
+  }
+  console.log('Round trip kept', again.title);
+}
+
+// Run the examples
+function runExamples() {
+  console.log('📅 LifeOS iCalendar Examples\n');
+
+  const standup = importCalendar();
+  const exported = exportCalendar(standup);
+  roundTrip(standup, exported);
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  importCalendar,
+  exportCalendar,
+  roundTrip
+};
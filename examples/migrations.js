@@ -0,0 +1,106 @@
+/**
+ * Event Migrations Example
+ *
+ * This example shows how to:
+ * 1. Upgrade a protocol 1.0 event to the current model
+ * 2. Downgrade it again for a consumer that only reads 1.0
+ * 3. Reject versions nobody knows
+ */
+
+import assert from 'assert';
+import {
+  PROTOCOL_VERSION,
+  UnsupportedVersionError,
+  detectEventVersion,
+  needsUpgrade,
+  upgradeEvent,
+  downgradeEvent,
+  migrateEvent
+} from '../index.js';
+
+const legacyRun = {
+  timestamp: '2025-07-09T07:00:00Z',
+  source: 'strava',
+  type: 'fitness.workout',
+  title: 'Morning Run',
+  duration_minutes: 30,
+  location: 'Retiro Park',
+  related_events: ['event_breakfast']
+};
+
+const breakfastURI = 'life://2025-07-09/journal/journal.entry/breakfast';
+const idsToURIs = new Map([['event_breakfast', breakfastURI]]);
+const urisToIds = new Map([[breakfastURI, 'event_breakfast']]);
+
+// Example 1: 1.0 -> current
+function upgrade() {
+  assert.equal(detectEventVersion(legacyRun), '1.0');
+  assert.ok(needsUpgrade(legacyRun));
+
+  const upgraded = upgradeEvent(legacyRun, { resolveEventId: idsToURIs });
+  console.log('Upgraded to', upgraded.protocol_version, {
+    duration: upgraded.duration,
+    location: upgraded.location,
+    linked_uris: upgraded.linked_uris
+  });
+
+  assert.equal(upgraded.protocol_version, PROTOCOL_VERSION);
+  assert.equal(upgraded.duration, 1800);
+  assert.deepEqual(upgraded.location, { name: 'Retiro Park' });
+  assert.deepEqual(upgraded.linked_uris, [breakfastURI]);
+  assert.equal(upgraded.duration_minutes, undefined);
+  assert.ok(!needsUpgrade(upgraded));
+
+  return upgraded;
+}
+
+// Example 2: current -> 1.0 gives back the fields 1.0 readers know
+function downgrade(upgraded) {
+  const legacy = downgradeEvent(upgraded, '1.0', { resolveEventURI: urisToIds });
+  console.log('Downgraded to', legacy.protocol_version, {
+    duration_minutes: legacy.duration_minutes,
+    location: legacy.location,
+    related_events: legacy.related_events
+  });
+
+  assert.equal(legacy.protocol_version, '1.0');
+  assert.equal(legacy.duration_minutes, 30);
+  assert.equal(legacy.location, 'Retiro Park');
+  assert.deepEqual(legacy.related_events, ['event_breakfast']);
+  assert.equal(legacy.duration, undefined);
+
+  // ...and upgrading that again lands where we started
+  assert.deepEqual(upgradeEvent(legacy, { resolveEventId: idsToURIs }), upgraded);
+}
+
+// Example 3: Unknown versions are errors, not guesses
+function unknownVersions() {
+  assert.throws(() => migrateEvent(legacyRun, { to: '9.0' }), UnsupportedVersionError);
+  assert.throws(() => upgradeEvent({ ...legacyRun, protocol_version: '0.3' }), UnsupportedVersionError);
+  console.log('Unknown versions rejected');
+}
+
+// Run the examples
+function runExamples() {
+  console.log('🔁 LifeOS Migration Examples\n');
+
+  const upgraded = upgrade();
+  downgrade(upgraded);
+  unknownVersions();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  upgrade,
+  downgrade,
+  unknownVersions
+};
@@ -0,0 +1,94 @@
+/**
+ * Plugin Host Example
+ *
+ * This example shows how to:
+ * 1. Register an importer plugin and sync it
+ * 2. Drop imported events that claim another source
+ * 3. Share or queue overlapping syncs
+ */
+
+import assert from 'assert';
+import { PluginHost, LifeEventStore, LifeURIResolver } from '../index.js';
+
+let imports = 0;
+
+const spotify = {
+  id: 'spotify',
+  name: 'Spotify',
+  source: 'spotify',
+  capabilities: [
+    { type: 'import', description: 'Recently played tracks', configurable: true },
+    { type: 'export', description: 'Nothing, but counts calls', configurable: false }
+  ],
+  async import() {
+    imports++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return [
+      { source_id: 'track-1', timestamp: '2025-07-09T09:00:00Z', type: 'music.play', title: 'Pink + White' },
+      // A plugin only speaks for its own source
+      { source: 'journal', source_id: 'entry-1', timestamp: '2025-07-09T10:30:00Z', type: 'journal.entry', title: 'Forged' }
+    ];
+  },
+  async export() {
+    return 0;
+  }
+};
+
+// Example 1 and 2: Sync, keeping only the plugin's own events
+async function syncPlugin(host, resolver) {
+  const result = await host.sync('spotify', { direction: 'import' });
+  console.log('Sync result:', { imported: result.eventsImported, errors: result.errors });
+
+  assert.equal(result.eventsImported, 1);
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0], /not the plugin's source/);
+
+  const event = await resolver.resolveURI('life://2025-07-09/spotify/music.play/pink-white');
+  assert.equal(event.title, 'Pink + White');
+}
+
+// Example 3: Same direction shares the running sync, another direction waits for it
+async function overlappingSyncs(host) {
+  imports = 0;
+  const [both, again, importOnly] = await Promise.all([
+    host.sync('spotify'),
+    host.sync('spotify'),
+    host.sync('spotify', { direction: 'import' })
+  ]);
+
+  console.log('Imports run:', imports);
+  assert.equal(both, again);
+  assert.notEqual(both, importOnly);
+  assert.equal(importOnly.metadata.direction, 'import');
+  assert.equal(imports, 2);
+  assert.equal(host.getSyncHistory('spotify').length, 3);
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('🔌 LifeOS Plugin Host Examples\n');
+
+  const resolver = new LifeURIResolver();
+  const host = new PluginHost({ store: new LifeEventStore(), resolver });
+  host.register(spotify, { autoSync: false });
+
+  try {
+    await syncPlugin(host, resolver);
+    await overlappingSyncs(host);
+  } finally {
+    host.stop();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  syncPlugin,
+  overlappingSyncs
+};
@@ -0,0 +1,96 @@
+/**
+ * Recurring Events Example
+ *
+ * This example shows how to:
+ * 1. Expand a weekly series, with one occurrence cancelled and one moved
+ * 2. Keep a series at the same local time across a DST change
+ * 3. Use ordinal weekdays such as "last Friday of the month"
+ */
+
+import assert from 'assert';
+import { createLifeOSEvent, expandRecurrence, cancelOccurrence, overrideOccurrence, parseRRule } from '../index.js';
+
+// Example 1: Team standup on Monday, Wednesday and Friday
+function weeklySeries() {
+  let standup = createLifeOSEvent({
+    timestamp: '2025-07-07T08:00:00Z',
+    source: 'calendar',
+    type: 'calendar.meeting',
+    title: 'Team standup',
+    duration: 900,
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' }
+  });
+
+  standup = cancelOccurrence(standup, '2025-07-09T08:00:00Z');
+  standup = overrideOccurrence(standup, '2025-07-11T08:00:00Z', { timestamp: '2025-07-11T09:30:00Z' });
+
+  const occurrences = expandRecurrence(standup, { from: '2025-07-07', to: '2025-07-13' });
+  console.log('Standups:', occurrences.map(occurrence => occurrence.uri));
+
+  assert.equal(occurrences.length, 2);
+  assert.ok(occurrences.every(occurrence => occurrence.recurring_event_id === standup.id));
+
+  // A moved occurrence keeps the URI of its original start
+  const [monday, friday] = occurrences;
+  assert.equal(monday.uri, 'life://2025-07-07T08:00Z/calendar/calendar.meeting/team-standup');
+  assert.equal(friday.uri, 'life://2025-07-11T08:00Z/calendar/calendar.meeting/team-standup');
+  assert.equal(Date.parse(friday.timestamp), Date.parse('2025-07-11T09:30:00Z'));
+}
+
+// Example 2: 09:00 in Madrid stays 09:00 after the clocks change
+function acrossDST() {
+  const lesson = createLifeOSEvent({
+    timestamp: '2025-03-24T09:00:00',
+    timezone: 'Europe/Madrid',
+    source: 'calendar',
+    type: 'calendar.meeting',
+    title: 'Spanish lesson',
+    recurrence: { rrule: 'FREQ=WEEKLY;COUNT=3' }
+  });
+
+  const times = expandRecurrence(lesson).map(occurrence => occurrence.timestamp);
+  console.log('Lessons (UTC):', times);
+  assert.deepEqual(times, ['2025-03-24T08:00:00.000Z', '2025-03-31T07:00:00.000Z', '2025-04-07T07:00:00.000Z']);
+}
+
+// Example 3: Last Friday of the month, and rules we don't support
+function ordinalWeekdays() {
+  const review = createLifeOSEvent({
+    timestamp: '2025-01-31T16:00:00Z',
+    source: 'calendar',
+    type: 'calendar.meeting',
+    title: 'Monthly review',
+    recurrence: { rrule: 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=3' }
+  });
+
+  const dates = expandRecurrence(review).map(occurrence => occurrence.timestamp.slice(0, 10));
+  console.log('Reviews:', dates);
+  assert.deepEqual(dates, ['2025-01-31', '2025-02-28', '2025-03-28']);
+
+  assert.throws(() => parseRRule('FREQ=HOURLY'), /FREQ must be one of/);
+}
+
+// Run the examples
+function runExamples() {
+  console.log('🔄 LifeOS Recurring Event Examples\n');
+
+  weeklySeries();
+  acrossDST();
+  ordinalWeekdays();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  weeklySeries,
+  acrossDST,
+  ordinalWeekdays
+};
@@ -0,0 +1,123 @@
+/**
+ * Redacted Export Example
+ *
+ * This example shows how to:
+ * 1. Share only public events, at the day and town level
+ * 2. Share personal events with friends, linking to what they can't see
+ * 3. Define a profile of your own
+ */
+
+import assert from 'assert';
+import {
+  createLifeOSEvent,
+  classifyEvent,
+  redactEvents,
+  registerRedactionProfile,
+  isRedactedURI
+} from '../index.js';
+
+const play = createLifeOSEvent({
+  timestamp: '2025-07-09T09:12:34Z',
+  source: 'spotify',
+  type: 'music.play',
+  title: 'Pink + White',
+  sensitivity: 'public',
+  mood: 8,
+  user_id: 'user_42',
+  location: { name: 'Home', coordinates: { lat: 40.41678, lng: -3.70379 } }
+});
+
+const purchase = createLifeOSEvent({
+  timestamp: '2025-07-09T11:00:00Z',
+  source: 'bank',
+  type: 'finance.purchase',
+  title: 'Coffee',
+  metadata: { amount: 3, currency: 'EUR', merchant: 'Café Comercial' }
+});
+
+const entry = createLifeOSEvent({
+  timestamp: '2025-07-09T10:30:00Z',
+  source: 'journal',
+  type: 'journal.entry',
+  title: 'Midyear Reflection',
+  mood: 7,
+  metadata: { content: 'Listening to Frank Ocean...', word_count: 450 },
+  linked_uris: [play.uri, purchase.uri]
+});
+
+const events = [play, entry, purchase];
+
+// Example 1: The public profile keeps public events only
+function publicExport() {
+  assert.equal(classifyEvent(play).level, 'public');
+  assert.equal(classifyEvent(purchase).level, 'private');
+
+  const { events: shared, omitted } = redactEvents(events, 'public');
+  console.log('Public export:', shared.map(event => event.uri), `(${omitted} left out)`);
+
+  assert.equal(shared.length, 1);
+  assert.equal(omitted, 2);
+  const [song] = shared;
+  assert.equal(song.timestamp, '2025-07-09T00:00:00.000Z');
+  assert.deepEqual(song.location.coordinates, { lat: 40.4, lng: -3.7 });
+  assert.equal(song.mood, undefined);
+  assert.equal(song.user_id, undefined);
+  assert.notEqual(song.id, play.id);
+}
+
+// Example 2: Friends see personal events; links to private ones are placeholders
+function friendsExport() {
+  const { events: shared, omitted } = redactEvents(events, 'friends');
+  const journal = shared.find(event => event.type === 'journal.entry');
+  console.log('Friends export links:', journal.linked_uris);
+
+  assert.equal(omitted, 1);
+  assert.equal(journal.timestamp, '2025-07-09T10:00:00.000Z');
+  assert.equal(journal.mood, 7);
+  assert.equal(journal.metadata.content, undefined); // journal text is private
+  assert.equal(journal.linked_uris[0], play.uri);
+  assert.ok(isRedactedURI(journal.linked_uris[1]));
+
+  // Hashes only match between exports that share a salt
+  const first = redactEvents(events, 'friends', { salt: 'export-1' }).events[0];
+  const again = redactEvents(events, 'friends', { salt: 'export-1' }).events[0];
+  assert.equal(first.id, again.id);
+  assert.notEqual(first.id, shared[0].id);
+}
+
+// Example 3: A profile for a coach, based on friends but without moods
+function customProfile() {
+  // `drop` replaces the friends list rather than adding to it
+  registerRedactionProfile('coach', { drop: ['mood', 'user_id', 'provenance'] }, { extends: 'friends' });
+
+  const { events: shared } = redactEvents(events, 'coach');
+  console.log('Coach export:', shared.map(event => event.title));
+
+  assert.equal(shared.length, 2);
+  assert.ok(shared.every(event => event.mood === undefined && event.user_id === undefined));
+}
+
+// Run the examples
+function runExamples() {
+  console.log('🕶️  LifeOS Redacted Export Examples\n');
+
+  publicExport();
+  friendsExport();
+  customProfile();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    runExamples();
+  } catch (error) {
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+export {
+  publicExport,
+  friendsExport,
+  customProfile
+};
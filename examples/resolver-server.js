@@ -0,0 +1,118 @@
+/**
+ * Resolver Server Example
+ *
+ * This example shows how to:
+ * 1. Serve a resolver's events over HTTP behind a bearer token
+ * 2. Turn away requests without the right token
+ * 3. Resolve through the server from another LifeURIResolver
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { LifeURIResolver, BuiltInResolvers, LifeResolverServer, EventNotFoundError, ResolutionError } from '../index.js';
+
+const token = 'correct-horse-battery-staple';
+const songURI = 'life://2025-07-09/spotify/music.play/pink+white';
+
+const events = new Map([
+  ['2025-07-09/spotify/music.play/pink+white', {
+    timestamp: '2025-07-09T09:00:00Z',
+    source: 'spotify',
+    type: 'music.play',
+    title: 'Pink + White',
+    linked_uris: []
+  }]
+]);
+
+// GET a path and parse the JSON reply
+function get(baseUrl, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+// Enough of fetch for remoteResolver, for Node.js versions without a global one
+async function httpFetch(url, { headers } = {}) {
+  const { status, body } = await get(url, '', headers);
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+const fetch = globalThis.fetch || httpFetch;
+
+// Example 1: The right token gets the event
+async function authorized(baseUrl) {
+  const path = `/resolve?uri=${encodeURIComponent(songURI)}`;
+  const { status, body } = await get(baseUrl, path, { Authorization: `Bearer ${token}` });
+
+  console.log('With token:', status, body.event.title);
+  assert.equal(status, 200);
+  assert.equal(body.event.title, 'Pink + White');
+}
+
+// Example 2: No token, or the wrong one, is a 401
+async function unauthorized(baseUrl) {
+  const path = `/resolve?uri=${encodeURIComponent(songURI)}`;
+
+  const missing = await get(baseUrl, path);
+  const wrong = await get(baseUrl, path, { Authorization: 'Bearer guess' });
+
+  console.log('Without token:', missing.status, missing.body.error.code);
+  for (const { status, body } of [missing, wrong]) {
+    assert.equal(status, 401);
+    assert.equal(body.error.code, 'UNAUTHORIZED');
+    assert.equal(body.event, undefined);
+  }
+}
+
+// Example 3: Delegate the source to the server
+async function remote(baseUrl) {
+  const client = new LifeURIResolver();
+  client.registerResolver('spotify', BuiltInResolvers.remoteResolver(baseUrl, { token, fetch }));
+
+  const event = await client.resolveURI(songURI);
+  console.log('Through the server:', event.title);
+  assert.equal(event.title, 'Pink + White');
+  await assert.rejects(client.resolveURI('life://2025-07-09/spotify/music.play/ivy'), EventNotFoundError);
+
+  const anonymous = new LifeURIResolver();
+  anonymous.registerResolver('spotify', BuiltInResolvers.remoteResolver(baseUrl, { fetch }));
+  await assert.rejects(anonymous.resolveURI(songURI), error =>
+    error instanceof ResolutionError && /bearer token/.test(error.message));
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('🌐 LifeOS Resolver Server Examples\n');
+
+  const resolver = new LifeURIResolver();
+  resolver.registerResolver('spotify', BuiltInResolvers.memoryResolver(events));
+
+  const server = new LifeResolverServer(resolver, { token });
+  const baseUrl = await server.listen(0);
+  try {
+    await authorized(baseUrl);
+    await unauthorized(baseUrl);
+    await remote(baseUrl);
+  } finally {
+    await server.close();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  authorized,
+  unauthorized,
+  remote
+};
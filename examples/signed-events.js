@@ -0,0 +1,104 @@
+/**
+ * Signed Events Example
+ *
+ * This example shows how to:
+ * 1. Sign an event with a source's key
+ * 2. Verify it, and spot edits and keys of the wrong source
+ * 3. Have a resolver reject events whose signatures don't verify
+ */
+
+import assert from 'assert';
+import {
+  LifeURIResolver,
+  BuiltInResolvers,
+  SignatureError,
+  generateSigningKeys,
+  signEvent,
+  verifyEvent,
+  KeyRing
+} from '../index.js';
+
+const play = {
+  timestamp: '2025-07-09T09:00:00Z',
+  source: 'spotify',
+  type: 'music.play',
+  title: 'Pink + White',
+  metadata: { artist: 'Frank Ocean' },
+  linked_uris: []
+};
+
+const spotifyKeys = generateSigningKeys();
+const keyRing = new KeyRing();
+keyRing.addKey('spotify', spotifyKeys.publicKey);
+
+// Example 1: Sign and verify
+function signAndVerify() {
+  const signed = signEvent(play, spotifyKeys.privateKey);
+  console.log('Signed with key:', signed.signature.key_id);
+  assert.equal(verifyEvent(signed, keyRing).status, 'valid');
+
+  // Stores may assign a URI without breaking the signature
+  const stored = { ...signed, uri: 'life://2025-07-09/spotify/music.play/pink+white' };
+  assert.equal(verifyEvent(stored, keyRing).status, 'valid');
+  assert.equal(verifyEvent(play, keyRing).status, 'unsigned');
+
+  return signed;
+}
+
+// Example 2: Edited events and other sources' keys don't verify
+function rejectForgeries(signed) {
+  const edited = { ...signed, title: 'Nikes' };
+  assert.equal(verifyEvent(edited, keyRing).status, 'invalid');
+
+  // A key only vouches for its own source
+  const journalKeys = generateSigningKeys();
+  keyRing.addKey('journal', journalKeys.publicKey);
+  const impostor = signEvent(play, journalKeys.privateKey);
+  assert.equal(verifyEvent(impostor, keyRing).status, 'invalid');
+
+  console.log('Edited event:', verifyEvent(edited, keyRing).reason);
+}
+
+// Example 3: Resolvers with a key ring reject bad signatures
+async function resolveSigned(signed) {
+  const events = new Map();
+  const resolver = new LifeURIResolver({ keyRing });
+  resolver.registerResolver('spotify', BuiltInResolvers.memoryResolver(events));
+
+  events.set('2025-07-09/spotify/music.play/pink+white', signed);
+  events.set('2025-07-09/spotify/music.play/nikes', { ...signed, title: 'Nikes' });
+  events.set('2025-07-09/spotify/music.play/ivy', { ...play, title: 'Ivy' });
+
+  const resolved = await resolver.resolveURI('life://2025-07-09/spotify/music.play/pink+white');
+  assert.equal(resolved.title, 'Pink + White');
+  await assert.rejects(resolver.resolveURI('life://2025-07-09/spotify/music.play/nikes'), SignatureError);
+
+  const strict = new LifeURIResolver({ keyRing, requireSignatures: true });
+  strict.registerResolver('spotify', BuiltInResolvers.memoryResolver(events));
+  await assert.rejects(strict.resolveURI('life://2025-07-09/spotify/music.play/ivy'), SignatureError);
+
+  console.log('Resolved signed event:', resolved.title);
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('✍️  LifeOS Signed Event Examples\n');
+
+  const signed = signAndVerify();
+  rejectForgeries(signed);
+  await resolveSigned(signed);
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  signAndVerify,
+  rejectForgeries,
+  resolveSigned
+};
@@ -0,0 +1,97 @@
+/**
+ * URI and Pattern Example
+ *
+ * This example shows how to:
+ * 1. Bring differently written life:// URIs to one canonical form
+ * 2. Select events with date globs, ranges and wildcards
+ * 3. Filter a collection on event fields with query parameters
+ */
+
+import assert from 'assert';
+import {
+  LifeURI,
+  normalizeLifeURI,
+  lifeURIsEqual,
+  InvalidURIError,
+  matchURI,
+  matchEvent,
+  createLifeOSEvent,
+  LifeEventStore,
+  LifeURIResolver
+} from '../index.js';
+
+// Example 1: One event, one URI
+function canonicalURIs() {
+  const canonical = normalizeLifeURI('LIFE://2025-07-09t09:00:00z/spotify/music.play/pink%2bwhite');
+  console.log('Canonical:', canonical);
+
+  assert.equal(canonical, 'life://2025-07-09T09:00Z/spotify/music.play/pink+white');
+  assert.ok(lifeURIsEqual('life://2025-07-09/spotify/music.play/pink+white', 'life://2025-07-09/spotify/music.play/pink%2Bwhite'));
+  assert.equal(new LifeURI({ date: '2025-07-09', source: 'notes', type: 'note.text', slug: 'to do*' }).toString(),
+    'life://2025-07-09/notes/note.text/to%20do%2A');
+
+  for (const invalid of ['life://2025-02-30/journal/journal.entry/x', 'life://2025-07-09/../journal.entry/x', 'life://2025-07-09/journal']) {
+    assert.throws(() => LifeURI.parse(invalid), InvalidURIError, invalid);
+  }
+}
+
+// Example 2: Globs, ranges and omitted segments
+function matching() {
+  const uri = 'life://2025-07-09T18:30Z/strava/fitness.run/evening-run';
+
+  const matches = {
+    'life://2025-07-*/strava': true,
+    'life://2025-07-01..2025-07-09/*/fitness.*': true,
+    'life://2025-07-10../strava': false,
+    'life://*/strava/fitness.run/evening-*': true,
+    'life://2025-1*/strava': false
+  };
+
+  for (const [pattern, expected] of Object.entries(matches)) {
+    assert.equal(matchURI(pattern, uri), expected, pattern);
+  }
+  console.log('Patterns checked:', Object.keys(matches).length);
+}
+
+// Example 3: Query parameters filter on fields
+async function queries() {
+  const events = [
+    { title: 'Morning run', timestamp: '2025-07-09T07:00:00Z', mood: 8, tags: ['outdoor'] },
+    { title: 'Treadmill', timestamp: '2025-07-10T19:00:00Z', mood: 5, tags: ['gym'] },
+    { title: 'Long run', timestamp: '2025-07-12T08:00:00Z', mood: 9, tags: ['outdoor'] }
+  ].map(fields => createLifeOSEvent({ ...fields, source: 'strava', type: 'fitness.run' }));
+
+  assert.ok(matchEvent('life://2025-07-*/strava?mood>=8', events[0]));
+  assert.ok(!matchEvent('life://2025-07-*/strava?mood>=8', events[1]));
+
+  const store = new LifeEventStore(events);
+  const resolver = new LifeURIResolver();
+  resolver.registerResolver('strava', store.resolver());
+
+  const outdoor = await resolver.resolveCollection('life://2025-07-*/strava/fitness.run?tag=outdoor&mood>7');
+  console.log('Good outdoor runs:', outdoor.map(event => event.title));
+  assert.deepEqual(outdoor.map(event => event.title).sort(), ['Long run', 'Morning run']);
+}
+
+// Run the examples
+async function runExamples() {
+  console.log('🔗 LifeOS URI and Pattern Examples\n');
+
+  canonicalURIs();
+  matching();
+  await queries();
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runExamples().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+export {
+  canonicalURIs,
+  matching,
+  queries
+};
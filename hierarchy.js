@@ -0,0 +1,367 @@
+/**
+ * LifeOS Protocol Event Hierarchies
+ *
+ * An event can belong to another through `parent_event_id`: a trip holds its
+ * flights and hotel stays, a workout its sets, a focus session its breaks.
+ * This module builds those trees, checks that each child happens within its
+ * parent's time span and rolls the children up into the parent:
+ *
+ *   const { roots } = buildEventTree(events);
+ *   checkTimeSpans(roots);   // [{ parent, child, reason, message }]
+ *   rollupEvent(roots[0]);   // { event, rollup }: durations, moods, totals
+ *
+ * A child's parent is addressable from the child's URI by appending the
+ * reserved `@parent` segment (slugs never contain '@'):
+ *
+ *   life://2025-07-09/airline/travel.flight/lis-mad/@parent
+ *
+ * LifeURIResolver finds the parent through the resolver's `resolveEventId`
+ * or the child's links, so setParent records both the ID and a `part_of` link.
+ */
+
+import { LifeURI } from './lifeURI.js';
+import { InvalidURIError } from './errors.js';
+import { getLinkURI, getLinkRelation, createLink } from './eventModel.js';
+import { getMetadataSchema } from './eventTypes.js';
+import { preserveSignature } from './signing.js';
+
+// Last slug segment that addresses the parent of the event before it
+const PARENT_SEGMENT = '@parent';
+
+// Units whose values add up across events; others (bpm, kg) are measurements
+const ADDITIVE_UNITS = new Set(['seconds', 'meters', 'kcal', 'steps', 'words', 'reps', 'nights', 'currency']);
+
+/**
+ * URI that addresses an event's parent
+ * @param {string} uri - The child's life:// URI
+ * @returns {string} The URI with a `@parent` segment (and without a fragment)
+ */
+function parentURI(uri) {
+  const parsed = LifeURI.parse(uri).withoutFragment();
+  return new LifeURI({ ...parsed.toJSON(), slug: `${parsed.slug}/${PARENT_SEGMENT}` }).toString();
+}
+
+/**
+ * Split trailing `@parent` segments off a URI
+ * @param {string} uri - A life:// URI
+ * @returns {Object} { uri, levels } with the URI of the event the path starts
+ *   from and how many parents up it leads (0 for an ordinary URI)
+ * @throws {InvalidURIError} If the slug is nothing but `@parent` segments
+ */
+function splitParentPath(uri) {
+  const parsed = LifeURI.parse(uri);
+  const segments = parsed.slug.split('/');
+  let levels = 0;
+
+  while (segments.length > 0 && segments[segments.length - 1] === PARENT_SEGMENT) {
+    segments.pop();
+    levels++;
+  }
+
+  if (levels === 0) return { uri: parsed.toString(), levels };
+  if (segments.length === 0) {
+    throw new InvalidURIError(`life:// URI has no event before ${PARENT_SEGMENT}: ${uri}`);
+  }
+
+  const { fragment: _fragment, ...components } = parsed.toJSON();
+  return { uri: new LifeURI({ ...components, slug: segments.join('/') }).toString(), levels };
+}
+
+/**
+ * URIs that may hold an event's parent, its `part_of` links first
+ * Links that are `@parent` paths themselves are skipped, so lookups can't go in circles.
+ * @param {Object} event - The child event
+ * @returns {Array<string>} Candidate life:// URIs
+ */
+function parentCandidates(event) {
+  const links = Array.isArray(event.linked_uris) ? event.linked_uris : [];
+  const partOf = links.filter(link => getLinkRelation(link) === 'part_of');
+  const others = links.filter(link => getLinkRelation(link) !== 'part_of');
+  const uris = [...partOf, ...others].map(getLinkURI)
+    .filter(uri => typeof uri === 'string' && !uri.split('#')[0].endsWith(`/${PARENT_SEGMENT}`));
+  return [...new Set(uris)];
+}
+
+/**
+ * Make an event the child of another
+ * Sets `parent_event_id` and links the child to its parent with `part_of`,
+ * replacing the link to a previous parent given as `options.previous`.
+ * @param {Object} child - The child event
+ * @param {Object} parent - The parent event, with `id` and `uri`
+ * @param {Object} [options] - Options
+ * @param {Object} [options.previous] - The child's previous parent
+ * @returns {Object} A copy of the child
+ */
+function setParent(child, parent, options = {}) {
+  if (!parent?.id || !parent?.uri) {
+    throw new Error('Parent event needs an id and a uri');
+  }
+  if (parent.id === child.id) {
+    throw new Error(`Event ${child.id} can't be its own parent`);
+  }
+
+  const previousURI = options.previous?.uri;
+  const links = (Array.isArray(child.linked_uris) ? child.linked_uris : []).filter(link =>
+    !(getLinkRelation(link) === 'part_of' && [parent.uri, previousURI].includes(getLinkURI(link)))
+  );
+
+  return preserveSignature(child, {
+    ...child,
+    parent_event_id: parent.id,
+    linked_uris: [...links, createLink(parent.uri, 'part_of')]
+  });
+}
+
+function byTimestamp(a, b) {
+  return (Date.parse(a.event.timestamp) || 0) - (Date.parse(b.event.timestamp) || 0);
+}
+
+/**
+ * Build parent/child trees from `parent_event_id`
+ * Events whose parent isn't among the events are roots too, and are listed in
+ * `missing`. Events whose parents lead round in a circle are listed in `cycles`
+ * and left out of the trees, together with their children.
+ * @param {Iterable<Object>} events - LifeEvents
+ * @returns {Object} { roots, missing, cycles }: roots as { event, children }
+ *   nodes oldest first, missing as { event, parent_event_id }, cycles as arrays of events
+ */
+function buildEventTree(events) {
+  const nodes = Array.from(events, event => ({ event, children: [] }));
+  const byId = new Map();
+  for (const node of nodes) {
+    if (node.event.id !== undefined && !byId.has(node.event.id)) byId.set(node.event.id, node);
+  }
+
+  const parents = new Map(); // node -> parent node
+  const roots = [];
+  const missing = [];
+
+  for (const node of nodes) {
+    const parentId = node.event.parent_event_id;
+    const parent = parentId === undefined || parentId === null ? null : byId.get(parentId);
+
+    if (parent) {
+      parent.children.push(node);
+      parents.set(node, parent);
+    } else {
+      if (parentId !== undefined && parentId !== null) missing.push({ event: node.event, parent_event_id: parentId });
+      roots.push(node);
+    }
+  }
+
+  const reached = new Set();
+  const visit = node => {
+    reached.add(node);
+    node.children.sort(byTimestamp);
+    node.children.forEach(visit);
+  };
+  roots.sort(byTimestamp).forEach(visit);
+
+  // Whatever wasn't reached hangs off a circle of parents; walk up to find it
+  const cycles = [];
+  const walked = new Set();
+  for (const start of nodes) {
+    const path = [];
+    let node = start;
+    while (node && !reached.has(node) && !walked.has(node)) {
+      walked.add(node);
+      path.push(node);
+      node = parents.get(node);
+    }
+    const loopStart = path.indexOf(node);
+    if (loopStart !== -1) cycles.push(path.slice(loopStart).map(member => member.event));
+  }
+
+  return { roots, missing, cycles };
+}
+
+/**
+ * Start and end of an event
+ * @param {Object} event - Event with a timestamp and optional duration (seconds)
+ * @returns {Object|null} { start, end } in ms; end is null without a duration,
+ *   and the result null for an invalid timestamp
+ */
+function timeSpan(event) {
+  const start = Date.parse(event.timestamp);
+  if (Number.isNaN(start)) return null;
+  return { start, end: typeof event.duration === 'number' ? start + event.duration * 1000 : null };
+}
+
+function label(event) {
+  return event.uri ?? event.id;
+}
+
+/**
+ * Find children that happen outside their parent's time span
+ * A child must start no earlier than its parent and, if the parent has a
+ * duration, end no later (a child without a duration ends when it starts).
+ * @param {Object|Array<Object>} tree - A node or nodes from buildEventTree
+ * @param {Object} [options] - Check options
+ * @param {number} [options.tolerance] - Seconds a child may stick out (default 0)
+ * @returns {Array<Object>} { parent, child, reason: 'starts_before_parent'|'ends_after_parent', message }
+ *   with the events' URIs (or IDs)
+ */
+function checkTimeSpans(tree, options = {}) {
+  const { tolerance = 0 } = options;
+  const slack = tolerance * 1000;
+  const problems = [];
+
+  const check = node => {
+    const span = timeSpan(node.event);
+
+    for (const child of node.children) {
+      const childSpan = timeSpan(child.event);
+      if (span && childSpan) {
+        const report = (reason, message) =>
+          problems.push({ parent: label(node.event), child: label(child.event), reason, message });
+
+        if (childSpan.start < span.start - slack) {
+          report('starts_before_parent', `${label(child.event)} starts before its parent ${label(node.event)}`);
+        }
+        if (span.end !== null && (childSpan.end ?? childSpan.start) > span.end + slack) {
+          report('ends_after_parent', `${label(child.event)} ends after its parent ${label(node.event)}`);
+        }
+      }
+      check(child);
+    }
+  };
+
+  (Array.isArray(tree) ? tree : [tree]).forEach(check);
+  return problems;
+}
+
+function descendantsOf(node) {
+  return node.children.flatMap(child => [child, ...descendantsOf(child)]);
+}
+
+function ratingSummary(values) {
+  if (values.length === 0) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return {
+    average: Math.round((total / values.length) * 10) / 10,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    count: values.length
+  };
+}
+
+// Add an event's additive metadata to the totals; a field keeps the unit it was first seen with
+function addMetadataTotals(totals, event) {
+  const fields = getMetadataSchema(event.type)?.properties || {};
+  const metadata = event.metadata || {};
+
+  for (const [name, definition] of Object.entries(fields)) {
+    const value = metadata[name];
+    if (typeof value !== 'number' || !ADDITIVE_UNITS.has(definition.unit)) continue;
+    if (totals[name] && totals[name].unit !== definition.unit) continue;
+
+    if (definition.unit === 'currency') {
+      if (typeof metadata.currency !== 'string') continue;
+      if (!totals[name]) totals[name] = { unit: 'currency', total: {}, count: 0 };
+      const total = totals[name];
+      total.total[metadata.currency] = (total.total[metadata.currency] || 0) + value;
+      total.count++;
+    } else {
+      if (!totals[name]) totals[name] = { unit: definition.unit, total: 0, count: 0 };
+      const total = totals[name];
+      total.total += value;
+      total.count++;
+    }
+  }
+}
+
+/**
+ * Roll up an event's descendants
+ * - duration: the children's durations added up, a child without one
+ *   counting its own children's
+ * - span: first start and last end among the descendants
+ * - by_type: count and total duration of the descendants per type
+ * - mood, energy_level: average, min, max and count of the descendants' ratings
+ * - metadata: totals of the descendants' own metadata fields whose registered
+ *   unit adds up (seconds, meters, kcal, steps, words, reps, nights, and
+ *   currency amounts per currency)
+ * @param {Object} node - A node from buildEventTree
+ * @returns {Object} { children, descendants, duration, span, by_type, mood, energy_level, metadata }
+ */
+function computeRollup(node) {
+  const descendants = descendantsOf(node).map(descendant => descendant.event);
+  const byType = {};
+  const metadata = {};
+  let start = null;
+  let end = null;
+
+  for (const event of descendants) {
+    if (!byType[event.type]) byType[event.type] = { count: 0, duration: 0 };
+    const entry = byType[event.type];
+    entry.count++;
+    if (typeof event.duration === 'number') entry.duration += event.duration;
+
+    const span = timeSpan(event);
+    if (span) {
+      start = start === null ? span.start : Math.min(start, span.start);
+      end = Math.max(end ?? span.start, span.end ?? span.start);
+    }
+
+    addMetadataTotals(metadata, event);
+  }
+
+  const duration = node.children.reduce((total, child) => total +
+    (typeof child.event.duration === 'number' ? child.event.duration : computeRollup(child).duration), 0);
+
+  const ratings = field => ratingSummary(descendants.map(event => event[field]).filter(value => typeof value === 'number'));
+
+  return {
+    children: node.children.length,
+    descendants: descendants.length,
+    duration,
+    span: start === null ? null : { start: new Date(start).toISOString(), end: new Date(end).toISOString() },
+    by_type: byType,
+    mood: ratings('mood'),
+    energy_level: ratings('energy_level'),
+    metadata
+  };
+}
+
+/**
+ * A node's event with its children rolled up
+ * The rollup stays beside the event instead of on it, so the event is still
+ * exactly what its source signed.
+ * @param {Object} node - A node from buildEventTree
+ * @returns {Object} { event, rollup }, rollup null for an event without children
+ */
+function rollupEvent(node) {
+  return { event: node.event, rollup: node.children.length === 0 ? null : computeRollup(node) };
+}
+
+/**
+ * Roll up every event in a set
+ * @param {Iterable<Object>} events - LifeEvents
+ * @returns {Array<Object>} { event, rollup } for each event in the same order, rollup null for events without children
+ */
+function rollupEvents(events) {
+  const list = Array.from(events);
+  const { roots } = buildEventTree(list);
+  const rolledUp = new Map();
+
+  const visit = node => {
+    rolledUp.set(node.event, rollupEvent(node));
+    node.children.forEach(visit);
+  };
+  roots.forEach(visit);
+
+  return list.map(event => rolledUp.get(event) ?? { event, rollup: null });
+}
+
+export {
+  PARENT_SEGMENT,
+  parentURI,
+  splitParentPath,
+  parentCandidates,
+  setParent,
+  buildEventTree,
+  timeSpan,
+  checkTimeSpans,
+  computeRollup,
+  rollupEvent,
+  rollupEvents
+};
@@ -0,0 +1,829 @@
+/**
+ * LifeOS Protocol iCalendar (.ics) Import and Export
+ *
+ * parseICS turns VEVENTs into LifeEvents:
+ * - type `calendar.meeting` (or the X-LIFEOS-TYPE written by toICS)
+ * - DTEND - DTSTART (or DURATION) becomes `duration` in seconds
+ * - ATTENDEE/ORGANIZER go to metadata.attendees / metadata.organizer
+ * - VALARMs go to metadata.reminders as { action, trigger, description },
+ *   where a relative trigger is in seconds from the start (negative = before)
+ * - the UID becomes `source_id`, so re-importing a calendar yields the same IDs
+ * - a DTSTART TZID (or the X-LIFEOS-TIMEZONE written by toICS) becomes `timezone`;
+ *   Windows zone names and VTIMEZONEs with an X-LIC-LOCATION resolve to IANA zones,
+ *   and times in a zone we can't place are read as floating and keep the TZID
+ *   in metadata.unknown_tzid
+ * - RRULE/EXDATE become `recurrence`, and VEVENTs with a RECURRENCE-ID
+ *   become overrides of their series
+ *
+ * toICS writes any LifeEvents back out as an RFC 5545 VCALENDAR, with the
+ * duration as DTEND. Events with a `timezone` get local times with a TZID
+ * and a VTIMEZONE for each zone, so clients repeat series at the same local
+ * time across DST changes; other events are written in UTC.
+ *
+ * Usage:
+ *   const events = parseICS(readFileSync('work.ics', 'utf8'), { source: 'google' });
+ *   writeFileSync('export.ics', toICS(store.all()));
+ */
+
+import { generateEventId } from './identity.js';
+import { zonedTimeToEpoch, epochToZonedTime, timeZoneOffset, isValidTimeZone } from './timeZone.js';
+import { getOccurrence, parseRRule } from './recurrence.js';
+
+const DEFAULT_TYPE = 'calendar.meeting';
+const PRODUCT_ID = '-//LifeOS Protocol//LifeOS Protocol//EN';
+const MAX_LINE_OCTETS = 75;
+
+const TYPE_PATTERN = /^(?:[a-z][a-z0-9_]*|x-[a-z0-9]+(?:-[a-z0-9]+)*)\.[a-z][a-z0-9_]*$/;
+
+// ---------------------------------------------------------------------------
+// Content lines
+
+/**
+ * Split .ics text into unfolded content lines
+ * @param {string} text - The .ics file contents
+ * @returns {Array<string>} Logical lines
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim().length > 0);
+}
+
+/**
+ * Parse one content line: NAME;PARAM=value;PARAM="quoted":value
+ * @param {string} line - An unfolded line
+ * @param {number} lineNumber - For error messages
+ * @returns {Object} { name, params, value }
+ */
+function parseContentLine(line, lineNumber) {
+  const params = {};
+  let i = 0;
+
+  const readToken = stops => {
+    const start = i;
+    while (i < line.length && !stops.includes(line[i])) i++;
+    return line.slice(start, i);
+  };
+
+  const name = readToken([';', ':']).toUpperCase();
+  if (!name) {
+    throw new Error(`Invalid iCalendar line ${lineNumber}: ${line}`);
+  }
+
+  while (line[i] === ';') {
+    i++;
+    const paramName = readToken(['=', ';', ':']).toUpperCase();
+    if (line[i] !== '=') {
+      throw new Error(`Invalid iCalendar parameter on line ${lineNumber}: ${line}`);
+    }
+    i++;
+
+    const values = [];
+    do {
+      if (line[i] === ',') i++;
+      if (line[i] === '"') {
+        const end = line.indexOf('"', i + 1);
+        if (end === -1) throw new Error(`Unterminated quoted parameter on line ${lineNumber}: ${line}`);
+        values.push(line.slice(i + 1, end));
+        i = end + 1;
+      } else {
+        values.push(readToken([',', ';', ':']));
+      }
+    } while (line[i] === ',');
+
+    params[paramName] = values.length === 1 ? values[0] : values;
+  }
+
+  if (line[i] !== ':') {
+    throw new Error(`Invalid iCalendar line ${lineNumber}: ${line}`);
+  }
+
+  return { name, params, value: line.slice(i + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Split on commas that aren't escaped, then unescape each part
+function splitText(value) {
+  return value.split(/(?<!\\),/).map(unescapeText);
+}
+
+function quoteParam(value) {
+  const text = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ * @param {string} line - The line
+ * @returns {string} Folded line, joined with CRLF + space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Group content lines into nested components
+ * @param {Array<string>} lines - Unfolded lines
+ * @returns {Object} Root component { name, properties, components }
+ */
+function parseComponents(lines) {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach((line, index) => {
+    const property = parseContentLine(line, index + 1);
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (current.name !== property.value.toUpperCase()) {
+        throw new Error(`Unexpected END:${property.value} on line ${index + 1} (open component: ${current.name || 'none'})`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(property);
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(`Unterminated iCalendar component: ${stack[stack.length - 1].name}`);
+  }
+
+  return root;
+}
+
+function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+function getProperties(component, name) {
+  return component.properties.filter(property => property.name === name);
+}
+
+// ---------------------------------------------------------------------------
+// Time zones
+
+// Windows zone names that Outlook and Exchange write as TZIDs, with the IANA
+// zone CLDR maps each one to
+const WINDOWS_TIME_ZONES = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time (Mexico)': 'America/Tijuana',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time (Mexico)': 'America/Mazatlan',
+  'Mountain Standard Time': 'America/Denver',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Venezuela Standard Time': 'America/Caracas',
+  'Atlantic Standard Time': 'America/Halifax',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Buenos_Aires',
+  'SA Eastern Standard Time': 'America/Cayenne',
+  'Greenland Standard Time': 'America/Godthab',
+  'UTC-02': 'Etc/GMT+2',
+  'Azores Standard Time': 'Atlantic/Azores',
+  'Cape Verde Standard Time': 'Atlantic/Cape_Verde',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'Morocco Standard Time': 'Africa/Casablanca',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Jordan Standard Time': 'Asia/Amman',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Russian Standard Time': 'Europe/Moscow',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Afghanistan Standard Time': 'Asia/Kabul',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'West Asia Standard Time': 'Asia/Tashkent',
+  'India Standard Time': 'Asia/Calcutta',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Katmandu',
+  'Central Asia Standard Time': 'Asia/Almaty',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Rangoon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'West Pacific Standard Time': 'Pacific/Port_Moresby',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'Central Pacific Standard Time': 'Pacific/Guadalcanal',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC+12': 'Etc/GMT-12',
+  'Fiji Standard Time': 'Pacific/Fiji',
+  'Tonga Standard Time': 'Pacific/Tongatapu',
+  'Samoa Standard Time': 'Pacific/Apia',
+  'Line Islands Standard Time': 'Pacific/Kiritimati'
+};
+
+/**
+ * IANA zones for a calendar's VTIMEZONEs whose TZID isn't one already
+ * Uses X-LIC-LOCATION when present, and Etc/GMT zones for fixed whole-hour offsets.
+ * @param {Object} calendar - A parsed VCALENDAR
+ * @returns {Map<string, string>} TZID -> IANA zone
+ */
+function resolveVTimeZones(calendar) {
+  const zones = new Map();
+
+  for (const vtimezone of calendar.components.filter(component => component.name === 'VTIMEZONE')) {
+    const tzid = getProperty(vtimezone, 'TZID')?.value;
+    if (!tzid || isValidTimeZone(tzid)) continue;
+
+    const location = getProperty(vtimezone, 'X-LIC-LOCATION')?.value;
+    const offsets = new Set(vtimezone.components.map(rule => getProperty(rule, 'TZOFFSETTO')?.value));
+    const [offset] = offsets;
+    const fixed = offsets.size === 1 && /^([+-])(\d{2})00$/.exec(offset || '');
+
+    if (location && isValidTimeZone(location)) {
+      zones.set(tzid, location);
+    } else if (fixed) {
+      // Etc/GMT signs are inverted: Etc/GMT-2 is two hours ahead of UTC
+      const hours = Number(fixed[2]);
+      zones.set(tzid, hours === 0 ? 'UTC' : `Etc/GMT${fixed[1] === '+' ? '-' : '+'}${hours}`);
+    }
+  }
+
+  return zones;
+}
+
+/**
+ * IANA zone for a TZID: the TZID itself, the file's VTIMEZONE, or the Windows zone map
+ * @param {string} tzid - The TZID parameter
+ * @param {Object} options - { timeZones } from resolveVTimeZones
+ * @returns {string|null} The zone, or null if it can't be resolved
+ */
+function resolveTimeZone(tzid, options) {
+  if (isValidTimeZone(tzid)) return tzid;
+  return options.timeZones?.get(tzid) ?? WINDOWS_TIME_ZONES[tzid] ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Dates, times and durations
+
+/**
+ * Parse a DATE or DATE-TIME property
+ * @param {Object} property - { params, value }
+ * @param {Object} options - { defaultTimeZone, timeZones }
+ * @returns {Object} { time: epoch ms, allDay, timeZone, unknownTimeZone }
+ */
+function parseDateValue(property, options = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${property.value}`);
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const wallTime = Date.UTC(Number(year), Number(month) - 1, Number(day),
+    Number(hour || 0), Number(minute || 0), Number(second || 0));
+
+  // All-day events are anchored to midnight UTC of their date
+  if (hour === undefined || property.params.VALUE === 'DATE') {
+    return { time: wallTime, allDay: true, timeZone: null };
+  }
+  if (utc) {
+    return { time: wallTime, allDay: false, timeZone: 'UTC' };
+  }
+
+  // Floating times without a TZID are read in the default zone (UTC unless given),
+  // and so are times whose TZID we can't place, which are flagged instead
+  const tzid = property.params.TZID;
+  const resolved = tzid ? resolveTimeZone(tzid, options) : null;
+  const unknownTimeZone = tzid && !resolved ? tzid : null;
+  const timeZone = resolved || options.defaultTimeZone || null;
+  if (!timeZone) {
+    return { time: wallTime, allDay: false, timeZone: null, unknownTimeZone };
+  }
+
+  try {
+    return { time: zonedTimeToEpoch(wallTime, timeZone), allDay: false, timeZone, unknownTimeZone };
+  } catch (error) {
+    throw new Error(`Unknown time zone ${timeZone} in ${property.name || 'date'}:${property.value}`);
+  }
+}
+
+/**
+ * Parse an iCalendar DURATION value (e.g. 'PT1H30M', '-P1D', 'P2W')
+ * @param {string} value - The duration
+ * @returns {number} Seconds
+ */
+function parseICSDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match || !/\d/.test(value)) {
+    throw new Error(`Invalid iCalendar duration: ${value}`);
+  }
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total = Number(weeks || 0) * 604800 +
+    Number(days || 0) * 86400 +
+    Number(hours || 0) * 3600 +
+    Number(minutes || 0) * 60 +
+    Number(seconds || 0);
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Format seconds as an iCalendar DURATION value
+ * @param {number} seconds - Duration (negative for "before")
+ * @returns {string} e.g. 'PT1H30M' or '-PT15M'
+ */
+function formatICSDuration(seconds) {
+  const sign = seconds < 0 ? '-' : '';
+  let rest = Math.abs(Math.round(seconds));
+
+  const days = Math.floor(rest / 86400);
+  rest -= days * 86400;
+  const hours = Math.floor(rest / 3600);
+  rest -= hours * 3600;
+  const minutes = Math.floor(rest / 60);
+  const secs = rest - minutes * 60;
+
+  let time = '';
+  if (hours) time += `${hours}H`;
+  if (minutes) time += `${minutes}M`;
+  if (secs) time += `${secs}S`;
+
+  if (!days && !time) return 'PT0S';
+  return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+function formatUTC(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// A wall time (see epochToZonedTime) as a local DATE-TIME
+function formatLocal(wallTime) {
+  return formatUTC(wallTime).slice(0, -1);
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// Import
+
+// An email address when there is one, otherwise the display name
+function parsePerson(property) {
+  if (/^mailto:/i.test(property.value)) return property.value.replace(/^mailto:/i, '');
+  return property.params.CN || property.value;
+}
+
+function parseAlarm(alarm, options) {
+  const trigger = getProperty(alarm, 'TRIGGER');
+  if (!trigger) return null;
+
+  const reminder = {
+    action: (getProperty(alarm, 'ACTION')?.value || 'DISPLAY').toUpperCase()
+  };
+
+  if (trigger.params.VALUE === 'DATE-TIME') {
+    reminder.trigger = new Date(parseDateValue(trigger, options).time).toISOString();
+  } else {
+    reminder.trigger = parseICSDuration(trigger.value);
+    if (trigger.params.RELATED === 'END') reminder.related = 'end';
+  }
+
+  const description = getProperty(alarm, 'DESCRIPTION');
+  if (description) reminder.description = unescapeText(description.value);
+
+  return reminder;
+}
+
+function veventToLifeEvent(vevent, options) {
+  const uid = getProperty(vevent, 'UID')?.value;
+  const dtstart = getProperty(vevent, 'DTSTART');
+  if (!dtstart) {
+    throw new Error(`VEVENT ${uid || '(no UID)'} has no DTSTART`);
+  }
+
+  const start = parseDateValue(dtstart, options);
+  const dtend = getProperty(vevent, 'DTEND');
+  const durationProperty = getProperty(vevent, 'DURATION');
+
+  let duration;
+  if (dtend) {
+    duration = Math.round((parseDateValue(dtend, options).time - start.time) / 1000);
+  } else if (durationProperty) {
+    duration = parseICSDuration(durationProperty.value);
+  } else if (start.allDay) {
+    // RFC 5545: an all-day event without an end lasts one day
+    duration = 86400;
+  }
+
+  const typeProperty = getProperty(vevent, 'X-LIFEOS-TYPE');
+  const type = typeProperty && TYPE_PATTERN.test(typeProperty.value) ? typeProperty.value : options.type;
+  const text = name => {
+    const property = getProperty(vevent, name);
+    return property ? unescapeText(property.value) : undefined;
+  };
+
+  const metadata = {};
+  const attendees = getProperties(vevent, 'ATTENDEE').map(parsePerson);
+  if (attendees.length > 0) metadata.attendees = attendees;
+
+  const organizer = getProperty(vevent, 'ORGANIZER');
+  if (organizer) metadata.organizer = parsePerson(organizer);
+
+  const reminders = vevent.components
+    .filter(component => component.name === 'VALARM')
+    .map(alarm => parseAlarm(alarm, options))
+    .filter(Boolean);
+  if (reminders.length > 0) metadata.reminders = reminders;
+
+  if (text('DESCRIPTION')) metadata.description = text('DESCRIPTION');
+  if (text('URL')) metadata.url = text('URL');
+  if (text('STATUS')) metadata.status = text('STATUS').toLowerCase();
+  if (start.allDay) metadata.all_day = true;
+  if (start.unknownTimeZone) metadata.unknown_tzid = start.unknownTimeZone;
+  if (options.calendarId) metadata.calendar_id = options.calendarId;
+
+  const event = {
+    timestamp: new Date(start.time).toISOString(),
+    source: options.source,
+    type,
+    title: text('SUMMARY') || 'Untitled event',
+    metadata
+  };
+
+  const timeZone = text('X-LIFEOS-TIMEZONE') || start.timeZone;
+  if (timeZone && timeZone !== 'UTC') event.timezone = timeZone;
+  if (uid) event.source_id = uid;
+  if (duration !== undefined) event.duration = Math.max(0, duration);
+
+  const location = text('LOCATION');
+  const geo = getProperty(vevent, 'GEO')?.value.split(';').map(Number);
+  if (location || geo) {
+    event.location = {};
+    if (location) event.location.name = location;
+    if (geo && geo.length === 2 && geo.every(Number.isFinite)) {
+      event.location.coordinates = { lat: geo[0], lng: geo[1] };
+    }
+  }
+
+  const categories = getProperties(vevent, 'CATEGORIES').flatMap(property => splitText(property.value));
+  if (categories.length > 0) event.tags = categories;
+
+  const rrule = getProperty(vevent, 'RRULE');
+  if (rrule) {
+    try {
+      parseRRule(rrule.value);
+    } catch (error) {
+      throw new Error(`VEVENT ${uid || '(no UID)'} has an RRULE we can't expand: ${error.message}`);
+    }
+    event.recurrence = { rrule: rrule.value };
+    const exdate = getProperties(vevent, 'EXDATE').flatMap(property => property.value.split(',').map(value => (
+      new Date(parseDateValue({ ...property, value }, options).time).toISOString()
+    )));
+    if (exdate.length > 0) event.recurrence.exdate = exdate;
+  }
+
+  const recurrenceId = getProperty(vevent, 'RECURRENCE-ID');
+  if (recurrenceId) {
+    event.recurrence_id = new Date(parseDateValue(recurrenceId, options).time).toISOString();
+  }
+
+  event.id = generateEventId(event);
+  return event;
+}
+
+/**
+ * Parse an .ics file into LifeEvents
+ * Events get stable IDs but no URIs; a store or createLifeOSEvent issues those.
+ * @param {string} text - The .ics file contents
+ * @param {Object} [options] - Import options
+ * @param {string} [options.source] - Event source (default 'calendar')
+ * @param {string} [options.type] - Type for VEVENTs without X-LIFEOS-TYPE (default 'calendar.meeting')
+ * @param {string} [options.calendarId] - Stored as metadata.calendar_id
+ * @param {string} [options.defaultTimeZone] - IANA zone for floating times (default UTC)
+ * @returns {Array<Object>} LifeEvents in file order
+ * @throws {Error} If the file is not valid iCalendar or has an RRULE we can't expand
+ */
+function parseICS(text, options = {}) {
+  const settings = { source: 'calendar', type: DEFAULT_TYPE, ...options };
+  const root = parseComponents(unfoldLines(text));
+  const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+
+  if (calendars.length === 0) {
+    throw new Error('Invalid iCalendar data: no VCALENDAR component');
+  }
+
+  const events = calendars.flatMap(calendar => {
+    const calendarSettings = { ...settings, timeZones: resolveVTimeZones(calendar) };
+    return calendar.components
+      .filter(component => component.name === 'VEVENT')
+      .map(vevent => veventToLifeEvent(vevent, calendarSettings));
+  });
+
+  return attachOverrides(events);
+}
+
+// Fields an override may change; the rest always come from the series
+const OVERRIDE_FIELDS = ['timestamp', 'title', 'duration', 'location', 'tags', 'metadata'];
+
+/**
+ * Fold VEVENTs with a RECURRENCE-ID into their series as overrides
+ * Instances whose series isn't in the file stay separate events.
+ * @param {Array<Object>} events - Parsed events
+ * @returns {Array<Object>} Events without the folded instances
+ */
+function attachOverrides(events) {
+  const series = new Map(events
+    .filter(event => event.recurrence && event.source_id)
+    .map(event => [event.source_id, event]));
+
+  return events.filter(event => {
+    const parent = event.recurrence_id && series.get(event.source_id);
+    if (!parent) return true;
+
+    const override = { recurrence_id: event.recurrence_id };
+    for (const field of OVERRIDE_FIELDS) {
+      if (JSON.stringify(event[field]) !== JSON.stringify(parent[field])) override[field] = event[field];
+    }
+
+    parent.recurrence.overrides = [...(parent.recurrence.overrides || []), override];
+    return false;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Export
+
+function formatPerson(name, person) {
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(person)) return `${name}:mailto:${person}`;
+  return `${name};CN=${quoteParam(person)}:urn:x-lifeos:person:${encodeURIComponent(person)}`;
+}
+
+function alarmLines(reminder, event) {
+  const lines = ['BEGIN:VALARM', `ACTION:${String(reminder.action || 'DISPLAY').toUpperCase()}`];
+
+  if (typeof reminder.trigger === 'number') {
+    const related = reminder.related === 'end' ? ';RELATED=END' : '';
+    lines.push(`TRIGGER${related}:${formatICSDuration(reminder.trigger)}`);
+  } else {
+    lines.push(`TRIGGER;VALUE=DATE-TIME:${formatUTC(Date.parse(reminder.trigger))}`);
+  }
+
+  // DISPLAY and EMAIL alarms must have a DESCRIPTION
+  lines.push(`DESCRIPTION:${escapeText(reminder.description || event.title)}`);
+  lines.push('END:VALARM');
+  return lines;
+}
+
+function eventUID(event) {
+  if (event.source_id) return event.source_id;
+  // Occurrences share their series' UID
+  return `${event.recurring_event_id || event.id || generateEventId(event)}@lifeos`;
+}
+
+// The zone an event's times are written in, or null for UTC
+function exportTimeZone(event) {
+  const timeZone = event.timezone;
+  if (!timeZone || timeZone === 'UTC' || event.metadata?.all_day) return null;
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+function formatTime(time, allDay, timeZone = null) {
+  if (allDay) return `;VALUE=DATE:${formatDate(time)}`;
+  if (timeZone) return `;TZID=${quoteParam(timeZone)}:${formatLocal(epochToZonedTime(time, timeZone))}`;
+  return `:${formatUTC(time)}`;
+}
+
+function formatOffset(offset) {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Instants in a year where the zone's offset changes, to the minute
+function offsetTransitions(timeZone, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+
+  for (let day = Date.UTC(year, 0, 1); day < end; day += 86400000) {
+    const from = timeZoneOffset(day, timeZone);
+    const to = timeZoneOffset(day + 86400000, timeZone);
+    if (from === to) continue;
+
+    let low = day;
+    let high = day + 86400000;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (timeZoneOffset(middle, timeZone) === from) low = middle;
+      else high = middle;
+    }
+    transitions.push({ time: high, from, to });
+  }
+  return transitions;
+}
+
+/**
+ * VTIMEZONE for an IANA zone
+ * The zone's offset changes in `year` become yearly rules (e.g. the last
+ * Sunday of March), which is how zones are described to other clients; a
+ * zone without changes gets a single STANDARD observance.
+ * @param {string} timeZone - IANA time zone
+ * @param {number} year - Year whose rules to describe (the earliest exported)
+ * @returns {Array<string>} Content lines
+ */
+function timeZoneLines(timeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = offsetTransitions(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(timeZoneOffset(Date.UTC(year, 0, 1), timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  for (const { time, from, to } of transitions) {
+    // Observances start at the local time before the change
+    const local = new Date(time + from);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatLocal(time + from)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${WEEKDAYS[local.getUTCDay()]}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function eventLines(event, stamp) {
+  const start = Date.parse(event.timestamp);
+  if (Number.isNaN(start)) {
+    throw new Error(`Cannot export event ${event.uri || event.id || event.title}: invalid timestamp`);
+  }
+
+  const metadata = event.metadata || {};
+  const timeZone = exportTimeZone(event);
+  const lines = ['BEGIN:VEVENT', `UID:${escapeText(eventUID(event))}`, `DTSTAMP:${stamp}`];
+
+  if (metadata.all_day) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+    const days = Math.max(1, Math.round((event.duration ?? 86400) / 86400));
+    lines.push(`DTEND;VALUE=DATE:${formatDate(start + days * 86400000)}`);
+  } else {
+    lines.push(`DTSTART${formatTime(start, false, timeZone)}`);
+    if (typeof event.duration === 'number') {
+      lines.push(`DTEND${formatTime(start + event.duration * 1000, false, timeZone)}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (metadata.description) lines.push(`DESCRIPTION:${escapeText(metadata.description)}`);
+  if (event.location?.name) lines.push(`LOCATION:${escapeText(event.location.name)}`);
+  if (event.location?.coordinates) {
+    lines.push(`GEO:${event.location.coordinates.lat};${event.location.coordinates.lng}`);
+  }
+  if (Array.isArray(event.tags) && event.tags.length > 0) {
+    lines.push(`CATEGORIES:${event.tags.map(escapeText).join(',')}`);
+  }
+  if (metadata.status) lines.push(`STATUS:${String(metadata.status).toUpperCase()}`);
+  if (metadata.url) lines.push(`URL:${metadata.url}`);
+  if (event.recurrence) {
+    lines.push(`RRULE:${event.recurrence.rrule.replace(/^RRULE:/i, '')}`);
+    (event.recurrence.exdate || []).forEach(exdate => {
+      lines.push(`EXDATE${formatTime(Date.parse(exdate), metadata.all_day, timeZone)}`);
+    });
+  }
+  if (event.recurrence_id) {
+    lines.push(`RECURRENCE-ID${formatTime(Date.parse(event.recurrence_id), metadata.all_day, timeZone)}`);
+  }
+  if (metadata.organizer) lines.push(formatPerson('ORGANIZER', metadata.organizer));
+  (Array.isArray(metadata.attendees) ? metadata.attendees : []).forEach(attendee => {
+    lines.push(formatPerson('ATTENDEE', attendee));
+  });
+
+  // Round-trip what iCalendar has no field for
+  lines.push(`X-LIFEOS-TYPE:${event.type}`);
+  if (event.uri) lines.push(`X-LIFEOS-URI:${event.uri}`);
+  // Kept where there is no TZID to carry it (all-day events)
+  if (event.timezone && !timeZone) lines.push(`X-LIFEOS-TIMEZONE:${event.timezone}`);
+
+  (Array.isArray(metadata.reminders) ? metadata.reminders : []).forEach(reminder => {
+    lines.push(...alarmLines(reminder, event));
+  });
+
+  lines.push('END:VEVENT');
+
+  // Changed occurrences follow their series as instances with a RECURRENCE-ID
+  (event.recurrence?.overrides || []).forEach(override => {
+    const occurrence = getOccurrence(event, override.recurrence_id);
+    if (occurrence) lines.push(...eventLines(occurrence, stamp));
+  });
+
+  return lines;
+}
+
+/**
+ * Write LifeEvents as an .ics file
+ * @param {Iterable<Object>} events - LifeEvents
+ * @param {Object} [options] - Export options
+ * @param {string} [options.name] - Calendar name (X-WR-CALNAME)
+ * @param {Date|string} [options.now] - DTSTAMP for every event (default: now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function toICS(events, options = {}) {
+  const stamp = formatUTC(options.now ? new Date(options.now).getTime() : Date.now());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  const list = Array.from(events);
+  const eventLineGroups = list.map(event => eventLines(event, stamp));
+
+  // Every TZID needs a VTIMEZONE, described from the first year it is used in
+  const firstYears = new Map();
+  for (const event of list) {
+    const timeZone = exportTimeZone(event);
+    if (!timeZone) continue;
+    const year = new Date(epochToZonedTime(Date.parse(event.timestamp), timeZone)).getUTCFullYear();
+    firstYears.set(timeZone, Math.min(year, firstYears.get(timeZone) ?? Infinity));
+  }
+  for (const [timeZone, year] of firstYears) {
+    lines.push(...timeZoneLines(timeZone, year));
+  }
+
+  eventLineGroups.forEach(group => lines.push(...group));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export { parseICS, toICS, parseICSDuration, formatICSDuration };
@@ -0,0 +1,196 @@
+/**
+ * LifeOS Protocol Event Identity
+ *
+ * Content-derived event IDs and a registry that issues collision-free URIs.
+ *
+ * - IDs hash the source, the source's own ID for the event (`source_id`) and
+ *   the timestamp, so re-importing the same data yields the same IDs. Events
+ *   without a source_id hash source, type, timestamp and title instead.
+ * - When a different event already holds a URI, the slug gets a numeric
+ *   suffix: team-standup, team-standup-2, team-standup-3, ...
+ * - Once a URI is issued to an ID it never changes, even if the title does.
+ */
+
+import { createHash } from 'crypto';
+import { LifeURI } from './lifeURI.js';
+import { generateEventURI, eventKey } from './eventModel.js';
+
+/**
+ * Derive a stable event ID from an event's identifying fields
+ * @param {Object} event - Event with source, timestamp and source_id (or type and title)
+ * @returns {string} ID such as 'event_3f9a0c...'
+ */
+function generateEventId(event) {
+  const timestamp = new Date(event.timestamp).toISOString();
+  const identity = event.source_id !== undefined && event.source_id !== null
+    ? [event.source, String(event.source_id), timestamp]
+    : [event.source, event.type, timestamp, event.title];
+
+  const digest = createHash('sha256').update(JSON.stringify(identity)).digest('hex');
+  return `event_${digest.slice(0, 24)}`;
+}
+
+/**
+ * Append a numeric suffix to a URI's slug
+ * @param {string} uri - The life:// URI
+ * @param {number} n - Suffix number (1 returns the URI unchanged)
+ * @returns {string} URI with '-<n>' appended to the slug
+ */
+function withSlugSuffix(uri, n) {
+  const parsed = LifeURI.parse(uri);
+  if (n <= 1) return parsed.toString();
+  return new LifeURI({ ...parsed.toJSON(), fragment: null, slug: `${parsed.slug}-${n}` }).toString();
+}
+
+/**
+ * Find the first URI, trying suffixes in order, that isn't taken
+ * @param {string} uri - The preferred life:// URI
+ * @param {Function} isTaken - (candidateURI) => boolean
+ * @returns {string} A free URI
+ */
+function nextFreeURI(uri, isTaken) {
+  for (let n = 1; ; n++) {
+    const candidate = withSlugSuffix(uri, n);
+    if (!isTaken(candidate)) return candidate;
+  }
+}
+
+function keyOf(uri) {
+  return eventKey(LifeURI.parse(uri));
+}
+
+class IdentityRegistry {
+  /**
+   * @param {Object} [issued] - { [id]: uri } pairs from toJSON()
+   */
+  constructor(issued = {}) {
+    this.uris = new Map(); // id -> uri
+    this.owners = new Map(); // key -> id
+
+    for (const [id, uri] of Object.entries(issued)) {
+      this.claim(id, uri);
+    }
+  }
+
+  /**
+   * Restore a registry saved with toJSON()
+   * @param {Object|string} data - { [id]: uri } or its JSON string
+   * @returns {IdentityRegistry}
+   */
+  static fromJSON(data) {
+    return new IdentityRegistry(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+
+  /**
+   * Number of issued URIs
+   * @returns {number}
+   */
+  get size() {
+    return this.uris.size;
+  }
+
+  /**
+   * Issue a URI for an event ID
+   * An ID that already has a URI keeps it; otherwise the preferred URI is
+   * used, with a slug suffix if another ID holds it.
+   * @param {string} id - The event ID
+   * @param {string} preferredURI - URI to use when it is free
+   * @returns {string} The issued URI
+   */
+  assign(id, preferredURI) {
+    if (this.uris.has(id)) return this.uris.get(id);
+
+    const uri = nextFreeURI(preferredURI, candidate => {
+      const owner = this.owners.get(keyOf(candidate));
+      return owner !== undefined && owner !== id;
+    });
+
+    return this.claim(id, uri);
+  }
+
+  /**
+   * Issue a URI for an event, deriving the preferred URI from its fields
+   * @param {Object} event - Event with id (or enough fields to derive one), timestamp, source, type and title
+   * @param {Object} [options] - Options for generateEventURI (e.g. { precision: 'minute' })
+   * @returns {string} The issued URI
+   */
+  assignEvent(event, options = {}) {
+    const id = event.id || generateEventId(event);
+    return event.uri ? this.claim(id, event.uri) : this.assign(id, generateEventURI(event, options));
+  }
+
+  /**
+   * Record an explicit URI for an event ID
+   * @param {string} id - The event ID
+   * @param {string} uri - The URI the event already carries
+   * @returns {string} The canonical URI
+   * @throws {Error} If another ID holds the URI
+   */
+  claim(id, uri) {
+    const canonical = LifeURI.normalize(uri);
+    const key = keyOf(canonical);
+    const owner = this.owners.get(key);
+
+    if (owner !== undefined && owner !== id) {
+      throw new Error(`URI collision: ${canonical} is already issued to event ${owner}`);
+    }
+
+    const previous = this.uris.get(id);
+    if (previous && keyOf(previous) !== key) {
+      this.owners.delete(keyOf(previous));
+    }
+
+    this.uris.set(id, canonical);
+    this.owners.set(key, id);
+    return canonical;
+  }
+
+  /**
+   * URI issued to an event ID
+   * @param {string} id - The event ID
+   * @returns {string|null} The URI, or null if none was issued
+   */
+  uriFor(id) {
+    return this.uris.get(id) || null;
+  }
+
+  /**
+   * Event ID holding a URI
+   * @param {string} uri - The life:// URI
+   * @returns {string|null} The ID, or null if the URI is free
+   */
+  idFor(uri) {
+    return this.owners.get(keyOf(uri)) || null;
+  }
+
+  /**
+   * Give up the URI issued to an event ID
+   * @param {string} id - The event ID
+   * @returns {boolean} True if a URI was released
+   */
+  release(id) {
+    const uri = this.uris.get(id);
+    if (!uri) return false;
+
+    this.owners.delete(keyOf(uri));
+    this.uris.delete(id);
+    return true;
+  }
+
+  /**
+   * Forget every issued URI
+   */
+  clear() {
+    this.uris.clear();
+    this.owners.clear();
+  }
+
+  /**
+   * @returns {Object} { [id]: uri } pairs
+   */
+  toJSON() {
+    return Object.fromEntries(this.uris);
+  }
+}
+
+export { generateEventId, withSlugSuffix, nextFreeURI, IdentityRegistry };
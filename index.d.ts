@@ -5,31 +5,242 @@
  */
 
 /**
- * Core LifeOS Event interface
+ * Where an event happened
+ */
+export interface LifeOSLocation {
+  name?: string
+  coordinates?: {
+    lat: number
+    lng: number
+  }
+}
+
+/**
+ * A link to another event: a life:// URI, or a typed link with a relation type
+ */
+export type LifeOSLink = string | { uri: string, rel?: string }
+
+/**
+ * Core LifeOS Event interface (canonical model, matches lifeevent.schema.json)
  */
 export interface LifeOSEvent {
   id: string
   uri: string
   protocol_version: string
   source: string
+  /** The source's own identifier for the event */
+  source_id?: string
   type: string
   title: string
   metadata: Record<string, any>
   tags: string[]
   mood?: number
   timestamp: string
-  duration_minutes?: number
-  location?: string
+  /** IANA time zone (e.g. 'Europe/Madrid'); decides the event's calendar day */
+  timezone?: string
+  /** Duration in seconds */
+  duration?: number
+  location?: LifeOSLocation
   energy_level?: number
   parent_event_id?: string
-  related_events: string[]
+  linked_uris: LifeOSLink[]
   user_id?: string
+  created_at?: string
+  updated_at?: string
+  /** Makes the event a series that repeats from its timestamp */
+  recurrence?: LifeOSRecurrence
+  /** On an occurrence: its original start time */
+  recurrence_id?: string
+  /** On an occurrence: the ID of the series */
+  recurring_event_id?: string
+  /** On a merged event: every source copy it absorbed, itself included */
+  provenance?: LifeOSProvenance[]
+  /** Signature by the event's source (see signEvent) */
+  signature?: LifeOSSignature
+  /** Who may see the event; defaults to its type's sensitivity */
+  sensitivity?: Sensitivity
+  /** Sensitivity of single fields by dotted path, e.g. 'location.coordinates' */
+  field_sensitivity?: Record<string, Sensitivity>
+}
+
+export type Sensitivity = 'public' | 'personal' | 'private'
+
+export interface LifeOSProvenance {
+  uri?: string
+  source: string
+  source_id?: string
+  id?: string
+  /** The copy's signature, kept when merging or normalizing changed the event */
+  signature?: LifeOSSignature
+}
+
+export interface LifeOSSignature {
+  alg: 'Ed25519'
+  key_id: string
+  /** SHA-256 hex of the signed canonical JSON */
+  digest: string
+  /** Base64 signature */
+  value: string
+}
+
+export type SignatureStatus = 'unsigned' | 'valid' | 'invalid'
+
+export interface SignatureVerification {
+  status: SignatureStatus
+  key_id: string | null
+  /** Why an invalid signature failed */
+  reason: string | null
+}
+
+export declare class KeyRing {
+  constructor(keys?: Record<string, string | Record<string, string>>);
+  /** Returns the key ID (the key's fingerprint unless given) */
+  addKey(source: string, publicKey: string | object, options?: { keyId?: string }): string;
+  removeKey(source: string, keyId?: string): boolean;
+  getKey(source: string, keyId: string): object | null;
+  hasSource(source: string): boolean;
+  sources(): string[];
+  toJSON(): Record<string, Record<string, string>>;
+}
+
+export declare const SIGNATURE_ALGORITHM: 'Ed25519';
+export declare const UNSIGNED_FIELDS: string[];
+export declare function canonicalJSON(value: any): string;
+export declare function eventDigest(event: LifeOSEventData): string;
+export declare function keyIdOf(publicKey: string | object): string;
+export declare function generateSigningKeys(): { publicKey: string, privateKey: string, keyId: string };
+export declare function signEvent<T extends LifeOSEventData>(event: T, privateKey: string | object, options?: { keyId?: string }): T & { signature: LifeOSSignature };
+export declare function verifyEvent(event: LifeOSEventData, keyRing: KeyRing): SignatureVerification;
+export declare function verifyProvenance(event: LifeOSEventData, keyRing: KeyRing): Array<SignatureVerification & { index: number, source: string, uri: string | null }>;
+export declare function preserveSignature<T extends LifeOSEventData>(original: LifeOSEventData, result: T): T;
+
+/**
+ * A change to the event model: `up` from the previous version, `down` back to it
+ */
+export interface Migration {
+  description?: string
+  up(event: any, options: MigrateOptions): any
+  down(event: any, options: MigrateOptions): any
+}
+
+export interface MigrateOptions {
+  /** Target version (default: the latest) */
+  to?: string
+  /** 1.0 -> 1.1: maps a related event ID to its life:// URI */
+  resolveEventId?: ((id: string) => string | undefined) | Map<string, string>
+  /** 1.1 -> 1.0: maps a life:// URI to a related event ID */
+  resolveEventURI?: ((uri: string) => string | undefined) | Map<string, string>
+}
+
+export declare const BASE_VERSION: string;
+/** Negative if a is older than b, positive if newer, 0 if equal */
+export declare function compareVersions(a: string, b: string): number;
+export declare function registerMigration(version: string, migration: Migration): void;
+export declare function getMigrations(): Array<{ from: string, to: string, description: string }>;
+export declare function getKnownVersions(): string[];
+export declare function latestVersion(): string;
+export declare function isKnownVersion(version: string): boolean;
+/** `protocol_version`, or 1.0 for unversioned events with 1.0 fields, or PROTOCOL_VERSION */
+export declare function detectEventVersion(event: any): string;
+export declare function needsUpgrade(event: any, version?: string): boolean;
+export declare function migrateEvent(event: any, options?: MigrateOptions): any;
+export declare function upgradeEvent(event: any, options?: Omit<MigrateOptions, 'to'>): LifeOSEvent;
+export declare function downgradeEvent(event: any, version: string, options?: Omit<MigrateOptions, 'to'>): any;
+
+export interface EventTreeNode {
+  event: any
+  /** Oldest first */
+  children: EventTreeNode[]
+}
+
+export interface EventTree {
+  roots: EventTreeNode[]
+  /** Events whose parent isn't among the events; they are roots too */
+  missing: Array<{ event: any, parent_event_id: string }>
+  /** Events whose parents lead round in a circle; left out of the trees */
+  cycles: any[][]
+}
+
+export interface TimeSpanProblem {
+  /** URI (or ID) of the parent */
+  parent: string
+  /** URI (or ID) of the child */
+  child: string
+  reason: 'starts_before_parent' | 'ends_after_parent'
+  message: string
+}
+
+export interface RatingSummary {
+  average: number
+  min: number
+  max: number
+  count: number
+}
+
+export interface EventRollup {
+  children: number
+  descendants: number
+  /** Children's durations in seconds, added up */
+  duration: number
+  span: { start: string, end: string } | null
+  by_type: Record<string, { count: number, duration: number }>
+  mood: RatingSummary | null
+  energy_level: RatingSummary | null
+  /** Totals of metadata fields whose unit adds up; currency totals per currency code */
+  metadata: Record<string, { unit: string, total: number | Record<string, number>, count: number }>
+}
+
+/** The slug segment that addresses an event's parent: '@parent' */
+export declare const PARENT_SEGMENT: string;
+/** The child's URI with a `@parent` segment */
+export declare function parentURI(uri: string): string;
+/** Sets parent_event_id and a `part_of` link to the parent */
+export declare function setParent<T extends LifeOSEventData>(child: T, parent: { id: string, uri: string }, options?: { previous?: { uri?: string } }): T & { parent_event_id: string };
+export declare function buildEventTree(events: Iterable<any>): EventTree;
+export declare function checkTimeSpans(tree: EventTreeNode | EventTreeNode[], options?: { tolerance?: number }): TimeSpanProblem[];
+export declare function computeRollup(node: EventTreeNode): EventRollup;
+export interface RolledUpEvent<T = any> {
+  event: T
+  /** Totals over the event's children; null when it has none */
+  rollup: EventRollup | null
+}
+export declare function rollupEvent(node: EventTreeNode): RolledUpEvent;
+export declare function rollupEvents<T>(events: Iterable<T>): RolledUpEvent<T>[];
+
+export interface LifeOSRecurrence {
+  /** RFC 5545 RRULE subset, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE,FR' */
+  rrule: string
+  /** Start times of occurrences that don't happen */
+  exdate?: string[]
+  /** Changed occurrences: the original start plus the fields that differ */
+  overrides?: Array<{ recurrence_id: string } & Partial<LifeOSEvent>>
+}
+
+/**
+ * Fields written by protocol version 1.0, accepted by createLifeOSEvent
+ * and converted by normalizeLifeOSEvent
+ */
+export interface LegacyLifeOSEventFields {
+  /** @deprecated Use `duration` (seconds) */
+  duration_minutes?: number
+  /** @deprecated Use `location: { name }` */
+  location?: string | LifeOSLocation
+  /** @deprecated Use `linked_uris` */
+  related_events?: string[]
 }
 
 /**
  * Event creation data (partial event data)
  */
-export type LifeOSEventData = Partial<LifeOSEvent>
+export type LifeOSEventData = Partial<Omit<LifeOSEvent, 'location'>> & LegacyLifeOSEventFields
+
+/**
+ * Options for normalizeLifeOSEvent
+ */
+export interface NormalizeOptions {
+  /** Maps a legacy related event ID to its life:// URI */
+  resolveEventId?: ((id: string) => string | undefined) | Map<string, string>
+}
 
 /**
  * Event validation result
@@ -52,12 +263,54 @@ export interface EventLinkingResult {
  */
 export interface URIComponents {
   date: string
+  /** UTC time (HH:MM, HH:MM:SS or HH:MM:SS.sss); null for day precision */
+  time: string | null
   source: string
   type: string
+  /** Decoded slug */
   slug: string
+  /** JSON pointer into the event's metadata, e.g. '/artist' */
+  fragment: string | null
+  /** Canonical URI */
   full: string
 }
 
+export type URIPrecision = 'day' | 'minute' | 'second'
+
+export declare class LifeURI {
+  constructor(components: { date: string, time?: string | null, source: string, type: string, slug: string, fragment?: string | null });
+  static parse(uri: string | LifeURI): LifeURI;
+  static from(components: { date: string, time?: string | null, source: string, type: string, slug: string, fragment?: string | null }): LifeURI;
+  static parseAuthority(authority: string): { date: string, time: string | null };
+  static isValid(uri: string): boolean;
+  static normalize(uri: string | LifeURI): string;
+  static equals(a: string | LifeURI, b: string | LifeURI): boolean;
+  readonly date: string;
+  readonly time: string | null;
+  readonly source: string;
+  readonly type: string;
+  readonly slug: string;
+  readonly fragment: string | null;
+  readonly authority: string;
+  equals(other: string | LifeURI): boolean;
+  withoutFragment(): LifeURI;
+  resolveFragment(event: any): any;
+  toJSON(): URIComponents;
+  toString(): string;
+}
+
+export declare function normalizeLifeURI(uri: string): string;
+export declare function lifeURIsEqual(a: string, b: string): boolean;
+
+/**
+ * Schema validation error, located by a JSON pointer (RFC 6901)
+ */
+export interface SchemaValidationError {
+  path: string
+  keyword: string
+  message: string
+}
+
 /**
  * Plugin capability
  */
@@ -74,6 +327,7 @@ export interface PluginCapability {
 export interface PluginSettings {
   enabled: boolean
   autoSync: boolean
+  /** Time between automatic syncs in ms */
   syncInterval?: number
   credentials?: Record<string, any>
   customSettings?: Record<string, any>
@@ -86,27 +340,668 @@ export interface PluginSettings {
 export interface SyncResult {
   success: boolean
   eventsImported: number
+  eventsExported: number
   errors?: string[]
   lastSync: Date
   metadata?: Record<string, any>
 }
 
-export declare function createLifeOSEvent(eventData: any): any;
-export declare function validateLifeOSEvent(event: any): any;
-export declare function generateLifeOSURI(event: any): string;
+export interface PluginSyncContext {
+  settings: PluginSettings
+  /** When the last successful sync finished, or null */
+  since: Date | null
+  host: PluginHost
+}
+
+/**
+ * Importer/exporter plugin
+ */
+export interface LifeOSPlugin {
+  id: string
+  name?: string
+  version?: string
+  /** Event source the plugin provides; registered with the host's resolver */
+  source: string
+  capabilities: PluginCapability[]
+  defaultSettings?: Partial<PluginSettings>
+  /** Type pack loaded on registration */
+  eventTypes?: EventTypePack | string
+  /** Resolver tried after the host's store for the plugin's source */
+  resolver?: LifeEventResolverFunction
+  import?(context: PluginSyncContext): Promise<LifeOSEventData[] | { events: LifeOSEventData[] }> | LifeOSEventData[]
+  /** Returns the exported events or their count */
+  export?(events: LifeOSEvent[], context: PluginSyncContext): Promise<any[] | number> | any[] | number
+}
+
+export interface PluginHostOptions {
+  resolver?: LifeURIResolver
+  store?: LifeEventStore
+  /** SyncResults kept per plugin (default 50) */
+  historyLimit?: number
+  onSync?: (pluginId: string, result: SyncResult) => void
+  /** Drop imported events whose signatures don't verify */
+  keyRing?: KeyRing
+  /** With a key ring, drop unsigned events too */
+  requireSignatures?: boolean
+}
+
+export interface PluginInfo {
+  id: string
+  name: string
+  source: string
+  capabilities: PluginCapability[]
+  settings: PluginSettings
+  lastSync: SyncResult | null
+}
+
+export declare const PROTOCOL_VERSION: string;
+
+export declare function createLifeOSEvent(eventData: LifeOSEventData, options?: { precision?: URIPrecision, registry?: IdentityRegistry }): LifeOSEvent;
+
+export declare function generateEventId(event: { source: string, source_id?: string, type?: string, timestamp: string, title?: string }): string;
+
+/**
+ * Issues collision-free URIs that stay fixed per event ID
+ */
+export declare class IdentityRegistry {
+  constructor(issued?: Record<string, string>);
+  static fromJSON(data: Record<string, string> | string): IdentityRegistry;
+  readonly size: number;
+  assign(id: string, preferredURI: string): string;
+  assignEvent(event: any, options?: { precision?: URIPrecision }): string;
+  claim(id: string, uri: string): string;
+  uriFor(id: string): string | null;
+  idFor(uri: string): string | null;
+  release(id: string): boolean;
+  clear(): void;
+  toJSON(): Record<string, string>;
+}
+
+export declare function normalizeLifeOSEvent(event: LifeOSEventData | Record<string, any>, options?: NormalizeOptions): LifeOSEvent;
+export declare function validateLifeOSEvent(event: any): EventValidationResult;
+export declare function generateLifeOSURI(event: any, options?: { precision?: URIPrecision }): string;
 export declare function parseLifeOSURI(uri: string): any;
-export declare function linkEvents(primaryEvent: any, relatedEvents: any): any;
+export declare function linkEvents(primaryEvent: LifeOSEventData, relatedEvents: LifeOSEvent | LifeOSEvent[], options?: { rel?: string }): LifeOSEvent;
+
+export declare function getLinkURI(link: LifeOSLink): string;
+export declare function getLinkRelation(link: LifeOSLink): string | null;
+export declare function createLink(uri: string, rel?: string): LifeOSLink;
+
+/**
+ * Relation type registry entry
+ */
+export interface RelationTypeInfo {
+  name: string
+  description: string
+  standard: boolean
+  /** Name to show on backlinks */
+  inverse?: string
+}
+
+export declare function registerRelationType(name: string, description: string, options?: { inverse?: string, override?: boolean }): RelationTypeInfo;
+export declare function isValidRelationType(name: string): boolean;
+export declare function getRelationTypeInfo(name: string): RelationTypeInfo | null;
+export declare function getAllRelationTypesList(): string[];
+
+export interface ResolverOptions {
+  /** Cache resolved events: true for defaults, or { max, ttl } with ttl in ms */
+  cache?: boolean | { max?: number, ttl?: number }
+  /** Default timeout per resolveURI call in ms */
+  timeout?: number
+  /** Reject resolved events whose signatures don't verify */
+  keyRing?: KeyRing
+  /** With a key ring, reject unsigned events too */
+  requireSignatures?: boolean
+  /** Deliver events downgraded to this protocol version (default: the latest) */
+  protocolVersion?: string
+  /** Maps an event ID to its URI, to find parents for `@parent` URIs */
+  resolveEventId?: ((id: string) => string | null | undefined) | Map<string, string>
+}
+
+export interface ResolveOptions {
+  signal?: AbortSignal
+  timeout?: number
+  /** Set to false to bypass the cache */
+  cache?: boolean
+}
+
+export interface ResolveOutcome {
+  uri: string
+  event: any | null
+  error: Error | null
+}
+
+export type ResolverMiddleware = (
+  parsed: URIComponents,
+  next: (parsed?: URIComponents) => Promise<any>,
+  context: { uri: string, signal?: AbortSignal }
+) => Promise<any>
 
 export declare class LifeURIResolver {
-  constructor();
-  parseURI(uri: string): any;
-  generateURI(components: any): string;
-  registerResolver(source: string, resolver: Function): void;
-  resolveURI(uri: string): Promise<any>;
+  constructor(options?: ResolverOptions);
+  parseURI(uri: string): URIComponents;
+  generateURI(components: { date: string, time?: string | null, source: string, type: string, slug: string, fragment?: string | null }): string;
+  registerResolver(source: string, resolver: LifeEventResolverFunction, options?: { fallback?: boolean }): void;
+  unregisterResolver(source: string, resolver?: LifeEventResolverFunction): boolean;
+  setDefaultResolver(resolver: LifeEventResolverFunction | null): void;
+  use(middleware: ResolverMiddleware): this;
+  resolveURI(uri: string, options?: ResolveOptions): Promise<any>;
+  resolveMany(uris: string[], options?: ResolveOptions & { concurrency?: number }): Promise<ResolveOutcome[]>;
+  resolveFragment(uri: string, options?: ResolveOptions): Promise<any>;
+  /** Resolves without rejecting bad signatures, and reports on them */
+  verifyURI(uri: string, options?: ResolveOptions & { keyRing?: KeyRing }): Promise<SignatureVerification & { uri: string, event: any }>;
+  resolveCollection(pattern: string): Promise<any[]>;
+  invalidate(uri: string): boolean;
+  clearCache(): void;
   validateLifeEvent(event: any): boolean;
+  getRegisteredSources(): string[];
+  hasResolver(source: string): boolean;
+}
+
+export interface ResolverServerOptions {
+  /** Require `Authorization: Bearer <token>` */
+  token?: string
+  /** Allowed CORS origins: true for any, or specific origins */
+  cors?: boolean | string | string[]
+  /** Per-request resolution timeout in ms */
+  timeout?: number
+  /** Gets the errors answered with a 500 (default console.error) */
+  onError?: (error: Error) => void
+}
+
+export declare class LifeResolverServer {
+  constructor(resolver: LifeURIResolver, options?: ResolverServerOptions);
+  readonly server: import('http').Server;
+  readonly url: string | null;
+  listen(port?: number, host?: string): Promise<string>;
+  close(): Promise<void>;
+  handle(req: import('http').IncomingMessage, res: import('http').ServerResponse): Promise<void>;
+}
+
+export declare function createResolverServer(resolver: LifeURIResolver, options?: ResolverServerOptions): LifeResolverServer;
+
+export interface ICSImportOptions {
+  /** Event source (default 'calendar') */
+  source?: string
+  /** Type for VEVENTs without X-LIFEOS-TYPE (default 'calendar.meeting') */
+  type?: string
+  /** Stored as metadata.calendar_id */
+  calendarId?: string
+  /** IANA time zone for floating times (default UTC) */
+  defaultTimeZone?: string
+}
+
+export interface ICSExportOptions {
+  /** Calendar name (X-WR-CALNAME) */
+  name?: string
+  /** DTSTAMP for every event (default: now) */
+  now?: Date | string
+}
+
+/** A VALARM; a numeric trigger is seconds from the start (negative = before) */
+export interface CalendarReminder {
+  action: string
+  trigger: number | string
+  related?: 'end'
+  description?: string
+}
+
+export declare function parseICS(text: string, options?: ICSImportOptions): LifeOSEventData[];
+export declare function toICS(events: Iterable<LifeOSEventData>, options?: ICSExportOptions): string;
+export declare function parseICSDuration(value: string): number;
+export declare function formatICSDuration(seconds: number): string;
+
+export interface ParsedRRule {
+  freq: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY'
+  interval: number
+  count: number | null
+  until: { time: number, isDate: boolean } | null
+  /** weekday: 0 = Sunday; n: ordinal such as 2 or -1, or null */
+  byDay: Array<{ weekday: number, n: number | null }>
+  byMonthDay: number[]
+  byMonth: number[]
+  wkst: number
+}
+
+export interface ExpandOptions {
+  from?: string | Date | number
+  /** Required unless the rule has COUNT or UNTIL */
+  to?: string | Date | number
+  /** Maximum occurrences (default 1000) */
+  limit?: number
+  /** Zone the rule repeats in (default the event's timezone, else UTC) */
+  timeZone?: string
+}
+
+export declare function parseRRule(value: string): ParsedRRule;
+export declare function isRecurring(event: any): boolean;
+export declare function expandRecurrence<T extends LifeOSEventData>(event: T, options?: ExpandOptions): T[];
+export declare function expandEvents<T extends LifeOSEventData>(events: Iterable<T>, options?: ExpandOptions): T[];
+export declare function getOccurrence<T extends LifeOSEventData>(event: T, recurrenceId: string | Date, options?: { timeZone?: string }): T | null;
+export declare function occurrenceURI(event: LifeOSEventData, recurrenceId: string | Date): string;
+export declare function overrideOccurrence<T extends LifeOSEventData>(event: T, recurrenceId: string | Date, changes: Partial<LifeOSEvent>, options?: { timeZone?: string }): T;
+export declare function cancelOccurrence<T extends LifeOSEventData>(event: T, recurrenceId: string | Date): T;
+
+export declare function isValidTimeZone(timeZone: string): boolean;
+/** YYYY-MM-DD of an instant in a time zone (default UTC) */
+export declare function localDate(timestamp: string | Date | number, timeZone?: string): string;
+/** First and last instant of a day in a time zone; `to` is inclusive */
+export declare function dayBounds(date: string, timeZone?: string): { from: string, to: string };
+export declare function formatZonedTimestamp(timestamp: string | Date | number, timeZone: string): string;
+/** Reads a timestamp without an offset as local time in the zone */
+export declare function toZonedTimestamp(timestamp: string, timeZone: string): string;
+export declare function getEventDate(event: { timestamp: string, timezone?: string }): string;
+export declare function validateEventTimeZone(event: any): SchemaValidationError[];
+
+export interface DedupThresholds {
+  /** Seconds between starts, for events without overlapping durations */
+  maxTimeGap: number
+  /** Share of the shorter event the other one covers (0-1) */
+  minOverlap: number
+  minTitleSimilarity: number
+  /** Meters between coordinates */
+  maxDistance: number
+  minScore: number
+  weights: { time: number, title: number, location: number }
+}
+
+export interface DedupOptions {
+  /** Per-call thresholds by event category */
+  thresholds?: Record<string, Partial<DedupThresholds>>
+  /** Also compare events from the same source (default false) */
+  sameSource?: boolean
+  /** Sources in order of preference for the canonical copy */
+  prefer?: string[]
+}
+
+export interface DedupComparison {
+  duplicate: boolean
+  score: number
+  time: { score: number, passed: boolean } | null
+  title: { score: number, passed: boolean } | null
+  location: { score: number, passed: boolean, distance?: number } | null
+}
+
+export interface DedupMerge {
+  canonical: string
+  absorbed: string[]
+}
+
+export declare function setDedupThresholds(category: string, thresholds: Partial<DedupThresholds>): void;
+export declare function getDedupThresholds(type: string, overrides?: DedupOptions['thresholds']): DedupThresholds;
+export declare function titleSimilarity(a: string, b: string): number;
+/** Great-circle distance in meters */
+export declare function distanceBetween(a: { lat: number, lng: number }, b: { lat: number, lng: number }): number;
+export declare function compareEvents(a: LifeOSEventData, b: LifeOSEventData, options?: DedupOptions): DedupComparison;
+export declare function findDuplicates<T extends LifeOSEventData>(events: Iterable<T>, options?: DedupOptions): Array<{ events: T[], score: number }>;
+export declare function mergeEvents<T extends LifeOSEventData>(group: T[], options?: DedupOptions): T;
+export declare function rewriteLinks<T extends LifeOSEventData>(event: T, redirects: Record<string, string>, ids?: Record<string, string>): T;
+export declare const SENSITIVITY_LEVELS: Sensitivity[];
+/** Set a default for a registered type, or for a whole category with 'category.*' */
+export declare function setEventTypeSensitivity(eventType: string, level: Sensitivity): void;
+export declare function getEventTypeSensitivity(eventType: string): Sensitivity;
+
+export interface RedactionProfile {
+  /** Most sensitive events that are shared at all */
+  include: Sensitivity
+  /** Most sensitive fields that are kept */
+  fields: Sensitivity
+  /** Dotted paths that are always left out */
+  drop: string[]
+  /** Unit to round times down to */
+  timestamps: 'day' | 'hour' | 'minute' | null
+  /** Decimal places to round coordinates to; rounded private coordinates are kept */
+  coordinates: number | null
+  hashEmails: boolean
+}
+
+export declare const REDACTED_URI_PREFIX: string;
+export declare function getEventSensitivity(event: LifeOSEventData): Sensitivity;
+export declare function getFieldSensitivity(event: LifeOSEventData, path: string): Sensitivity;
+export declare function classifyEvent(event: LifeOSEventData): { level: Sensitivity, fields: Record<string, Sensitivity> };
+export declare function registerRedactionProfile(name: string, profile: Partial<RedactionProfile>, options?: { extends?: string }): RedactionProfile;
+export declare function getRedactionProfile(name: string): RedactionProfile;
+export declare function isRedactedURI(uri: string): boolean;
+export declare function redactEvents<T extends LifeOSEventData>(events: Iterable<T>, profile?: string | (Partial<RedactionProfile> & { extends?: string }), options?: { salt?: string }): { events: T[], omitted: number };
+
+export declare function deduplicateEvents<T extends LifeOSEventData>(events: Iterable<T>, options?: DedupOptions): { events: T[], merges: DedupMerge[], redirects: Record<string, string> };
+
+export declare class PluginHost {
+  constructor(options?: PluginHostOptions);
+  readonly resolver: LifeURIResolver | null;
+  readonly store: LifeEventStore;
+  register(plugin: LifeOSPlugin, settings?: Partial<PluginSettings>): PluginSettings;
+  unregister(id: string): boolean;
+  getPlugin(id: string): LifeOSPlugin | null;
+  listPlugins(): PluginInfo[];
+  getPluginsWithCapability(type: string): LifeOSPlugin[];
+  getSettings(id: string): PluginSettings;
+  updateSettings(id: string, changes: Partial<PluginSettings>): PluginSettings;
+  sync(id: string, options?: { direction?: 'import' | 'export' | 'both' }): Promise<SyncResult>;
+  syncAll(): Promise<Record<string, SyncResult>>;
+  getSyncHistory(id: string): SyncResult[];
+  stop(): void;
+}
+
+export declare class LifeOSError extends Error {
+  constructor(message: string, options?: { code?: string, cause?: unknown });
+  code: string;
+}
+export declare class InvalidURIError extends LifeOSError {}
+export declare class EventNotFoundError extends LifeOSError {
+  constructor(uri: string);
+  uri: string;
+}
+export declare class ResolverNotFoundError extends LifeOSError {
+  constructor(source: string);
+  source: string;
+}
+export declare class InvalidEventError extends LifeOSError {
+  constructor(message: string, errors?: SchemaValidationError[]);
+  errors: SchemaValidationError[];
+}
+export declare class ResolverTimeoutError extends LifeOSError {
+  constructor(uri: string, timeout: number);
+  uri: string;
+  timeout: number;
+}
+export declare class ResolutionAbortedError extends LifeOSError {
+  constructor(uri: string, reason?: unknown);
+  uri: string;
+}
+export declare class ResolutionError extends LifeOSError {
+  constructor(uri: string, cause: Error);
+  uri: string;
+}
+export declare class IntegrityError extends LifeOSError {
+  constructor(message: string, options?: { uri?: string, cause?: unknown });
+  uri: string | null;
+}
+export declare class SignatureError extends LifeOSError {
+  constructor(uri: string, verification: SignatureVerification);
+  uri: string;
+  status: SignatureStatus;
+  keyId: string | null;
+}
+export declare class UnsupportedVersionError extends LifeOSError {
+  constructor(version: string, known?: string[]);
+  version: string;
+}
+export declare class InvalidPassphraseError extends LifeOSError {
+  constructor(directory: string);
+  directory: string;
+}
+
+export type QueryComparison = '=' | '!=' | '<' | '<=' | '>' | '>='
+
+/**
+ * A parsed life:// pattern (see parseURIPattern)
+ */
+export interface URIPattern {
+  full: string
+  /** Inclusive YYYY-MM-DD bounds; null when open */
+  date: { from: string | null, to: string | null }
+  source: string
+  type: string
+  /** As written, still percent-encoded */
+  slug: string
+  query: Array<{ field: string, operator: QueryComparison, value: any }>
+  matchers: {
+    date: RegExp | null
+    source: RegExp
+    type: RegExp
+    slug: RegExp
+  }
+}
+
+export declare function parseURIPattern(pattern: string): URIPattern;
+export declare function isURIPattern(uri: string): boolean;
+export declare function matchURI(pattern: string | URIPattern, uri: string): boolean;
+export declare function matchEvent(pattern: string | URIPattern, event: any): boolean;
+
+export interface LifeEventResolverFunction {
+  (parsed: URIComponents, context?: { signal?: AbortSignal }): Promise<any>;
+  /** Events whose URIs fall inside a pattern; enables resolveCollection */
+  list?(pattern: URIPattern): Promise<any[]>;
+}
+
+export interface FileSystemResolver extends LifeEventResolverFunction {
+  write(event: any, uri?: string): Promise<string>;
+  remove(uri: string): Promise<boolean>;
+}
+
+export declare class BuiltInResolvers {
+  static fileSystemResolver(basePath?: string): FileSystemResolver;
+  static remoteResolver(baseUrl: string, options?: { token?: string, fetch?: typeof fetch }): LifeEventResolverFunction;
+  static memoryResolver(events?: Map<string, any>): LifeEventResolverFunction;
 }
 
 export declare function getAllEventTypesList(): string[];
 export declare function isValidEventType(type: string): boolean;
 
+/**
+ * Metadata field definition: a JSON Schema fragment plus `required` and `unit`
+ */
+export interface MetadataFieldDefinition {
+  type?: string | string[]
+  required?: boolean
+  unit?: string
+  description?: string
+  [keyword: string]: any
+}
+
+/**
+ * Event type registry entry
+ */
+export interface EventTypeInfo {
+  type: string
+  category: string
+  action: string
+  description: string
+  standard: boolean
+  metadata?: Record<string, MetadataFieldDefinition>
+  deprecated?: { replacedBy: string | null, message: string }
+  aliasOf?: string
+  vendor?: VendorPrefix
+}
+
+/**
+ * Reserved vendor namespace (e.g. x-myapp)
+ */
+export interface VendorPrefix {
+  prefix: string
+  owner: string | null
+  description: string
+}
+
+/**
+ * Event type pack, loadable from JSON
+ */
+export interface EventTypePack {
+  vendor?: { prefix: string, owner?: string, description?: string }
+  vendors?: Array<{ prefix: string, owner?: string, description?: string }>
+  categories?: Record<string, Record<string, string | { description: string, metadata?: Record<string, MetadataFieldDefinition> }>>
+  aliases?: Record<string, string>
+  deprecations?: Record<string, { replacedBy?: string, message?: string }>
+  override?: boolean
+}
+
+export declare function getEventTypeInfo(type: string): EventTypeInfo | null;
+export declare function registerEventType(type: string, description: string, options?: { override?: boolean, metadata?: Record<string, MetadataFieldDefinition> }): EventTypeInfo;
+export declare function registerEventCategory(category: string, actions: Record<string, string>, options?: { override?: boolean }): string[];
+export declare function setEventTypeMetadata(type: string, fields: Record<string, MetadataFieldDefinition>): void;
+export declare function getMetadataSchema(type: string): Record<string, any> | null;
+export declare function validateEventMetadata(event: any): SchemaValidationError[];
+export declare function reserveVendorPrefix(prefix: string, options?: { owner?: string, description?: string }): VendorPrefix;
+export declare function deprecateEventType(type: string, options?: { replacedBy?: string, message?: string }): void;
+export declare function aliasEventType(alias: string, target: string): void;
+export declare function resolveEventType(type: string): string;
+export declare function loadEventTypePack(pack: EventTypePack | string): string[];
+
 export declare const uriResolver: LifeURIResolver;
+export declare const pluginHost: PluginHost;
+
+export declare function validateAgainstSchema(value: any, schema: Record<string, any>, basePath?: string): SchemaValidationError[];
+export declare function validateLifeEventSchema(event: any): SchemaValidationError[];
+export declare function formatSchemaError(error: SchemaValidationError): string;
+export declare function setLifeEventSchema(schema: Record<string, any>): void;
+
+export type QueryOperator = '=' | '!=' | '<' | '<=' | '>' | '>=' | 'in' | 'contains' | 'exists'
+
+/**
+ * Paginated query result
+ */
+export interface QueryPage<T = LifeOSEvent> {
+  items: T[]
+  total: number
+  offset: number
+  limit: number | null
+  hasMore: boolean
+}
+
+export declare class LifeEventStore {
+  constructor(events?: Iterable<any>);
+  readonly size: number;
+  add(event: any): string;
+  addAll(events: Iterable<any>): string[];
+  get(uri: string): any | null;
+  has(uri: string): boolean;
+  remove(uri: string): boolean;
+  clear(): void;
+  all(): any[];
+  deduplicate(options?: DedupOptions): { merges: DedupMerge[], redirects: Record<string, string> };
+  query(): LifeEventQuery;
+  match(pattern: string | URIPattern): any[];
+  resolver(): LifeEventResolverFunction;
+  [Symbol.iterator](): Iterator<any>;
+}
+
+export declare class LifeEventQuery {
+  type(types: string | string[]): this;
+  category(category: string): this;
+  source(sources: string | string[]): this;
+  tag(tags: string | string[]): this;
+  anyTag(tags: string[]): this;
+  after(from: string | Date): this;
+  before(to: string | Date): this;
+  between(from: string | Date, to: string | Date): this;
+  /** Each event's local day, or the given zone's day */
+  on(date: string, timeZone?: string): this;
+  where(field: string, operator: QueryOperator, value?: any): this;
+  filter(predicate: (event: any) => boolean): this;
+  sortBy(field: string, direction?: 'asc' | 'desc'): this;
+  limit(count: number): this;
+  offset(count: number): this;
+  page(page: number, pageSize: number): this;
+  run(): any[];
+  paginate(): QueryPage<any>;
+  count(): number;
+  first(): any | null;
+}
+
+/**
+ * Event log statistics
+ */
+export interface EventLogStats {
+  events: number
+  entries: number
+  logSize: number
+  /** Share of log entries superseded by later updates or deletions */
+  garbage: number
+}
+
+export declare class LifeEventLog {
+  static open(directory: string, options?: { checkpointEvery?: number }): Promise<LifeEventLog>;
+  readonly count: number;
+  put(event: any): Promise<any>;
+  update(uri: string, changes: Record<string, any>): Promise<any>;
+  delete(uri: string): Promise<boolean>;
+  get(uri: string): Promise<any | null>;
+  has(uri: string): boolean;
+  find(filters?: { from?: string, to?: string, type?: string | string[] }): Promise<any[]>;
+  compact(): Promise<{ before: number, after: number }>;
+  checkpoint(): Promise<void>;
+  stats(): EventLogStats;
+  resolver(): LifeEventResolverFunction;
+  close(): Promise<void>;
+}
+
+/**
+ * scrypt cost parameters for deriving a vault's wrapping key
+ */
+export interface VaultKdfOptions {
+  N?: number
+  r?: number
+  p?: number
+}
+
+export interface VaultVerifyResult {
+  ok: boolean
+  checked: number
+  errors: IntegrityError[]
+}
+
+export declare class LifeEventVault {
+  static open(directory: string, passphrase: string, options?: { kdf?: VaultKdfOptions }): Promise<LifeEventVault>;
+  readonly count: number;
+  put(event: any): Promise<any>;
+  putAll(events: Iterable<any>): Promise<any[]>;
+  update(uri: string, changes: Record<string, any>): Promise<any>;
+  delete(uri: string): Promise<boolean>;
+  get(uri: string): Promise<any | null>;
+  has(uri: string): boolean;
+  find(filters?: { from?: string, to?: string, type?: string | string[] }): Promise<any[]>;
+  verify(): Promise<VaultVerifyResult>;
+  changePassphrase(passphrase: string, options?: { kdf?: VaultKdfOptions }): Promise<void>;
+  rotateKey(passphrase: string): Promise<{ records: number }>;
+  resolver(): LifeEventResolverFunction;
+  close(): Promise<void>;
+}
+
+export type GraphEdgeKind = 'link' | 'parent'
+
+/**
+ * An event reached through a graph edge
+ */
+export interface GraphNeighbor {
+  uri: string
+  kind: GraphEdgeKind
+  /** Relation type of a typed link, null otherwise */
+  rel: string | null
+  /** null when the link points at an event missing from the graph */
+  event: any | null
+}
+
+export interface GraphBacklink extends GraphNeighbor {
+  /** The relation as read from the target (its registered inverse), null if none */
+  inverse: string | null
+}
+
+export interface GraphEdge {
+  from: string
+  to: string
+  kind: GraphEdgeKind
+  rel: string | null
+}
+
+export declare class LifeGraph {
+  constructor(events?: Iterable<any>);
+  static fromEvents(events: Iterable<any>): LifeGraph;
+  readonly size: number;
+  addEvent(event: any): string;
+  getEvent(uri: string): any | null;
+  hasEvent(uri: string): boolean;
+  outgoing(uri: string, options?: { rel?: string }): GraphNeighbor[];
+  backlinks(uri: string, options?: { rel?: string }): GraphBacklink[];
+  parent(uri: string): any | null;
+  children(uri: string): any[];
+  neighborhood(uri: string, options?: { depth?: number, direction?: 'out' | 'in' | 'both' }): {
+    nodes: Array<{ uri: string, depth: number, event: any | null }>
+    edges: GraphEdge[]
+  };
+  shortestPath(fromURI: string, toURI: string, options?: { directed?: boolean }): string[] | null;
+  findCycles(): string[][];
+  danglingLinks(): GraphEdge[];
+  toDOT(options?: { name?: string }): string;
+  toGraphML(): string;
+}
@@ -4,87 +4,280 @@
  * This file exports all the functions and classes needed by LifeOS applications.
  */
 
-import { LifeURIResolver } from './uriResolver.js';
-import { getAllEventTypesList, isValidEventType } from './eventTypes.js';
+import { LifeURIResolver, BuiltInResolvers } from './uriResolver.js';
+import { parseURIPattern, isURIPattern, matchURI, matchEvent } from './uriPattern.js';
+import { LifeURI, normalizeLifeURI, lifeURIsEqual } from './lifeURI.js';
+import { generateEventId, IdentityRegistry } from './identity.js';
+import {
+  LifeOSError,
+  InvalidURIError,
+  EventNotFoundError,
+  ResolverNotFoundError,
+  InvalidEventError,
+  ResolverTimeoutError,
+  ResolutionAbortedError,
+  ResolutionError,
+  IntegrityError,
+  InvalidPassphraseError,
+  SignatureError,
+  UnsupportedVersionError
+} from './errors.js';
+import {
+  getAllEventTypesList,
+  isValidEventType,
+  getEventTypeInfo,
+  registerEventType,
+  registerEventCategory,
+  reserveVendorPrefix,
+  deprecateEventType,
+  aliasEventType,
+  resolveEventType,
+  loadEventTypePack,
+  getMetadataSchema,
+  setEventTypeMetadata,
+  validateEventMetadata,
+  SENSITIVITY_LEVELS,
+  setEventTypeSensitivity,
+  getEventTypeSensitivity
+} from './eventTypes.js';
+import { validateLifeEventSchema, validateAgainstSchema, formatSchemaError, setLifeEventSchema } from './schemaValidator.js';
+import {
+  PROTOCOL_VERSION,
+  generateEventURI,
+  getEventDate,
+  normalizeLifeEvent,
+  getLinkURI,
+  getLinkRelation,
+  createLink
+} from './eventModel.js';
+import {
+  registerRelationType,
+  isValidRelationType,
+  getRelationTypeInfo,
+  getAllRelationTypesList
+} from './relationTypes.js';
+import { LifeEventStore, LifeEventQuery } from './eventStore.js';
+import { LifeEventLog } from './eventLog.js';
+import { LifeEventVault } from './eventVault.js';
+import { LifeGraph } from './lifeGraph.js';
+import { LifeResolverServer, createResolverServer } from './resolverServer.js';
+import { PluginHost } from './pluginHost.js';
+import { parseICS, toICS, parseICSDuration, formatICSDuration } from './icalendar.js';
+import {
+  parseRRule,
+  isRecurring,
+  expandRecurrence,
+  expandEvents,
+  getOccurrence,
+  occurrenceURI,
+  overrideOccurrence,
+  cancelOccurrence
+} from './recurrence.js';
+import {
+  setDedupThresholds,
+  getDedupThresholds,
+  titleSimilarity,
+  distanceBetween,
+  compareEvents,
+  findDuplicates,
+  mergeEvents,
+  rewriteLinks,
+  deduplicateEvents
+} from './dedup.js';
+import {
+  getEventSensitivity,
+  getFieldSensitivity,
+  classifyEvent,
+  registerRedactionProfile,
+  getRedactionProfile,
+  isRedactedURI,
+  REDACTED_URI_PREFIX,
+  redactEvents
+} from './privacy.js';
+import {
+  SIGNATURE_ALGORITHM,
+  UNSIGNED_FIELDS,
+  canonicalJSON,
+  eventDigest,
+  keyIdOf,
+  generateSigningKeys,
+  signEvent,
+  KeyRing,
+  verifyEvent,
+  verifyProvenance,
+  preserveSignature
+} from './signing.js';
+import {
+  BASE_VERSION,
+  compareVersions,
+  registerMigration,
+  getMigrations,
+  getKnownVersions,
+  latestVersion,
+  isKnownVersion,
+  detectEventVersion,
+  needsUpgrade,
+  migrateEvent,
+  upgradeEvent,
+  downgradeEvent
+} from './migrations.js';
+import {
+  PARENT_SEGMENT,
+  parentURI,
+  setParent,
+  buildEventTree,
+  checkTimeSpans,
+  computeRollup,
+  rollupEvent,
+  rollupEvents
+} from './hierarchy.js';
+import {
+  isValidTimeZone,
+  localDate,
+  dayBounds,
+  formatZonedTimestamp,
+  toZonedTimestamp,
+  validateEventTimeZone
+} from './timeZone.js';
 
 // Create a singleton instance
 const uriResolver = new LifeURIResolver();
 
+// Plugins registered here make their sources resolvable through uriResolver
+const pluginHost = new PluginHost({ resolver: uriResolver });
+
 /**
  * Create a LifeOS Event with proper URI generation
+ *
+ * Accepts the canonical fields as well as the legacy ones
+ * (duration_minutes, location as a string, related_events),
+ * and always returns an event in the canonical model.
+ * `options.precision` ('day', 'minute' or 'second') sets the URI's time precision.
+ * With a `timezone`, a timestamp without an offset is read as local time there,
+ * and the URI's day is the local day.
+ * Without a `sensitivity`, the event gets its type's default from the registry.
+ * Pass an IdentityRegistry as `options.registry` to keep URIs collision-free
+ * and fixed per ID across the events it issues; without one, the URI is
+ * derived from this event alone, and stores add a slug suffix to it if a
+ * different event already holds it.
  */
-export function createLifeOSEvent(eventData) {
+export function createLifeOSEvent(eventData, options = {}) {
   const {
     title,
     type,
     source = 'manual',
-    timestamp = new Date().toISOString(),
+    timestamp: givenTimestamp = new Date().toISOString(),
     tags = [],
     mood,
     metadata = {},
-    duration_minutes,
+    duration,
     location,
     energy_level,
     parent_event_id,
-    related_events = []
-  } = eventData;
+    linked_uris = [],
+    source_id,
+    recurrence,
+    timezone,
+    sensitivity = getEventTypeSensitivity(type),
+    field_sensitivity
+  } = normalizeLifeEvent(eventData);
+  const { registry } = options;
+  const timestamp = timezone ? toZonedTimestamp(givenTimestamp, timezone) : givenTimestamp;
 
-  // Generate a unique event ID
-  const eventId = `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // Content-derived ID, so re-importing the same data yields the same event
+  const eventId = eventData.id || generateEventId({ source, source_id, type, timestamp, title });
   
-  // Generate URI
-  const date = new Date(timestamp).toISOString().split('T')[0];
-  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-  const uri = `life://${date}/${source}/${type}/${slug}`;
+  // A registry issues a URI once per ID; later events with the same slug get a suffix
+  const preferredURI = eventData.uri || generateLifeOSURI({ id: eventId, timestamp, timezone, source, type, title }, options);
+  let uri = normalizeLifeURI(preferredURI);
+  if (registry) {
+    uri = eventData.uri ? registry.claim(eventId, eventData.uri) : registry.assign(eventId, preferredURI);
+  }
 
   return {
     id: eventId,
     uri,
-    protocol_version: '1.0',
+    protocol_version: PROTOCOL_VERSION,
     source,
+    source_id,
     type,
     title,
     metadata,
     tags,
     mood,
     timestamp,
-    duration_minutes,
+    timezone,
+    duration,
     location,
     energy_level,
     parent_event_id,
-    related_events,
+    linked_uris,
+    recurrence,
+    sensitivity,
+    field_sensitivity,
     user_id: eventData.user_id
   };
 }
 
+/**
+ * Normalize a LifeOS Event in the legacy or canonical shape to the canonical model
+ */
+export function normalizeLifeOSEvent(event, options) {
+  return normalizeLifeEvent(event, options);
+}
+
 /**
  * Validate a LifeOS Event against the schema
+ * Events in an older protocol version are checked as they upgrade.
  */
-export function validateLifeOSEvent(event) {
-  const errors = [];
+export function validateLifeOSEvent(input) {
+  const version = detectEventVersion(input);
+  if (!isKnownVersion(version)) {
+    return {
+      isValid: false,
+      errors: [`/protocol_version: Unsupported protocol version: ${version}. Known versions: ${getKnownVersions().join(', ')}`]
+    };
+  }
+  const event = upgradeEvent(input);
+
+  // Schema checks (required fields, formats, ranges) with JSON-pointer paths
+  const errors = validateLifeEventSchema(event).map(formatSchemaError);
   
-  // Required fields
-  if (!event.title) errors.push('Title is required');
-  if (!event.type) errors.push('Type is required');
-  if (!event.source) errors.push('Source is required');
-  if (!event.timestamp) errors.push('Timestamp is required');
-  if (!event.uri) errors.push('URI is required');
+  if (!event.uri) errors.push('/uri: is required');
   
-  // Validate event type
-  if (event.type && !isValidEventType(event.type)) {
-    errors.push(`Invalid event type: ${event.type}`);
+  // Validate event type and its metadata
+  if (typeof event.type === 'string' && !isValidEventType(event.type)) {
+    errors.push(`/type: Invalid event type: ${event.type}`);
   }
+  errors.push(...validateEventMetadata(event).map(formatSchemaError));
   
-  // Validate URI format
-  try {
-    uriResolver.parseURI(event.uri);
-  } catch (error) {
-    errors.push(`Invalid URI format: ${error.message}`);
-  }
+  // Validate relation types on typed links
+  (Array.isArray(event.linked_uris) ? event.linked_uris : []).forEach((link, index) => {
+    const relation = getLinkRelation(link);
+    if (relation && !isValidRelationType(relation)) {
+      errors.push(`/linked_uris/${index}/rel: Invalid relation type: ${relation}`);
+    }
+  });
   
-  // Validate mood range (1-10)
-  if (event.mood && (event.mood < 1 || event.mood > 10)) {
-    errors.push('Mood must be between 1 and 10');
+  // The schema only checks that a rule is present; parse it for real
+  if (typeof event.recurrence?.rrule === 'string') {
+    try {
+      parseRRule(event.recurrence.rrule);
+    } catch (error) {
+      errors.push(`/recurrence/rrule: ${error.message}`);
+    }
+  }
+
+  // Offsets must agree with the event's time zone
+  errors.push(...validateEventTimeZone(event).map(formatSchemaError));
+
+  // Validate URI format
+  if (event.uri) {
+    try {
+      uriResolver.parseURI(event.uri);
+    } catch (error) {
+      errors.push(`/uri: Invalid URI format: ${error.message}`);
+    }
   }
   
   return {
@@ -95,11 +288,10 @@ export function validateLifeOSEvent(event) {
 
 /**
  * Generate a LifeOS URI from event data
+ * Pass `{ precision: 'minute' }` or `{ precision: 'second' }` to include the UTC time.
  */
-export function generateLifeOSURI(event) {
-  const date = new Date(event.timestamp).toISOString().split('T')[0];
-  const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-  return `life://${date}/${event.source}/${event.type}/${slug}`;
+export function generateLifeOSURI(event, options) {
+  return generateEventURI(event, options);
 }
 
 /**
@@ -111,8 +303,17 @@ export function parseLifeOSURI(uri) {
 
 /**
  * Link multiple events together
+ *
+ * Pass `{ rel }` to type the links (e.g. `{ rel: 'about' }`); without it
+ * links are plain URI strings as before.
  */
-export function linkEvents(primaryEvent, relatedEvents) {
+export function linkEvents(primaryEvent, relatedEvents, options = {}) {
+  const { rel } = options;
+
+  if (rel !== undefined && !isValidRelationType(rel)) {
+    throw new Error(`Invalid relation type: ${rel}`);
+  }
+
   if (!Array.isArray(relatedEvents)) {
     relatedEvents = [relatedEvents];
   }
@@ -122,22 +323,154 @@ export function linkEvents(primaryEvent, relatedEvents) {
     event && event.id && event.uri
   );
   
-  // Update the primary event
+  // Update the primary event, keeping any links it already had
+  const canonicalPrimary = normalizeLifeEvent(primaryEvent);
+  const links = [...(canonicalPrimary.linked_uris || [])];
+  const linkSignature = link => `${getLinkURI(link)} ${getLinkRelation(link) || ''}`;
+  const existing = new Set(links.map(linkSignature));
+
+  for (const event of validRelatedEvents) {
+    const link = createLink(event.uri, rel);
+    if (!existing.has(linkSignature(link))) {
+      existing.add(linkSignature(link));
+      links.push(link);
+    }
+  }
+
   const updatedPrimaryEvent = {
-    ...primaryEvent,
-    related_events: validRelatedEvents.map(event => event.id)
+    ...canonicalPrimary,
+    linked_uris: links
   };
   
-  // Update related events to point back to primary
-  const updatedRelatedEvents = validRelatedEvents.map(event => ({
-    ...event,
-    parent_event_id: primaryEvent.id
-  }));
-  
   return updatedPrimaryEvent;
 }
 
 // Export all classes and functions
-export { LifeURIResolver };
+export { LifeURIResolver, BuiltInResolvers };
+export { LifeURI, normalizeLifeURI, lifeURIsEqual };
+export {
+  LifeOSError,
+  InvalidURIError,
+  EventNotFoundError,
+  ResolverNotFoundError,
+  InvalidEventError,
+  ResolverTimeoutError,
+  ResolutionAbortedError,
+  ResolutionError,
+  IntegrityError,
+  InvalidPassphraseError,
+  SignatureError,
+  UnsupportedVersionError
+};
+export { LifeEventStore, LifeEventQuery };
+export { parseURIPattern, isURIPattern, matchURI, matchEvent };
+export { LifeEventLog };
+export { LifeEventVault };
+export { LifeGraph };
+export { LifeResolverServer, createResolverServer };
+export { pluginHost, PluginHost };
+export { parseICS, toICS, parseICSDuration, formatICSDuration };
+export {
+  parseRRule,
+  isRecurring,
+  expandRecurrence,
+  expandEvents,
+  getOccurrence,
+  occurrenceURI,
+  overrideOccurrence,
+  cancelOccurrence
+};
 export { getAllEventTypesList, isValidEventType };
+export {
+  getEventTypeInfo,
+  registerEventType,
+  registerEventCategory,
+  reserveVendorPrefix,
+  deprecateEventType,
+  aliasEventType,
+  resolveEventType,
+  loadEventTypePack,
+  getMetadataSchema,
+  setEventTypeMetadata,
+  validateEventMetadata,
+  SENSITIVITY_LEVELS,
+  setEventTypeSensitivity,
+  getEventTypeSensitivity
+};
+export {
+  getEventSensitivity,
+  getFieldSensitivity,
+  classifyEvent,
+  registerRedactionProfile,
+  getRedactionProfile,
+  isRedactedURI,
+  REDACTED_URI_PREFIX,
+  redactEvents
+};
+export {
+  SIGNATURE_ALGORITHM,
+  UNSIGNED_FIELDS,
+  canonicalJSON,
+  eventDigest,
+  keyIdOf,
+  generateSigningKeys,
+  signEvent,
+  KeyRing,
+  verifyEvent,
+  verifyProvenance,
+  preserveSignature
+};
+export {
+  BASE_VERSION,
+  compareVersions,
+  registerMigration,
+  getMigrations,
+  getKnownVersions,
+  latestVersion,
+  isKnownVersion,
+  detectEventVersion,
+  needsUpgrade,
+  migrateEvent,
+  upgradeEvent,
+  downgradeEvent
+};
 export { uriResolver };
+export { IdentityRegistry, generateEventId };
+export { validateLifeEventSchema, validateAgainstSchema, formatSchemaError, setLifeEventSchema };
+export { PROTOCOL_VERSION, getEventDate };
+export {
+  setDedupThresholds,
+  getDedupThresholds,
+  titleSimilarity,
+  distanceBetween,
+  compareEvents,
+  findDuplicates,
+  mergeEvents,
+  rewriteLinks,
+  deduplicateEvents
+};
+export {
+  PARENT_SEGMENT,
+  parentURI,
+  setParent,
+  buildEventTree,
+  checkTimeSpans,
+  computeRollup,
+  rollupEvent,
+  rollupEvents
+};
+export {
+  isValidTimeZone,
+  localDate,
+  dayBounds,
+  formatZonedTimestamp,
+  toZonedTimestamp,
+  validateEventTimeZone
+};
+export { getLinkURI, getLinkRelation, createLink };
+export {
+  registerRelationType,
+  isValidRelationType,
+  getRelationTypeInfo,
+  getAllRelationTypesList
+};
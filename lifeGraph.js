@@ -0,0 +1,464 @@
+/**
+ * LifeOS Protocol Life Graph
+ *
+ * Builds a graph from a set of LifeEvents. Nodes are events keyed by their
+ * life:// URI; edges come from `linked_uris` ("link") and from
+ * `parent_event_id` ("parent", pointing from a child to its parent).
+ * Typed links (`{ uri, rel }`) keep their relation type on the edge as `rel`.
+ *
+ * Usage:
+ *   const graph = new LifeGraph(events);
+ *   graph.backlinks('life://2025-07-09/spotify/music.play/pink+white');
+ *   graph.shortestPath(journalURI, workoutURI);
+ *   graph.toDOT();
+ */
+
+import { LifeURIResolver } from './uriResolver.js';
+import { generateEventURI, eventKey, getLinkURI, getLinkRelation } from './eventModel.js';
+import { getRelationTypeInfo } from './relationTypes.js';
+
+const uriParser = new LifeURIResolver();
+
+function keyOf(uri) {
+  try {
+    return eventKey(uriParser.parseURI(uri));
+  } catch (error) {
+    // Unparseable links still show up as dangling edges
+    return uri;
+  }
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeDOT(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+class LifeGraph {
+  /**
+   * @param {Iterable<Object>} [events] - Events to add to the graph
+   */
+  constructor(events = []) {
+    this.nodes = new Map();      // key -> { uri, event }
+    this.ids = new Map();        // event id -> key
+    this.outgoingEdges = new Map(); // key -> Array<edge>
+    this.incomingEdges = new Map(); // key -> Array<edge>
+    this.pendingParents = [];    // children whose parent wasn't added yet
+
+    for (const event of events) {
+      this.addEvent(event);
+    }
+  }
+
+  /**
+   * Build a graph from events
+   * @param {Iterable<Object>} events - LifeEvents
+   * @returns {LifeGraph} The graph
+   */
+  static fromEvents(events) {
+    return new LifeGraph(events);
+  }
+
+  /**
+   * Add an event and its outgoing edges
+   * @param {Object} event - The LifeEvent
+   * @returns {string} The event's URI
+   */
+  addEvent(event) {
+    const uri = event.uri || generateEventURI(event);
+    const key = keyOf(uri);
+
+    if (this.nodes.has(key)) {
+      this.removeOutgoing(key);
+    }
+
+    this.nodes.set(key, { uri, event });
+    if (event.id) this.ids.set(event.id, key);
+
+    for (const link of Array.isArray(event.linked_uris) ? event.linked_uris : []) {
+      const linked = getLinkURI(link);
+      if (typeof linked === 'string') {
+        this.addEdge({ from: key, to: keyOf(linked), toURI: linked, kind: 'link', rel: getLinkRelation(link) });
+      }
+    }
+
+    if (event.parent_event_id) {
+      this.pendingParents.push({ key, parentId: event.parent_event_id });
+    }
+    this.connectParents();
+
+    return uri;
+  }
+
+  connectParents() {
+    this.pendingParents = this.pendingParents.filter(({ key, parentId }) => {
+      const parentKey = this.ids.get(parentId);
+      if (!parentKey || !this.nodes.has(key)) return true;
+
+      this.addEdge({ from: key, to: parentKey, toURI: this.nodes.get(parentKey).uri, kind: 'parent', rel: null });
+      return false;
+    });
+  }
+
+  addEdge(edge) {
+    if (!this.outgoingEdges.has(edge.from)) this.outgoingEdges.set(edge.from, []);
+    if (!this.incomingEdges.has(edge.to)) this.incomingEdges.set(edge.to, []);
+    this.outgoingEdges.get(edge.from).push(edge);
+    this.incomingEdges.get(edge.to).push(edge);
+  }
+
+  removeOutgoing(key) {
+    for (const edge of this.outgoingEdges.get(key) || []) {
+      const incoming = this.incomingEdges.get(edge.to).filter(other => other !== edge);
+      if (incoming.length > 0) {
+        this.incomingEdges.set(edge.to, incoming);
+      } else {
+        this.incomingEdges.delete(edge.to);
+      }
+    }
+    this.outgoingEdges.delete(key);
+    this.pendingParents = this.pendingParents.filter(pending => pending.key !== key);
+  }
+
+  uriOf(key, fallback) {
+    // Missing events are known only by the URI their linkers used
+    return this.nodes.get(key)?.uri || fallback || this.incomingEdges.get(key)?.[0]?.toURI || key;
+  }
+
+  describe(edge, direction) {
+    const key = direction === 'out' ? edge.to : edge.from;
+    return {
+      uri: direction === 'out' ? this.uriOf(edge.to, edge.toURI) : this.uriOf(edge.from),
+      kind: edge.kind,
+      rel: edge.rel,
+      event: this.nodes.get(key)?.event || null
+    };
+  }
+
+  /**
+   * Number of events in the graph
+   * @returns {number}
+   */
+  get size() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Get an event by URI
+   * @param {string} uri - The life:// URI
+   * @returns {Object|null} The event
+   */
+  getEvent(uri) {
+    return this.nodes.get(keyOf(uri))?.event || null;
+  }
+
+  /**
+   * Check if an event is in the graph
+   * @param {string} uri - The life:// URI
+   * @returns {boolean}
+   */
+  hasEvent(uri) {
+    return this.nodes.has(keyOf(uri));
+  }
+
+  /**
+   * Edges leaving an event
+   * @param {string} uri - The life:// URI
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.rel] - Only links with this relation type
+   * @returns {Array<Object>} { uri, kind, rel, event } for each target
+   */
+  outgoing(uri, options = {}) {
+    return (this.outgoingEdges.get(keyOf(uri)) || [])
+      .filter(edge => options.rel === undefined || edge.rel === options.rel)
+      .map(edge => this.describe(edge, 'out'));
+  }
+
+  /**
+   * Events that link to a URI ("what links here")
+   * Works for any life:// URI, even one that isn't in the graph.
+   * `inverse` is the relation as read from the target (e.g. 'inspired' for
+   * an 'inspired_by' link), when its type registered one.
+   * @param {string} uri - The life:// URI
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.rel] - Only links with this relation type
+   * @returns {Array<Object>} { uri, kind, rel, inverse, event } for each source
+   */
+  backlinks(uri, options = {}) {
+    return (this.incomingEdges.get(keyOf(uri)) || [])
+      .filter(edge => options.rel === undefined || edge.rel === options.rel)
+      .map(edge => ({
+        ...this.describe(edge, 'in'),
+        inverse: edge.rel ? getRelationTypeInfo(edge.rel)?.inverse || null : null
+      }));
+  }
+
+  /**
+   * Parent of an event (via parent_event_id)
+   * @param {string} uri - The life:// URI
+   * @returns {Object|null} The parent event
+   */
+  parent(uri) {
+    const edge = (this.outgoingEdges.get(keyOf(uri)) || []).find(candidate => candidate.kind === 'parent');
+    return edge ? this.nodes.get(edge.to).event : null;
+  }
+
+  /**
+   * Children of an event (events whose parent_event_id is this event)
+   * @param {string} uri - The life:// URI
+   * @returns {Array<Object>} Child events
+   */
+  children(uri) {
+    return (this.incomingEdges.get(keyOf(uri)) || [])
+      .filter(edge => edge.kind === 'parent')
+      .map(edge => this.nodes.get(edge.from).event);
+  }
+
+  neighbors(key, direction) {
+    const result = [];
+    if (direction !== 'in') {
+      (this.outgoingEdges.get(key) || []).forEach(edge => result.push({ key: edge.to, edge }));
+    }
+    if (direction !== 'out') {
+      (this.incomingEdges.get(key) || []).forEach(edge => result.push({ key: edge.from, edge }));
+    }
+    return result;
+  }
+
+  /**
+   * Events within a number of hops
+   * @param {string} uri - The starting life:// URI
+   * @param {Object} [options] - Traversal options
+   * @param {number} [options.depth] - Maximum hops (default 1)
+   * @param {string} [options.direction] - 'out', 'in' or 'both' (default)
+   * @returns {Object} { nodes: [{ uri, depth, event }], edges: [{ from, to, kind }] }
+   */
+  neighborhood(uri, options = {}) {
+    const { depth = 1, direction = 'both' } = options;
+    const start = keyOf(uri);
+    const visited = new Map([[start, 0]]);
+    const edges = new Set();
+    let frontier = [start];
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const key of frontier) {
+        for (const { key: neighbor, edge } of this.neighbors(key, direction)) {
+          edges.add(edge);
+          if (!visited.has(neighbor)) {
+            visited.set(neighbor, level);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return {
+      nodes: [...visited].map(([key, hops]) => ({ uri: this.uriOf(key, key === start ? uri : undefined), depth: hops, event: this.nodes.get(key)?.event || null })),
+      edges: [...edges].map(edge => ({ from: this.uriOf(edge.from), to: this.uriOf(edge.to, edge.toURI), kind: edge.kind, rel: edge.rel }))
+    };
+  }
+
+  /**
+   * Shortest path between two events
+   * @param {string} fromURI - Start URI
+   * @param {string} toURI - Target URI
+   * @param {Object} [options] - Traversal options
+   * @param {boolean} [options.directed] - Only follow edges in their direction (default false)
+   * @returns {Array<string>|null} URIs along the path, or null if unreachable
+   */
+  shortestPath(fromURI, toURI, options = {}) {
+    const start = keyOf(fromURI);
+    const goal = keyOf(toURI);
+    const direction = options.directed ? 'out' : 'both';
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (key === goal) {
+        const path = [];
+        for (let current = goal; current !== null; current = previous.get(current)) {
+          path.unshift(this.uriOf(current, current === goal ? toURI : current === start ? fromURI : undefined));
+        }
+        return path;
+      }
+
+      for (const { key: neighbor } of this.neighbors(key, direction)) {
+        if (!previous.has(neighbor)) {
+          previous.set(neighbor, key);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find directed cycles (e.g. A links to B, B links back to A)
+   * @returns {Array<Array<string>>} Each cycle as a list of URIs
+   */
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map(); // key -> 'active' | 'done'
+    const stack = [];
+
+    const visit = (key) => {
+      state.set(key, 'active');
+      stack.push(key);
+
+      for (const edge of this.outgoingEdges.get(key) || []) {
+        if (!this.nodes.has(edge.to)) continue;
+
+        if (state.get(edge.to) === 'active') {
+          const cycle = stack.slice(stack.indexOf(edge.to));
+          // Rotate so the same cycle found from another node is recognised
+          const smallest = cycle.indexOf([...cycle].sort()[0]);
+          const signature = [...cycle.slice(smallest), ...cycle.slice(0, smallest)].join('\n');
+          if (!seen.has(signature)) {
+            seen.add(signature);
+            cycles.push(cycle.map(member => this.uriOf(member)));
+          }
+        } else if (!state.has(edge.to)) {
+          visit(edge.to);
+        }
+      }
+
+      stack.pop();
+      state.set(key, 'done');
+    };
+
+    for (const key of this.nodes.keys()) {
+      if (!state.has(key)) visit(key);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Links that point at events missing from the graph
+   * @returns {Array<Object>} { from, to, kind, rel } for each dangling link
+   */
+  danglingLinks() {
+    const dangling = [];
+
+    for (const edges of this.outgoingEdges.values()) {
+      for (const edge of edges) {
+        if (!this.nodes.has(edge.to)) {
+          dangling.push({ from: this.uriOf(edge.from), to: edge.toURI, kind: edge.kind, rel: edge.rel });
+        }
+      }
+    }
+
+    for (const { key, parentId } of this.pendingParents) {
+      dangling.push({ from: this.uriOf(key), to: parentId, kind: 'parent', rel: null });
+    }
+
+    return dangling;
+  }
+
+  allEdges() {
+    return [...this.outgoingEdges.values()].flat();
+  }
+
+  /**
+   * Export the graph as Graphviz DOT
+   * @param {Object} [options] - Export options
+   * @param {string} [options.name] - Graph name
+   * @returns {string} DOT source
+   */
+  toDOT(options = {}) {
+    const lines = [`digraph "${escapeDOT(options.name || 'life')}" {`];
+    const ids = new Map();
+    const idFor = (key, uri) => {
+      if (!ids.has(key)) {
+        const id = `n${ids.size}`;
+        const node = this.nodes.get(key);
+        const label = node ? `${escapeDOT(node.event.title)}\\n${escapeDOT(node.event.type)}` : escapeDOT(uri);
+        ids.set(key, id);
+        lines.push(`  ${id} [label="${label}", URL="${escapeDOT(uri)}"${node ? '' : ', style=dashed'}];`);
+      }
+      return ids.get(key);
+    };
+
+    for (const [key, node] of this.nodes) {
+      idFor(key, node.uri);
+    }
+
+    for (const edge of this.allEdges()) {
+      const from = idFor(edge.from, this.uriOf(edge.from));
+      const to = idFor(edge.to, this.uriOf(edge.to, edge.toURI));
+      const label = edge.rel ? escapeDOT(edge.rel) : edge.kind;
+      lines.push(`  ${from} -> ${to} [label="${label}"${edge.kind === 'parent' ? ', style=dotted' : ''}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Export the graph as GraphML
+   * @returns {string} GraphML document
+   */
+  toGraphML() {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="title" for="node" attr.name="title" attr.type="string"/>',
+      '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+      '  <key id="timestamp" for="node" attr.name="timestamp" attr.type="string"/>',
+      '  <key id="missing" for="node" attr.name="missing" attr.type="boolean"/>',
+      '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+      '  <key id="rel" for="edge" attr.name="rel" attr.type="string"/>',
+      '  <graph id="life" edgedefault="directed">'
+    ];
+
+    const written = new Set();
+    const writeNode = (key, uri) => {
+      if (written.has(key)) return;
+      written.add(key);
+
+      const node = this.nodes.get(key);
+      lines.push(`    <node id="${escapeXML(uri)}">`);
+      if (node) {
+        lines.push(`      <data key="title">${escapeXML(node.event.title)}</data>`);
+        lines.push(`      <data key="type">${escapeXML(node.event.type)}</data>`);
+        lines.push(`      <data key="timestamp">${escapeXML(node.event.timestamp)}</data>`);
+      } else {
+        lines.push('      <data key="missing">true</data>');
+      }
+      lines.push('    </node>');
+    };
+
+    for (const [key, node] of this.nodes) {
+      writeNode(key, node.uri);
+    }
+    // Targets of dangling links become nodes marked as missing
+    for (const edge of this.allEdges()) {
+      writeNode(edge.to, this.uriOf(edge.to, edge.toURI));
+    }
+
+    this.allEdges().forEach((edge, index) => {
+      const target = this.uriOf(edge.to, edge.toURI);
+      lines.push(`    <edge id="e${index}" source="${escapeXML(this.uriOf(edge.from))}" target="${escapeXML(target)}">`);
+      lines.push(`      <data key="kind">${edge.kind}</data>`);
+      if (edge.rel) lines.push(`      <data key="rel">${escapeXML(edge.rel)}</data>`);
+      lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return lines.join('\n');
+  }
+}
+
+export { LifeGraph };
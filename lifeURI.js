@@ -0,0 +1,310 @@
+/**
+ * LifeOS Protocol URI Model
+ *
+ * Parses life:// URIs following RFC 3986 and serializes them in one
+ * canonical form:
+ *
+ *   life://<date>[T<time>Z]/<source>/<type>/<slug>[#<json-pointer>]
+ *
+ * - The scheme is lowercase and the date must be a real calendar day.
+ * - An optional UTC time tells same-day events with the same slug apart
+ *   (e.g. life://2025-07-09T09:00Z/...). Zero seconds are dropped.
+ * - Path segments are decoded, then re-encoded leaving unreserved
+ *   characters, sub-delims, ':' and '@' literal, so 'pink%2Bwhite' and
+ *   'pink+white' serialize the same way. '*' is always encoded because it
+ *   is the wildcard in URI patterns.
+ * - A fragment is a JSON pointer into the event's metadata
+ *   (e.g. #/artist).
+ */
+
+import { InvalidURIError } from './errors.js';
+
+// RFC 3986, appendix B
+const URI_REGEX = /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/;
+
+const AUTHORITY_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?[Zz])?$/;
+
+// pchar = unreserved / pct-encoded / sub-delims / ":" / "@", minus the pattern wildcard
+const PCHAR_LITERAL = /[A-Za-z0-9\-._~!$&'()+,;=:@]/;
+
+function encodeComponent(value, extra = '') {
+  let encoded = '';
+  for (const char of value) {
+    if (PCHAR_LITERAL.test(char) || extra.includes(char)) {
+      encoded += char;
+    } else {
+      encoded += encodeURIComponent(char).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+  }
+  return encoded;
+}
+
+function decodeComponent(value, name) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new InvalidURIError(`Invalid percent-encoding in life:// URI ${name}: ${value}`);
+  }
+}
+
+function parseAuthority(authority) {
+  const match = AUTHORITY_REGEX.exec(authority);
+  if (!match) {
+    throw new InvalidURIError('Date must be in YYYY-MM-DD format, optionally followed by a UTC time (e.g. 2025-07-09T09:00Z)');
+  }
+
+  const [, year, month, day, hours, minutes, seconds = '00', millis] = match;
+  const date = `${year}-${month}-${day}`;
+  const check = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(check.getTime()) || check.toISOString().slice(0, 10) !== date) {
+    throw new InvalidURIError(`Invalid date in life:// URI: ${date}`);
+  }
+
+  if (hours === undefined) {
+    return { date, time: null };
+  }
+
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    throw new InvalidURIError(`Invalid time in life:// URI: ${authority}`);
+  }
+
+  return { date, time: formatTime(hours, minutes, seconds, millis) };
+}
+
+function formatTime(hours, minutes, seconds = '00', millis) {
+  const fraction = millis ? millis.padEnd(3, '0').replace(/0+$/, '') : '';
+  if (fraction) return `${hours}:${minutes}:${seconds}.${fraction}`;
+  if (seconds !== '00') return `${hours}:${minutes}:${seconds}`;
+  return `${hours}:${minutes}`;
+}
+
+function unescapePointerToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+class LifeURI {
+  /**
+   * @param {Object} components - URI components
+   * @param {string} components.date - YYYY-MM-DD
+   * @param {string} [components.time] - UTC time (HH:MM, HH:MM:SS or HH:MM:SS.sss)
+   * @param {string} components.source - Event source
+   * @param {string} components.type - Event type
+   * @param {string} components.slug - Decoded slug; may contain '/'
+   * @param {string} [components.fragment] - JSON pointer into metadata (e.g. '/artist')
+   */
+  constructor({ date, time = null, source, type, slug, fragment = null }) {
+    if (!date || !source || !type || !slug) {
+      throw new InvalidURIError('Missing required URI components');
+    }
+
+    const authority = time ? `${date}T${time}Z` : date;
+    const parsed = parseAuthority(authority);
+
+    if (fragment !== null && fragment !== '' && !fragment.startsWith('/')) {
+      throw new InvalidURIError(`Fragment must be a JSON pointer into metadata, e.g. #/artist (got #${fragment})`);
+    }
+
+    // Dot segments would be removed by path normalization (RFC 3986, 5.2.4) and let paths escape
+    for (const [name, value] of [['source', source], ['type', type]]) {
+      if (value === '.' || value === '..') {
+        throw new InvalidURIError(`Invalid ${name} in life:// URI: ${value}`);
+      }
+    }
+
+    const slugSegments = String(slug).split('/');
+    if (slugSegments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+      throw new InvalidURIError(`Invalid slug in life:// URI: ${slug}`);
+    }
+
+    this.date = parsed.date;
+    this.time = parsed.time;
+    this.source = String(source);
+    this.type = String(type);
+    this.slug = String(slug);
+    this.fragment = fragment || null;
+  }
+
+  /**
+   * Parse a life:// URI
+   * @param {string} uri - The URI to parse
+   * @returns {LifeURI} Parsed URI
+   */
+  static parse(uri) {
+    if (uri instanceof LifeURI) return uri;
+
+    const match = typeof uri === 'string' ? URI_REGEX.exec(uri) : null;
+    if (!match || match[1]?.toLowerCase() !== 'life' || match[2] === undefined) {
+      throw new InvalidURIError('Invalid life:// URI format');
+    }
+
+    const [, , authority, path, query, fragment] = match;
+
+    if (query !== undefined) {
+      throw new InvalidURIError('Query parameters are only allowed in life:// URI patterns (see resolveCollection)');
+    }
+
+    const parts = path.split('/').slice(1);
+    if (parts.length < 3 || parts.slice(0, 3).some(part => part === '')) {
+      throw new InvalidURIError('life:// URI must have format: life://<date>/<source>/<type>/<slug>');
+    }
+
+    const [source, type, ...slugParts] = parts.map(part => decodeComponent(part, 'path'));
+    const { date, time } = parseAuthority(authority);
+
+    return new LifeURI({
+      date,
+      time,
+      source,
+      type,
+      slug: slugParts.join('/'),
+      fragment: fragment === undefined ? null : decodeComponent(fragment, 'fragment')
+    });
+  }
+
+  /**
+   * Build a URI from components
+   * @param {Object} components - See the constructor
+   * @returns {LifeURI} The URI
+   */
+  static from(components) {
+    return new LifeURI(components);
+  }
+
+  /**
+   * Split a <date>[T<time>Z] authority
+   * @param {string} authority - e.g. '2025-07-09' or '2025-07-09T09:00Z'
+   * @returns {Object} { date, time } with time null for day precision
+   */
+  static parseAuthority(authority) {
+    return parseAuthority(authority);
+  }
+
+  /**
+   * Check whether a string is a valid single-event life:// URI
+   * @param {string} uri - The string to check
+   * @returns {boolean} True if it parses
+   */
+  static isValid(uri) {
+    try {
+      LifeURI.parse(uri);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Canonical serialization of a URI
+   * @param {string|LifeURI} uri - The URI
+   * @returns {string} Canonical life:// URI
+   */
+  static normalize(uri) {
+    return LifeURI.parse(uri).toString();
+  }
+
+  /**
+   * Check whether two URIs identify the same event (and fragment)
+   * @param {string|LifeURI} a - First URI
+   * @param {string|LifeURI} b - Second URI
+   * @returns {boolean} True if their canonical forms are equal
+   */
+  static equals(a, b) {
+    try {
+      return LifeURI.parse(a).equals(b);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The <date>[T<time>Z] authority
+   * @returns {string}
+   */
+  get authority() {
+    return this.time ? `${this.date}T${this.time}Z` : this.date;
+  }
+
+  /**
+   * @param {string|LifeURI} other - URI to compare with
+   * @returns {boolean} True if both serialize to the same canonical URI
+   */
+  equals(other) {
+    try {
+      return this.toString() === LifeURI.parse(other).toString();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * The same URI without its fragment (i.e. the event itself)
+   * @returns {LifeURI}
+   */
+  withoutFragment() {
+    return new LifeURI({ ...this.toJSON(), fragment: null });
+  }
+
+  /**
+   * Read the metadata value a fragment points at
+   * @param {Object} event - The event this URI resolved to
+   * @returns {*} The value (the whole metadata object when there is no fragment)
+   */
+  resolveFragment(event) {
+    const metadata = event?.metadata ?? {};
+    if (!this.fragment) return metadata;
+
+    return this.fragment.split('/').slice(1).map(unescapePointerToken).reduce((value, token) => {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, token)) {
+        throw new Error(`Fragment #${this.fragment} not found in event metadata`);
+      }
+      return value[token];
+    }, metadata);
+  }
+
+  /**
+   * Plain components, as returned by LifeURIResolver.parseURI
+   * @returns {Object} { date, time, source, type, slug, fragment, full }
+   */
+  toJSON() {
+    return {
+      date: this.date,
+      time: this.time,
+      source: this.source,
+      type: this.type,
+      slug: this.slug,
+      fragment: this.fragment,
+      full: this.toString()
+    };
+  }
+
+  /**
+   * Canonical serialization
+   * @returns {string} life:// URI
+   */
+  toString() {
+    const slug = this.slug.split('/').map(segment => encodeComponent(segment)).join('/');
+    const fragment = this.fragment ? `#${encodeComponent(this.fragment, '/?')}` : '';
+    return `life://${this.authority}/${encodeComponent(this.source)}/${encodeComponent(this.type)}/${slug}${fragment}`;
+  }
+}
+
+/**
+ * Canonical form of a life:// URI
+ * @param {string} uri - The URI
+ * @returns {string} Canonical URI
+ */
+function normalizeLifeURI(uri) {
+  return LifeURI.normalize(uri);
+}
+
+/**
+ * Check whether two life:// URIs identify the same event
+ * @param {string} a - First URI
+ * @param {string} b - Second URI
+ * @returns {boolean} True if they are equal once canonicalized
+ */
+function lifeURIsEqual(a, b) {
+  return LifeURI.equals(a, b);
+}
+
+export { LifeURI, normalizeLifeURI, lifeURIsEqual };
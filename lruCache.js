@@ -0,0 +1,91 @@
+/**
+ * LifeOS Protocol LRU Cache
+ *
+ * A small least-recently-used cache with an optional time-to-live, used by
+ * LifeURIResolver to avoid resolving the same URI over and over.
+ */
+
+class LRUCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.max] - Maximum number of entries
+   * @param {number} [options.ttl] - Time-to-live in milliseconds (0 = no expiry)
+   */
+  constructor(options = {}) {
+    const { max = 500, ttl = 0 } = options;
+
+    if (!Number.isInteger(max) || max < 1) {
+      throw new Error(`Cache max must be a positive integer, got ${max}`);
+    }
+
+    this.max = max;
+    this.ttl = ttl;
+    this.entries = new Map(); // key -> { value, expires }
+  }
+
+  /**
+   * @returns {number} Number of entries, including expired ones not yet evicted
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} The value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expires !== null && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Map keeps insertion order, so re-inserting moves the key to the end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {boolean} True if a live entry exists
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: this.ttl > 0 ? Date.now() + this.ttl : null });
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {boolean} True if an entry was removed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export { LRUCache };
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * LifeOS Protocol Event Migrator
+ *
+ * CLI tool to rewrite event files in place in another protocol version.
+ * Usage: node migrate.js [--to <version>] [--dry-run] <file|directory|glob> ...
+ */
+
+import fs from 'fs';
+import { collectInputFiles, parseEventEntries } from './validate.js';
+import { migrateEvent, latestVersion, getKnownVersions } from './migrations.js';
+
+const USAGE = `Usage: node migrate.js [options] <file|directory|glob> ...
+
+Rewrites events in place in another protocol version (default: the latest).
+Inputs may be single events, JSON arrays of events or newline-delimited JSON;
+directories are searched recursively for .json, .ndjson and .jsonl files.
+Files with an event that can't be parsed or migrated are left untouched.
+
+Options:
+  --to <version>  Target version: ${getKnownVersions().join(', ')} (default: ${latestVersion()})
+  --dry-run       Show what would change without writing anything
+  --help          Show this message`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { inputs, to, dryRun, help }
+ */
+function parseArgs(args) {
+  const options = { inputs: [], to: latestVersion(), dryRun: false, help: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--to' || arg.startsWith('--to=')) {
+      options.to = arg.includes('=') ? arg.split('=')[1] : args[++i];
+      if (!getKnownVersions().includes(options.to)) {
+        throw new Error(`Unknown protocol version: ${options.to}. Expected one of: ${getKnownVersions().join(', ')}`);
+      }
+    } else if (arg === '-') {
+      throw new Error('Events are rewritten in place, so they must come from files');
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * List the differences between two versions of an event
+ * Objects are compared member by member; arrays and other values as a whole.
+ * @param {*} before - The event before
+ * @param {*} after - The event after
+ * @param {string} [pointer] - JSON pointer of the values being compared
+ * @returns {Array<Object>} { path, before, after } per change; `before` or
+ *   `after` is undefined for added or removed members
+ */
+function diffEvents(before, after, pointer = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffEvents(before[key], after[key], `${pointer}/${escapePointer(key)}`));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: pointer || '/', before, after }];
+}
+
+/**
+ * Render a diff as text lines
+ * @param {Array<Object>} changes - Changes from diffEvents
+ * @returns {Array<string>} '- removed', '+ added' and '~ changed' lines
+ */
+function formatDiff(changes) {
+  return changes.map(({ path: pointer, before, after }) => {
+    if (before === undefined) return `+ ${pointer}: ${JSON.stringify(after)}`;
+    if (after === undefined) return `- ${pointer}: ${JSON.stringify(before)}`;
+    return `~ ${pointer}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`;
+  });
+}
+
+function describeEntry(entry) {
+  if (entry.line !== undefined) return `${entry.file}:${entry.line}`;
+  if (entry.index !== undefined) return `${entry.file}[${entry.index}]`;
+  return entry.file;
+}
+
+// Write the events back in the layout they were read in
+function serializeEntries(entries, events) {
+  if (entries[0].line !== undefined) {
+    return events.map(event => JSON.stringify(event)).join('\n') + '\n';
+  }
+  if (entries[0].index !== undefined) {
+    return JSON.stringify(events, null, 2) + '\n';
+  }
+  return JSON.stringify(events[0], null, 2) + '\n';
+}
+
+/**
+ * Migrate the events of one file
+ * @param {string} file - Path of the file
+ * @param {Object} options - { to, dryRun }
+ * @returns {Object} { file, events, changes: [{ location, diff }], errors }
+ */
+function migrateFile(file, options) {
+  const entries = parseEventEntries(fs.readFileSync(file, 'utf8'), file);
+  const result = { file, events: entries.length, changes: [], errors: [] };
+  const migrated = [];
+
+  for (const entry of entries) {
+    if (entry.parseError) {
+      result.errors.push(`${describeEntry(entry)}: ${entry.parseError}`);
+      continue;
+    }
+    if (!isPlainObject(entry.event)) {
+      result.errors.push(`${describeEntry(entry)}: LifeEvent must be a JSON object`);
+      continue;
+    }
+
+    try {
+      const event = migrateEvent(entry.event, { to: options.to });
+      if (event !== entry.event) {
+        result.changes.push({ location: describeEntry(entry), diff: diffEvents(entry.event, event) });
+      }
+      migrated.push(event);
+    } catch (error) {
+      result.errors.push(`${describeEntry(entry)}: ${error.message}`);
+    }
+  }
+
+  if (!options.dryRun && result.errors.length === 0 && result.changes.length > 0) {
+    const tempPath = `${file}.tmp`;
+    fs.writeFileSync(tempPath, serializeEntries(entries, migrated), 'utf8');
+    fs.renameSync(tempPath, file);
+  }
+
+  return result;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help || options.inputs.length === 0) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  let files;
+  try {
+    files = collectInputFiles(options.inputs);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const results = files.map(file => migrateFile(file, options));
+
+  // Files with errors are never written, so their changes don't count
+  const written = results.filter(result => result.errors.length === 0);
+
+  for (const result of results) {
+    result.errors.forEach(error => console.log(`❌ ${error}`));
+    if (result.errors.length > 0) continue;
+    for (const change of result.changes) {
+      console.log(`${options.dryRun ? '~' : '✅'} ${change.location}`);
+      if (options.dryRun) formatDiff(change.diff).forEach(line => console.log(`    ${line}`));
+    }
+  }
+
+  const events = results.reduce((count, result) => count + result.events, 0);
+  const changed = written.reduce((count, result) => count + result.changes.length, 0);
+  const changedFiles = written.filter(result => result.changes.length > 0).length;
+  const failedFiles = results.length - written.length;
+
+  console.log('');
+  console.log(`Summary: ${events} events in ${results.length} files, ${changed} ${options.dryRun ? 'would be migrated' : 'migrated'} to ${options.to} (${changedFiles} files)`);
+  if (failedFiles > 0) {
+    console.log(`         ${failedFiles} files left untouched because of errors`);
+  }
+
+  process.exit(failedFiles > 0 ? 1 : 0);
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { diffEvents, formatDiff, migrateFile };
@@ -0,0 +1,252 @@
+/**
+ * LifeOS Protocol Event Migrations
+ *
+ * Every change to the event model is a migration: a protocol version plus
+ * `up` (from the previous version) and `down` (back to it). Migrations run in
+ * version order, so an event can be moved between any two known versions:
+ *
+ *   1.0 -> 1.1  duration_minutes -> duration (seconds), location string ->
+ *               { name }, related_events -> linked_uris
+ *
+ * An event's version is its `protocol_version`. Events without one are 1.0 if
+ * they use any 1.0 field, and otherwise follow the model this library writes
+ * (PROTOCOL_VERSION).
+ *
+ * Usage:
+ *   upgradeEvent(event);               // to the latest version
+ *   downgradeEvent(event, '1.0');      // for consumers that only read 1.0
+ *   registerMigration('1.2', { description, up, down });
+ */
+
+import { PROTOCOL_VERSION, isLegacyEvent, normalizeLifeEvent, getLinkURI } from './eventModel.js';
+import { preserveSignature } from './signing.js';
+import { UnsupportedVersionError } from './errors.js';
+
+// The oldest version; migrations lead away from it
+const BASE_VERSION = '1.0';
+
+const VERSION_PATTERN = /^\d+(?:\.\d+)*$/;
+
+const migrations = []; // { version, description, up, down }, in version order
+
+/**
+ * Compare two protocol versions
+ * @param {string} a - A version such as '1.1'
+ * @param {string} b - Another version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Add a migration to a new protocol version
+ * @param {string} version - The version it migrates to; must be newer than every known version
+ * @param {Object} migration - The transforms
+ * @param {string} [migration.description] - What changed
+ * @param {Function} migration.up - (event, options) => event in this version
+ * @param {Function} migration.down - (event, options) => event in the previous version
+ */
+function registerMigration(version, migration) {
+  if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+    throw new Error(`Invalid protocol version: ${version}`);
+  }
+  if (compareVersions(version, latestVersion()) <= 0) {
+    throw new Error(`Migration to ${version} must be newer than ${latestVersion()}`);
+  }
+  if (typeof migration?.up !== 'function' || typeof migration?.down !== 'function') {
+    throw new Error(`Migration to ${version} needs up and down functions`);
+  }
+
+  migrations.push({ version, description: migration.description || '', up: migration.up, down: migration.down });
+}
+
+/**
+ * Get the known migrations in version order
+ * @returns {Array<Object>} { from, to, description } per migration
+ */
+function getMigrations() {
+  return migrations.map((migration, index) => ({
+    from: index === 0 ? BASE_VERSION : migrations[index - 1].version,
+    to: migration.version,
+    description: migration.description
+  }));
+}
+
+/**
+ * All known protocol versions, oldest first
+ * @returns {Array<string>}
+ */
+function getKnownVersions() {
+  return [BASE_VERSION, ...migrations.map(migration => migration.version)];
+}
+
+/**
+ * The newest known protocol version, which upgradeEvent migrates to
+ * @returns {string}
+ */
+function latestVersion() {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : BASE_VERSION;
+}
+
+/**
+ * Check if a protocol version is known
+ * @param {string} version - The version
+ * @returns {boolean}
+ */
+function isKnownVersion(version) {
+  return getKnownVersions().includes(version);
+}
+
+/**
+ * Work out which protocol version an event follows
+ * @param {Object} event - The event
+ * @returns {string} Its `protocol_version`, or the version its fields imply
+ */
+function detectEventVersion(event) {
+  if (event.protocol_version !== undefined && event.protocol_version !== null) {
+    return String(event.protocol_version);
+  }
+  return isLegacyEvent(event) ? BASE_VERSION : PROTOCOL_VERSION;
+}
+
+function assertKnownVersion(version) {
+  if (!isKnownVersion(version)) {
+    throw new UnsupportedVersionError(version, getKnownVersions());
+  }
+}
+
+/**
+ * Check if an event is older than a version
+ * @param {Object} event - The event
+ * @param {string} [version] - Target version (default: the latest)
+ * @returns {boolean} True if upgradeEvent would change its version
+ */
+function needsUpgrade(event, version = latestVersion()) {
+  return compareVersions(detectEventVersion(event), version) < 0;
+}
+
+/**
+ * Move an event to another protocol version
+ * The input is never mutated. Events already at the target version are
+ * returned as they are. If the event was signed, its signature moves to
+ * `provenance` (see preserveSignature).
+ * @param {Object} event - The event
+ * @param {Object} [options] - Migration options, also passed to each transform
+ * @param {string} [options.to] - Target version (default: the latest)
+ * @param {Function|Map} [options.resolveEventId] - 1.0 -> 1.1: maps a related event ID to its life:// URI
+ * @param {Function|Map} [options.resolveEventURI] - 1.1 -> 1.0: maps a life:// URI to a related event ID
+ * @returns {Object} The event in the target version
+ * @throws {UnsupportedVersionError} If the event's or the target version is unknown
+ */
+function migrateEvent(event, options = {}) {
+  const from = detectEventVersion(event);
+  const to = options.to ?? latestVersion();
+  assertKnownVersion(from);
+  assertKnownVersion(to);
+
+  if (from === to) return event;
+
+  let result = event;
+  if (compareVersions(from, to) < 0) {
+    for (const migration of migrations) {
+      if (compareVersions(migration.version, from) <= 0 || compareVersions(migration.version, to) > 0) continue;
+      result = { ...migration.up(result, options), protocol_version: migration.version };
+    }
+  } else {
+    for (let index = migrations.length - 1; index >= 0; index--) {
+      const migration = migrations[index];
+      if (compareVersions(migration.version, from) > 0 || compareVersions(migration.version, to) <= 0) continue;
+      const previous = index === 0 ? BASE_VERSION : migrations[index - 1].version;
+      result = { ...migration.down(result, options), protocol_version: previous };
+    }
+  }
+
+  return preserveSignature(event, result);
+}
+
+/**
+ * Upgrade an event to the latest protocol version
+ * @param {Object} event - The event
+ * @param {Object} [options] - Options for migrateEvent (without `to`)
+ * @returns {Object} The upgraded event
+ */
+function upgradeEvent(event, options = {}) {
+  return migrateEvent(event, { ...options, to: latestVersion() });
+}
+
+/**
+ * Downgrade an event for a consumer that reads an older protocol version
+ * @param {Object} event - The event
+ * @param {string} version - The version the consumer reads
+ * @param {Object} [options] - Options for migrateEvent
+ * @returns {Object} The downgraded event
+ */
+function downgradeEvent(event, version, options = {}) {
+  return migrateEvent(event, { ...options, to: version });
+}
+
+// 1.1 -> 1.0. Typed link relations and coordinates have no 1.0 form and are lost;
+// fields added after 1.0 are kept, since 1.0 readers ignore unknown fields.
+function toLegacyShape(event, options = {}) {
+  const { duration, location, linked_uris, ...legacy } = event;
+  const { resolveEventURI } = options;
+
+  if (typeof duration === 'number') {
+    legacy.duration_minutes = duration / 60;
+  }
+
+  if (location && typeof location === 'object') {
+    const { coordinates } = location;
+    const name = location.name ?? (coordinates ? `${coordinates.lat},${coordinates.lng}` : undefined);
+    if (name !== undefined) legacy.location = name;
+  } else if (location !== undefined) {
+    legacy.location = location;
+  }
+
+  // IDs that 1.1 couldn't turn into URIs go back where they came from
+  const unresolved = event.metadata?.related_event_ids;
+  if (Array.isArray(linked_uris) || Array.isArray(unresolved)) {
+    const lookup = typeof resolveEventURI === 'function' ? resolveEventURI : uri => resolveEventURI?.get(uri);
+    const related = (linked_uris || []).map(link => {
+      const uri = getLinkURI(link);
+      return lookup(uri) || uri;
+    });
+    legacy.related_events = [...new Set([...related, ...(unresolved || [])])];
+  }
+
+  if (Array.isArray(unresolved)) {
+    const { related_event_ids: _ids, ...metadata } = event.metadata;
+    legacy.metadata = metadata;
+  }
+
+  return legacy;
+}
+
+registerMigration('1.1', {
+  description: 'Durations in seconds, location objects and linked_uris',
+  up: normalizeLifeEvent,
+  down: toLegacyShape
+});
+
+export {
+  BASE_VERSION,
+  compareVersions,
+  registerMigration,
+  getMigrations,
+  getKnownVersions,
+  latestVersion,
+  isKnownVersion,
+  detectEventVersion,
+  needsUpgrade,
+  migrateEvent,
+  upgradeEvent,
+  downgradeEvent
+};
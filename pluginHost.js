@@ -0,0 +1,388 @@
+/**
+ * LifeOS Protocol Plugin Host
+ *
+ * Runs importer/exporter plugins: stores their settings, syncs them on their
+ * configured interval, keeps a SyncResult history and registers each
+ * plugin's source with a LifeURIResolver so imported events resolve by URI.
+ *
+ * A plugin is a plain object:
+ *
+ *   {
+ *     id: 'spotify',
+ *     name: 'Spotify',
+ *     source: 'spotify',
+ *     capabilities: [{ type: 'import', description: 'Recently played tracks', configurable: true }],
+ *     defaultSettings: { autoSync: true, syncInterval: 15 * 60 * 1000 },
+ *     async import({ settings, since }) { return events; },
+ *     async export(events, { settings, since }) { return events.length; }
+ *   }
+ *
+ * Optional fields: `resolver` (tried after the host's store for the plugin's
+ * source) and `eventTypes` (a type pack for loadEventTypePack).
+ *
+ * Given a key ring, the host checks the signatures of imported events before
+ * storing them and drops those that don't verify.
+ */
+
+import { LifeEventStore } from './eventStore.js';
+import { normalizeLifeEvent } from './eventModel.js';
+import { validateLifeEventSchema, formatSchemaError } from './schemaValidator.js';
+import { generateEventId } from './identity.js';
+import { loadEventTypePack } from './eventTypes.js';
+import { verifyEvent, preserveSignature } from './signing.js';
+
+const CAPABILITY_HANDLERS = {
+  import: 'import',
+  export: 'export'
+};
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  autoSync: false,
+  syncInterval: undefined,
+  credentials: {},
+  customSettings: {},
+  platform: 'core'
+};
+
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('Plugin must be an object');
+  }
+  if (typeof plugin.id !== 'string' || plugin.id.length === 0) {
+    throw new Error('Plugin must have a string id');
+  }
+  if (typeof plugin.source !== 'string' || plugin.source.length === 0) {
+    throw new Error(`Plugin ${plugin.id} must declare the source it provides`);
+  }
+  if (!Array.isArray(plugin.capabilities) || plugin.capabilities.length === 0) {
+    throw new Error(`Plugin ${plugin.id} must declare at least one capability`);
+  }
+
+  for (const capability of plugin.capabilities) {
+    if (!capability || typeof capability.type !== 'string') {
+      throw new Error(`Plugin ${plugin.id} has a capability without a type`);
+    }
+    const handler = CAPABILITY_HANDLERS[capability.type];
+    if (handler && typeof plugin[handler] !== 'function') {
+      throw new Error(`Plugin ${plugin.id} declares the ${capability.type} capability but has no ${handler}() function`);
+    }
+  }
+}
+
+function validateSettings(pluginId, settings) {
+  if (settings.syncInterval !== undefined && (!Number.isFinite(settings.syncInterval) || settings.syncInterval <= 0)) {
+    throw new Error(`Plugin ${pluginId}: syncInterval must be a positive number of milliseconds`);
+  }
+}
+
+class PluginHost {
+  /**
+   * @param {Object} [options] - Host options
+   * @param {LifeURIResolver} [options.resolver] - Resolver to register plugin sources with
+   * @param {LifeEventStore} [options.store] - Where imported events are kept
+   * @param {number} [options.historyLimit] - SyncResults kept per plugin
+   * @param {Function} [options.onSync] - Called with (pluginId, result) after every sync
+   * @param {KeyRing} [options.keyRing] - Reject imported events whose signatures don't verify
+   * @param {boolean} [options.requireSignatures] - With a key ring, reject unsigned events too
+   */
+  constructor(options = {}) {
+    this.resolver = options.resolver || null;
+    this.store = options.store || new LifeEventStore();
+    this.historyLimit = options.historyLimit ?? 50;
+    this.onSync = options.onSync || null;
+    this.keyRing = options.keyRing || null;
+    this.requireSignatures = Boolean(options.requireSignatures);
+    this.plugins = new Map(); // id -> { plugin, settings, history, timer, running, sourceResolvers }
+  }
+
+  /**
+   * Register a plugin
+   * @param {Object} plugin - The plugin (see module docs)
+   * @param {Object} [settings] - PluginSettings overriding the plugin's defaults
+   * @returns {Object} The effective settings
+   */
+  register(plugin, settings = {}) {
+    validatePlugin(plugin);
+    if (this.plugins.has(plugin.id)) {
+      throw new Error(`Plugin already registered: ${plugin.id}`);
+    }
+
+    const effective = { ...DEFAULT_SETTINGS, ...plugin.defaultSettings, ...settings };
+    validateSettings(plugin.id, effective);
+
+    if (plugin.eventTypes) {
+      loadEventTypePack(plugin.eventTypes);
+    }
+
+    const entry = { plugin, settings: effective, history: [], timer: null, running: null, sourceResolvers: [] };
+    this.plugins.set(plugin.id, entry);
+
+    if (this.resolver) {
+      // Appended as fallbacks so resolvers the app registered itself keep priority
+      entry.sourceResolvers = [this.store.resolver(), plugin.resolver].filter(Boolean);
+      entry.sourceResolvers.forEach(resolver => this.resolver.registerResolver(plugin.source, resolver, { fallback: true }));
+    }
+
+    this.schedule(entry);
+    return { ...effective };
+  }
+
+  /**
+   * Remove a plugin, stopping its timer and unregistering its resolvers
+   * Events it imported stay in the store.
+   * @param {string} id - Plugin ID
+   * @returns {boolean} True if the plugin was registered
+   */
+  unregister(id) {
+    const entry = this.plugins.get(id);
+    if (!entry) return false;
+
+    clearInterval(entry.timer);
+    if (this.resolver) {
+      entry.sourceResolvers.forEach(resolver => this.resolver.unregisterResolver(entry.plugin.source, resolver));
+    }
+    this.plugins.delete(id);
+    return true;
+  }
+
+  /**
+   * @param {string} id - Plugin ID
+   * @returns {Object|null} The plugin, or null if not registered
+   */
+  getPlugin(id) {
+    return this.plugins.get(id)?.plugin || null;
+  }
+
+  /**
+   * Registered plugins with their settings and latest sync
+   * @returns {Array<Object>} { id, name, source, capabilities, settings, lastSync }
+   */
+  listPlugins() {
+    return [...this.plugins.values()].map(({ plugin, settings, history }) => ({
+      id: plugin.id,
+      name: plugin.name || plugin.id,
+      source: plugin.source,
+      capabilities: plugin.capabilities,
+      settings: { ...settings },
+      lastSync: history[history.length - 1] || null
+    }));
+  }
+
+  /**
+   * Plugins that declare a capability
+   * @param {string} type - Capability type (e.g. 'import')
+   * @returns {Array<Object>} The plugins
+   */
+  getPluginsWithCapability(type) {
+    return [...this.plugins.values()]
+      .filter(({ plugin }) => plugin.capabilities.some(capability => capability.type === type))
+      .map(({ plugin }) => plugin);
+  }
+
+  /**
+   * @param {string} id - Plugin ID
+   * @returns {Object} The plugin's settings
+   */
+  getSettings(id) {
+    return { ...this.entry(id).settings };
+  }
+
+  /**
+   * Change a plugin's settings; the sync timer follows the new settings
+   * @param {string} id - Plugin ID
+   * @param {Object} changes - PluginSettings fields to change
+   * @returns {Object} The new settings
+   */
+  updateSettings(id, changes) {
+    const entry = this.entry(id);
+    const settings = { ...entry.settings, ...changes };
+    validateSettings(id, settings);
+
+    entry.settings = settings;
+    this.schedule(entry);
+    return { ...settings };
+  }
+
+  /**
+   * Run a plugin's import and/or export now
+   * Never rejects: failures are reported in the SyncResult. A call in the
+   * same direction as the last sync started or queued shares that sync; a
+   * call in another direction starts once it is done.
+   * @param {string} id - Plugin ID
+   * @param {Object} [options] - Sync options
+   * @param {string} [options.direction] - 'import', 'export' or 'both' (default)
+   * @returns {Promise<Object>} The SyncResult
+   */
+  sync(id, options = {}) {
+    const entry = this.entry(id);
+    const direction = options.direction || 'both';
+
+    // A sync that is still running (e.g. a slow interval tick) is shared, not doubled
+    if (entry.running?.direction === direction) return entry.running.result;
+
+    const previous = entry.running ? entry.running.result : Promise.resolve();
+    const run = { direction, result: null };
+    run.result = previous.then(() => this.runSync(entry, direction)).finally(() => {
+      if (entry.running === run) entry.running = null;
+    });
+    entry.running = run;
+    return run.result;
+  }
+
+  /**
+   * Sync every enabled plugin
+   * @returns {Promise<Object>} { [pluginId]: SyncResult }
+   */
+  async syncAll() {
+    const results = {};
+    for (const [id, entry] of this.plugins) {
+      if (entry.settings.enabled) results[id] = await this.sync(id);
+    }
+    return results;
+  }
+
+  /**
+   * Past SyncResults for a plugin, oldest first
+   * @param {string} id - Plugin ID
+   * @returns {Array<Object>} SyncResults
+   */
+  getSyncHistory(id) {
+    return [...this.entry(id).history];
+  }
+
+  /**
+   * Stop every sync timer (plugins stay registered)
+   */
+  stop() {
+    for (const entry of this.plugins.values()) {
+      clearInterval(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  entry(id) {
+    const entry = this.plugins.get(id);
+    if (!entry) {
+      throw new Error(`Plugin not registered: ${id}`);
+    }
+    return entry;
+  }
+
+  schedule(entry) {
+    clearInterval(entry.timer);
+    entry.timer = null;
+
+    const { enabled, autoSync, syncInterval } = entry.settings;
+    if (!enabled || !autoSync || !syncInterval) return;
+
+    entry.timer = setInterval(() => this.sync(entry.plugin.id), syncInterval);
+    // Don't keep the process alive just for background syncs
+    entry.timer.unref?.();
+  }
+
+  lastSuccessfulSync(entry) {
+    const last = [...entry.history].reverse().find(result => result.success);
+    return last ? last.lastSync : null;
+  }
+
+  async runSync(entry, direction) {
+    const { plugin, settings } = entry;
+    const started = Date.now();
+    const since = this.lastSuccessfulSync(entry);
+    const context = { settings: { ...settings }, since, host: this };
+    const errors = [];
+    let eventsImported = 0;
+    let eventsExported = 0;
+
+    const can = type => plugin.capabilities.some(capability => capability.type === type);
+
+    if (!settings.enabled) {
+      errors.push(`Plugin ${plugin.id} is disabled`);
+    } else {
+      if ((direction === 'import' || direction === 'both') && can('import')) {
+        try {
+          eventsImported = this.importEvents(plugin, await plugin.import(context), errors);
+        } catch (error) {
+          errors.push(`import: ${error.message}`);
+        }
+      }
+
+      if ((direction === 'export' || direction === 'both') && can('export')) {
+        try {
+          const events = this.store.all().filter(event => event.source !== plugin.source);
+          const exported = await plugin.export(events, context);
+          eventsExported = Array.isArray(exported) ? exported.length : Number(exported) || 0;
+        } catch (error) {
+          errors.push(`export: ${error.message}`);
+        }
+      }
+    }
+
+    const result = {
+      success: errors.length === 0,
+      eventsImported,
+      eventsExported,
+      errors,
+      lastSync: new Date(),
+      metadata: { pluginId: plugin.id, direction, durationMs: Date.now() - started }
+    };
+
+    entry.history.push(result);
+    if (entry.history.length > this.historyLimit) {
+      entry.history.splice(0, entry.history.length - this.historyLimit);
+    }
+
+    if (this.onSync) {
+      try {
+        this.onSync(plugin.id, result);
+      } catch (error) {
+        // A failing listener must not break the sync loop
+      }
+    }
+
+    return result;
+  }
+
+  importEvents(plugin, imported, errors) {
+    const events = Array.isArray(imported) ? imported : imported?.events || [];
+    let count = 0;
+
+    events.forEach((raw, index) => {
+      try {
+        // A plugin only speaks for its own source, whose key checks its signatures
+        if (raw.source !== undefined && raw.source !== plugin.source) {
+          throw new Error(`Event source '${raw.source}' is not the plugin's source '${plugin.source}'`);
+        }
+        const event = normalizeLifeEvent(this.checkSignature({ ...raw, source: plugin.source }));
+        const schemaErrors = validateLifeEventSchema(event);
+        if (schemaErrors.length > 0) {
+          throw new Error(schemaErrors.map(formatSchemaError).join('; '));
+        }
+
+        // Content-derived IDs keep re-imports of the same data from duplicating events
+        this.store.add(event.id ? event : preserveSignature(event, { ...event, id: generateEventId(event) }));
+        count++;
+      } catch (error) {
+        errors.push(`import[${index}]: ${error.message}`);
+      }
+    });
+
+    return count;
+  }
+
+  checkSignature(event) {
+    if (!this.keyRing) return event;
+
+    const { status, reason } = verifyEvent(event, this.keyRing);
+    if (status === 'invalid') {
+      throw new Error(`Invalid signature: ${reason}`);
+    }
+    if (status === 'unsigned' && this.requireSignatures) {
+      throw new Error('Event is not signed');
+    }
+    return event;
+  }
+}
+
+export { PluginHost };
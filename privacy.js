@@ -0,0 +1,417 @@
+/**
+ * LifeOS Protocol Privacy Labels and Redaction
+ *
+ * Every event and every field has a sensitivity: public, personal or private.
+ * An event's own `sensitivity` wins; otherwise the event type registry
+ * decides (finance.* and communication.* are private, most types personal).
+ * A field is at least as sensitive as its event, and more so when the event's
+ * `field_sensitivity`, its type's metadata fields or FIELD_SENSITIVITY say so
+ * (precise `location.coordinates` are private).
+ *
+ * redactEvents makes a shareable copy of an event set under a named profile:
+ * events and fields above the profile's levels are left out, times and
+ * coordinates are coarsened, emails in metadata are hashed, and links to
+ * events that aren't shared become opaque placeholders.
+ *
+ * Usage:
+ *   classifyEvent(event); // { level: 'personal', fields: { 'location.coordinates': 'private', ... } }
+ *   const { events } = redactEvents(store.all(), 'public');
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { LifeURI } from './lifeURI.js';
+import { SENSITIVITY_LEVELS, getEventTypeSensitivity, getMetadataSchema, getEventTypeDescription } from './eventTypes.js';
+import { getEventDate, getLinkURI } from './eventModel.js';
+import { nextFreeURI } from './identity.js';
+import { dayBounds } from './timeZone.js';
+
+// Links to events that weren't shared point here, followed by a hash
+const REDACTED_URI_PREFIX = 'life://redacted/';
+
+// Field path -> sensitivity on every event
+const FIELD_SENSITIVITY = {
+  'location.coordinates': 'private'
+};
+
+// Fields that identify or place the event rather than describe it
+const STRUCTURAL_FIELDS = new Set([
+  'id', 'uri', 'protocol_version', 'timestamp', 'source', 'type', 'sensitivity', 'field_sensitivity', 'metadata', 'location'
+]);
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+const TIME_UNITS = ['day', 'hour', 'minute'];
+
+/**
+ * Built-in redaction profiles
+ * - include: most sensitive events that are shared at all
+ * - fields: most sensitive fields that are kept
+ * - drop: fields that are always left out
+ * - timestamps: 'day', 'hour' or 'minute' to round times down to, or null
+ * - coordinates: decimal places to round coordinates to (1 is about 11 km,
+ *   2 about 1 km), which also shares private coordinates once rounded; or null
+ * - hashEmails: replace email addresses in metadata with stable hashes
+ */
+const REDACTION_PROFILES = {
+  // Anyone: public events only, at the day and town level, without people
+  public: {
+    include: 'public',
+    fields: 'public',
+    drop: ['mood', 'energy_level', 'user_id', 'source_id', 'provenance'],
+    timestamps: 'day',
+    coordinates: 1,
+    hashEmails: true
+  },
+  // People the owner trusts: personal events, to the hour and neighbourhood
+  friends: {
+    include: 'personal',
+    fields: 'personal',
+    drop: ['user_id', 'provenance'],
+    timestamps: 'hour',
+    coordinates: 2,
+    hashEmails: true
+  }
+};
+
+const profiles = new Map(Object.entries(REDACTION_PROFILES));
+
+function rank(level) {
+  return SENSITIVITY_LEVELS.indexOf(level);
+}
+
+function mostSensitive(...levels) {
+  return levels.filter(Boolean).reduce((a, b) => (rank(b) > rank(a) ? b : a));
+}
+
+/**
+ * Sensitivity of an event
+ * @param {Object} event - The LifeEvent
+ * @returns {string} Its own `sensitivity`, else its type's default
+ */
+function getEventSensitivity(event) {
+  return SENSITIVITY_LEVELS.includes(event.sensitivity) ? event.sensitivity : getEventTypeSensitivity(event.type);
+}
+
+/**
+ * Sensitivity of one field of an event
+ * An explicit `field_sensitivity` entry wins, even if it is lower than the
+ * event's; defaults only ever raise the field above its event.
+ * @param {Object} event - The LifeEvent
+ * @param {string} path - Dotted field path (e.g. 'title', 'metadata.amount', 'location.coordinates')
+ * @returns {string} 'public', 'personal' or 'private'
+ */
+function getFieldSensitivity(event, path) {
+  const explicit = event.field_sensitivity?.[path];
+  if (SENSITIVITY_LEVELS.includes(explicit)) return explicit;
+
+  const metadataField = path.startsWith('metadata.')
+    ? getMetadataSchema(event.type)?.properties[path.slice('metadata.'.length)]
+    : undefined;
+
+  return mostSensitive(getEventSensitivity(event), metadataField?.sensitivity, FIELD_SENSITIVITY[path]);
+}
+
+// Dotted paths of the fields an event has
+function fieldPaths(event) {
+  const paths = Object.keys(event).filter(field => !STRUCTURAL_FIELDS.has(field) && event[field] !== undefined);
+
+  if (event.location && typeof event.location === 'object') {
+    paths.push(...Object.keys(event.location).map(field => `location.${field}`));
+  }
+  if (event.metadata && typeof event.metadata === 'object') {
+    paths.push(...Object.keys(event.metadata).map(field => `metadata.${field}`));
+  }
+  return paths;
+}
+
+/**
+ * Label an event and each of its fields
+ * @param {Object} event - The LifeEvent
+ * @returns {Object} { level, fields } where fields maps dotted paths to levels
+ */
+function classifyEvent(event) {
+  return {
+    level: getEventSensitivity(event),
+    fields: Object.fromEntries(fieldPaths(event).map(path => [path, getFieldSensitivity(event, path)]))
+  };
+}
+
+/**
+ * Register a redaction profile
+ * @param {string} name - Profile name
+ * @param {Object} profile - Settings (see REDACTION_PROFILES)
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.extends] - Profile to start from
+ * @returns {Object} The complete profile
+ */
+function registerRedactionProfile(name, profile, options = {}) {
+  const complete = completeProfile(name, profile, options.extends);
+  profiles.set(name, complete);
+  return { ...complete };
+}
+
+// Fill in defaults and check the levels and time unit
+function completeProfile(name, profile, base) {
+  const complete = {
+    include: 'public',
+    fields: 'public',
+    drop: [],
+    timestamps: null,
+    coordinates: null,
+    hashEmails: true,
+    ...(base ? getRedactionProfile(base) : {}),
+    ...profile
+  };
+
+  for (const key of ['include', 'fields']) {
+    if (!SENSITIVITY_LEVELS.includes(complete[key])) {
+      throw new Error(`Invalid ${key} level in redaction profile "${name}": ${complete[key]}`);
+    }
+  }
+  if (complete.timestamps !== null && !TIME_UNITS.includes(complete.timestamps)) {
+    throw new Error(`Invalid timestamps in redaction profile "${name}": ${complete.timestamps}. Expected one of: ${TIME_UNITS.join(', ')}`);
+  }
+  return complete;
+}
+
+/**
+ * Get a redaction profile by name
+ * @param {string} name - Profile name (e.g. 'public', 'friends')
+ * @returns {Object} The profile
+ */
+function getRedactionProfile(name) {
+  const profile = profiles.get(name);
+  if (!profile) {
+    throw new Error(`Unknown redaction profile: ${name}. Available: ${[...profiles.keys()].join(', ')}`);
+  }
+  return { ...profile };
+}
+
+/**
+ * Check whether a URI is a placeholder written by redactEvents
+ * @param {string} uri - The URI
+ * @returns {boolean} True for a redacted link
+ */
+function isRedactedURI(uri) {
+  return typeof uri === 'string' && uri.startsWith(REDACTED_URI_PREFIX);
+}
+
+function keyOf(uri) {
+  try {
+    return LifeURI.parse(uri).withoutFragment().toString();
+  } catch (error) {
+    return uri;
+  }
+}
+
+function roundTime(timestamp, unit, event) {
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) return timestamp;
+
+  if (unit === 'day') {
+    // Midnight of the event's own day, in its time zone
+    return dayBounds(getEventDate({ timestamp, timezone: event.timezone }), event.timezone).from;
+  }
+  const step = unit === 'hour' ? 3600000 : 60000;
+  return new Date(Math.floor(time / step) * step).toISOString();
+}
+
+function roundCoordinates(coordinates, places) {
+  const factor = 10 ** places;
+  return {
+    lat: Math.round(coordinates.lat * factor) / factor,
+    lng: Math.round(coordinates.lng * factor) / factor
+  };
+}
+
+function hashEmails(value, hash) {
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_PATTERN, email => `${hash(email.toLowerCase()).slice(0, 16)}@redacted.invalid`);
+  }
+  if (Array.isArray(value)) return value.map(item => hashEmails(item, hash));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, hashEmails(item, hash)]));
+  }
+  return value;
+}
+
+function deletePath(event, path) {
+  const [field, nested] = path.split(/\.(.*)/s);
+  if (nested === undefined) {
+    delete event[field];
+  } else if (event[field] && typeof event[field] === 'object') {
+    delete event[field][nested];
+  }
+}
+
+// The event's URI with its time no finer than the profile allows
+function redactURI(event, profile, titleKept, hash) {
+  let parsed;
+  try {
+    parsed = LifeURI.parse(event.uri);
+  } catch (error) {
+    return null;
+  }
+
+  let { time } = parsed;
+  let { date } = parsed;
+  if (time && profile.timestamps === 'day') {
+    time = null;
+    date = getEventDate(event);
+  } else if (time && profile.timestamps === 'hour') {
+    time = `${time.slice(0, 2)}:00`;
+  } else if (time && profile.timestamps === 'minute') {
+    time = time.slice(0, 5);
+  }
+
+  // The slug comes from the title, so a hidden title needs a hidden slug
+  const slug = titleKept ? parsed.slug : `redacted-${hash(keyOf(event.uri)).slice(0, 12)}`;
+  return new LifeURI({ date, time, source: parsed.source, type: parsed.type, slug }).toString();
+}
+
+function redactFields(event, profile, hash) {
+  const redacted = { ...event };
+  if (event.location) redacted.location = { ...event.location };
+  if (event.metadata) redacted.metadata = { ...event.metadata };
+  delete redacted.field_sensitivity;
+  // A redacted copy never matches the signature, and its digest would let
+  // anyone confirm a guess about the hidden fields
+  delete redacted.signature;
+
+  const allowed = rank(profile.fields);
+  let titleKept = true;
+  for (const path of fieldPaths(event)) {
+    const tooSensitive = rank(getFieldSensitivity(event, path)) > allowed;
+    const roundable = path === 'location.coordinates' && Number.isInteger(profile.coordinates);
+    if (!profile.drop.includes(path) && (!tooSensitive || roundable)) continue;
+
+    if (path === 'title') {
+      // A title is required, so a hidden one becomes the type's description
+      redacted.title = getEventTypeDescription(event.type) || event.type;
+      titleKept = false;
+    } else {
+      deletePath(redacted, path);
+    }
+  }
+
+  if (redacted.location?.coordinates && Number.isInteger(profile.coordinates)) {
+    redacted.location.coordinates = roundCoordinates(redacted.location.coordinates, profile.coordinates);
+  }
+  if (redacted.location && Object.keys(redacted.location).length === 0) delete redacted.location;
+
+  if (profile.timestamps) {
+    const round = timestamp => roundTime(timestamp, profile.timestamps, event);
+    redacted.timestamp = round(event.timestamp);
+    for (const field of ['created_at', 'updated_at', 'recurrence_id']) {
+      if (redacted[field] !== undefined) redacted[field] = round(redacted[field]);
+    }
+    if (redacted.recurrence?.exdate) {
+      redacted.recurrence = { ...redacted.recurrence, exdate: redacted.recurrence.exdate.map(round) };
+    }
+  }
+
+  if (Array.isArray(redacted.recurrence?.overrides)) {
+    redacted.recurrence = {
+      ...redacted.recurrence,
+      overrides: redacted.recurrence.overrides.map(override => redactOverride(event, override, profile, hash))
+    };
+  }
+
+  if (profile.hashEmails && redacted.metadata) redacted.metadata = hashEmails(redacted.metadata, hash);
+
+  return { redacted, titleKept };
+}
+
+// An override holds fields of one occurrence, so it is redacted the way that occurrence would be
+function redactOverride(event, override, profile, hash) {
+  const { recurrence_id: recurrenceId, ...changes } = override;
+  const { recurrence: _series, ...series } = event;
+  const occurrence = { ...series, ...changes };
+  if (changes.metadata) occurrence.metadata = { ...series.metadata, ...changes.metadata };
+
+  const { redacted } = redactFields(occurrence, profile, hash);
+  const result = {
+    recurrence_id: profile.timestamps ? roundTime(recurrenceId, profile.timestamps, occurrence) : recurrenceId
+  };
+
+  for (const field of Object.keys(changes)) {
+    if (field === 'metadata') {
+      const kept = Object.keys(changes.metadata || {}).filter(name => redacted.metadata?.[name] !== undefined);
+      if (kept.length > 0) result.metadata = Object.fromEntries(kept.map(name => [name, redacted.metadata[name]]));
+    } else if (redacted[field] !== undefined) {
+      result[field] = redacted[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * Make a shareable copy of a set of events
+ * Events more sensitive than the profile's `include` are left out, and so
+ * are fields above its `fields` level. IDs are replaced with salted hashes,
+ * and links to events that aren't in the copy become placeholders under
+ * life://redacted/, the same one for every link to the same event.
+ * @param {Iterable<Object>} events - LifeEvents to share
+ * @param {string|Object} [profile] - Profile name or settings (default 'public')
+ * @param {Object} [options] - Redaction options
+ * @param {string} [options.salt] - Salt for hashes; a random one per call
+ *   (the default) keeps separate exports from being linked
+ * @returns {Object} { events, omitted } with the number of events left out
+ */
+function redactEvents(events, profile = 'public', options = {}) {
+  const settings = typeof profile === 'string'
+    ? getRedactionProfile(profile)
+    : completeProfile('(inline)', profile, profile.extends);
+  const salt = options.salt ?? randomBytes(16).toString('hex');
+  const hash = value => createHash('sha256').update(`${salt}:${value}`).digest('hex');
+
+  const list = Array.from(events);
+  const shared = list.filter(event => rank(getEventSensitivity(event)) <= rank(settings.include));
+
+  // First pass: redact fields and issue URIs, so links can be remapped
+  const issued = new Set();
+  const uris = new Map(); // original URI key -> shared URI
+  const redactedEvents = shared.map(event => {
+    const { redacted, titleKept } = redactFields(event, settings, hash);
+    const uri = event.uri ? redactURI(event, settings, titleKept, hash) : null;
+
+    if (uri) {
+      redacted.uri = nextFreeURI(uri, candidate => issued.has(candidate));
+      issued.add(redacted.uri);
+      uris.set(keyOf(event.uri), redacted.uri);
+    }
+    if (event.id !== undefined) redacted.id = `event_${hash(event.id).slice(0, 24)}`;
+    for (const field of ['parent_event_id', 'recurring_event_id']) {
+      if (event[field] !== undefined && redacted[field] !== undefined) {
+        redacted[field] = `event_${hash(event[field]).slice(0, 24)}`;
+      }
+    }
+    return redacted;
+  });
+
+  // Second pass: links
+  for (const redacted of redactedEvents) {
+    if (!Array.isArray(redacted.linked_uris)) continue;
+
+    redacted.linked_uris = redacted.linked_uris.map(link => {
+      const key = keyOf(getLinkURI(link));
+      const target = uris.get(key) ?? `${REDACTED_URI_PREFIX}${hash(key).slice(0, 24)}`;
+      return typeof link === 'string' ? target : { ...link, uri: target };
+    });
+  }
+
+  return { events: redactedEvents, omitted: list.length - shared.length };
+}
+
+export {
+  REDACTED_URI_PREFIX,
+  FIELD_SENSITIVITY,
+  REDACTION_PROFILES,
+  getEventSensitivity,
+  getFieldSensitivity,
+  classifyEvent,
+  registerRedactionProfile,
+  getRedactionProfile,
+  isRedactedURI,
+  redactEvents
+};
@@ -0,0 +1,524 @@
+/**
+ * LifeOS Protocol Recurring Events
+ *
+ * An event with a `recurrence` field stands for a series:
+ *
+ *   {
+ *     timestamp: '2025-07-07T08:00:00Z', source: 'calendar', type: 'calendar.meeting', title: 'Team standup',
+ *     recurrence: {
+ *       rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+ *       exdate: ['2025-07-09T08:00:00Z'],
+ *       overrides: [{ recurrence_id: '2025-07-11T08:00:00Z', timestamp: '2025-07-11T09:30:00Z' }]
+ *     }
+ *   }
+ *
+ * expandRecurrence turns the series into concrete occurrences over a window.
+ * Each occurrence has its own life:// URI with the original start time in the
+ * authority, so it stays addressable even when an override moves it.
+ *
+ * Supported RRULE parts (RFC 5545): FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+ * INTERVAL, COUNT, UNTIL, BYDAY (with ordinals for MONTHLY/YEARLY),
+ * BYMONTHDAY, BYMONTH and WKST. Rules repeat in the wall-clock time of
+ * `timezone` when set, so a 10:00 meeting stays at 10:00 across DST.
+ */
+
+import { LifeURI } from './lifeURI.js';
+import { generateEventURI } from './eventModel.js';
+import { generateEventId } from './identity.js';
+import { epochToZonedTime, zonedTimeToEpoch } from './timeZone.js';
+
+const DAY = 86400000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// A rule that matches nothing (e.g. BYMONTH=2;BYMONTHDAY=30) must not loop forever
+const MAX_EMPTY_PERIODS = 1000;
+const DEFAULT_LIMIT = 1000;
+
+function parseIntegerList(key, value, { max, signed }) {
+  return value.split(',').map(item => {
+    const number = Number(item);
+    if (!/^[+-]?\d+$/.test(item) || number === 0 || Math.abs(number) > max || (!signed && number < 0)) {
+      throw new Error(`Invalid RRULE ${key}: ${value}`);
+    }
+    return number;
+  });
+}
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Invalid RRULE UNTIL: ${value}`);
+    return { time, isDate: false };
+  }
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (hour === undefined) {
+    // A date-only UNTIL includes that whole (local) day
+    return { time: Date.UTC(Number(year), Number(month) - 1, Number(day)) + DAY - 1, isDate: true };
+  }
+  return { time: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)), isDate: false };
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. 'FREQ=MONTHLY;BYDAY=-1FR;COUNT=12' (an 'RRULE:' prefix is allowed)
+ * @returns {Object} { freq, interval, count, until, byDay, byMonthDay, byMonth, wkst }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRRule(value) {
+  const parts = {};
+  for (const part of String(value).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, partValue] = part.split('=');
+    const name = key.toUpperCase();
+    if (!SUPPORTED_PARTS.includes(name)) {
+      throw new Error(`Unsupported RRULE part: ${name}`);
+    }
+    if (partValue === undefined || partValue === '') {
+      throw new Error(`Invalid RRULE part: ${part}`);
+    }
+    parts[name] = partValue.toUpperCase();
+  }
+
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`RRULE FREQ must be one of ${FREQUENCIES.join(', ')}, got ${parts.FREQ}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('RRULE cannot have both COUNT and UNTIL');
+  }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  if (!Number.isInteger(interval) || interval < 1) throw new Error(`Invalid RRULE INTERVAL: ${parts.INTERVAL}`);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) throw new Error(`Invalid RRULE COUNT: ${parts.COUNT}`);
+
+  const byDay = parts.BYDAY
+    ? parts.BYDAY.split(',').map(item => {
+      const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+      if (!match || Number(match[1]) === 0) throw new Error(`Invalid RRULE BYDAY: ${parts.BYDAY}`);
+      return { weekday: WEEKDAYS.indexOf(match[2]), n: match[1] ? Number(match[1]) : null };
+    })
+    : [];
+
+  if (byDay.some(({ n }) => n !== null) && !['MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+    throw new Error('RRULE BYDAY ordinals (e.g. 2MO) are only allowed with FREQ=MONTHLY or YEARLY');
+  }
+
+  const wkst = parts.WKST ? WEEKDAYS.indexOf(parts.WKST) : 1;
+  if (wkst === -1) throw new Error(`Invalid RRULE WKST: ${parts.WKST}`);
+
+  return {
+    freq: parts.FREQ,
+    interval,
+    count,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    byDay,
+    byMonthDay: parts.BYMONTHDAY ? parseIntegerList('BYMONTHDAY', parts.BYMONTHDAY, { max: 31, signed: true }) : [],
+    byMonth: parts.BYMONTH ? parseIntegerList('BYMONTH', parts.BYMONTH, { max: 12, signed: false }) : [],
+    wkst
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Candidate days, as wall-clock midnights
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function weekday(day) {
+  return new Date(day).getUTCDay();
+}
+
+// Days from a range of consecutive days that match BYDAY, honouring ordinals
+function selectByDay(days, byDay) {
+  const selected = new Set();
+  for (const { weekday: target, n } of byDay) {
+    const matching = days.filter(day => weekday(day) === target);
+    if (n === null) {
+      matching.forEach(day => selected.add(day));
+    } else {
+      const day = n > 0 ? matching[n - 1] : matching[matching.length + n];
+      if (day !== undefined) selected.add(day);
+    }
+  }
+  return days.filter(day => selected.has(day));
+}
+
+function monthDays(year, month) {
+  return Array.from({ length: daysInMonth(year, month) }, (_, i) => Date.UTC(year, month, i + 1));
+}
+
+function selectInMonth(rule, year, month, startDate) {
+  const days = monthDays(year, month);
+  const { byDay, byMonthDay } = rule;
+
+  if (byDay.length === 0 && byMonthDay.length === 0) {
+    return days.filter(day => new Date(day).getUTCDate() === startDate);
+  }
+
+  let selected = days;
+  if (byMonthDay.length > 0) {
+    const wanted = new Set(byMonthDay.map(n => (n > 0 ? n : days.length + n + 1)));
+    selected = selected.filter(day => wanted.has(new Date(day).getUTCDate()));
+  }
+  if (byDay.length > 0) {
+    const byWeekday = new Set(selectByDay(days, byDay));
+    selected = selected.filter(day => byWeekday.has(day));
+  }
+  return selected;
+}
+
+function byMonthFilter(rule) {
+  return day => rule.byMonth.length === 0 || rule.byMonth.includes(new Date(day).getUTCMonth() + 1);
+}
+
+/**
+ * Candidate days of the k-th period of a rule
+ * @param {Object} rule - Parsed RRULE
+ * @param {number} startDay - Wall-clock midnight of DTSTART
+ * @param {number} k - Period number (0 = the period containing DTSTART)
+ * @returns {Array<number>} Sorted wall-clock midnights
+ */
+function periodDays(rule, startDay, k) {
+  const start = new Date(startDay);
+  const step = k * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + step * DAY;
+      const byWeekday = rule.byDay.map(({ weekday: target }) => target);
+      const byMonthDay = rule.byMonthDay;
+      const date = new Date(day).getUTCDate();
+      const length = daysInMonth(new Date(day).getUTCFullYear(), new Date(day).getUTCMonth());
+
+      if (byWeekday.length > 0 && !byWeekday.includes(weekday(day))) return [];
+      if (byMonthDay.length > 0 && !byMonthDay.some(n => (n > 0 ? n : length + n + 1) === date)) return [];
+      return [day].filter(byMonthFilter(rule));
+    }
+
+    case 'WEEKLY': {
+      const weekStart = startDay - ((weekday(startDay) - rule.wkst + 7) % 7) * DAY + step * 7 * DAY;
+      const days = Array.from({ length: 7 }, (_, i) => weekStart + i * DAY);
+      const targets = rule.byDay.length > 0 ? rule.byDay.map(({ weekday: target }) => target) : [weekday(startDay)];
+      return days.filter(day => targets.includes(weekday(day))).filter(byMonthFilter(rule));
+    }
+
+    case 'MONTHLY': {
+      const months = start.getUTCFullYear() * 12 + start.getUTCMonth() + step;
+      const year = Math.floor(months / 12);
+      const month = months % 12;
+      return selectInMonth(rule, year, month, start.getUTCDate()).filter(byMonthFilter(rule));
+    }
+
+    case 'YEARLY': {
+      const year = start.getUTCFullYear() + step;
+
+      if (rule.byMonth.length > 0) {
+        return [...rule.byMonth].sort((a, b) => a - b)
+          .flatMap(month => selectInMonth(rule, year, month - 1, start.getUTCDate()));
+      }
+      if (rule.byMonthDay.length > 0) {
+        return Array.from({ length: 12 }, (_, month) => selectInMonth(rule, year, month, start.getUTCDate())).flat();
+      }
+      if (rule.byDay.length > 0) {
+        // Ordinals count through the whole year (e.g. 20MO is the 20th Monday)
+        const days = Array.from({ length: 12 }, (_, month) => monthDays(year, month)).flat();
+        return selectByDay(days, rule.byDay);
+      }
+      return selectInMonth(rule, year, start.getUTCMonth(), start.getUTCDate());
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Start times of a series, in order
+ * DTSTART always counts as the first occurrence (RFC 5545).
+ * @param {Object} rule - Parsed RRULE
+ * @param {number} start - DTSTART in epoch ms
+ * @param {string|null} timeZone - Zone whose wall clock the rule repeats in
+ * @yields {number} Epoch milliseconds
+ */
+function* occurrenceTimes(rule, start, timeZone) {
+  const toWall = time => (timeZone ? epochToZonedTime(time, timeZone) : time);
+  const toEpoch = wall => (timeZone ? zonedTimeToEpoch(wall, timeZone) : wall);
+
+  const startWall = toWall(start);
+  const startDay = Math.floor(startWall / DAY) * DAY;
+  const timeOfDay = startWall - startDay;
+  const isPastUntil = (wall, time) => rule.until !== null && (rule.until.isDate ? wall : time) > rule.until.time;
+
+  if (isPastUntil(startWall, start)) return;
+  yield start;
+  let count = 1;
+
+  for (let k = 0, empty = 0; empty < MAX_EMPTY_PERIODS; k++) {
+    const days = periodDays(rule, startDay, k);
+    empty = days.length === 0 ? empty + 1 : 0;
+
+    for (const day of days) {
+      const wall = day + timeOfDay;
+      if (wall <= startWall) continue;
+
+      const time = toEpoch(wall);
+      if (isPastUntil(wall, time)) return;
+      if (rule.count !== null && count >= rule.count) return;
+
+      yield time;
+      count++;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Occurrences
+
+function toTime(value, name) {
+  if (typeof value === 'number') return value;
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return time;
+}
+
+function compactStamp(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Check whether an event is a recurring series
+ * @param {Object} event - The LifeEvent
+ * @returns {boolean} True if it has a recurrence rule
+ */
+function isRecurring(event) {
+  return typeof event?.recurrence?.rrule === 'string';
+}
+
+/**
+ * URI of a series' occurrence
+ * The series URI's source, type and slug with the occurrence's original start
+ * as the authority (minute precision, or second precision if needed).
+ * @param {Object} event - The series
+ * @param {string|Date} recurrenceId - Original start of the occurrence
+ * @returns {string} life:// URI
+ */
+function occurrenceURI(event, recurrenceId) {
+  const time = toTime(recurrenceId, 'recurrence ID');
+  const precision = time % 60000 === 0 ? 'minute' : 'second';
+  const generated = LifeURI.parse(generateEventURI({ ...event, timestamp: new Date(time).toISOString() }, { precision }));
+
+  if (!event.uri) return generated.toString();
+
+  const series = LifeURI.parse(event.uri);
+  return new LifeURI({ ...series.toJSON(), date: generated.date, time: generated.time, fragment: null }).toString();
+}
+
+function seriesTimeZone(event, options) {
+  return options.timeZone ?? event.timezone ?? null;
+}
+
+function buildOccurrence(event, time, override) {
+  const { recurrence, ...fields } = event;
+  const seriesId = event.id || generateEventId(event);
+  const recurrenceId = new Date(time).toISOString();
+
+  const occurrence = {
+    ...fields,
+    id: `${seriesId}_${compactStamp(time)}`,
+    uri: occurrenceURI(event, time),
+    timestamp: recurrenceId,
+    recurrence_id: recurrenceId,
+    recurring_event_id: seriesId
+  };
+
+  if (override) {
+    const { recurrence_id: ignored, metadata, ...changes } = override;
+    Object.assign(occurrence, changes);
+    if (metadata) occurrence.metadata = { ...fields.metadata, ...metadata };
+  }
+
+  return occurrence;
+}
+
+function exceptionTimes(event) {
+  return new Set((event.recurrence.exdate || []).map(value => toTime(value, 'EXDATE')));
+}
+
+function overridesByTime(event) {
+  return new Map((event.recurrence.overrides || []).map(override => [toTime(override.recurrence_id, 'recurrence_id'), override]));
+}
+
+/**
+ * Check whether a time is an occurrence of a series, ignoring exceptions
+ * @param {Object} event - The series
+ * @param {number} time - Epoch ms
+ * @param {Object} options - { timeZone }
+ * @returns {boolean}
+ */
+function isRuleTime(event, time, options) {
+  const rule = parseRRule(event.recurrence.rrule);
+  for (const candidate of occurrenceTimes(rule, toTime(event.timestamp, 'timestamp'), seriesTimeZone(event, options))) {
+    if (candidate === time) return true;
+    if (candidate > time) return false;
+  }
+  return false;
+}
+
+/**
+ * Expand a series into concrete occurrences over a window
+ * Non-recurring events are returned as-is when they fall in the window.
+ * @param {Object} event - The LifeEvent
+ * @param {Object} [options] - Expansion options
+ * @param {string|Date} [options.from] - Window start (inclusive)
+ * @param {string|Date} [options.to] - Window end (inclusive); required unless the rule has COUNT or UNTIL
+ * @param {number} [options.limit] - Maximum occurrences (default 1000)
+ * @param {string} [options.timeZone] - Zone the rule repeats in (default the event's timezone, else UTC)
+ * @returns {Array<Object>} Occurrences sorted by timestamp
+ */
+function expandRecurrence(event, options = {}) {
+  const from = options.from !== undefined && options.from !== null ? toTime(options.from, 'window start') : -Infinity;
+  const to = options.to !== undefined && options.to !== null ? toTime(options.to, 'window end') : Infinity;
+  const limit = options.limit ?? DEFAULT_LIMIT;
+  const inWindow = time => time >= from && time <= to;
+
+  if (!isRecurring(event)) {
+    return inWindow(toTime(event.timestamp, 'timestamp')) ? [event] : [];
+  }
+
+  const rule = parseRRule(event.recurrence.rrule);
+  if (to === Infinity && rule.count === null && rule.until === null) {
+    throw new Error('Expanding a recurrence without COUNT or UNTIL needs a window end (options.to)');
+  }
+
+  const exceptions = exceptionTimes(event);
+  const overrides = overridesByTime(event);
+  const occurrences = [];
+
+  for (const time of occurrenceTimes(rule, toTime(event.timestamp, 'timestamp'), seriesTimeZone(event, options))) {
+    if (time > to) break;
+    if (time < from || exceptions.has(time)) continue;
+
+    const occurrence = buildOccurrence(event, time, overrides.get(time));
+    if (inWindow(toTime(occurrence.timestamp, 'timestamp'))) occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+
+  // Overrides can move an occurrence into the window from outside it
+  for (const [time, override] of overrides) {
+    if (inWindow(time) || exceptions.has(time) || override.timestamp === undefined) continue;
+    if (inWindow(toTime(override.timestamp, 'timestamp')) && isRuleTime(event, time, options)) {
+      occurrences.push(buildOccurrence(event, time, override));
+    }
+  }
+
+  return occurrences
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .slice(0, limit);
+}
+
+function hasEnd(event) {
+  const rule = parseRRule(event.recurrence.rrule);
+  return rule.count !== null || rule.until !== null;
+}
+
+/**
+ * Expand every series in a list of events over a window
+ * Series that can't be expanded without a window end are kept as they are.
+ * @param {Iterable<Object>} events - LifeEvents
+ * @param {Object} [options] - See expandRecurrence
+ * @returns {Array<Object>} Events and occurrences sorted by timestamp
+ */
+function expandEvents(events, options = {}) {
+  const bounded = options.to !== undefined && options.to !== null;
+  const results = [];
+
+  for (const event of events) {
+    if (isRecurring(event) && !bounded && !hasEnd(event)) {
+      results.push(event);
+    } else {
+      results.push(...expandRecurrence(event, options));
+    }
+  }
+
+  return results.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+}
+
+/**
+ * A single occurrence of a series
+ * @param {Object} event - The series
+ * @param {string|Date} recurrenceId - Original start of the occurrence
+ * @param {Object} [options] - { timeZone }
+ * @returns {Object|null} The occurrence, or null if the series has none then
+ */
+function getOccurrence(event, recurrenceId, options = {}) {
+  if (!isRecurring(event)) return null;
+
+  const time = toTime(recurrenceId, 'recurrence ID');
+  if (exceptionTimes(event).has(time) || !isRuleTime(event, time, options)) return null;
+
+  return buildOccurrence(event, time, overridesByTime(event).get(time));
+}
+
+/**
+ * Change a single occurrence of a series
+ * @param {Object} event - The series
+ * @param {string|Date} recurrenceId - Original start of the occurrence
+ * @param {Object} changes - Fields to change (e.g. { timestamp, title, metadata })
+ * @param {Object} [options] - { timeZone }
+ * @returns {Object} The series with the override recorded
+ * @throws {Error} If the series has no occurrence at recurrenceId
+ */
+function overrideOccurrence(event, recurrenceId, changes, options = {}) {
+  if (!getOccurrence(event, recurrenceId, options)) {
+    throw new Error(`${event.uri || event.id || event.title} has no occurrence at ${recurrenceId}`);
+  }
+
+  const time = toTime(recurrenceId, 'recurrence ID');
+  const id = new Date(time).toISOString();
+  const { id: ignoredId, uri, recurrence, recurrence_id, recurring_event_id, ...allowed } = changes;
+  const overrides = (event.recurrence.overrides || []).filter(override => toTime(override.recurrence_id, 'recurrence_id') !== time);
+
+  return {
+    ...event,
+    recurrence: { ...event.recurrence, overrides: [...overrides, { recurrence_id: id, ...allowed }] }
+  };
+}
+
+/**
+ * Remove a single occurrence from a series (adds an EXDATE)
+ * @param {Object} event - The series
+ * @param {string|Date} recurrenceId - Original start of the occurrence
+ * @returns {Object} The series without that occurrence
+ */
+function cancelOccurrence(event, recurrenceId) {
+  if (!isRecurring(event)) {
+    throw new Error(`${event.uri || event.id || event.title} is not a recurring event`);
+  }
+
+  const time = toTime(recurrenceId, 'recurrence ID');
+  const exdate = (event.recurrence.exdate || []).filter(value => toTime(value, 'EXDATE') !== time);
+  const overrides = (event.recurrence.overrides || []).filter(override => toTime(override.recurrence_id, 'recurrence_id') !== time);
+
+  const recurrence = { ...event.recurrence, exdate: [...exdate, new Date(time).toISOString()] };
+  if (overrides.length > 0) recurrence.overrides = overrides;
+  else delete recurrence.overrides;
+
+  return { ...event, recurrence };
+}
+
+export {
+  parseRRule,
+  isRecurring,
+  expandRecurrence,
+  expandEvents,
+  getOccurrence,
+  occurrenceURI,
+  overrideOccurrence,
+  cancelOccurrence
+};
@@ -0,0 +1,115 @@
+/**
+ * LifeOS Protocol Relation Type Registry
+ *
+ * Standard relation types for typed links between events.
+ * A link in `linked_uris` is either a plain life:// URI string or
+ * an object `{ uri, rel }` where `rel` names one of these relations.
+ */
+
+const RELATION_TYPES = {
+  about: "The linking event is about the linked event (e.g. a journal entry about a song)",
+  during: "The linking event happened during the linked event",
+  caused_by: "The linking event was caused by the linked event",
+  part_of: "The linking event is part of the linked event",
+  follows: "The linking event follows the linked event",
+  mentions: "The linking event mentions the linked event",
+  related_to: "General relation without a more specific meaning"
+};
+
+/**
+ * Format of a relation type name; vendor relations use an "x-" prefix
+ */
+const RELATION_TYPE_PATTERN = /^(?:[a-z][a-z0-9_]*|x-[a-z0-9]+(?:-[a-z0-9]+)*\.[a-z][a-z0-9_]*)$/;
+
+// Runtime registry: name -> { name, description, standard, inverse }
+const registry = new Map();
+
+function seedRegistry() {
+  registry.clear();
+  for (const [name, description] of Object.entries(RELATION_TYPES)) {
+    registry.set(name, { name, description, standard: true });
+  }
+}
+
+seedRegistry();
+
+/**
+ * Register a new relation type
+ * @param {string} name - Relation name (e.g. 'inspired_by', 'x-myapp.synced_from')
+ * @param {string} description - Human-readable description
+ * @param {Object} [options] - Registration options
+ * @param {string} [options.inverse] - Name to show on backlinks (e.g. 'inspired')
+ * @param {boolean} [options.override] - Replace an existing custom relation
+ * @returns {Object} The registry entry
+ */
+function registerRelationType(name, description, options = {}) {
+  if (typeof name !== 'string' || !RELATION_TYPE_PATTERN.test(name)) {
+    throw new Error(`Invalid relation type: "${name}". Expected a lowercase name such as "inspired_by".`);
+  }
+
+  const existing = registry.get(name);
+  if (existing?.standard) {
+    throw new Error(`Cannot redefine standard relation type: ${name}`);
+  }
+  if (existing && !options.override) {
+    throw new Error(`Relation type already registered: ${name}`);
+  }
+
+  const entry = { name, description: description || '', standard: false, inverse: options.inverse };
+  registry.set(name, entry);
+  return entry;
+}
+
+/**
+ * Check if a relation type is registered
+ * @param {string} name - The relation type (e.g. 'about')
+ * @returns {boolean} True if valid
+ */
+function isValidRelationType(name) {
+  return registry.has(name);
+}
+
+/**
+ * Get registry details for a relation type
+ * @param {string} name - The relation type
+ * @returns {Object|null} { name, description, standard, inverse? }
+ */
+function getRelationTypeInfo(name) {
+  const entry = registry.get(name);
+  return entry ? { ...entry } : null;
+}
+
+/**
+ * Get description for a relation type
+ * @param {string} name - The relation type
+ * @returns {string} Description of the relation type
+ */
+function getRelationTypeDescription(name) {
+  return registry.get(name)?.description || null;
+}
+
+/**
+ * Get all relation types as a flat list
+ * @returns {Array<string>} Array of relation names
+ */
+function getAllRelationTypesList() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Restore the registry to the standard relation types only
+ */
+function resetRelationTypeRegistry() {
+  seedRegistry();
+}
+
+export {
+  RELATION_TYPES,
+  RELATION_TYPE_PATTERN,
+  registerRelationType,
+  isValidRelationType,
+  getRelationTypeInfo,
+  getRelationTypeDescription,
+  getAllRelationTypesList,
+  resetRelationTypeRegistry
+};
@@ -0,0 +1,227 @@
+/**
+ * LifeOS Protocol Resolver Server
+ *
+ * Serves events from a LifeURIResolver over HTTP (Node.js only), so another
+ * machine can delegate a source to it with BuiltInResolvers.remoteResolver.
+ *
+ * Routes (GET):
+ *   /resolve?uri=<life uri>          -> { event }
+ *   /events?pattern=<life pattern>   -> { events }
+ *   /sources                         -> { sources }
+ *
+ * Errors are JSON `{ error: { code, message } }` using the codes from errors.js.
+ *
+ * Usage:
+ *   const server = new LifeResolverServer(resolver, { token: process.env.LIFEOS_TOKEN, cors: true });
+ *   const url = await server.listen(4300);
+ */
+
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+
+const STATUS_BY_CODE = {
+  INVALID_URI: 400,
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  EVENT_NOT_FOUND: 404,
+  RESOLVER_NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  INVALID_EVENT: 502,
+  INVALID_SIGNATURE: 502,
+  RESOLUTION_FAILED: 502,
+  RESOLVER_TIMEOUT: 504
+};
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+class LifeResolverServer {
+  /**
+   * @param {LifeURIResolver} resolver - Resolver whose sources are served
+   * @param {Object} [options] - Server options
+   * @param {string} [options.token] - Require `Authorization: Bearer <token>`
+   * @param {boolean|string|Array<string>} [options.cors] - Allowed origins: true for any, or specific origins
+   * @param {number} [options.timeout] - Per-request resolution timeout in ms
+   * @param {Function} [options.onError] - Gets the errors answered with a 500 (default console.error)
+   */
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.token = options.token || null;
+    this.cors = options.cors || false;
+    this.timeout = options.timeout;
+    this.onError = options.onError || (error => console.error('LifeResolverServer:', error));
+    this.server = http.createServer((req, res) => {
+      // Whatever handle didn't answer becomes a 500, never an unhandled rejection
+      this.handle(req, res).catch(error => {
+        if (res.headersSent) res.destroy(error);
+        else this.sendError(res, error, {});
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] - Port (0 picks a free one)
+   * @param {string} [host] - Interface to bind; defaults to localhost only
+   * @returns {Promise<string>} Base URL, e.g. 'http://127.0.0.1:4300'
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Base URL of the listening server
+   * @returns {string|null}
+   */
+  get url() {
+    const address = this.server.address();
+    if (!address || typeof address === 'string') return address || null;
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    return `http://${host}:${address.port}`;
+  }
+
+  /**
+   * Stop accepting connections and close idle ones
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server.closeIdleConnections?.();
+    });
+  }
+
+  allowedOrigin(origin) {
+    if (!this.cors || !origin) return null;
+    if (this.cors === true || this.cors === '*') return '*';
+
+    const origins = Array.isArray(this.cors) ? this.cors : [this.cors];
+    return origins.includes(origin) ? origin : null;
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  sendError(res, error, headers) {
+    const code = error.code && STATUS_BY_CODE[error.code] ? error.code : 'INTERNAL_ERROR';
+    const status = STATUS_BY_CODE[code] || 500;
+
+    // Unexpected errors may carry paths or internals, so only the server sees them
+    if (status === 500) {
+      this.onError(error);
+      this.send(res, status, { error: { code, message: 'Internal server error' } }, headers);
+      return;
+    }
+    this.send(res, status, { error: { code, message: error.message } }, headers);
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const headers = {};
+    const origin = this.allowedOrigin(req.headers.origin);
+    if (origin) {
+      headers['Access-Control-Allow-Origin'] = origin;
+      if (origin !== '*') headers.Vary = 'Origin';
+    }
+
+    // Preflight requests carry no credentials, so they skip auth
+    if (req.method === 'OPTIONS') {
+      this.send(res, 204, undefined, {
+        ...headers,
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '600'
+      });
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      this.sendError(res, { code: 'METHOD_NOT_ALLOWED', message: `Method not allowed: ${req.method}` }, { ...headers, Allow: 'GET, OPTIONS' });
+      return;
+    }
+
+    if (this.token) {
+      const [scheme, credentials = ''] = String(req.headers.authorization || '').split(' ');
+      if (scheme !== 'Bearer' || !tokensMatch(this.token, credentials)) {
+        this.sendError(res, { code: 'UNAUTHORIZED', message: 'Missing or invalid bearer token' }, { ...headers, 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+    }
+
+    // Stop resolving when the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let url = null;
+    const param = name => {
+      const value = url.searchParams.get(name);
+      if (!value) {
+        throw Object.assign(new Error(`Missing query parameter: ${name}`), { code: 'BAD_REQUEST' });
+      }
+      return value;
+    };
+
+    try {
+      try {
+        url = new URL(req.url, 'http://localhost');
+      } catch (error) {
+        throw Object.assign(new Error(`Invalid request URL: ${req.url}`), { code: 'BAD_REQUEST', cause: error });
+      }
+
+      switch (url.pathname.replace(/\/+$/, '') || '/') {
+        case '/resolve': {
+          const event = await this.resolver.resolveURI(param('uri'), { signal: controller.signal, timeout: this.timeout });
+          this.send(res, 200, { event }, headers);
+          break;
+        }
+        case '/events': {
+          const events = await this.resolver.resolveCollection(param('pattern'));
+          this.send(res, 200, { events }, headers);
+          break;
+        }
+        case '/sources':
+          this.send(res, 200, { sources: this.resolver.getRegisteredSources() }, headers);
+          break;
+        default:
+          this.sendError(res, { code: 'NOT_FOUND', message: `No route for ${url.pathname}` }, headers);
+      }
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      // Pattern syntax errors are plain Errors; report them as bad requests
+      const reported = !error.code && url?.pathname.startsWith('/events')
+        ? { code: 'BAD_REQUEST', message: error.message }
+        : error;
+      this.sendError(res, reported, headers);
+    }
+  }
+}
+
+/**
+ * Create a resolver server
+ * @param {LifeURIResolver} resolver - Resolver whose sources are served
+ * @param {Object} [options] - See LifeResolverServer
+ * @returns {LifeResolverServer} The server (not yet listening)
+ */
+function createResolverServer(resolver, options) {
+  return new LifeResolverServer(resolver, options);
+}
+
+export { LifeResolverServer, createResolverServer };
@@ -0,0 +1,320 @@
+/**
+ * LifeOS Protocol Schema Validator
+ *
+ * A small JSON Schema (draft-07) validation engine used to enforce
+ * lifeevent.schema.json. Every error carries a JSON pointer to the
+ * offending value so callers can report exactly what is wrong.
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, uniqueItems, minLength,
+ * maxLength, pattern, format, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, allOf, anyOf, oneOf, not and local $ref.
+ */
+
+// Load the LifeEvent schema shipped with the protocol: Node.js reads it from
+// disk, other environments fetch it from next to this module. Where neither
+// works, pass it to setLifeEventSchema() before validating events.
+let lifeEventSchema = await loadLifeEventSchema();
+
+async function loadLifeEventSchema() {
+  const url = new URL('./lifeevent.schema.json', import.meta.url);
+
+  if (typeof process !== 'undefined' && process.versions?.node) {
+    const { readFileSync } = await import('fs');
+    return JSON.parse(readFileSync(url, 'utf8'));
+  }
+
+  try {
+    const response = await fetch(url);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const FORMATS = {
+  'date-time': value => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/.exec(value);
+    if (!match) return false;
+    const [, , month, day, hour, minute, second, , , offsetHour, offsetMinute] = match;
+    return isValidDate(match[1], month, day) &&
+      Number(hour) < 24 && Number(minute) < 60 && Number(second) < 61 &&
+      (offsetHour === undefined || (Number(offsetHour) < 24 && Number(offsetMinute) < 60));
+  },
+  date: value => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return Boolean(match) && isValidDate(match[1], match[2], match[3]);
+  },
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value)
+};
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCFullYear() === Number(year) &&
+    date.getUTCMonth() === Number(month) - 1 &&
+    date.getUTCDate() === Number(day);
+}
+
+/**
+ * Escape a property name for use in a JSON pointer (RFC 6901)
+ * @param {string|number} token - Property name or array index
+ * @returns {string} Escaped pointer token
+ */
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Unsupported $ref: ${ref}. Only local references are supported.`);
+  }
+
+  const tokens = ref.substring(1).split('/').filter(token => token.length > 0);
+  let target = rootSchema;
+  for (const token of tokens) {
+    target = target?.[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref: ${ref}`);
+  }
+  return target;
+}
+
+function validateNode(value, schema, path, rootSchema, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, keyword: 'false', message: 'is not allowed' });
+    return;
+  }
+
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, rootSchema), path, rootSchema, errors);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, keyword: 'type', message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path, keyword: 'enum', message: `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push({ path, keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'string') validateString(value, schema, path, errors);
+  if (typeof value === 'number') validateNumber(value, schema, path, errors);
+  if (Array.isArray(value)) validateArray(value, schema, path, rootSchema, errors);
+  if (typeOf(value) === 'object') validateObject(value, schema, path, rootSchema, errors);
+
+  validateCombinators(value, schema, path, rootSchema, errors);
+}
+
+function validateString(value, schema, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, keyword: 'minLength', message: `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path, keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path, keyword: 'pattern', message: `must match pattern "${schema.pattern}"` });
+  }
+  if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push({ path, keyword: 'format', message: `must be a valid ${schema.format}` });
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, keyword: 'minimum', message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, keyword: 'maximum', message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ path, keyword: 'exclusiveMinimum', message: `must be > ${schema.exclusiveMinimum}` });
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ path, keyword: 'exclusiveMaximum', message: `must be < ${schema.exclusiveMaximum}` });
+  }
+}
+
+function validateArray(value, schema, path, rootSchema, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+  }
+  if (schema.uniqueItems) {
+    value.forEach((item, index) => {
+      if (value.findIndex(other => deepEqual(other, item)) !== index) {
+        errors.push({ path: `${path}/${index}`, keyword: 'uniqueItems', message: 'must not duplicate an earlier item' });
+      }
+    });
+  }
+  if (schema.items !== undefined) {
+    value.forEach((item, index) => {
+      const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+      validateNode(item, itemSchema, `${path}/${index}`, rootSchema, errors);
+    });
+  }
+}
+
+function validateObject(value, schema, path, rootSchema, errors) {
+  for (const field of schema.required || []) {
+    if (value[field] === undefined) {
+      errors.push({ path: `${path}/${escapePointerToken(field)}`, keyword: 'required', message: 'is required' });
+    }
+  }
+
+  const properties = schema.properties || {};
+  for (const [key, propertyValue] of Object.entries(value)) {
+    // undefined is what JSON.stringify drops, so treat it as absent
+    if (propertyValue === undefined) continue;
+
+    const propertyPath = `${path}/${escapePointerToken(key)}`;
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      validateNode(propertyValue, properties[key], propertyPath, rootSchema, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: propertyPath, keyword: 'additionalProperties', message: 'is not an allowed property' });
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateNode(propertyValue, schema.additionalProperties, propertyPath, rootSchema, errors);
+    }
+  }
+}
+
+function validateCombinators(value, schema, path, rootSchema, errors) {
+  const attempt = subschema => {
+    const branchErrors = [];
+    validateNode(value, subschema, path, rootSchema, branchErrors);
+    return branchErrors;
+  };
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validateNode(value, subschema, path, rootSchema, errors));
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(attempt);
+    if (!results.some(branchErrors => branchErrors.length === 0)) {
+      errors.push(...closestBranch(results, path, 'anyOf'));
+    }
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(attempt);
+    const passing = results.filter(branchErrors => branchErrors.length === 0).length;
+    if (passing === 0) {
+      errors.push(...closestBranch(results, path, 'oneOf'));
+    } else if (passing > 1) {
+      errors.push({ path, keyword: 'oneOf', message: 'must match exactly one schema in oneOf' });
+    }
+  }
+
+  if (schema.not !== undefined && attempt(schema.not).length === 0) {
+    errors.push({ path, keyword: 'not', message: 'must not match the "not" schema' });
+  }
+}
+
+/**
+ * Report the errors of the only branch whose type matched, so an object
+ * with a bad property isn't just reported as "must be string".
+ */
+function closestBranch(results, path, keyword) {
+  const deeper = results.filter(branchErrors => !branchErrors.some(error => error.path === path && error.keyword === 'type'));
+  if (deeper.length === 1) return deeper[0];
+  return [{ path, keyword, message: `must match a schema in ${keyword}` }];
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The JSON Schema to validate against
+ * @param {string} [basePath] - JSON pointer prefix for reported paths
+ * @returns {Array<Object>} Errors as { path, keyword, message }; empty when valid
+ */
+function validateAgainstSchema(value, schema, basePath = '') {
+  const errors = [];
+  validateNode(value, schema, basePath, schema, errors);
+  return errors;
+}
+
+/**
+ * Validate a LifeEvent against lifeevent.schema.json
+ * @param {Object} event - The LifeEvent to validate
+ * @returns {Array<Object>} Errors as { path, keyword, message }; empty when valid
+ */
+function validateLifeEventSchema(event) {
+  return validateAgainstSchema(event, getLifeEventSchema());
+}
+
+/**
+ * Format a schema error as a single line
+ * @param {Object} error - Error returned by validateAgainstSchema
+ * @returns {string} e.g. "/location/coordinates/lat: must be <= 90"
+ */
+function formatSchemaError(error) {
+  return `${error.path || '/'}: ${error.message}`;
+}
+
+/**
+ * Get the LifeEvent schema used for validation
+ * @returns {Object} Parsed lifeevent.schema.json
+ * @throws {Error} If the schema couldn't be loaded and none was set
+ */
+function getLifeEventSchema() {
+  if (!lifeEventSchema) {
+    throw new Error('The LifeEvent schema could not be loaded here; pass lifeevent.schema.json to setLifeEventSchema()');
+  }
+  return lifeEventSchema;
+}
+
+/**
+ * Use a LifeEvent schema supplied by the caller, e.g. a bundled copy of lifeevent.schema.json
+ * @param {Object} schema - The parsed schema
+ */
+function setLifeEventSchema(schema) {
+  lifeEventSchema = schema;
+}
+
+export {
+  validateAgainstSchema,
+  validateLifeEventSchema,
+  formatSchemaError,
+  getLifeEventSchema,
+  setLifeEventSchema,
+  escapePointerToken
+};
@@ -0,0 +1,332 @@
+/**
+ * LifeOS Protocol Event Signatures
+ *
+ * A source can sign its events with an Ed25519 key, so whoever receives them
+ * from a plugin or another machine can check which source produced them and
+ * that they weren't edited on the way.
+ *
+ * The signature covers the event's canonical JSON (keys sorted, no
+ * whitespace) without the fields stores manage: `signature`, `uri`,
+ * `created_at` and `updated_at`. The key signs the SHA-256 digest of those
+ * bytes, which the signature carries:
+ *
+ *   "signature": { "alg": "Ed25519", "key_id": "9c1e...", "digest": "<sha256 hex>", "value": "<base64>" }
+ *
+ * Public keys are registered per source in a KeyRing; an event's signature is
+ * only checked against keys of its own `source`.
+ *
+ * Normalizing or merging an event changes what was signed. Rather than keep a
+ * signature that no longer matches, preserveSignature moves it into
+ * `provenance`, where the digest still proves what the source signed.
+ *
+ * Note: Only works in Node.js environments
+ */
+
+import { KeyObject, createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+
+const SIGNATURE_ALGORITHM = 'Ed25519';
+
+// Assigned by stores, so they can change without touching what the source said
+const UNSIGNED_FIELDS = ['signature', 'uri', 'created_at', 'updated_at'];
+
+const SIGNATURE_CONTEXT = 'lifeos-event-signature:v1:';
+
+/**
+ * Serialize a value as canonical JSON
+ * Object keys are sorted by code point and undefined members are left out,
+ * so equal events always give the same bytes.
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function canonicalJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalJSON(value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJSON(item))).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * SHA-256 digest of the part of an event that a signature covers
+ * @param {Object} event - The LifeEvent
+ * @returns {string} Hex digest
+ */
+function eventDigest(event) {
+  const content = { ...event };
+  for (const field of UNSIGNED_FIELDS) delete content[field];
+  return createHash('sha256').update(canonicalJSON(content), 'utf8').digest('hex');
+}
+
+function toPublicKey(key) {
+  const publicKey = key instanceof KeyObject && key.type === 'public' ? key : createPublicKey(key);
+  if (publicKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Expected an Ed25519 key, got ${publicKey.asymmetricKeyType}`);
+  }
+  return publicKey;
+}
+
+/**
+ * Key ID derived from a public key: the start of its SPKI fingerprint
+ * @param {string|Object} publicKey - PEM text or a KeyObject
+ * @returns {string} 16 hex characters
+ */
+function keyIdOf(publicKey) {
+  const der = toPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create an Ed25519 key pair for signing a source's events
+ * @returns {Object} { publicKey, privateKey, keyId } with the keys as PEM text
+ */
+function generateSigningKeys() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey, privateKey, keyId: keyIdOf(publicKey) };
+}
+
+/**
+ * Sign an event
+ * @param {Object} event - The LifeEvent, with the `source` whose key signs it
+ * @param {string|Object} privateKey - Ed25519 private key as PEM text or a KeyObject
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.keyId] - Key ID to record; defaults to the key's fingerprint
+ * @returns {Object} A copy of the event with `signature`
+ */
+function signEvent(event, privateKey, options = {}) {
+  const key = createPrivateKey(privateKey);
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Expected an Ed25519 key, got ${key.asymmetricKeyType}`);
+  }
+
+  const { signature: _previous, ...unsigned } = event;
+  const digest = eventDigest(unsigned);
+  const value = sign(null, Buffer.from(SIGNATURE_CONTEXT + digest, 'utf8'), key).toString('base64');
+
+  return {
+    ...unsigned,
+    signature: {
+      alg: SIGNATURE_ALGORITHM,
+      key_id: options.keyId || keyIdOf(createPublicKey(key)),
+      digest,
+      value
+    }
+  };
+}
+
+/**
+ * Public keys of the sources whose signatures we trust
+ */
+class KeyRing {
+  /**
+   * @param {Object} [keys] - { [source]: { [keyId]: publicKey } }, as returned by toJSON
+   */
+  constructor(keys = {}) {
+    this.keys = new Map(); // source -> Map(keyId -> KeyObject)
+
+    for (const [source, sourceKeys] of Object.entries(keys)) {
+      if (typeof sourceKeys === 'string') {
+        this.addKey(source, sourceKeys);
+        continue;
+      }
+      for (const [keyId, publicKey] of Object.entries(sourceKeys)) {
+        this.addKey(source, publicKey, { keyId });
+      }
+    }
+  }
+
+  /**
+   * Trust a public key for a source's events
+   * A source can have several keys, e.g. while it rotates to a new one.
+   * @param {string} source - The source the key signs for
+   * @param {string|Object} publicKey - Ed25519 public key as PEM text, a KeyObject or { key, format: 'jwk' }
+   * @param {Object} [options] - Key options
+   * @param {string} [options.keyId] - Key ID used in signatures; defaults to the key's fingerprint
+   * @returns {string} The key ID
+   * @throws {Error} If the source already has a different key under that ID
+   */
+  addKey(source, publicKey, options = {}) {
+    if (typeof source !== 'string' || source.length === 0) {
+      throw new Error('Key source must be a non-empty string');
+    }
+
+    const key = toPublicKey(publicKey);
+    const keyId = options.keyId || keyIdOf(key);
+    const sourceKeys = this.keys.get(source) || new Map();
+
+    const existing = sourceKeys.get(keyId);
+    if (existing && !existing.equals(key)) {
+      throw new Error(`Source ${source} already has a different key with ID ${keyId}`);
+    }
+
+    sourceKeys.set(keyId, key);
+    this.keys.set(source, sourceKeys);
+    return keyId;
+  }
+
+  /**
+   * Stop trusting a key, or all keys of a source
+   * @param {string} source - The source
+   * @param {string} [keyId] - The key to remove; all of the source's keys if omitted
+   * @returns {boolean} True if a key was removed
+   */
+  removeKey(source, keyId) {
+    const sourceKeys = this.keys.get(source);
+    if (!sourceKeys) return false;
+
+    if (keyId === undefined) {
+      return this.keys.delete(source);
+    }
+
+    const removed = sourceKeys.delete(keyId);
+    if (sourceKeys.size === 0) this.keys.delete(source);
+    return removed;
+  }
+
+  /**
+   * Get a source's key
+   * @param {string} source - The source
+   * @param {string} keyId - The key ID
+   * @returns {Object|null} The public KeyObject, or null if not trusted
+   */
+  getKey(source, keyId) {
+    return this.keys.get(source)?.get(keyId) || null;
+  }
+
+  /**
+   * Check if a source has any keys
+   * @param {string} source - The source
+   * @returns {boolean}
+   */
+  hasSource(source) {
+    return this.keys.has(source);
+  }
+
+  /**
+   * @returns {Array<string>} Sources with keys
+   */
+  sources() {
+    return [...this.keys.keys()];
+  }
+
+  /**
+   * @returns {Object} { [source]: { [keyId]: PEM } }
+   */
+  toJSON() {
+    return Object.fromEntries([...this.keys].map(([source, sourceKeys]) => [
+      source,
+      Object.fromEntries([...sourceKeys].map(([keyId, key]) => [keyId, key.export({ type: 'spki', format: 'pem' })]))
+    ]));
+  }
+}
+
+function checkSignature(signature, source, digest, keyRing) {
+  const keyId = typeof signature.key_id === 'string' ? signature.key_id : null;
+  const invalid = reason => ({ status: 'invalid', key_id: keyId, reason });
+
+  if (signature.alg !== SIGNATURE_ALGORITHM) {
+    return invalid(`Unsupported signature algorithm: ${signature.alg}`);
+  }
+  if (typeof signature.value !== 'string' || typeof signature.digest !== 'string' || keyId === null) {
+    return invalid('Signature needs key_id, digest and value');
+  }
+
+  const key = keyRing.getKey(source, keyId);
+  if (!key) {
+    return invalid(`No key ${keyId} registered for source ${source}`);
+  }
+  if (digest !== null && digest !== signature.digest) {
+    return invalid('Event was changed after it was signed');
+  }
+
+  const message = Buffer.from(SIGNATURE_CONTEXT + signature.digest, 'utf8');
+  if (!verify(null, message, key, Buffer.from(signature.value, 'base64'))) {
+    return invalid(`Signature does not match key ${keyId} of source ${source}`);
+  }
+
+  return { status: 'valid', key_id: keyId, reason: null };
+}
+
+/**
+ * Check an event's signature
+ * @param {Object} event - The LifeEvent
+ * @param {KeyRing} keyRing - Trusted keys
+ * @returns {Object} { status: 'unsigned'|'valid'|'invalid', key_id, reason }
+ */
+function verifyEvent(event, keyRing) {
+  const signature = event?.signature;
+  if (signature === undefined || signature === null) {
+    return { status: 'unsigned', key_id: null, reason: null };
+  }
+  if (typeof signature !== 'object') {
+    return { status: 'invalid', key_id: null, reason: 'Signature must be an object' };
+  }
+  return checkSignature(signature, event.source, eventDigest(event), keyRing);
+}
+
+/**
+ * Check the signatures recorded in an event's provenance
+ * These prove that each source signed the copy with that digest, not that
+ * the merged or normalized event still says the same.
+ * @param {Object} event - The LifeEvent
+ * @param {KeyRing} keyRing - Trusted keys
+ * @returns {Array<Object>} { index, source, uri, status, key_id, reason } per signed entry
+ */
+function verifyProvenance(event, keyRing) {
+  const provenance = Array.isArray(event?.provenance) ? event.provenance : [];
+
+  return provenance.flatMap((entry, index) => {
+    if (!entry?.signature || typeof entry.signature !== 'object') return [];
+    return [{ index, source: entry.source, uri: entry.uri ?? null, ...checkSignature(entry.signature, entry.source, null, keyRing) }];
+  });
+}
+
+/**
+ * Keep the signature of an event that was rewritten
+ * If `result` no longer matches the signature of `original`, the signature
+ * moves into `result.provenance` with the original's identity.
+ * @param {Object} original - The signed event
+ * @param {Object} result - The rewritten event
+ * @returns {Object} `result`, or a copy with the signature moved
+ */
+function preserveSignature(original, result) {
+  const signature = original?.signature;
+  if (!signature || typeof signature !== 'object') return result;
+  if (result.signature === signature && eventDigest(result) === signature.digest) return result;
+
+  const { signature: _stale, ...rest } = result;
+  const entry = { uri: original.uri, source: original.source, source_id: original.source_id, id: original.id, signature };
+  for (const field of Object.keys(entry)) {
+    if (entry[field] === undefined) delete entry[field];
+  }
+
+  const provenance = Array.isArray(rest.provenance) ? rest.provenance : [];
+  const recorded = provenance.some(existing => existing.signature?.value === signature.value);
+  return { ...rest, provenance: recorded ? provenance : [...provenance, entry] };
+}
+
+export {
+  SIGNATURE_ALGORITHM,
+  UNSIGNED_FIELDS,
+  canonicalJSON,
+  eventDigest,
+  keyIdOf,
+  generateSigningKeys,
+  signEvent,
+  KeyRing,
+  verifyEvent,
+  verifyProvenance,
+  preserveSignature
+};
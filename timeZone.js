@@ -0,0 +1,217 @@
+/**
+ * LifeOS Protocol Time Zone Helpers
+ *
+ * Conversions between instants and wall-clock times in IANA time zones,
+ * built on Intl so no time zone database has to be bundled.
+ *
+ * A "wall time" is a number of milliseconds whose UTC fields are the local
+ * fields, e.g. 10:00 in Europe/Berlin is Date.UTC(..., 10, 0).
+ *
+ * An event's `timezone` decides which calendar day it belongs to: an 18:00
+ * run in California on the 9th is on the 9th, although it is 01:00 UTC on
+ * the 10th.
+ */
+
+const DAY = 86400000;
+const FLOATING_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})[Tt ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?$/;
+const OFFSET_SUFFIX = /([+-])(\d{2}):?(\d{2})$/;
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }));
+    } catch (error) {
+      throw new Error(`Unknown IANA time zone: ${timeZone}`);
+    }
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone (e.g. 'Europe/Berlin')
+ * @returns {boolean} True if valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function timeZoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value])
+  );
+
+  const local = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {number} time - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Wall time
+ */
+function epochToZonedTime(time, timeZone) {
+  return time + timeZoneOffset(time, timeZone);
+}
+
+/**
+ * Convert a wall-clock time in a time zone to epoch milliseconds
+ * As in RFC 5545, a time skipped by a DST change uses the offset from before
+ * the change (02:30 becomes 03:30), and a repeated time takes the first one.
+ * @param {number} wallTime - Wall time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Epoch milliseconds
+ */
+function zonedTimeToEpoch(wallTime, timeZone) {
+  // Offsets a day either side cover any single transition near this time
+  const before = timeZoneOffset(wallTime - DAY, timeZone);
+  const after = timeZoneOffset(wallTime + DAY, timeZone);
+
+  const valid = [wallTime - before, wallTime - after]
+    .filter(time => epochToZonedTime(time, timeZone) === wallTime);
+
+  return valid.length > 0 ? Math.min(...valid) : wallTime - before;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function toTime(timestamp) {
+  const time = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  return time;
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {string|Date|number} timestamp - The instant
+ * @param {string} [timeZone] - IANA time zone (default UTC)
+ * @returns {string} YYYY-MM-DD
+ */
+function localDate(timestamp, timeZone) {
+  const time = toTime(timestamp);
+  const wall = timeZone ? epochToZonedTime(time, timeZone) : time;
+  return new Date(wall).toISOString().slice(0, 10);
+}
+
+/**
+ * First and last instant of a calendar day in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [timeZone] - IANA time zone (default UTC)
+ * @returns {Object} { from, to } as ISO timestamps (to is inclusive)
+ */
+function dayBounds(date, timeZone) {
+  const midnight = Date.parse(`${date}T00:00:00Z`);
+  if (Number.isNaN(midnight)) {
+    throw new Error(`Invalid date: ${date}. Expected YYYY-MM-DD`);
+  }
+
+  const toEpoch = wall => (timeZone ? zonedTimeToEpoch(wall, timeZone) : wall);
+  return {
+    from: new Date(toEpoch(midnight)).toISOString(),
+    to: new Date(toEpoch(midnight + DAY) - 1).toISOString()
+  };
+}
+
+/**
+ * Write an instant as an ISO timestamp with a time zone's offset
+ * @param {string|Date|number} timestamp - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. '2025-07-09T23:30:00+02:00'
+ */
+function formatZonedTimestamp(timestamp, timeZone) {
+  const time = toTime(timestamp);
+  const offset = Math.round(timeZoneOffset(time, timeZone) / 60000);
+  const local = new Date(time + offset * 60000).toISOString().slice(0, 19);
+  const sign = offset < 0 ? '-' : '+';
+  return `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+/**
+ * Pin a timestamp to a time zone
+ * A timestamp without an offset ('2025-07-09T23:30:00') is read as local
+ * time in the zone; one with an offset or Z is left as it is.
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Timestamp with an offset
+ */
+function toZonedTimestamp(timestamp, timeZone) {
+  const match = typeof timestamp === 'string' ? FLOATING_TIMESTAMP.exec(timestamp) : null;
+  if (!match) return timestamp;
+
+  const [, year, month, day, hour, minute, second = '0', fraction = ''] = match;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second),
+    Math.round(Number(`0${fraction}`) * 1000));
+  return formatZonedTimestamp(zonedTimeToEpoch(wall, timeZone), timeZone);
+}
+
+/**
+ * Check an event's timezone against its timestamp
+ * @param {Object} event - The LifeEvent
+ * @returns {Array<Object>} Errors as { path, keyword, message }
+ */
+function validateEventTimeZone(event) {
+  const { timezone, timestamp } = event;
+  // A non-string timezone is reported by the schema
+  if (typeof timezone !== 'string') return [];
+
+  if (!isValidTimeZone(timezone)) {
+    return [{ path: '/timezone', keyword: 'timezone', message: `Unknown IANA time zone: ${timezone}` }];
+  }
+
+  // A Z timestamp is just UTC notation; only an explicit offset can disagree
+  const match = typeof timestamp === 'string' ? OFFSET_SUFFIX.exec(timestamp) : null;
+  const time = Date.parse(timestamp);
+  if (!match || Number.isNaN(time)) return [];
+
+  const [, sign, hours, minutes] = match;
+  const stated = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  const expected = Math.round(timeZoneOffset(time, timezone) / 60000);
+
+  if (stated === expected) return [];
+  return [{
+    path: '/timestamp',
+    keyword: 'timezone',
+    message: `offset ${match[0]} does not match time zone ${timezone}, which is ${formatZonedTimestamp(time, timezone).slice(-6)} at that time`
+  }];
+}
+
+export {
+  isValidTimeZone,
+  timeZoneOffset,
+  epochToZonedTime,
+  zonedTimeToEpoch,
+  localDate,
+  dayBounds,
+  formatZonedTimestamp,
+  toZonedTimestamp,
+  validateEventTimeZone
+};
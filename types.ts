@@ -5,31 +5,105 @@
  */
 
 /**
- * Core LifeOS Event interface
+ * Where an event happened
+ */
+export interface LifeOSLocation {
+  name?: string
+  coordinates?: {
+    lat: number
+    lng: number
+  }
+}
+
+/**
+ * A link to another event: a life:// URI, or a typed link with a relation type
+ */
+export type LifeOSLink = string | { uri: string, rel?: string }
+
+/**
+ * Core LifeOS Event interface (canonical model, matches lifeevent.schema.json)
  */
 export interface LifeOSEvent {
   id: string
   uri: string
   protocol_version: string
   source: string
+  /** The source's own identifier for the event */
+  source_id?: string
   type: string
   title: string
   metadata: Record<string, any>
   tags: string[]
   mood?: number
   timestamp: string
-  duration_minutes?: number
-  location?: string
+  /** IANA time zone (e.g. 'Europe/Madrid'); decides the event's calendar day */
+  timezone?: string
+  /** Duration in seconds */
+  duration?: number
+  location?: LifeOSLocation
   energy_level?: number
   parent_event_id?: string
-  related_events: string[]
+  linked_uris: LifeOSLink[]
   user_id?: string
+  created_at?: string
+  updated_at?: string
+  /** Makes the event a series that repeats from its timestamp */
+  recurrence?: LifeOSRecurrence
+  /** On an occurrence: its original start time */
+  recurrence_id?: string
+  /** On an occurrence: the ID of the series */
+  recurring_event_id?: string
+  /** On a merged event: every source copy it absorbed, itself included */
+  provenance?: LifeOSProvenance[]
+  /** Who may see the event; defaults to its type's sensitivity */
+  sensitivity?: Sensitivity
+  /** Sensitivity of single fields by dotted path, e.g. 'location.coordinates' */
+  field_sensitivity?: Record<string, Sensitivity>
+}
+
+export type Sensitivity = 'public' | 'personal' | 'private'
+
+export interface LifeOSProvenance {
+  uri?: string
+  source: string
+  source_id?: string
+  id?: string
+}
+
+export interface LifeOSRecurrence {
+  /** RFC 5545 RRULE subset, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE,FR' */
+  rrule: string
+  /** Start times of occurrences that don't happen */
+  exdate?: string[]
+  /** Changed occurrences: the original start plus the fields that differ */
+  overrides?: Array<{ recurrence_id: string } & Partial<LifeOSEvent>>
+}
+
+/**
+ * Fields written by protocol version 1.0, accepted by createLifeOSEvent
+ * and converted by normalizeLifeOSEvent
+ */
+export interface LegacyLifeOSEventFields {
+  /** @deprecated Use `duration` (seconds) */
+  duration_minutes?: number
+  /** @deprecated Use `location: { name }` */
+  location?: string | LifeOSLocation
+  /** @deprecated Use `linked_uris` */
+  related_events?: string[]
 }
 
 /**
  * Event creation data (partial event data)
  */
-export type LifeOSEventData = Partial<LifeOSEvent>
+export type LifeOSEventData = Partial<Omit<LifeOSEvent, 'location'>> & LegacyLifeOSEventFields
+
+/**
+ * Options for normalizeLifeOSEvent
+ */
+export interface NormalizeOptions {
+  /** Maps a legacy related event ID to its life:// URI */
+  resolveEventId?: ((id: string) => string | undefined) | Map<string, string>
+}
 
 /**
  * Event validation result
@@ -58,6 +132,15 @@ export interface URIComponents {
   full: string
 }
 
+/**
+ * Schema validation error, located by a JSON pointer (RFC 6901)
+ */
+export interface SchemaValidationError {
+  path: string
+  keyword: string
+  message: string
+}
+
 /**
  * Plugin capability
  */
@@ -74,6 +157,7 @@ export interface PluginCapability {
 export interface PluginSettings {
   enabled: boolean
   autoSync: boolean
+  /** Time between automatic syncs in ms */
   syncInterval?: number
   credentials?: Record<string, any>
   customSettings?: Record<string, any>
@@ -0,0 +1,305 @@
+/**
+ * LifeOS Protocol URI Patterns
+ *
+ * Patterns select a collection of events instead of a single one.
+ * `*` matches within a segment (and any remaining path in the slug).
+ * Trailing segments may be omitted; they match anything.
+ * A date range `from..to` is inclusive and either end may be left open.
+ * Query parameters filter on event fields.
+ */
+
+// Examples:
+//   life://2025-07-09/spotify/music.play/*          all Spotify plays on a day
+//   life://2025-07-*/spotify/music.play/*           ... in July
+//   life://2025-07-01..2025-07-31/journal/*         every journal entry in a date range
+//   life://2025-07-*/calendar?tag=work&mood>=7      work meetings with a good mood
+
+import { LifeURI } from './lifeURI.js';
+import { generateEventURI } from './eventModel.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const QUERY_OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+const COMPARATORS = {
+  '=': (actual, expected) => Array.isArray(actual) ? actual.includes(expected) : actual === expected,
+  '!=': (actual, expected) => Array.isArray(actual) ? !actual.includes(expected) : actual !== expected,
+  '<': (actual, expected) => actual !== undefined && actual !== null && actual < expected,
+  '<=': (actual, expected) => actual !== undefined && actual !== null && actual <= expected,
+  '>': (actual, expected) => actual !== undefined && actual !== null && actual > expected,
+  '>=': (actual, expected) => actual !== undefined && actual !== null && actual >= expected
+};
+
+// Query parameters that read a differently named event field
+const QUERY_FIELD_ALIASES = {
+  tag: 'tags'
+};
+
+function decodeGlobPart(part, glob) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    throw new Error(`Invalid percent-encoding in life:// URI pattern: ${glob}`);
+  }
+}
+
+// Slugs are decoded only after splitting on '*', so an encoded %2A stays a literal '*'
+function globToRegExp(glob, { multiSegment = false, decode = false } = {}) {
+  const source = glob
+    .split('*')
+    .map(part => (decode ? decodeGlobPart(part, glob) : part).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join(multiSegment ? '.*' : '[^/]*');
+  return new RegExp(`^${source}$`);
+}
+
+// First and last real dates a glob's literal prefix allows: 2025-1 covers 2025-10-01..2025-12-31
+function prefixBounds(prefix) {
+  const fill = template => (prefix + template.slice(prefix.length)).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const lowest = fill('0000-00-00');
+  const highest = fill('9999-19-39');
+  if (!prefix || !lowest || !highest) {
+    return { from: null, to: null };
+  }
+
+  const toDate = ([, year, month, day]) => {
+    const m = Math.min(Math.max(Number(month), 1), 12);
+    const last = new Date(Date.UTC(Number(year), m, 0)).getUTCDate();
+    const d = Math.min(Math.max(Number(day), 1), last);
+    return `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  };
+  return { from: toDate(lowest), to: toDate(highest) };
+}
+
+function parseDateSegment(segment) {
+  if (segment.includes('..')) {
+    const [from, to, ...rest] = segment.split('..');
+    if (rest.length > 0 || (!from && !to)) {
+      throw new Error(`Invalid date range: ${segment}`);
+    }
+    for (const bound of [from, to]) {
+      if (bound && !DATE_PATTERN.test(bound)) {
+        throw new Error(`Date range bounds must be in YYYY-MM-DD format: ${segment}`);
+      }
+    }
+    if (from && to && from > to) {
+      throw new Error(`Date range ends before it starts: ${segment}`);
+    }
+    return { from: from || null, to: to || null, matcher: null };
+  }
+
+  if (!segment.includes('*')) {
+    let date;
+    try {
+      ({ date } = LifeURI.parseAuthority(segment));
+    } catch (error) {
+      throw new Error('Date must be in YYYY-MM-DD format, a glob such as 2025-07-* or a range such as 2025-07-01..2025-07-31');
+    }
+    return { from: date, to: date, matcher: null };
+  }
+
+  // A glob like 2025-07-* only covers dates sharing its literal prefix
+  const { from, to } = prefixBounds(segment.slice(0, segment.indexOf('*')));
+  return { from, to, matcher: globToRegExp(segment) };
+}
+
+// A quoted value is always a string; otherwise numbers, booleans and null are read as such
+function parseQueryValue(text) {
+  const quoted = /^"(.*)"$/.exec(text);
+  if (quoted) return { value: quoted[1], text: quoted[1] };
+  if (text === 'true') return { value: true, text };
+  if (text === 'false') return { value: false, text };
+  if (text === 'null') return { value: null, text };
+  if (text.trim() !== '' && !Number.isNaN(Number(text))) return { value: Number(text), text };
+  return { value: text, text };
+}
+
+function decodeQueryPart(part, term) {
+  try {
+    return decodeURIComponent(part);
+  } catch (error) {
+    throw new Error(`Invalid query parameter: ${term}. It has malformed percent-encoding`);
+  }
+}
+
+/**
+ * Parse a query string such as 'tag=work&mood>=7'
+ * @param {string} query - Query string without the leading '?'
+ * @returns {Array<Object>} { field, operator, value, text } conditions; `text` is the value as written
+ * @throws {Error} If a term has no operator or malformed percent-encoding
+ */
+function parseQuery(query) {
+  if (!query) return [];
+
+  return query.split('&').filter(Boolean).map(term => {
+    const operator = QUERY_OPERATORS
+      .map(candidate => ({ candidate, index: term.indexOf(candidate) }))
+      .filter(({ index }) => index > 0)
+      .sort((a, b) => a.index - b.index || b.candidate.length - a.candidate.length)[0]?.candidate;
+
+    if (!operator) {
+      throw new Error(`Invalid query parameter: ${term}. Expected <field><operator><value>, e.g. mood>=7`);
+    }
+
+    const index = term.indexOf(operator);
+    const field = decodeQueryPart(term.slice(0, index), term);
+    const { value, text } = parseQueryValue(decodeQueryPart(term.slice(index + operator.length).replace(/\+/g, ' '), term));
+
+    return { field: QUERY_FIELD_ALIASES[field] || field, operator, value, text };
+  });
+}
+
+/**
+ * Check whether a life:// string is a pattern rather than a single-event URI
+ * @param {string} uri - The life:// string
+ * @returns {boolean} True if it uses wildcards, ranges, query parameters or omits segments
+ */
+function isURIPattern(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('life://')) return false;
+
+  const [path, query] = splitQuery(uri.substring(7));
+  const parts = path.split('/').filter(part => part.length > 0);
+  return query !== null || parts.length < 4 || path.includes('*') || parts[0]?.includes('..');
+}
+
+function splitQuery(value) {
+  const index = value.indexOf('?');
+  return index === -1 ? [value, null] : [value.slice(0, index), value.slice(index + 1)];
+}
+
+/**
+ * Parse a life:// pattern
+ * @param {string} pattern - Pattern such as 'life://2025-07-01..2025-07-31/journal?tag=work'
+ * @returns {Object} { full, date: { from, to }, source, type, slug, query, matchers }
+ */
+function parseURIPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('life://')) {
+    throw new Error('Invalid life:// URI pattern');
+  }
+
+  const [path, query] = splitQuery(pattern.substring(7));
+  const parts = path.split('/').filter(part => part.length > 0);
+
+  if (parts.length === 0) {
+    throw new Error('life:// URI pattern must start with a date, e.g. life://2025-07-*/spotify/*');
+  }
+
+  const [dateSegment, source = '*', type = '*', ...slugParts] = parts;
+  const slug = slugParts.length > 0 ? slugParts.join('/') : '*';
+  const date = parseDateSegment(dateSegment);
+
+  return {
+    full: pattern,
+    date: { from: date.from, to: date.to },
+    source,
+    type,
+    slug,
+    query: parseQuery(query),
+    matchers: {
+      date: date.matcher,
+      source: globToRegExp(source),
+      type: globToRegExp(type),
+      slug: globToRegExp(slug, { multiSegment: true, decode: true })
+    }
+  };
+}
+
+function toPattern(pattern) {
+  return typeof pattern === 'string' ? parseURIPattern(pattern) : pattern;
+}
+
+/**
+ * Check whether a pattern segment is a literal value (no wildcards)
+ * @param {string} segment - Pattern segment such as a source or type
+ * @returns {boolean} True if the segment matches exactly one value
+ */
+function isLiteralSegment(segment) {
+  return !segment.includes('*');
+}
+
+/**
+ * Match a URI date against a pattern's date segment
+ * @param {string|Object} pattern - Pattern string or the result of parseURIPattern
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean} True if the date is selected
+ */
+function matchDate(pattern, date) {
+  const { date: range, matchers } = toPattern(pattern);
+
+  if (range.from !== null && date < range.from) return false;
+  if (range.to !== null && date > range.to) return false;
+  return !matchers.date || matchers.date.test(date);
+}
+
+/**
+ * Match URI components against a pattern's path
+ * @param {string|Object} pattern - Pattern string or the result of parseURIPattern
+ * @param {Object} components - { date, source, type, slug } (slug decoded)
+ * @returns {boolean} True if the components fall inside the pattern
+ */
+function matchComponents(pattern, components) {
+  const parsed = toPattern(pattern);
+  const { matchers } = parsed;
+
+  return matchDate(parsed, components.date) &&
+    matchers.source.test(components.source) &&
+    matchers.type.test(components.type) &&
+    matchers.slug.test(components.slug);
+}
+
+/**
+ * Match a single-event URI against a pattern
+ * Query parameters describe event fields, so they are ignored here; use
+ * matchEvent to apply them.
+ * @param {string|Object} pattern - Pattern string or the result of parseURIPattern
+ * @param {string} uri - A life:// URI
+ * @returns {boolean} True if the URI falls inside the pattern
+ */
+function matchURI(pattern, uri) {
+  let parsed;
+  try {
+    parsed = LifeURI.parse(uri);
+  } catch (error) {
+    return false;
+  }
+
+  return matchComponents(pattern, parsed);
+}
+
+/**
+ * Check an event against a pattern's query parameters only
+ * @param {string|Object} pattern - Pattern string or the result of parseURIPattern
+ * @param {Object} event - The LifeEvent
+ * @returns {boolean} True if every condition holds
+ */
+function matchQuery(pattern, event) {
+  return toPattern(pattern).query.every(({ field, operator, value, text = value }) => {
+    const actual = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), event);
+    // String fields compare with the value as written, so source_id=123 matches '123'
+    const isString = typeof actual === 'string' || (Array.isArray(actual) && actual.some(item => typeof item === 'string'));
+    return COMPARATORS[operator](actual, isString ? text : value);
+  });
+}
+
+/**
+ * Match an event against a pattern, including its query parameters
+ * @param {string|Object} pattern - Pattern string or the result of parseURIPattern
+ * @param {Object} event - The LifeEvent (its URI is generated when missing)
+ * @returns {boolean} True if the event is selected by the pattern
+ */
+function matchEvent(pattern, event) {
+  const parsed = toPattern(pattern);
+  const uri = event.uri || generateEventURI(event);
+  return matchURI(parsed, uri) && matchQuery(parsed, event);
+}
+
+export {
+  parseURIPattern,
+  parseQuery,
+  isURIPattern,
+  isLiteralSegment,
+  matchDate,
+  matchComponents,
+  matchURI,
+  matchQuery,
+  matchEvent
+};
@@ -2,163 +2,507 @@
  * LifeOS Protocol URI Resolver
  * 
  * Handles parsing and resolving life:// URIs according to the LifeOS Protocol.
- * Format: life://<date>/<source>/<type>/<slug>
+ * Format: life://<date>[T<time>Z]/<source>/<type>/<slug>[#<json-pointer>]
+ * (see lifeURI.js for the canonical form)
+ * A trailing `@parent` segment resolves to the parent of the event before it
+ * (see hierarchy.js).
  */
 
+import { validateLifeEventSchema, formatSchemaError } from './schemaValidator.js';
+import { LifeURI } from './lifeURI.js';
+import { LRUCache } from './lruCache.js';
+import { validateEventTimeZone } from './timeZone.js';
+import {
+  LifeOSError,
+  EventNotFoundError,
+  ResolverNotFoundError,
+  InvalidEventError,
+  ResolverTimeoutError,
+  ResolutionAbortedError,
+  ResolutionError,
+  SignatureError,
+  UnsupportedVersionError
+} from './errors.js';
+import { getLinkRelation, generateEventURI, eventKey, parseEventKey } from './eventModel.js';
+import {
+  parseURIPattern,
+  isLiteralSegment,
+  matchDate,
+  matchComponents,
+  matchQuery
+} from './uriPattern.js';
+import { isValidRelationType } from './relationTypes.js';
+import { verifyEvent } from './signing.js';
+import { upgradeEvent, downgradeEvent, isKnownVersion, getKnownVersions } from './migrations.js';
+import { splitParentPath, parentCandidates } from './hierarchy.js';
+
+// The cache keeps and hands out copies, so a caller changing an event can't change later lookups
+function copyEvent(event) {
+  return JSON.parse(JSON.stringify(event));
+}
+
 class LifeURIResolver {
-  constructor() {
-    this.resolvers = new Map();
+  /**
+   * @param {Object} [options] - Resolver options
+   * @param {Object|boolean} [options.cache] - Cache resolved events: true or { max, ttl } (ttl in ms)
+   * @param {number} [options.timeout] - Default timeout per resolveURI call in ms (0 = none)
+   * @param {KeyRing} [options.keyRing] - Reject resolved events whose signatures don't verify against these keys
+   * @param {boolean} [options.requireSignatures] - With a key ring, reject unsigned events too
+   * @param {string} [options.protocolVersion] - Deliver events downgraded to this protocol version
+   *   (default: the latest; older events are always upgraded on read)
+   * @param {Function|Map} [options.resolveEventId] - Maps an event ID to its life:// URI, used to
+   *   find parents for `@parent` URIs before trying the child's links
+   */
+  constructor(options = {}) {
+    this.resolvers = new Map(); // source -> resolvers, tried in order
+    this.defaultResolver = null;
+    this.middleware = [];
+    this.timeout = options.timeout || 0;
+    this.keyRing = options.keyRing || null;
+    this.requireSignatures = Boolean(options.requireSignatures);
+    this.protocolVersion = options.protocolVersion || null;
+    this.resolveEventId = options.resolveEventId || null;
+    if (this.protocolVersion && !isKnownVersion(this.protocolVersion)) {
+      throw new UnsupportedVersionError(this.protocolVersion, getKnownVersions());
+    }
+    this.cache = options.cache
+      ? new LRUCache(options.cache === true ? {} : options.cache)
+      : null;
   }
 
   /**
    * Parse a life:// URI into its components
    * @param {string} uri - The life:// URI to parse
-   * @returns {Object} Parsed URI components
+   * @returns {Object} Parsed URI components; `full` is the canonical URI
    */
   parseURI(uri) {
-    if (!uri.startsWith('life://')) {
-      throw new Error('Invalid life:// URI format');
-    }
-
-    const path = uri.substring(6); // Remove 'life://'
-    const parts = path.split('/').filter(part => part.length > 0); // Remove empty parts
-
-    if (parts.length < 4) {
-      throw new Error('life:// URI must have format: life://<date>/<source>/<type>/<slug>');
-    }
-
-    const [date, source, type, ...slugParts] = parts;
-    const slug = decodeURIComponent(slugParts.join('/'));
-
-    // Validate date format (YYYY-MM-DD)
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      throw new Error('Date must be in YYYY-MM-DD format');
-    }
-
-    return {
-      date,
-      source,
-      type,
-      slug,
-      full: uri
-    };
+    return LifeURI.parse(uri).toJSON();
   }
 
   /**
    * Generate a life:// URI from components
-   * @param {Object} components - URI components
-   * @returns {string} Generated life:// URI
+   * @param {Object} components - URI components (date, source, type, slug; optional time and fragment)
+   * @returns {string} Generated life:// URI in canonical form
    */
   generateURI(components) {
-    const { date, source, type, slug } = components;
-    
-    if (!date || !source || !type || !slug) {
-      throw new Error('Missing required URI components');
-    }
-
-    // Validate date format
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      throw new Error('Date must be in YYYY-MM-DD format');
-    }
-
-    // Encode slug for URL safety
-    const encodedSlug = encodeURIComponent(slug);
-    
-    return `life://${date}/${source}/${type}/${encodedSlug}`;
+    return LifeURI.from(components).toString();
   }
 
   /**
    * Register a resolver for a specific source
+   * Resolvers are called as `resolver(parsed, { signal })`. By default the
+   * new resolver replaces any registered for the source; with `fallback`
+   * it is tried after them when they can't find the event or fail.
    * @param {string} source - The source to register resolver for
    * @param {Function} resolver - Function that resolves URIs to LifeEvents
+   * @param {Object} [options] - Registration options
+   * @param {boolean} [options.fallback] - Append to the source's resolvers instead of replacing them
    */
-  registerResolver(source, resolver) {
+  registerResolver(source, resolver, options = {}) {
     if (typeof resolver !== 'function') {
       throw new Error('Resolver must be a function');
     }
-    this.resolvers.set(source, resolver);
+
+    const chain = options.fallback ? [...(this.resolvers.get(source) || []), resolver] : [resolver];
+    this.resolvers.set(source, chain);
+  }
+
+  /**
+   * Remove resolvers for a source
+   * @param {string} source - The source
+   * @param {Function} [resolver] - Only remove this resolver; all of the source's otherwise
+   * @returns {boolean} True if anything was removed
+   */
+  unregisterResolver(source, resolver) {
+    const chain = this.resolvers.get(source);
+    if (!chain) return false;
+
+    const remaining = resolver ? chain.filter(candidate => candidate !== resolver) : [];
+    if (remaining.length > 0) {
+      this.resolvers.set(source, remaining);
+    } else {
+      this.resolvers.delete(source);
+    }
+    return remaining.length < chain.length;
+  }
+
+  /**
+   * Set a catch-all resolver, tried after a source's own resolvers and for
+   * sources without any
+   * @param {Function|null} resolver - Resolver function, or null to remove it
+   */
+  setDefaultResolver(resolver) {
+    if (resolver !== null && typeof resolver !== 'function') {
+      throw new Error('Resolver must be a function');
+    }
+    this.defaultResolver = resolver;
+  }
+
+  /**
+   * Add middleware around resolution
+   * Middleware is called as `middleware(parsed, next, context)` and must
+   * return the event, usually by awaiting `next()` (optionally with
+   * changed components). `context` holds `{ uri, signal }`.
+   * @param {Function} middleware - Middleware function
+   * @returns {LifeURIResolver} this, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
   }
 
   /**
    * Resolve a life:// URI to a LifeEvent
+   * Events in an older protocol version are upgraded before they are
+   * validated; signatures are checked on the event as the resolver returned it.
+   * A URI ending in `@parent` segments resolves to the event's parent (or
+   * grandparent, and so on); parents reached that way aren't cached under it.
    * @param {string} uri - The life:// URI to resolve
+   * @param {Object} [options] - Call options
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @param {number} [options.timeout] - Timeout in ms, overriding the resolver default
+   * @param {boolean} [options.cache] - Set to false to bypass the cache
    * @returns {Promise<Object>} The resolved LifeEvent
+   * @throws {InvalidURIError|ResolverNotFoundError|EventNotFoundError|InvalidEventError|ResolverTimeoutError|ResolutionAbortedError|ResolutionError|SignatureError|UnsupportedVersionError}
    */
-  async resolveURI(uri) {
+  async resolveURI(uri, options = {}) {
+    const path = splitParentPath(uri);
+    if (path.levels > 0) {
+      return (await this.locateParent(uri, path, options)).event;
+    }
+
     const parsed = this.parseURI(uri);
-    const resolver = this.resolvers.get(parsed.source);
+    const key = eventKey(parsed);
+    const useCache = this.cache !== null && options.cache !== false;
+
+    if (useCache) {
+      const cached = this.cache.get(key);
+      if (cached) return copyEvent(cached);
+    }
+
+    const { original, event } = await this.fetchEvent(uri, parsed, options);
+    this.checkSignature(original, parsed.full);
+
+    if (useCache) this.cache.set(key, copyEvent(event));
+    return event;
+  }
+
+  /**
+   * Resolve a life:// URI and report on its signature instead of rejecting it
+   * Bypasses the cache.
+   * @param {string} uri - The life:// URI to resolve
+   * @param {Object} [options] - Same as resolveURI, plus `keyRing` to use instead of the resolver's
+   * @returns {Promise<Object>} { uri, event, status: 'unsigned'|'valid'|'invalid', key_id, reason }
+   */
+  async verifyURI(uri, options = {}) {
+    const keyRing = options.keyRing || this.keyRing;
+    if (!keyRing) {
+      throw new Error('verifyURI needs a key ring: pass { keyRing } here or to the LifeURIResolver');
+    }
+
+    const path = splitParentPath(uri);
+    const target = path.levels > 0 ? (await this.locateParent(uri, path, options)).uri : uri;
 
-    if (!resolver) {
-      throw new Error(`No resolver registered for source: ${parsed.source}`);
+    const parsed = this.parseURI(target);
+    const { original, event } = await this.fetchEvent(target, parsed, options);
+    return { uri: parsed.full, event, ...verifyEvent(original, keyRing) };
+  }
+
+  // Follow `@parent` segments up from the event the path starts at
+  async locateParent(uri, path, options) {
+    let current = { uri: path.uri, event: await this.resolveURI(path.uri, options) };
+
+    for (let level = 0; level < path.levels; level++) {
+      current = await this.findParent(current.event, options);
+      if (!current) throw new EventNotFoundError(this.parseURI(uri).full);
     }
+    return current;
+  }
 
+  // The parent is whichever candidate URI holds the event with the child's parent_event_id
+  async findParent(child, options) {
+    const parentId = child.parent_event_id;
+    if (!parentId) return null;
+
+    const lookup = typeof this.resolveEventId === 'function'
+      ? this.resolveEventId
+      : id => this.resolveEventId?.get(id);
+    const candidates = [lookup(parentId), ...parentCandidates(this.upgrade(child))].filter(Boolean);
+
+    for (const candidate of new Set(candidates)) {
+      try {
+        const event = await this.resolveURI(candidate, options);
+        if (event.id === parentId) return { uri: candidate, event };
+      } catch (error) {
+        if (!(error instanceof EventNotFoundError)) throw error;
+      }
+    }
+    return null;
+  }
+
+  // Reject what the key ring doesn't vouch for; a no-op without one
+  checkSignature(original, uri) {
+    if (!this.keyRing) return;
+
+    const verification = verifyEvent(original, this.keyRing);
+    if (verification.status === 'invalid' || (verification.status === 'unsigned' && this.requireSignatures)) {
+      throw new SignatureError(uri, verification);
+    }
+  }
+
+  async fetchEvent(uri, parsed, options) {
+    const original = await this.withDeadline(parsed.full, options, signal => this.runPipeline(parsed, signal));
+    const event = this.upgrade(original);
+
+    // Validate the returned event against schema
     try {
-      const event = await resolver(parsed);
-      
-      // Validate the returned event against schema
       this.validateLifeEvent(event);
-      
-      return event;
     } catch (error) {
-      throw new Error(`Failed to resolve URI ${uri}: ${error.message}`);
+      throw new InvalidEventError(`Failed to resolve URI ${uri}: ${error.message}`, error.errors);
     }
+
+    return { original, event: this.deliver(event) };
+  }
+
+  // Anything that isn't an event is left for validateLifeEvent to reject
+  upgrade(event) {
+    return typeof event === 'object' && event !== null && !Array.isArray(event) ? upgradeEvent(event) : event;
+  }
+
+  deliver(event) {
+    return this.protocolVersion ? downgradeEvent(event, this.protocolVersion) : event;
   }
 
   /**
-   * Validate a LifeEvent against the schema
-   * @param {Object} event - The LifeEvent to validate
+   * Resolve many URIs with bounded concurrency
+   * Every URI gets an outcome; one failure doesn't fail the batch.
+   * @param {Array<string>} uris - life:// URIs (duplicates are resolved once)
+   * @param {Object} [options] - resolveURI options plus `concurrency` (default 8)
+   * @returns {Promise<Array<Object>>} { uri, event, error } per input URI, in order
    */
-  validateLifeEvent(event) {
-    const required = ['timestamp', 'source', 'type', 'title'];
-    
-    for (const field of required) {
-      if (!event[field]) {
-        throw new Error(`Missing required field: ${field}. LifeEvents must include timestamp, source, type, and title.`);
-      }
+  async resolveMany(uris, options = {}) {
+    const { concurrency = 8, ...callOptions } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Concurrency must be a positive integer, got ${concurrency}`);
     }
 
-    // Validate timestamp format
-    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(event.timestamp)) {
-      throw new Error(`Invalid timestamp format: "${event.timestamp}". Expected ISO 8601 format (e.g., "2025-07-09T09:00:00Z")`);
+    const unique = [...new Set(uris)];
+    const outcomes = new Map();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < unique.length) {
+        const uri = unique[next++];
+        try {
+          outcomes.set(uri, { uri, event: await this.resolveURI(uri, callOptions), error: null });
+        } catch (error) {
+          outcomes.set(uri, { uri, event: null, error });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, unique.length) }, worker));
+    return uris.map(uri => outcomes.get(uri));
+  }
+
+  /**
+   * Drop a URI from the cache
+   * @param {string} uri - The life:// URI
+   * @returns {boolean} True if it was cached
+   */
+  invalidate(uri) {
+    return this.cache !== null && this.cache.delete(eventKey(this.parseURI(uri)));
+  }
+
+  /**
+   * Empty the cache
+   */
+  clearCache() {
+    if (this.cache) this.cache.clear();
+  }
+
+  resolverChain(source) {
+    const chain = this.resolvers.get(source) || [];
+    return this.defaultResolver ? [...chain, this.defaultResolver] : chain;
+  }
+
+  runPipeline(parsed, signal) {
+    const context = { uri: parsed.full, signal };
+    const dispatch = (index, current) => index < this.middleware.length
+      ? Promise.resolve(this.middleware[index](current, changed => dispatch(index + 1, changed || current), context))
+      : this.runChain(current, signal);
+
+    return dispatch(0, parsed);
+  }
+
+  async runChain(parsed, signal) {
+    const chain = this.resolverChain(parsed.source);
+    if (chain.length === 0) {
+      throw new ResolverNotFoundError(parsed.source);
     }
 
-    // Validate type format (category.action)
-    if (!/^[a-z]+\.[a-z]+$/.test(event.type)) {
-      throw new Error(`Invalid event type: "${event.type}". Expected format: category.action (e.g., "music.play", "calendar.meeting")`);
+    let failure = null;
+    for (const resolver of chain) {
+      try {
+        const event = await resolver(parsed, { signal });
+        if (event !== undefined && event !== null) return event;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (!(error instanceof EventNotFoundError) && failure === null) failure = error;
+      }
     }
 
-    // Validate source format
-    if (typeof event.source !== 'string' || event.source.length === 0) {
-      throw new Error(`Invalid source: "${event.source}". Source must be a non-empty string identifying the application or service.`);
+    if (failure instanceof LifeOSError) throw failure;
+    if (failure !== null) throw new ResolutionError(parsed.full, failure);
+    throw new EventNotFoundError(parsed.full);
+  }
+
+  withDeadline(uri, options, run) {
+    const timeout = options.timeout ?? this.timeout;
+    const outer = options.signal;
+
+    if (outer?.aborted) {
+      return Promise.reject(new ResolutionAbortedError(uri, outer.reason));
     }
+    if (!timeout && !outer) {
+      return run(undefined);
+    }
+
+    // Resolvers get a signal that fires on timeout as well as on cancellation
+    const controller = new AbortController();
 
-    // Validate title format
-    if (typeof event.title !== 'string' || event.title.length === 0) {
-      throw new Error(`Invalid title: "${event.title}". Title must be a non-empty string describing the event.`);
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const onAbort = () => {
+        controller.abort(outer.reason);
+        finish(reject, new ResolutionAbortedError(uri, outer.reason));
+      };
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        outer?.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          const error = new ResolverTimeoutError(uri, timeout);
+          controller.abort(error);
+          finish(reject, error);
+        }, timeout);
+      }
+      outer?.addEventListener('abort', onAbort, { once: true });
+
+      run(controller.signal).then(value => finish(resolve, value), error => finish(reject, error));
+    });
+  }
+
+  /**
+   * Resolve a life:// URI with a fragment to the metadata value it points at
+   * @param {string} uri - e.g. 'life://2025-07-09/spotify/music.play/pink+white#/artist'
+   * @param {Object} [options] - Same as resolveURI
+   * @returns {Promise<*>} The metadata value (all metadata when there is no fragment)
+   */
+  async resolveFragment(uri, options) {
+    const parsed = LifeURI.parse(uri);
+    const event = await this.resolveURI(uri, options);
+    return parsed.resolveFragment(event);
+  }
+
+  /**
+   * Resolve a life:// pattern to every matching event
+   * Resolvers take part by exposing `list(pattern)`, which returns the
+   * events whose URIs fall inside the pattern's path; query parameters
+   * are applied here. With a key ring, signatures are checked as in resolveURI.
+   * @param {string} pattern - Pattern such as 'life://2025-07-01..2025-07-31/journal?tag=work'
+   * @returns {Promise<Array<Object>>} Matching events, oldest first
+   * @throws {SignatureError} If a matching event's signature doesn't verify
+   */
+  async resolveCollection(pattern) {
+    const parsed = parseURIPattern(pattern);
+    let listers;
+
+    if (isLiteralSegment(parsed.source)) {
+      const chain = this.resolverChain(parsed.source);
+      if (chain.length === 0) {
+        throw new ResolverNotFoundError(parsed.source);
+      }
+      listers = chain.filter(resolver => typeof resolver.list === 'function');
+      if (listers.length === 0) {
+        throw new Error(`Resolver for source ${parsed.source} does not support collections`);
+      }
+    } else {
+      // Resolvers without list() can only answer exact URIs, so wildcards skip them
+      const matching = this.getRegisteredSources()
+        .filter(source => parsed.matchers.source.test(source))
+        .flatMap(source => this.resolvers.get(source));
+      if (this.defaultResolver) matching.push(this.defaultResolver);
+      listers = [...new Set(matching)].filter(resolver => typeof resolver.list === 'function');
     }
 
-    // Validate linked_uris if present
-    if (event.linked_uris && Array.isArray(event.linked_uris)) {
-      for (const uri of event.linked_uris) {
-        if (!uri.startsWith('life://')) {
-          throw new Error(`Invalid linked URI: "${uri}". All linked URIs must start with "life://"`);
+    const results = new Map();
+
+    for (const lister of listers) {
+      let events;
+      try {
+        events = await lister.list(parsed);
+      } catch (error) {
+        throw new ResolutionError(pattern, error);
+      }
+
+      for (const listed of events) {
+        const event = this.upgrade(listed);
+        if (!matchQuery(parsed, event)) continue;
+
+        try {
+          this.validateLifeEvent(event);
+        } catch (error) {
+          throw new InvalidEventError(`Failed to resolve collection ${pattern}: ${event.uri || event.id || 'event'}: ${error.message}`, error.errors);
         }
+
+        const uri = event.uri || generateEventURI(event);
+        this.checkSignature(listed, uri);
+        if (!results.has(uri)) results.set(uri, event);
       }
     }
 
-    // Validate mood if present
-    if (event.mood !== undefined) {
-      if (!Number.isInteger(event.mood) || event.mood < 1 || event.mood > 10) {
-        throw new Error(`Invalid mood: ${event.mood}. Mood must be an integer between 1 and 10.`);
-      }
+    return [...results.values()]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(event => this.deliver(event));
+  }
+
+  /**
+   * Validate a LifeEvent against the schema
+   * @param {Object} event - The LifeEvent to validate
+   * @returns {boolean} True if valid
+   * @throws {InvalidEventError} With the schema errors in `errors`
+   */
+  validateLifeEvent(event) {
+    if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+      throw new InvalidEventError('Invalid LifeEvent: expected an object. LifeEvents must include timestamp, source, type, and title.');
     }
 
-    // Validate duration if present
-    if (event.duration !== undefined) {
-      if (!Number.isInteger(event.duration) || event.duration < 0) {
-        throw new Error(`Invalid duration: ${event.duration}. Duration must be a non-negative integer (seconds).`);
+    const errors = validateLifeEventSchema(event);
+
+    // The schema checks the shape of typed links; the registry decides which relations exist
+    (Array.isArray(event.linked_uris) ? event.linked_uris : []).forEach((link, index) => {
+      const relation = getLinkRelation(link);
+      if (relation && !isValidRelationType(relation)) {
+        errors.push({ path: `/linked_uris/${index}/rel`, keyword: 'relation', message: `Invalid relation type: ${relation}` });
       }
+    });
+
+    errors.push(...validateEventTimeZone(event));
+
+    if (errors.length > 0) {
+      throw new InvalidEventError(`Invalid LifeEvent: ${errors.map(formatSchemaError).join('; ')}`, errors);
     }
+
+    return true;
   }
 
   /**
@@ -184,25 +528,258 @@ class BuiltInResolvers {
   /**
    * File system resolver for local LifeEvents
    * Note: Only works in Node.js environments
+   *
+   * Events are stored as JSON files laid out like their URIs:
+   * <basePath>/<date>/<source>/<type>/<slug>.json
+   *
+   * The returned resolver also carries `write(event, uri)` and `remove(uri)`
+   * so it can act as the writer for a local event vault.
+   * @param {string} basePath - Root directory of the event vault
+   * @returns {Function} Resolver function for registerResolver
    */
-  static async fileSystemResolver(basePath = './events') {
-    throw new Error('fileSystemResolver is not available in browser environments. Use Node.js for file system operations.');
+  static fileSystemResolver(basePath = './events') {
+    const loadModules = async () => {
+      if (typeof process === 'undefined' || !process.versions?.node) {
+        throw new Error('fileSystemResolver is not available in browser environments. Use Node.js for file system operations.');
+      }
+      const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+      return { fs, path };
+    };
+
+    const pathFor = (path, parsed) => {
+      const root = path.resolve(basePath);
+      const slugFile = parsed.slug
+        .split('/')
+        .map(segment => encodeURIComponent(segment))
+        .join(path.sep);
+      const authority = encodeURIComponent(parsed.time ? `${parsed.date}T${parsed.time}Z` : parsed.date);
+      const filePath = path.resolve(root, authority, parsed.source, parsed.type, `${slugFile}.json`);
+
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`URI escapes the event directory: ${parsed.full}`);
+      }
+
+      return filePath;
+    };
+
+    const resolver = async (parsed) => {
+      const { fs, path } = await loadModules();
+      const filePath = pathFor(path, parsed);
+
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new EventNotFoundError(eventKey(parsed));
+        }
+        throw error;
+      }
+
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+      }
+    };
+
+    /**
+     * List the events whose URIs fall inside a pattern
+     * Only directories that can match are read.
+     * @param {Object} pattern - Result of parseURIPattern
+     * @returns {Promise<Array<Object>>} Matching events
+     */
+    resolver.list = async (pattern) => {
+      const { fs, path } = await loadModules();
+      const root = path.resolve(basePath);
+
+      const readDir = async (dir) => {
+        try {
+          return await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        }
+      };
+
+      // Names the resolver didn't write may not decode; those aren't event files
+      const decodeName = name => {
+        try {
+          return decodeURIComponent(name);
+        } catch (error) {
+          return null;
+        }
+      };
+
+      const walkSlugs = async (dir, prefix) => {
+        const files = [];
+        for (const entry of await readDir(dir)) {
+          if (entry.isDirectory()) {
+            const name = decodeName(entry.name);
+            if (name !== null) files.push(...await walkSlugs(path.join(dir, entry.name), `${prefix}${name}/`));
+          } else if (entry.name.endsWith('.json')) {
+            const name = decodeName(entry.name.slice(0, -5));
+            if (name !== null) files.push({ file: path.join(dir, entry.name), slug: `${prefix}${name}` });
+          }
+        }
+        return files;
+      };
+
+      const events = [];
+      for (const dateEntry of await readDir(root)) {
+        if (!dateEntry.isDirectory()) continue;
+
+        let authority;
+        try {
+          authority = LifeURI.parseAuthority(decodeURIComponent(dateEntry.name));
+        } catch (error) {
+          continue; // Not an event directory
+        }
+        if (!matchDate(pattern, authority.date)) continue;
+
+        const dateDir = path.join(root, dateEntry.name);
+        for (const sourceEntry of await readDir(dateDir)) {
+          if (!sourceEntry.isDirectory() || !pattern.matchers.source.test(sourceEntry.name)) continue;
+          const source = sourceEntry.name;
+
+          for (const typeEntry of await readDir(path.join(dateDir, source))) {
+            if (!typeEntry.isDirectory() || !pattern.matchers.type.test(typeEntry.name)) continue;
+            const type = typeEntry.name;
+
+            for (const { file, slug } of await walkSlugs(path.join(dateDir, source, type), '')) {
+              if (!matchComponents(pattern, { ...authority, source, type, slug })) continue;
+
+              try {
+                events.push(JSON.parse(await fs.readFile(file, 'utf8')));
+              } catch (error) {
+                throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+              }
+            }
+          }
+        }
+      }
+
+      return events;
+    };
+
+    /**
+     * Write an event to the vault
+     * @param {Object} event - The LifeEvent to store
+     * @param {string} [uri] - URI to store it under (defaults to event.uri)
+     * @returns {Promise<string>} Path of the written file
+     */
+    resolver.write = async (event, uri = event.uri) => {
+      if (!uri) {
+        throw new Error('Cannot write event without a life:// URI');
+      }
+
+      const { fs, path } = await loadModules();
+      const filePath = pathFor(path, LifeURI.parse(uri));
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify(event, null, 2) + '\n', 'utf8');
+
+      return filePath;
+    };
+
+    /**
+     * Remove an event from the vault
+     * @param {string} uri - URI of the event to remove
+     * @returns {Promise<boolean>} True if a file was removed
+     */
+    resolver.remove = async (uri) => {
+      const { fs, path } = await loadModules();
+      const filePath = pathFor(path, LifeURI.parse(uri));
+
+      try {
+        await fs.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    };
+
+    return resolver;
+  }
+
+  /**
+   * Remote resolver backed by a LifeResolverServer on another machine
+   * Needs a global fetch (Node.js 18+ or a browser).
+   * @param {string} baseUrl - Server URL, e.g. 'http://192.168.1.20:4300'
+   * @param {Object} [options] - Client options
+   * @param {string} [options.token] - Bearer token the server expects
+   * @param {Function} [options.fetch] - fetch implementation to use
+   * @returns {Function} Resolver function (with `list` for collections)
+   */
+  static remoteResolver(baseUrl, options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('remoteResolver needs fetch. Use Node.js 18+ or pass options.fetch.');
+    }
+
+    const root = String(baseUrl).replace(/\/+$/, '');
+    const headers = { Accept: 'application/json' };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+    const request = async (path, signal) => {
+      const response = await fetchImpl(`${root}${path}`, { headers, signal });
+      let body = null;
+      try {
+        body = await response.json();
+      } catch (error) {
+        // Non-JSON error pages are reported by status below
+      }
+
+      if (!response.ok) {
+        const code = body?.error?.code;
+        const message = body?.error?.message || `HTTP ${response.status}`;
+        if (code === 'EVENT_NOT_FOUND') throw new EventNotFoundError(path);
+        throw new Error(`Remote resolver ${root}: ${message}`);
+      }
+      return body;
+    };
+
+    const resolver = async (parsed, context = {}) => {
+      try {
+        const { event } = await request(`/resolve?uri=${encodeURIComponent(parsed.full)}`, context.signal);
+        return event;
+      } catch (error) {
+        if (error instanceof EventNotFoundError) throw new EventNotFoundError(parsed.full);
+        throw error;
+      }
+    };
+
+    resolver.list = async (pattern) => {
+      const { events } = await request(`/events?pattern=${encodeURIComponent(pattern.full)}`);
+      return events;
+    };
+
+    return resolver;
   }
 
   /**
    * Memory resolver for testing
    */
   static memoryResolver(events = new Map()) {
-    return async (parsed) => {
-      const key = `${parsed.date}/${parsed.source}/${parsed.type}/${parsed.slug}`;
+    const resolver = async (parsed) => {
+      const key = eventKey(parsed);
       const event = events.get(key);
       
       if (!event) {
-        throw new Error(`Event not found: ${key}`);
+        throw new EventNotFoundError(key);
       }
       
       return event;
     };
+
+    resolver.list = async (pattern) => {
+      return [...events.entries()]
+        .filter(([key]) => matchComponents(pattern, parseEventKey(key)))
+        .map(([, event]) => event);
+    };
+
+    return resolver;
   }
 }
 
@@ -4,47 +4,109 @@
  * LifeOS Protocol Event Validator
  * 
  * CLI tool to validate LifeEvents against the schema.
- * Usage: node validate.js <event-file.json>
+ * Usage: node validate.js [--format text|json|junit] [--strict] [--keys keys.json] <file|directory|glob> ...
  */
 
 import fs from 'fs';
 import path from 'path';
 import { LifeURIResolver } from './uriResolver.js';
-import { isValidEventType, getEventTypeDescription } from './eventTypes.js';
-
-// Load the schema
-const schema = JSON.parse(fs.readFileSync('./lifeevent.schema.json', 'utf8'));
+import { LifeURI } from './lifeURI.js';
+import {
+  isValidEventType,
+  getEventTypeDescription,
+  getEventTypeInfo,
+  validateEventMetadata,
+  loadEventTypePackFile
+} from './eventTypes.js';
+import { isValidRelationType } from './relationTypes.js';
+import { validateLifeEventSchema, formatSchemaError } from './schemaValidator.js';
+import { validateEventTimeZone } from './timeZone.js';
+import { isRedactedURI } from './privacy.js';
+import { getLinkURI, getLinkRelation } from './eventModel.js';
+import { KeyRing, verifyEvent, verifyProvenance } from './signing.js';
+import { detectEventVersion, isKnownVersion, getKnownVersions, needsUpgrade, upgradeEvent, latestVersion } from './migrations.js';
 
 class LifeEventValidator {
-  constructor() {
+  /**
+   * @param {Object} [options] - Validator options
+   * @param {boolean} [options.strict] - Treat warnings as failures
+   * @param {KeyRing} [options.keyRing] - Verify signatures against these keys
+   * @param {boolean} [options.requireSignatures] - With a key ring, fail unsigned events
+   */
+  constructor(options = {}) {
+    this.strict = Boolean(options.strict);
+    this.keyRing = options.keyRing || null;
+    this.requireSignatures = Boolean(options.requireSignatures);
     this.resolver = new LifeURIResolver();
     this.errors = [];
     this.warnings = [];
+    this.schemaErrors = [];
+    this.signature = null;
   }
 
   /**
    * Validate a single LifeEvent
-   * @param {Object} event - The LifeEvent to validate
+   * Events in an older protocol version are checked as they upgrade.
+   * @param {Object} input - The LifeEvent to validate
    * @returns {boolean} True if valid
    */
-  validateEvent(event) {
+  validateEvent(input) {
     this.errors = [];
     this.warnings = [];
+    this.schemaErrors = [];
+    this.signature = null;
 
-    try {
-      // Use the resolver's validation
-      this.resolver.validateLifeEvent(event);
-    } catch (error) {
-      this.errors.push(error.message);
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+      this.errors.push('/: LifeEvent must be a JSON object');
+      return false;
     }
 
+    const event = this.validateVersion(input);
+    if (event === null) return false;
+
+    // Enforce lifeevent.schema.json
+    this.validateSchema(event);
+
     // Additional validations
     this.validateEventType(event);
     this.validateMetadata(event);
+    this.validateURI(event);
     this.validateLinkedURIs(event);
     this.validateTimestamps(event);
+    // Signatures cover the event as it was written
+    this.validateSignature(input);
+
+    return this.getResults().valid;
+  }
+
+  /**
+   * Check the event's protocol version and upgrade it if it's older
+   * @param {Object} event - The LifeEvent to validate
+   * @returns {Object|null} The event in the latest version, or null if its version is unknown
+   */
+  validateVersion(event) {
+    const version = detectEventVersion(event);
+
+    if (!isKnownVersion(version)) {
+      this.errors.push(`/protocol_version: Unsupported protocol version: ${version}. Known versions: ${getKnownVersions().join(', ')}`);
+      return null;
+    }
+
+    if (needsUpgrade(event)) {
+      this.warnings.push(`Event uses protocol version ${version} and was checked as ${latestVersion()}. Upgrade it with "node migrate.js".`);
+      return upgradeEvent(event);
+    }
 
-    return this.errors.length === 0;
+    return event;
+  }
+
+  /**
+   * Validate the event against lifeevent.schema.json
+   * @param {Object} event - The LifeEvent to validate
+   */
+  validateSchema(event) {
+    this.schemaErrors = validateLifeEventSchema(event);
+    this.errors.push(...this.schemaErrors.map(formatSchemaError));
   }
 
   /**
@@ -52,18 +114,46 @@ class LifeEventValidator {
    * @param {Object} event - The LifeEvent to validate
    */
   validateEventType(event) {
-    if (event.type && !isValidEventType(event.type)) {
+    if (typeof event.type !== 'string') return;
+
+    if (!isValidEventType(event.type)) {
       this.warnings.push(`Event type "${event.type}" is not in the standard registry. Consider using a standard type.`);
+      return;
+    }
+
+    const info = getEventTypeInfo(event.type);
+    if (info.aliasOf) {
+      this.warnings.push(`Event type "${event.type}" is an alias of "${info.aliasOf}". Consider using "${info.aliasOf}".`);
+    }
+    if (info.deprecated) {
+      const replacement = info.deprecated.replacedBy ? ` Use "${info.deprecated.replacedBy}" instead.` : '';
+      const message = info.deprecated.message ? ` ${info.deprecated.message}` : '';
+      this.warnings.push(`Event type "${event.type}" is deprecated.${replacement}${message}`);
     }
   }
 
   /**
-   * Validate metadata structure
+   * Validate metadata against the schema registered for the event type
    * @param {Object} event - The LifeEvent to validate
    */
   validateMetadata(event) {
-    if (event.metadata && typeof event.metadata !== 'object') {
-      this.errors.push('Metadata must be an object');
+    this.errors.push(...validateEventMetadata(event).map(formatSchemaError));
+  }
+
+  /**
+   * Validate the event's own URI and check that it is canonical
+   * @param {Object} event - The LifeEvent to validate
+   */
+  validateURI(event) {
+    if (typeof event.uri !== 'string' || !event.uri.startsWith('life://')) return;
+
+    try {
+      const canonical = LifeURI.normalize(event.uri);
+      if (canonical !== event.uri) {
+        this.warnings.push(`URI "${event.uri}" is not in canonical form. Use "${canonical}".`);
+      }
+    } catch (error) {
+      this.errors.push(`/uri: Invalid URI: ${event.uri} - ${error.message}`);
     }
   }
 
@@ -72,20 +162,26 @@ class LifeEventValidator {
    * @param {Object} event - The LifeEvent to validate
    */
   validateLinkedURIs(event) {
-    if (event.linked_uris) {
-      if (!Array.isArray(event.linked_uris)) {
-        this.errors.push('linked_uris must be an array');
-        return;
+    // Type errors are already reported by the schema
+    if (!Array.isArray(event.linked_uris)) return;
+
+    event.linked_uris.forEach((link, index) => {
+      const uri = getLinkURI(link);
+      const relation = getLinkRelation(link);
+
+      if (relation && !isValidRelationType(relation)) {
+        this.warnings.push(`Relation type "${relation}" on /linked_uris/${index} is not in the relation registry.`);
       }
 
-      for (const uri of event.linked_uris) {
-        try {
-          this.resolver.parseURI(uri);
-        } catch (error) {
-          this.errors.push(`Invalid linked URI: ${uri} - ${error.message}`);
-        }
+      if (typeof uri !== 'string' || !uri.startsWith('life://') || isRedactedURI(uri)) return;
+
+      try {
+        this.resolver.parseURI(uri);
+      } catch (error) {
+        const pointer = typeof link === 'string' ? `/linked_uris/${index}` : `/linked_uris/${index}/uri`;
+        this.errors.push(`${pointer}: Invalid linked URI: ${uri} - ${error.message}`);
       }
-    }
+    });
   }
 
   /**
@@ -93,6 +189,8 @@ class LifeEventValidator {
    * @param {Object} event - The LifeEvent to validate
    */
   validateTimestamps(event) {
+    this.errors.push(...validateEventTimeZone(event).map(formatSchemaError));
+
     if (event.created_at && event.timestamp) {
       const created = new Date(event.created_at);
       const timestamp = new Date(event.timestamp);
@@ -103,16 +201,40 @@ class LifeEventValidator {
     }
   }
 
+  /**
+   * Verify the event's signature and those kept in its provenance
+   * Only runs with a key ring; the outcome is `signature` in the results.
+   * @param {Object} event - The LifeEvent to validate
+   */
+  validateSignature(event) {
+    if (!this.keyRing) return;
+
+    this.signature = verifyEvent(event, this.keyRing);
+    if (this.signature.status === 'invalid') {
+      this.errors.push(`/signature: ${this.signature.reason}`);
+    } else if (this.signature.status === 'unsigned' && this.requireSignatures) {
+      this.errors.push('/signature: Event is not signed');
+    }
+
+    for (const entry of verifyProvenance(event, this.keyRing)) {
+      if (entry.status === 'invalid') {
+        this.errors.push(`/provenance/${entry.index}/signature: ${entry.reason}`);
+      }
+    }
+  }
+
   /**
    * Get validation results
-   * @returns {Object} Validation results
+   * @returns {Object} Validation results; `signature` is { status, key_id, reason } when checking signatures
    */
   getResults() {
-    return {
-      valid: this.errors.length === 0,
+    const results = {
+      valid: this.errors.length === 0 && (!this.strict || this.warnings.length === 0),
       errors: this.errors,
       warnings: this.warnings
     };
+    if (this.signature) results.signature = this.signature;
+    return results;
   }
 
   /**
@@ -123,6 +245,8 @@ class LifeEventValidator {
     
     if (results.valid) {
       console.log('✅ LifeEvent is valid!');
+    } else if (results.errors.length === 0) {
+      console.log('❌ LifeEvent has warnings (strict mode treats them as errors)');
     } else {
       console.log('❌ LifeEvent has validation errors:');
       results.errors.forEach(error => console.log(`  - ${error}`));
@@ -135,73 +259,410 @@ class LifeEventValidator {
   }
 }
 
+const EVENT_FILE_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+const REPORT_FORMATS = ['text', 'json', 'junit'];
+
+const USAGE = `Usage: node validate.js [options] <file|directory|glob|-> ...
+
+Inputs may be single events, JSON arrays of events or newline-delimited JSON.
+Directories are searched recursively for ${EVENT_FILE_EXTENSIONS.join(', ')} files.
+With no inputs, events are read from stdin.
+
+Options:
+  --format <text|json|junit>  Report format (default: text)
+  --strict                    Treat warnings as failures
+  --types <pack.json>         Load an event type pack (repeatable)
+  --keys <keys.json>          Verify signatures against trusted public keys:
+                              { "<source>": { "<key id>": "<PEM>" } }
+  --require-signatures        With --keys, fail unsigned events
+  --help                      Show this message`;
+
 /**
- * Main CLI function
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { inputs, format, strict, help, typePacks, keys, requireSignatures }
  */
-function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    console.log('Usage: node validate.js <event-file.json>');
-    console.log('Or pipe JSON: echo \'{"timestamp":"..."}\' | node validate.js');
-    process.exit(1);
+function parseArgs(args) {
+  const options = { inputs: [], format: 'text', strict: false, help: false, typePacks: [], keys: null, requireSignatures: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--format' || arg.startsWith('--format=')) {
+      options.format = arg.includes('=') ? arg.split('=')[1] : args[++i];
+      if (!REPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}. Expected one of: ${REPORT_FORMATS.join(', ')}`);
+      }
+    } else if (arg === '--types' || arg.startsWith('--types=')) {
+      options.typePacks.push(arg.includes('=') ? arg.split('=')[1] : args[++i]);
+    } else if (arg === '--keys' || arg.startsWith('--keys=')) {
+      options.keys = arg.includes('=') ? arg.split('=')[1] : args[++i];
+    } else if (arg === '--require-signatures') {
+      options.requireSignatures = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.inputs.push(arg);
+    }
   }
 
-  const validator = new LifeEventValidator();
-  let event;
+  return options;
+}
 
-  // Check if input is piped
-  if (!process.stdin.isTTY) {
-    // Read from stdin
-    let input = '';
-    process.stdin.on('data', chunk => {
-      input += chunk;
-    });
-    process.stdin.on('end', () => {
-      try {
-        event = JSON.parse(input);
-        const isValid = validator.validateEvent(event);
-        validator.printResults();
-        process.exit(isValid ? 0 : 1);
-      } catch (error) {
-        console.error('❌ Invalid JSON:', error.message);
-        process.exit(1);
+/**
+ * Convert a glob pattern into a regular expression
+ * Supports *, **, ? and {a,b} alternatives.
+ * @param {string} pattern - Glob pattern using / separators
+ * @returns {RegExp} Expression matching whole paths
+ * @throws {Error} If a '{' has no closing '}'
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unbalanced brace in glob: ${pattern}`);
       }
-    });
-  } else {
-    // Read from file
-    const filePath = args[0];
-    
-    if (!fs.existsSync(filePath)) {
-      console.error(`❌ File not found: ${filePath}`);
-      process.exit(1);
+      const options = pattern.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+function isGlob(input) {
+  return /[*?{]/.test(input);
+}
+
+function walkFiles(directory) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Expand files, directories and globs into a list of event files
+ * @param {Array<string>} inputs - Paths or glob patterns
+ * @returns {Array<string>} Matching file paths ('-' stands for stdin)
+ */
+function collectInputFiles(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    if (input === '-') {
+      files.push(input);
+    } else if (isGlob(input)) {
+      const normalized = input.split(path.sep).join('/');
+      const segments = normalized.split('/');
+      const firstGlob = segments.findIndex(isGlob);
+      const base = segments.slice(0, firstGlob).join('/') || '.';
+      const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+      if (fs.existsSync(base)) {
+        const matches = walkFiles(base).filter(file =>
+          matcher.test(path.relative(base, file).split(path.sep).join('/'))
+        );
+        if (matches.length === 0) throw new Error(`No files match: ${input}`);
+        files.push(...matches);
+      } else {
+        throw new Error(`No files match: ${input}`);
+      }
+    } else if (!fs.existsSync(input)) {
+      throw new Error(`File not found: ${input}`);
+    } else if (fs.statSync(input).isDirectory()) {
+      files.push(...walkFiles(input).filter(file => EVENT_FILE_EXTENSIONS.includes(path.extname(file))));
+    } else {
+      files.push(input);
     }
+  }
+
+  return [...new Set(files)];
+}
+
+// Line and column of a JSON.parse error, from the position in its message
+function jsonErrorLocation(content, error) {
+  const match = /position (\d+)/.exec(error.message);
+  const position = match ? Number(match[1]) : content.length;
+  const before = content.slice(0, position);
+  const line = before.split('\n').length;
+  return { line, column: position - before.lastIndexOf('\n') };
+}
+
+/**
+ * Split file content into events
+ * Accepts a single JSON event, a JSON array of events, or newline-delimited JSON.
+ * Only .ndjson/.jsonl files and stdin are read line by line; any other file
+ * that isn't valid JSON gives one parse error with its line and column.
+ * @param {string} content - Raw file content
+ * @param {string} file - File name used in reports ('<stdin>' for standard input)
+ * @returns {Array<Object>} Entries as { file, line?, index?, event } or { ..., parseError }
+ */
+function parseEventEntries(content, file) {
+  const isNDJSON = ['.ndjson', '.jsonl'].includes(path.extname(file));
 
+  if (!isNDJSON) {
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      event = JSON.parse(content);
-      
-      const isValid = validator.validateEvent(event);
-      validator.printResults();
-      
-      // Print event details if valid
-      if (isValid) {
-        console.log('\n📋 Event Details:');
-        console.log(`  Title: ${event.title}`);
-        console.log(`  Type: ${event.type}${getEventTypeDescription(event.type) ? ` (${getEventTypeDescription(event.type)})` : ''}`);
-        console.log(`  Source: ${event.source}`);
-        console.log(`  Timestamp: ${event.timestamp}`);
-        if (event.linked_uris && event.linked_uris.length > 0) {
-          console.log(`  Linked Events: ${event.linked_uris.length}`);
-        }
+      const parsed = JSON.parse(content);
+      if (Array.isArray(parsed)) {
+        return parsed.map((event, index) => ({ file, index, event }));
       }
-      
-      process.exit(isValid ? 0 : 1);
+      return [{ file, event: parsed }];
+    } catch (error) {
+      // Stdin has no extension, so several lines there may be NDJSON
+      if (file !== '<stdin>' || content.trim().split('\n').length < 2) {
+        const { line, column } = jsonErrorLocation(content, error);
+        return [{ file, line, parseError: `Invalid JSON at line ${line}, column ${column}: ${error.message}` }];
+      }
+    }
+  }
+
+  const entries = [];
+  content.split('\n').forEach((text, lineIndex) => {
+    if (text.trim().length === 0) return;
+
+    const line = lineIndex + 1;
+    try {
+      entries.push({ file, line, event: JSON.parse(text) });
     } catch (error) {
-      console.error('❌ Error reading file:', error.message);
+      entries.push({ file, line, parseError: `Invalid JSON: ${error.message}` });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Validate a batch of parsed entries
+ * @param {Array<Object>} entries - Entries from parseEventEntries
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.strict] - Treat warnings as failures
+ * @param {KeyRing} [options.keyRing] - Verify signatures against these keys
+ * @param {boolean} [options.requireSignatures] - With a key ring, fail unsigned events
+ * @returns {Object} Report with per-event results and a summary
+ */
+function validateEntries(entries, options = {}) {
+  const validator = new LifeEventValidator(options);
+
+  const results = entries.map(({ file, line, index, event, parseError }) => {
+    const location = { file, line, index };
+
+    if (parseError) {
+      return { ...location, valid: false, errors: [parseError], warnings: [] };
+    }
+
+    validator.validateEvent(event);
+    return { ...location, title: event?.title, ...validator.getResults() };
+  });
+
+  const summary = {
+    files: new Set(results.map(result => result.file)).size,
+    events: results.length,
+    passed: results.filter(result => result.valid).length,
+    failed: results.filter(result => !result.valid).length,
+    errors: results.reduce((count, result) => count + result.errors.length, 0),
+    warnings: results.reduce((count, result) => count + result.warnings.length, 0),
+    strict: Boolean(options.strict)
+  };
+
+  if (options.keyRing) {
+    const count = status => results.filter(result => result.signature?.status === status).length;
+    summary.signatures = { valid: count('valid'), invalid: count('invalid'), unsigned: count('unsigned') };
+  }
+
+  return { valid: summary.failed === 0, results, summary };
+}
+
+function describeLocation(result) {
+  if (result.line !== undefined) return `${result.file}:${result.line}`;
+  if (result.index !== undefined) return `${result.file}[${result.index}]`;
+  return result.file;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render a validation report
+ * @param {Object} report - Report from validateEntries
+ * @param {string} format - One of 'text', 'json', 'junit'
+ * @returns {string} Formatted report
+ */
+function formatReport(report, format = 'text') {
+  const { results, summary } = report;
+
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2);
+  }
+
+  if (format === 'junit') {
+    const byFile = new Map();
+    for (const result of results) {
+      if (!byFile.has(result.file)) byFile.set(result.file, []);
+      byFile.get(result.file).push(result);
+    }
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="lifeos-validate" tests="${summary.events}" failures="${summary.failed}">`
+    ];
+
+    for (const [file, fileResults] of byFile) {
+      const failures = fileResults.filter(result => !result.valid).length;
+      lines.push(`  <testsuite name="${escapeXML(file)}" tests="${fileResults.length}" failures="${failures}">`);
+
+      for (const result of fileResults) {
+        const name = `${describeLocation(result)}${result.title ? ` ${result.title}` : ''}`;
+        lines.push(`    <testcase classname="${escapeXML(file)}" name="${escapeXML(name)}">`);
+
+        if (!result.valid) {
+          const problems = summary.strict ? [...result.errors, ...result.warnings] : result.errors;
+          lines.push(`      <failure message="${escapeXML(problems[0] || 'Validation failed')}">${escapeXML(problems.join('\n'))}</failure>`);
+        }
+        if (result.warnings.length > 0) {
+          lines.push(`      <system-out>${escapeXML(result.warnings.map(warning => `warning: ${warning}`).join('\n'))}</system-out>`);
+        }
+
+        lines.push('    </testcase>');
+      }
+
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n');
+  }
+
+  const lines = [];
+  for (const result of results) {
+    if (result.valid && result.errors.length === 0 && result.warnings.length === 0) {
+      lines.push(`✅ ${describeLocation(result)}`);
+      continue;
+    }
+
+    lines.push(`${result.valid ? '⚠️ ' : '❌'} ${describeLocation(result)}`);
+    result.errors.forEach(error => lines.push(`  - ${error}`));
+    result.warnings.forEach(warning => lines.push(`  - warning: ${warning}`));
+  }
+
+  lines.push('');
+  lines.push(`Summary: ${summary.events} events in ${summary.files} files, ${summary.passed} passed, ${summary.failed} failed`);
+  lines.push(`         ${summary.errors} errors, ${summary.warnings} warnings${summary.strict ? ' (strict: warnings fail)' : ''}`);
+  if (summary.signatures) {
+    const { valid, invalid, unsigned } = summary.signatures;
+    lines.push(`         signatures: ${valid} valid, ${invalid} invalid, ${unsigned} unsigned`);
+  }
+  return lines.join('\n');
+}
+
+async function readStdin() {
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (options.inputs.length === 0) {
+    if (process.stdin.isTTY) {
+      console.log(USAGE);
       process.exit(1);
     }
+    options.inputs.push('-');
   }
+
+  const entries = [];
+  let keyRing = null;
+  try {
+    for (const pack of options.typePacks) {
+      await loadEventTypePackFile(pack);
+    }
+
+    if (options.keys) {
+      keyRing = new KeyRing(JSON.parse(fs.readFileSync(options.keys, 'utf8')));
+    }
+
+    for (const file of collectInputFiles(options.inputs)) {
+      const content = file === '-' ? await readStdin() : fs.readFileSync(file, 'utf8');
+      entries.push(...parseEventEntries(content, file === '-' ? '<stdin>' : file));
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const report = validateEntries(entries, { strict: options.strict, keyRing, requireSignatures: options.requireSignatures });
+  console.log(formatReport(report, options.format));
+
+  // Print event details for a single valid event
+  if (options.format === 'text' && report.results.length === 1 && report.valid) {
+    const event = entries[0].event;
+    console.log('\n📋 Event Details:');
+    console.log(`  Title: ${event.title}`);
+    console.log(`  Type: ${event.type}${getEventTypeDescription(event.type) ? ` (${getEventTypeDescription(event.type)})` : ''}`);
+    console.log(`  Source: ${event.source}`);
+    console.log(`  Timestamp: ${event.timestamp}`);
+    if (event.linked_uris && event.linked_uris.length > 0) {
+      console.log(`  Linked Events: ${event.linked_uris.length}`);
+    }
+    const signature = report.results[0].signature;
+    if (signature) {
+      console.log(`  Signature: ${signature.status}${signature.key_id ? ` (key ${signature.key_id})` : ''}`);
+    }
+  }
+
+  process.exit(report.valid ? 0 : 1);
 }
 
 // Run if this file is executed directly
@@ -209,4 +670,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { LifeEventValidator }; 
\ No newline at end of file
+export {
+  LifeEventValidator,
+  parseEventEntries,
+  collectInputFiles,
+  validateEntries,
+  formatReport
+};